@@ -0,0 +1,154 @@
+/* Amicus service worker (offline reading)
+ * - precache: app shell, MapleMono fonts, cover GIFs, manifest/icon
+ * - /content/*.json, search index, feeds: stale-while-revalidate (+ notify pages on change)
+ * - /assets/* (hashed build output): cache-first
+ * - navigations: network-first, fall back to the cached page (prerendered /issue/<id>/) or the shell
+ * - other images (item/article images): bounded runtime cache (IMAGE_LIMIT entries)
+ * Cache names are mirrored in src/App.jsx (OFFLINE_CACHES) — keep them in sync.
+ */
+const VERSION = "v1";
+const SHELL_CACHE = `mw-shell-${VERSION}`;
+const CONTENT_CACHE = "mw-content-v1";
+const ASSET_CACHE = "mw-assets-v1";
+const IMAGE_CACHE = "mw-images-v1";
+const IMAGE_LIMIT = 60;
+
+const PRECACHE = [
+  "/",
+  "/index.html",
+  "/manifest.webmanifest",
+  "/icon.svg",
+  "/fonts/MapleMono/MapleMono-Regular.woff2",
+  "/fonts/MapleMono/MapleMono-Bold.woff2",
+  "/01.gif",
+  "/02.gif",
+];
+const KNOWN_CACHES = [SHELL_CACHE, CONTENT_CACHE, ASSET_CACHE, IMAGE_CACHE];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("mw-") && !KNOWN_CACHES.includes(k)).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (sameOrigin && req.mode === "navigate") {
+    event.respondWith(networkFirstShell(req));
+    return;
+  }
+  if (sameOrigin && isContentPath(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, req, url.pathname));
+    return;
+  }
+  if (sameOrigin && url.pathname.startsWith("/assets/")) {
+    event.respondWith(cacheFirst(req, ASSET_CACHE));
+    return;
+  }
+  if (sameOrigin && PRECACHE.includes(url.pathname)) {
+    event.respondWith(cacheFirst(req, SHELL_CACHE));
+    return;
+  }
+  if (req.destination === "image") {
+    event.respondWith(boundedImage(req));
+  }
+});
+
+function isContentPath(p) {
+  return p.startsWith("/content/") || p === "/search-index.json" || p === "/feed.json";
+}
+
+/** Cache key ignores the query so ?v= / cache-busting params share one entry */
+function keyFor(pathname) {
+  return new Request(new URL(pathname, self.location.origin).toString());
+}
+
+async function networkFirstShell(req) {
+  try {
+    const res = await fetch(req);
+    if (res.ok) (await caches.open(SHELL_CACHE)).put(keyFor(new URL(req.url).pathname), res.clone());
+    return res;
+  } catch {
+    return (await caches.match(keyFor(new URL(req.url).pathname))) || (await caches.match("/index.html")) || Response.error();
+  }
+}
+
+async function staleWhileRevalidate(event, req, pathname) {
+  const cache = await caches.open(CONTENT_CACHE);
+  const key = keyFor(pathname);
+  const cached = await cache.match(key);
+
+  const refresh = fetch(req, { cache: "no-store" })
+    .then(async (res) => {
+      if (!res.ok) return res;
+      const body = await res.clone().text();
+      const before = cached ? await cached.clone().text() : null;
+      await cache.put(key, res.clone());
+      if (before !== null && before !== body) notify({ type: "content-updated", path: pathname });
+      return res;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return (await refresh) || new Response(JSON.stringify({ error: "offline" }), { status: 503, headers: { "Content-Type": "application/json" } });
+}
+
+async function cacheFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+  const res = await fetch(req);
+  if (res.ok) cache.put(req, res.clone());
+  return res;
+}
+
+async function boundedImage(req) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(req);
+  if (cached) {
+    // re-insert so the entry counts as recently viewed
+    cache.delete(req).then(() => cache.put(req, cached.clone()));
+    return cached.clone();
+  }
+  try {
+    const res = await fetch(req);
+    // opaque (cross-origin no-cors) responses are cacheable but report status 0
+    if (res.ok || res.type === "opaque") {
+      await cache.put(req, res.clone());
+      trimCache(cache, IMAGE_LIMIT);
+    }
+    return res;
+  } catch {
+    return Response.error();
+  }
+}
+
+/** Drop the oldest entries (cache.keys() is insertion-ordered) */
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  for (const k of keys.slice(0, Math.max(0, keys.length - limit))) await cache.delete(k);
+}
+
+async function notify(msg) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  for (const c of clients) c.postMessage(msg);
+}
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Rebuild the summaries in public/content/index.json from the weekly files it lists
+ *   npm run content-index          -> rewrite index.json ({ version, files, summaries }, newest first)
+ *   npm run content-index -- --check  -> exit 1 if index.json is out of date (CI), write nothing
+ * The reader renders the archive from these summaries and fetches a weekly file only when it is opened;
+ * each summary's hash tells it when a cached body is stale (see src/lib/content-index.js).
+ * Runs first in `npm run build`; commit the result together with the content.
+ */
+import { writeFile } from "node:fs/promises";
+import path from "node:path";
+import { CONTENT_DIR, buildContentIndex, readJSON } from "./lib/content.js";
+
+const INDEX_FILE = path.join(CONTENT_DIR, "index.json");
+
+async function main() {
+  const check = process.argv.includes("--check");
+  const idx = await readJSON(INDEX_FILE);
+  if (!Array.isArray(idx?.files)) throw new Error("index.json 缺少 files 数组");
+
+  const { index, problems } = await buildContentIndex(idx.files);
+  for (const p of problems) console.warn(`✗ ${p.file}\n${p.message}`);
+  const failed = problems.length > 0;
+
+  const next = `${JSON.stringify(index, null, 2)}\n`;
+  const current = JSON.stringify(idx, null, 2) + "\n";
+  if (check) {
+    console.log(next === current ? "[content-index] index.json 已是最新" : "[content-index] index.json 已过期，请运行 npm run content-index");
+    process.exit(next === current && !failed ? 0 : 1);
+  }
+  if (next !== current) await writeFile(INDEX_FILE, next, "utf8");
+  console.log(`[content-index] ${index.summaries.length} 期摘要 -> ${path.relative(process.cwd(), INDEX_FILE)}`);
+  if (failed) process.exit(1);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
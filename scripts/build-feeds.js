@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Emit feeds from public/content/ into dist/ (runs after `vite build`)
+ *   feed.xml (RSS 2.0) / atom.xml (Atom) / feed.json (JSON Feed 1.1)  -> one entry per issue
+ *   items.xml / items.json                                            -> one entry per item
+ * SITE_URL (env) or --site sets the absolute base for permalinks; --out overrides dist/.
+ */
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { DIST_DIR, loadPublicIssues, argValue } from "./lib/content.js";
+import { issueEntries, itemEntries, buildRss, buildAtom, buildJsonFeed, SITE_TITLE } from "../src/lib/feeds.js";
+
+const DEFAULT_SITE_URL = "http://localhost:4173";
+
+async function main() {
+  const args = process.argv.slice(2);
+  const siteUrl = (argValue(args, "--site") || process.env.SITE_URL || "").replace(/\/+$/, "");
+  const outDir = path.resolve(argValue(args, "--out") || DIST_DIR);
+  const site = siteUrl || DEFAULT_SITE_URL;
+  if (!siteUrl) console.warn(`[feeds] SITE_URL 未设置，使用 ${DEFAULT_SITE_URL}`);
+
+  const issues = await loadPublicIssues();
+  const perIssue = issueEntries(issues, site);
+  const perItem = itemEntries(issues, site);
+  const itemsTitle = `${SITE_TITLE} · Items`;
+
+  const outputs = {
+    "feed.xml": buildRss(perIssue, { siteUrl: site, feedUrl: `${site}/feed.xml` }),
+    "atom.xml": buildAtom(perIssue, { siteUrl: site, feedUrl: `${site}/atom.xml` }),
+    "feed.json": buildJsonFeed(perIssue, { siteUrl: site, feedUrl: `${site}/feed.json` }),
+    "items.xml": buildRss(perItem, { siteUrl: site, feedUrl: `${site}/items.xml`, title: itemsTitle }),
+    "items.json": buildJsonFeed(perItem, { siteUrl: site, feedUrl: `${site}/items.json`, title: itemsTitle }),
+  };
+
+  await mkdir(outDir, { recursive: true });
+  for (const [name, body] of Object.entries(outputs)) {
+    await writeFile(path.join(outDir, name), body, "utf8");
+  }
+  console.log(`[feeds] ${perIssue.length} issues / ${perItem.length} items -> ${path.relative(process.cwd(), outDir) || "."}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+/**
+ * Remove unpublished issues from the built content (runs in `npm run build`, right after `vite build`)
+ *   dist/content/<week>.json  -> deleted when none of its issues is public yet (draft / scheduled, not due)
+ *   dist/content/index.json   -> only the remaining files and their summaries
+ *   dist/link-report.json     -> deleted (a leftover of public/ from before the report moved to .data/)
+ * vite copies public/content verbatim, so without this step a draft's JSON and summary would ship.
+ * Admins read drafts through the content API; rebuild after a scheduled issue's publishedAt to release it.
+ * --out overrides dist/.
+ */
+import { rm } from "node:fs/promises";
+import path from "node:path";
+import { DIST_DIR, argValue, writePublicContent } from "./lib/content.js";
+
+async function main() {
+  const outDir = path.resolve(argValue(process.argv.slice(2), "--out") || DIST_DIR);
+  const { kept, dropped } = await writePublicContent(path.join(outDir, "content"));
+  await rm(path.join(outDir, "link-report.json"), { force: true });
+  const held = dropped.length ? `，未公开 ${dropped.length} 期未输出（${dropped.join(", ")}）` : "";
+  console.log(`[content] 公开 ${kept.length} 期${held} -> ${path.relative(process.cwd(), outDir) || "."}/content`);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+/**
+ * Prebuild the archive search index into dist/search-index.json (runs after `vite build`)
+ * The client uses it when its per-issue content hashes match index.json, else rebuilds in-browser.
+ *   --out <dir> overrides dist/
+ */
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { DIST_DIR, loadPublicIssues, argValue } from "./lib/content.js";
+import { buildSearchIndex } from "../src/lib/search.js";
+import { contentHash } from "../src/lib/content-index.js";
+
+async function main() {
+  const outDir = path.resolve(argValue(process.argv.slice(2), "--out") || DIST_DIR);
+  const issues = await loadPublicIssues();
+  const index = buildSearchIndex(issues);
+  index.hashes = Object.fromEntries(await Promise.all(issues.map(async (i) => [i.id, await contentHash(i)])));
+  await mkdir(outDir, { recursive: true });
+  await writeFile(path.join(outDir, "search-index.json"), JSON.stringify(index), "utf8");
+  console.log(`[search] ${index.docs.length} items / ${Object.keys(index.postings).length} terms -> ${path.relative(process.cwd(), outDir) || "."}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Check every item.links[].url and write a report for the admin view (#/links)
+ *   npm run check-links                       -> all issues under public/content/ (drafts included)
+ *   node scripts/check-links.js file.json ... -> only these weekly files
+ *   --content <dir>     another content directory (index.json + weekly files)
+ *   --out <file>        report path (default .data/link-report.json; admins read it via GET /api/link-report)
+ *   --concurrency <n>   parallel requests (default 4)
+ *   --timeout <ms>      per request (default 10000)
+ *   --offline           skip the network; only generic-link and duplicate checks
+ * Exit code 1 when a link is broken (404/410/5xx/network error); generic links and duplicates only warn.
+ */
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { CONTENT_DIR, LINK_REPORT_FILE, readJSON, loadIssues, argValue } from "./lib/content.js";
+import { checkLinks } from "./lib/link-check.js";
+import { validatePayload } from "../src/lib/schema.js";
+
+const VALUE_FLAGS = ["--content", "--out", "--concurrency", "--timeout"];
+const STATE_MARK = { ok: "✓", redirect: "→", restricted: "?", broken: "✗", unchecked: "·" };
+
+function positional(args) {
+  return args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+async function issuesFromFiles(files) {
+  const out = [];
+  for (const file of files) {
+    const res = validatePayload(await readJSON(path.resolve(file)));
+    if (res.errors.length) console.warn(`[links] ${file}: ${res.errors.length} 处校验错误，跳过无效周报`);
+    out.push(...res.validIssues);
+  }
+  return out;
+}
+
+function where(refs) {
+  return refs.map((r) => `${r.issueId}#${r.idx + 1}`).join(", ");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const files = positional(args);
+  const offline = args.includes("--offline");
+  const contentDir = path.resolve(argValue(args, "--content") || CONTENT_DIR);
+  const outFile = path.resolve(argValue(args, "--out") || LINK_REPORT_FILE);
+
+  const issues = files.length ? await issuesFromFiles(files) : await loadIssues(contentDir);
+  const report = await checkLinks(issues, {
+    offline,
+    concurrency: Number(argValue(args, "--concurrency")) || 4,
+    timeout: Number(argValue(args, "--timeout")) || 10000,
+    onResult: (r) => {
+      if ((r.state === "ok" || r.state === "unchecked") && !r.generic) return;
+      const status = r.status ? ` ${r.status}` : "";
+      const note = [r.error, r.state === "redirect" && `-> ${r.finalUrl}`, r.generic && `generic:${r.generic}`].filter(Boolean).join("  ");
+      console.log(`${STATE_MARK[r.state] || "?"}${status} ${r.url}  ${note}  (${where(r.refs)})`);
+    },
+  });
+
+  for (const d of report.duplicates) console.log(`⧉ ${d.url}  被 ${d.refs.length} 个条目引用（${where(d.refs)}）`);
+
+  await mkdir(path.dirname(outFile), { recursive: true });
+  await writeFile(outFile, JSON.stringify(report, null, 2), "utf8");
+
+  const s = report.summary;
+  console.log(
+    `\n[links] ${s.unique} 个链接（${s.links} 处引用）：ok ${s.ok} / 重定向 ${s.redirect} / 受限 ${s.restricted} / 失效 ${s.broken} / 泛链接 ${s.generic} / 重复来源 ${s.duplicates}` +
+      `${offline ? "（离线，仅静态检查）" : ""} -> ${path.relative(process.cwd(), outFile)}`
+  );
+  if (s.broken) process.exit(1);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
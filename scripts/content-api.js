@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Content API for admins: login sessions + authenticated writes into public/content/
+ *   npm run api                          -> listen on 127.0.0.1:8787 (vite dev / preview proxy /api here)
+ *   npm run api -- passwd <user>         -> create an admin or change its password (read from stdin)
+ *   --port <n>         (or API_PORT)
+ *   --host <addr>      (or API_HOST; default 127.0.0.1)
+ *   --content <dir>    weekly files + index.json (default public/content)
+ *   --data <dir>       users.json / sessions.json (default .data/api, or API_DATA_DIR)
+ *   --report <file>    link report served at /api/link-report (default .data/link-report.json, see check-links)
+ *   --ttl <hours>      session lifetime (default 12)
+ *   --secure           mark the session cookie Secure (behind HTTPS)
+ * Every accepted PUT rewrites the weekly file and regenerates index.json; commit / deploy the result as usual.
+ * Routes and status codes: scripts/lib/content-api.js.
+ */
+import { createServer } from "node:http";
+import path from "node:path";
+import { createInterface } from "node:readline";
+import { CONTENT_DIR, LINK_REPORT_FILE, ROOT, argValue } from "./lib/content.js";
+import { createAuthStore, DEFAULT_TTL_MS } from "./lib/auth-store.js";
+import { createContentStore } from "./lib/content-store.js";
+import { createApiHandler } from "./lib/content-api.js";
+
+const VALUE_FLAGS = ["--port", "--host", "--content", "--data", "--report", "--ttl"];
+
+function positional(args) {
+  return args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+/** One line from stdin (piped or typed; echo is not hidden, so prefer a pipe on shared screens) */
+async function readPassword(prompt) {
+  if (process.stdin.isTTY) process.stderr.write(prompt);
+  const rl = createInterface({ input: process.stdin, terminal: false });
+  for await (const line of rl) {
+    rl.close();
+    return line;
+  }
+  return "";
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, user] = positional(args);
+  const dataDir = path.resolve(argValue(args, "--data") || process.env.API_DATA_DIR || path.join(ROOT, ".data", "api"));
+  const hours = Number(argValue(args, "--ttl"));
+  const ttlMs = hours > 0 ? hours * 3600 * 1000 : DEFAULT_TTL_MS;
+  const auth = createAuthStore(dataDir, { ttlMs });
+
+  if (command === "passwd") {
+    if (!user) {
+      console.error("用法：node scripts/content-api.js passwd <user>（密码从标准输入读取）");
+      process.exit(2);
+    }
+    await auth.setPassword(user, await readPassword(`${user} 的新密码：`));
+    console.log(`[api] 已设置 ${user} 的密码 -> ${path.relative(process.cwd(), dataDir) || "."}/users.json`);
+    return;
+  }
+  if (command) throw new Error(`未知命令：${command}（可用：passwd）`);
+
+  const contentDir = path.resolve(argValue(args, "--content") || CONTENT_DIR);
+  const port = Number(argValue(args, "--port") || process.env.API_PORT) || 8787;
+  const host = argValue(args, "--host") || process.env.API_HOST || "127.0.0.1";
+  const handle = createApiHandler({
+    store: createContentStore(contentDir),
+    auth,
+    ttlMs,
+    reportFile: path.resolve(argValue(args, "--report") || LINK_REPORT_FILE),
+    secureCookie: args.includes("--secure"),
+  });
+  const server = createServer((req, res) => {
+    if (!req.url.startsWith("/api/")) {
+      res.writeHead(404, { "Content-Type": "application/json; charset=utf-8" });
+      res.end(JSON.stringify({ error: "只提供 /api/*" }));
+      return;
+    }
+    handle(req, res);
+  });
+  server.listen(port, host, () => {
+    console.log(`[api] http://${host}:${port}/api  内容目录 ${path.relative(process.cwd(), contentDir) || "."}`);
+  });
+  const stop = () => server.close(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
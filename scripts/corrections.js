@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Add correction entries for items whose content changed between two versions of a weekly file
+ *   node scripts/corrections.js public/content/2025-08-25_2025-08-31.json
+ *                                           -> compare the edited file with its committed version (git HEAD)
+ *   node scripts/corrections.js old.json new.json
+ *                                           -> compare two files; entries are written into new.json
+ *   --rev <git-rev>          older version from this commit instead of HEAD
+ *   --issue <id>             only this issue
+ *   --at <iso>               correction time (default: now)
+ *   --note-cn / --note-en    notes for every corrected item (default: names the changed fields)
+ *   --dry-run                print the entries, write nothing
+ * Only items present in both versions count; new, removed or merely reordered items are left alone.
+ * Issues that were never public in the older version (draft / scheduled and not yet due) are skipped.
+ */
+import { execFileSync } from "node:child_process";
+import { writeFile } from "node:fs/promises";
+import path from "node:path";
+import { ROOT, readJSON, argValue } from "./lib/content.js";
+import { correctIssue } from "../src/lib/corrections.js";
+import { validatePayload, formatProblems } from "../src/lib/schema.js";
+import { isPublic } from "../src/lib/status.js";
+
+const VALUE_FLAGS = ["--rev", "--issue", "--at", "--note-cn", "--note-en"];
+const ISO_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+function positional(args) {
+  return args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+/** The file as committed at `rev` */
+function readCommitted(file, rev) {
+  const rel = path.relative(ROOT, file).split(path.sep).join("/");
+  let text;
+  try {
+    text = execFileSync("git", ["show", `${rev}:${rel}`], { cwd: ROOT, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] });
+  } catch {
+    throw new Error(`git 中找不到 ${rev}:${rel}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`JSON 解析失败（${rev}:${rel}）：${e.message}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const files = positional(args).map((f) => path.resolve(f));
+  if (!files.length || files.length > 2) {
+    console.error(
+      "用法：node scripts/corrections.js <weekly.json> [--rev git-rev] | <old.json> <new.json>  [--issue id] [--at iso] [--note-cn …] [--note-en …] [--dry-run]"
+    );
+    process.exit(2);
+  }
+  const target = files[files.length - 1];
+  const rev = argValue(args, "--rev") || "HEAD";
+  const before = files.length === 2 ? await readJSON(files[0]) : readCommitted(target, rev);
+  const after = await readJSON(target);
+  const at = argValue(args, "--at") || new Date().toISOString();
+  if (!ISO_RE.test(at) || isNaN(Date.parse(at))) throw new Error(`--at 应为带时区的 ISO 时间：${at}`);
+  const notes = { noteCN: argValue(args, "--note-cn"), noteEN: argValue(args, "--note-en") };
+  const onlyIssue = argValue(args, "--issue");
+  const dryRun = args.includes("--dry-run");
+
+  const olderById = new Map((before?.issues || []).filter((i) => i?.id).map((i) => [i.id, i]));
+  const issues = Array.isArray(after?.issues) ? after.issues : [];
+  let total = 0;
+  issues.forEach((issue, n) => {
+    if (onlyIssue && issue?.id !== onlyIssue) return;
+    const older = olderById.get(issue?.id);
+    if (!older) return;
+    if (!isPublic(older, Date.parse(at))) {
+      console.log(`- ${issue.id}：旧版本尚未公开，跳过`);
+      return;
+    }
+    const { issue: corrected, corrected: items } = correctIssue(older, issue, { at, ...notes });
+    for (const x of items) {
+      const entry = corrected.items[x.index].corrections.at(-1);
+      console.log(`✓ ${issue.id}#${x.index + 1} ${x.slug}（${x.fields.join(", ")}）\n    ${entry.noteCN}\n    ${entry.noteEN}`);
+    }
+    issues[n] = corrected;
+    total += items.length;
+  });
+
+  if (!total) {
+    console.log("[corrections] 没有需要更正记录的条目");
+    return;
+  }
+  const res = validatePayload(after);
+  if (res.errors.length) throw new Error(`写入前校验未通过：\n${formatProblems(res.errors)}`);
+  if (dryRun) {
+    console.log(`[corrections] ${total} 条更正（dry-run，未写入）`);
+    return;
+  }
+  await writeFile(target, `${JSON.stringify(after, null, 2)}\n`, "utf8");
+  console.log(`[corrections] ${total} 条更正 -> ${path.relative(process.cwd(), target)}；记得运行 npm run content-index`);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Export one issue as a newsletter email (inline-styled HTML + plain text)
+ *   node scripts/export-email.js public/content/2025-08-25_2025-08-31.json
+ *   --issue <id>      pick an issue when the file holds several (default: newest)
+ *   --lang cn|en|bi   content language (default bi)
+ *   --site <url>      absolute base for links (or SITE_URL)
+ *   --out <dir>       output directory (default dist/email) -> <id>.html / <id>.txt
+ *   --stdout html|text  print one part instead of writing files
+ */
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { DIST_DIR, readJSON, argValue } from "./lib/content.js";
+import { validatePayload, formatProblems } from "../src/lib/schema.js";
+import { isLang, DEFAULT_LANG } from "../src/lib/i18n.js";
+import { buildEmail } from "../src/lib/email.js";
+
+const DEFAULT_SITE_URL = "http://localhost:4173";
+const VALUE_FLAGS = ["--issue", "--lang", "--site", "--out", "--stdout"];
+
+function positional(args) {
+  return args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [file] = positional(args);
+  if (!file) {
+    console.error("用法：node scripts/export-email.js <weekly.json> [--issue id] [--lang cn|en|bi] [--site url] [--out dir] [--stdout html|text]");
+    process.exit(2);
+  }
+  const lang = argValue(args, "--lang") || DEFAULT_LANG;
+  if (!isLang(lang)) throw new Error(`未知语言：${lang}`);
+  const siteUrl = (argValue(args, "--site") || process.env.SITE_URL || DEFAULT_SITE_URL).replace(/\/+$/, "");
+
+  const res = validatePayload(await readJSON(path.resolve(file)));
+  if (res.errors.length) console.warn(`[email] ${file}\n${formatProblems(res.errors)}`);
+  const wanted = argValue(args, "--issue");
+  const issues = [...res.validIssues].sort((a, b) => String(b.start).localeCompare(String(a.start)));
+  const issue = wanted ? issues.find((i) => i.id === wanted) : issues[0];
+  if (!issue) throw new Error(wanted ? `找不到周报：${wanted}` : `${file} 中没有有效的周报`);
+
+  const email = buildEmail(issue, { siteUrl, lang });
+  const only = argValue(args, "--stdout");
+  if (only) {
+    process.stdout.write(only === "text" ? email.text : email.html);
+    return;
+  }
+
+  const outDir = path.resolve(argValue(args, "--out") || path.join(DIST_DIR, "email"));
+  await mkdir(outDir, { recursive: true });
+  await writeFile(path.join(outDir, `${issue.id}.html`), email.html, "utf8");
+  await writeFile(path.join(outDir, `${issue.id}.txt`), email.text, "utf8");
+  console.log(`[email] ${email.subject} -> ${path.relative(process.cwd(), outDir) || "."}/${issue.id}.{html,txt}`);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
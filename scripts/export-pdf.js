@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Export one issue as a print-ready A4 PDF for archiving — no headless browser (scripts/lib/pdf.js)
+ *   node scripts/export-pdf.js public/content/2025-08-25_2025-08-31.json
+ *   --issue <id>      pick an issue when the file holds several (default: newest)
+ *   --lang cn|en|bi   content language (default bi)
+ *   --site <url>      absolute base for links (or SITE_URL)
+ *   --out <dir>       output directory (default dist/pdf) -> <id>.pdf
+ * The cover (public/ path or URL) goes in as its first frame, re-encoded as JPEG with sharp; if it can't be
+ * read the PDF is written without it
+ */
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import { DIST_DIR, ROOT, readJSON, argValue } from "./lib/content.js";
+import { renderIssuePdf } from "./lib/issue-pdf.js";
+import { validatePayload, formatProblems } from "../src/lib/schema.js";
+import { isLang, DEFAULT_LANG } from "../src/lib/i18n.js";
+import { isLocalSrc } from "../src/lib/images.js";
+import { printModel } from "../src/lib/print.js";
+
+const DEFAULT_SITE_URL = "http://localhost:4173";
+const VALUE_FLAGS = ["--issue", "--lang", "--site", "--out"];
+const COVER_TIMEOUT = 15000;
+const COVER_WIDTH = 1200;
+
+function positional(args) {
+  return args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+async function coverJpeg(src) {
+  let body;
+  if (isLocalSrc(src)) body = await readFile(path.join(ROOT, "public", decodeURIComponent(src.split(/[?#]/)[0])));
+  else {
+    const res = await fetch(src, { signal: AbortSignal.timeout(COVER_TIMEOUT) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    body = Buffer.from(await res.arrayBuffer());
+  }
+  return sharp(body).flatten({ background: "#ffffff" }).resize({ width: COVER_WIDTH, withoutEnlargement: true }).jpeg({ quality: 82 }).toBuffer();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [file] = positional(args);
+  if (!file) {
+    console.error("用法：node scripts/export-pdf.js <weekly.json> [--issue id] [--lang cn|en|bi] [--site url] [--out dir]");
+    process.exit(2);
+  }
+  const lang = argValue(args, "--lang") || DEFAULT_LANG;
+  if (!isLang(lang)) throw new Error(`未知语言：${lang}`);
+  const siteUrl = (argValue(args, "--site") || process.env.SITE_URL || DEFAULT_SITE_URL).replace(/\/+$/, "");
+
+  const res = validatePayload(await readJSON(path.resolve(file)));
+  if (res.errors.length) console.warn(`[pdf] ${file}\n${formatProblems(res.errors)}`);
+  const wanted = argValue(args, "--issue");
+  const issues = [...res.validIssues].sort((a, b) => String(b.start).localeCompare(String(a.start)));
+  const issue = wanted ? issues.find((i) => i.id === wanted) : issues[0];
+  if (!issue) throw new Error(wanted ? `找不到周报：${wanted}` : `${file} 中没有有效的周报`);
+
+  const model = printModel(issue, { lang, siteUrl });
+  let cover = null;
+  if (model.cover) {
+    try {
+      cover = await coverJpeg(model.cover.src);
+    } catch (e) {
+      console.warn(`[pdf] 封面读取失败，已跳过：${model.cover.src}（${e.message || e}）`);
+    }
+  }
+
+  const outDir = path.resolve(argValue(args, "--out") || path.join(DIST_DIR, "pdf"));
+  await mkdir(outDir, { recursive: true });
+  const out = path.join(outDir, `${issue.id}.pdf`);
+  await writeFile(out, renderIssuePdf(model, { lang, cover }));
+  console.log(`[pdf] ${model.title} -> ${path.relative(process.cwd(), out)}`);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+/**
+ * Admin accounts + sessions for the content API, kept in small JSON files under dataDir
+ * - users.json:    { users: { <name>: { salt, hash } } }  (scrypt, node:crypto; set with `content-api passwd`)
+ * - sessions.json: { sessions: { <sha256(token)>: { user, expiresAt } } }  (only token hashes on disk)
+ * - Tokens are 32 random bytes (base64url); a session ends on logout or after ttlMs, whichever comes first
+ * - Expired sessions are pruned whenever the file is written
+ */
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { mkdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { promisify } from "node:util";
+import { writeJSON } from "./content.js";
+
+const scryptAsync = promisify(scrypt);
+const KEY_LEN = 64;
+export const DEFAULT_TTL_MS = 12 * 3600 * 1000;
+export const USER_RE = /^[a-z0-9][a-z0-9._-]{0,31}$/i;
+
+async function readStore(file, key) {
+  try {
+    const data = JSON.parse(await readFile(file, "utf8"));
+    return data?.[key] && typeof data[key] === "object" ? data[key] : {};
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new Error(`${path.basename(file)} 无法读取：${e.message}`);
+  }
+}
+
+const tokenId = (token) => createHash("sha256").update(String(token)).digest("hex");
+
+export function createAuthStore(dataDir, { ttlMs = DEFAULT_TTL_MS, now = () => Date.now() } = {}) {
+  const usersFile = path.join(dataDir, "users.json");
+  const sessionsFile = path.join(dataDir, "sessions.json");
+
+  async function writeSessions(sessions) {
+    const t = now();
+    const live = Object.fromEntries(Object.entries(sessions).filter(([, s]) => s.expiresAt > t));
+    await mkdir(dataDir, { recursive: true });
+    await writeJSON(sessionsFile, { sessions: live });
+  }
+
+  async function setPassword(user, password) {
+    if (!USER_RE.test(user)) throw new Error(`用户名无效：${user}（字母、数字、. _ -，最多 32 位）`);
+    if (String(password).length < 8) throw new Error("密码至少 8 位");
+    const salt = randomBytes(16).toString("base64url");
+    const hash = (await scryptAsync(String(password), salt, KEY_LEN)).toString("base64url");
+    const users = await readStore(usersFile, "users");
+    await mkdir(dataDir, { recursive: true });
+    await writeJSON(usersFile, { users: { ...users, [user]: { salt, hash } } });
+  }
+
+  async function checkPassword(user, password) {
+    const users = await readStore(usersFile, "users");
+    // Own keys of valid names only: "constructor" / "__proto__" are not accounts
+    const entry = USER_RE.test(String(user ?? "")) && Object.hasOwn(users, user) ? users[user] : null;
+    // Hash anyway for unknown users so the response time doesn't tell which names exist
+    const salt = entry?.salt || "unknown-user";
+    const got = await scryptAsync(String(password ?? ""), salt, KEY_LEN);
+    const want = typeof entry?.hash === "string" ? Buffer.from(entry.hash, "base64url") : Buffer.alloc(KEY_LEN);
+    return !!entry && want.length === got.length && timingSafeEqual(want, got);
+  }
+
+  /** -> { token, user, expiresAt } or null on bad credentials */
+  async function login(user, password) {
+    if (!(await checkPassword(user, password))) return null;
+    const token = randomBytes(32).toString("base64url");
+    const expiresAt = now() + ttlMs;
+    const sessions = await readStore(sessionsFile, "sessions");
+    await writeSessions({ ...sessions, [tokenId(token)]: { user, expiresAt } });
+    return { token, user, expiresAt };
+  }
+
+  /** -> { user, expiresAt } for a live session, else null */
+  async function verify(token) {
+    if (!token) return null;
+    const session = (await readStore(sessionsFile, "sessions"))[tokenId(token)];
+    return session && session.expiresAt > now() ? { user: session.user, expiresAt: session.expiresAt } : null;
+  }
+
+  async function logout(token) {
+    if (!token) return;
+    const sessions = await readStore(sessionsFile, "sessions");
+    const id = tokenId(token);
+    if (!(id in sessions)) return;
+    delete sessions[id];
+    await writeSessions(sessions);
+  }
+
+  return { setPassword, login, verify, logout };
+}
@@ -0,0 +1,184 @@
+/**
+ * HTTP handler of the content API (served by scripts/content-api.js; node:http only, no framework)
+ *   POST   /api/login       { user, password[, bearer] } -> 200 { user, expiresAt[, token] } + session cookie
+ *   POST   /api/logout      -> 204, cookie cleared
+ *   GET    /api/session     -> 200 { user, expiresAt } | 401
+ *   GET    /api/issues      -> 200 { issues }  every stored issue, drafts included (admin export)
+ *   GET    /api/issues/:id  -> 200 { issue } | 404
+ *   PUT    /api/issues/:id  { issue }, If-Match: "<revision the edit started from>" (optional)
+ *                           -> 200 { issue } | 409 { error, reason: "stale" | "conflict", current } | 422
+ *   DELETE /api/issues/:id  -> 204 | 404
+ *   GET    /api/link-report -> 200 report of scripts/check-links.js | 404 (not written yet / no reportFile)
+ * - Everything but login needs a live session: the mw_session cookie (HttpOnly, SameSite=Strict) or
+ *   Authorization: Bearer <token> (login with bearer: true, for scripts)
+ * - Writes must be application/json (with SameSite this keeps cross-site forms out); bodies up to 2 MB
+ * - Failed logins are limited per client address (LOGIN_LIMIT per LOGIN_WINDOW_MS)
+ * - Errors are { error } with a Chinese message
+ */
+import { readJSON } from "./content.js";
+
+export const SESSION_COOKIE = "mw_session";
+const MAX_BODY = 2 * 1024 * 1024;
+const LOGIN_LIMIT = 10;
+const LOGIN_WINDOW_MS = 10 * 60 * 1000;
+const ISSUE_PATH_RE = /^\/api\/issues\/([^/]+)$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  const json = body === undefined ? "" : JSON.stringify(body);
+  res.writeHead(status, {
+    "Cache-Control": "no-store",
+    ...(json ? { "Content-Type": "application/json; charset=utf-8" } : {}),
+    ...headers,
+  });
+  res.end(json);
+}
+
+function decodePathParam(raw) {
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    throw new HttpError(400, `路径编码无效：${raw}`);
+  }
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k !== name) continue;
+    try {
+      return decodeURIComponent(v.join("="));
+    } catch {
+      return v.join("="); // not a token we issued; the session lookup rejects it
+    }
+  }
+  return "";
+}
+
+function sessionToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || ""));
+  return m ? m[1] : readCookie(req, SESSION_COOKIE);
+}
+
+async function readBody(req) {
+  if (!/^application\/json\b/i.test(String(req.headers["content-type"] || ""))) {
+    throw new HttpError(415, "请求体应为 application/json");
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw new HttpError(413, "请求体过大（上限 2 MB）");
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "null");
+  } catch (e) {
+    throw new HttpError(400, `JSON 解析失败：${e.message}`);
+  }
+}
+
+/** If-Match: "3" (or W/"3", or 3) -> 3; absent -> null */
+function baseRevision(req) {
+  const raw = String(req.headers["if-match"] || "").trim();
+  if (!raw) return null;
+  const n = Number(raw.replace(/^W\//, "").replace(/"/g, ""));
+  if (!Number.isInteger(n) || n < 0) throw new HttpError(400, `If-Match 应为修订号：${raw}`);
+  return n;
+}
+
+export function createApiHandler({ store, auth, ttlMs, reportFile = "", secureCookie = false, now = () => Date.now() }) {
+  const failures = new Map(); // address -> [timestamps]
+
+  const cookie = (value, maxAge) =>
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/api; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secureCookie ? "; Secure" : ""}`;
+
+  function throttled(addr) {
+    const t = now();
+    const recent = (failures.get(addr) || []).filter((x) => t - x < LOGIN_WINDOW_MS);
+    failures.set(addr, recent);
+    return recent.length >= LOGIN_LIMIT;
+  }
+
+  async function requireSession(req) {
+    const session = await auth.verify(sessionToken(req));
+    if (!session) throw new HttpError(401, "未登录或登录已过期");
+    return session;
+  }
+
+  async function login(req, res) {
+    const addr = req.socket?.remoteAddress || "";
+    if (throttled(addr)) throw new HttpError(429, "登录失败次数过多，请稍后再试");
+    const body = await readBody(req);
+    const session = await auth.login(String(body?.user || ""), String(body?.password || ""));
+    if (!session) {
+      failures.get(addr).push(now());
+      throw new HttpError(401, "用户名或密码错误");
+    }
+    failures.delete(addr);
+    const maxAge = Math.round((ttlMs ?? session.expiresAt - now()) / 1000);
+    const out = { user: session.user, expiresAt: new Date(session.expiresAt).toISOString() };
+    send(res, 200, body?.bearer ? { ...out, token: session.token } : out, { "Set-Cookie": cookie(session.token, maxAge) });
+  }
+
+  // The link report names items of every issue, drafts included, so it is only served here
+  async function linkReport(res) {
+    let report = null;
+    try {
+      report = reportFile ? await readJSON(reportFile) : null;
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    if (!report) throw new HttpError(404, "还没有链接报告：运行 npm run check-links");
+    send(res, 200, report);
+  }
+
+  async function issue(req, res, id) {
+    if (req.method === "GET") {
+      const found = await store.get(id);
+      return found ? send(res, 200, { issue: found }) : send(res, 404, { error: `找不到周报：${id}` });
+    }
+    if (req.method === "DELETE") {
+      return (await store.remove(id)) ? send(res, 204) : send(res, 404, { error: `找不到周报：${id}` });
+    }
+    if (req.method !== "PUT") throw new HttpError(405, `不支持的方法：${req.method}`);
+    const body = await readBody(req);
+    const incoming = body?.issue;
+    if (!incoming || typeof incoming !== "object") throw new HttpError(400, "请求体应为 { issue }");
+    if (incoming.id !== id) throw new HttpError(400, `issue.id（${incoming.id}）与路径（${id}）不一致`);
+    const result = await store.save(incoming, { base: baseRevision(req) });
+    if (result.status === "saved") return send(res, 200, { issue: result.issue });
+    const error = result.status === "stale" ? "服务器上已有相同或更新的版本" : "服务器上的版本已被修改，与本次提交冲突";
+    return send(res, 409, { error, reason: result.status, current: result.current });
+  }
+
+  return async function handle(req, res) {
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (pathname === "/api/login" && req.method === "POST") return await login(req, res);
+      if (pathname === "/api/logout" && req.method === "POST") {
+        await auth.logout(sessionToken(req));
+        return send(res, 204, undefined, { "Set-Cookie": cookie("", 0) });
+      }
+      const session = await requireSession(req);
+      if (pathname === "/api/session" && req.method === "GET") {
+        return send(res, 200, { user: session.user, expiresAt: new Date(session.expiresAt).toISOString() });
+      }
+      if (pathname === "/api/issues" && req.method === "GET") return send(res, 200, { issues: await store.list() });
+      if (pathname === "/api/link-report" && req.method === "GET") return await linkReport(res);
+      const m = ISSUE_PATH_RE.exec(pathname);
+      if (m) return await issue(req, res, decodePathParam(m[1]));
+      throw new HttpError(404, `未知接口：${req.method} ${pathname}`);
+    } catch (e) {
+      const status = e.status || 500;
+      if (status === 500) console.error("[api]", e);
+      send(res, status, { error: status === 500 ? "服务器内部错误" : e.message });
+    }
+  };
+}
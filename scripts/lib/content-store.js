@@ -0,0 +1,117 @@
+/**
+ * File-backed issue store behind the content API (scripts/content-api.js)
+ * - Issues live in the weekly files listed in <contentDir>/index.json; a new id gets its own <id>.json
+ * - save(): version check against the stored copy (pickVersion, src/lib/issues.js), then the file is
+ *   rewritten and index.json regenerated (buildContentIndex) — the reader picks the change up on its next load
+ * - Writes run one at a time; every file goes through writeJSON (temp file + rename)
+ * save() -> { status: "saved", issue } | { status: "stale" | "conflict", current }
+ */
+import { unlink } from "node:fs/promises";
+import path from "node:path";
+import { CONTENT_DIR, buildContentIndex, readJSON, writeJSON } from "./content.js";
+import { validateIssue, formatProblems } from "../../src/lib/schema.js";
+import { pickVersion } from "../../src/lib/issues.js";
+
+export function createContentStore(contentDir = CONTENT_DIR) {
+  const indexFile = path.join(contentDir, "index.json");
+  let queue = Promise.resolve();
+  const serial = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  async function listedFiles() {
+    const idx = await readJSON(indexFile);
+    if (!Array.isArray(idx?.files)) throw new Error("index.json 缺少 files 数组");
+    return idx.files;
+  }
+
+  /** [{ file, payload }] for every listed weekly file that parses */
+  async function payloads(files) {
+    const out = [];
+    for (const file of files) {
+      try {
+        out.push({ file, payload: await readJSON(path.join(contentDir, file)) });
+      } catch (e) {
+        console.warn(`[api] ${file}: ${e.message}`);
+      }
+    }
+    return out;
+  }
+
+  async function locate(id, files) {
+    for (const entry of await payloads(files)) {
+      const issues = Array.isArray(entry.payload?.issues) ? entry.payload.issues : [];
+      const at = issues.findIndex((i) => i?.id === id);
+      if (at >= 0) return { ...entry, at, issue: issues[at] };
+    }
+    return null;
+  }
+
+  async function reindex(files) {
+    const { index, problems } = await buildContentIndex(files, contentDir);
+    for (const p of problems) console.warn(`[api] ${p.file}\n${p.message}`);
+    await writeJSON(indexFile, index);
+  }
+
+  /** Every issue as stored (drafts included), newest first */
+  async function list() {
+    const issues = (await payloads(await listedFiles())).flatMap(({ payload }) => (Array.isArray(payload?.issues) ? payload.issues : []));
+    return issues.filter((i) => i?.id).sort((a, b) => String(b.start).localeCompare(String(a.start)));
+  }
+
+  async function get(id) {
+    return (await locate(id, await listedFiles()))?.issue || null;
+  }
+
+  /** `base`: the stored revision the edit started from (If-Match), null when unknown (imports) */
+  function save(issue, { base = null } = {}) {
+    return serial(async () => {
+      const res = validateIssue(issue);
+      if (res.errors.length) {
+        const err = new Error(`校验未通过（${res.errors.length} 处）：\n${formatProblems(res.errors)}`);
+        err.status = 422;
+        throw err;
+      }
+      const files = await listedFiles();
+      const found = await locate(issue.id, files);
+      const verdict = found ? pickVersion(issue, found.issue, base) : "local";
+      if (verdict === "remote") return { status: "stale", current: found.issue };
+      if (verdict === "conflict") return { status: "conflict", current: found.issue };
+
+      if (found) {
+        const issues = [...found.payload.issues];
+        issues[found.at] = issue;
+        await writeJSON(path.join(contentDir, found.file), { ...found.payload, issues });
+      } else {
+        const file = `${issue.id}.json`;
+        await writeJSON(path.join(contentDir, file), { issues: [issue] });
+        if (!files.includes(file)) files.push(file);
+        files.sort();
+      }
+      await reindex(files);
+      return { status: "saved", issue };
+    });
+  }
+
+  /** Drop an issue; its file goes too when nothing else is left in it. -> removed? */
+  function remove(id) {
+    return serial(async () => {
+      let files = await listedFiles();
+      const found = await locate(id, files);
+      if (!found) return false;
+      const issues = found.payload.issues.filter((_, i) => i !== found.at);
+      if (issues.length) {
+        await writeJSON(path.join(contentDir, found.file), { ...found.payload, issues });
+      } else {
+        await unlink(path.join(contentDir, found.file));
+        files = files.filter((f) => f !== found.file);
+      }
+      await reindex(files);
+      return true;
+    });
+  }
+
+  return { list, get, save, remove };
+}
@@ -0,0 +1,148 @@
+/**
+ * Node-side content loading shared by the build scripts
+ * - Reads public/content/index.json ({ files } or { issues }) + each weekly file
+ * - Runs every payload through validatePayload; invalid issues are skipped
+ * - loadSummaries(): the index summaries (scripts/build-content-index.js)
+ * - buildContentIndex(): index.json for a list of weekly files (build-content-index.js, the content API)
+ * - writePublicContent(): strips drafts / not-yet-due scheduled issues from the built content (dist/content)
+ * - writeJSON(): 2-space JSON + newline, via a temp file + rename so readers never see half a file
+ */
+import { readFile, rename, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { validatePayload, formatProblems } from "../../src/lib/schema.js";
+import { publicIssues } from "../../src/lib/status.js";
+import { CONTENT_INDEX_VERSION, contentHash, issueSummary, readSummaries } from "../../src/lib/content-index.js";
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+export const CONTENT_DIR = path.join(ROOT, "public", "content");
+export const DIST_DIR = path.join(ROOT, "dist");
+// Written by check-links, served to admins by the content API only (it covers drafts too)
+export const LINK_REPORT_FILE = path.join(ROOT, ".data", "link-report.json");
+
+export async function readJSON(file) {
+  const text = await readFile(file, "utf8");
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`JSON 解析失败：${e.message}`);
+  }
+}
+
+/** All valid issues under contentDir; problems are logged, not thrown */
+export async function loadIssues(contentDir = CONTENT_DIR) {
+  const idx = await readJSON(path.join(contentDir, "index.json"));
+  const payloads = [];
+  if (Array.isArray(idx?.issues)) payloads.push({ file: "index.json", payload: idx });
+  for (const name of Array.isArray(idx?.files) ? idx.files : []) {
+    try {
+      payloads.push({ file: name, payload: await readJSON(path.join(contentDir, name)) });
+    } catch (e) {
+      console.warn(`[content] ${name}: ${e.message}`);
+    }
+  }
+
+  const byId = new Map();
+  for (const { file, payload } of payloads) {
+    const res = validatePayload(payload);
+    if (res.errors.length) console.warn(`[content] ${file}\n${formatProblems(res.errors)}`);
+    for (const issue of res.validIssues) byId.set(issue.id, issue);
+  }
+  return [...byId.values()];
+}
+
+/** Issues readers may see at build time (drafts / not-yet-due scheduled issues held back) */
+export async function loadPublicIssues(contentDir = CONTENT_DIR, now = Date.now()) {
+  const all = await loadIssues(contentDir);
+  const issues = publicIssues(all, now);
+  if (issues.length < all.length) console.log(`[content] 未公开的周报 ${all.length - issues.length} 期（draft / scheduled），不输出`);
+  return issues;
+}
+
+/** Summaries listed in index.json (empty when it has none yet); malformed entries are logged and dropped */
+export async function loadSummaries(contentDir = CONTENT_DIR) {
+  const { summaries, errors } = readSummaries(await readJSON(path.join(contentDir, "index.json")));
+  if (errors.length) console.warn(`[content] index.json\n${formatProblems(errors)}`);
+  return summaries;
+}
+
+export async function writeJSON(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`, "utf8");
+  await rename(tmp, file);
+}
+
+/**
+ * { version, files, summaries } for the weekly files in `files` (summaries newest first)
+ * -> { index, problems: [{ file, message }] }; unreadable files and invalid issues are left out and reported
+ */
+export async function buildContentIndex(files, contentDir = CONTENT_DIR) {
+  const summaries = [];
+  const problems = [];
+  for (const file of files) {
+    let payload;
+    try {
+      payload = await readJSON(path.join(contentDir, file));
+    } catch (e) {
+      problems.push({ file, message: e.message });
+      continue;
+    }
+    const res = validatePayload(payload);
+    if (res.errors.length) problems.push({ file, message: formatProblems(res.errors) });
+    for (const issue of res.validIssues) summaries.push(issueSummary(issue, { file, hash: await contentHash(issue) }));
+  }
+  summaries.sort((a, b) => String(b.start).localeCompare(String(a.start)));
+  return { index: { version: CONTENT_INDEX_VERSION, files, summaries }, problems };
+}
+
+/**
+ * Hold back what readers may not see yet from a built content directory (vite copies public/content as-is):
+ * weekly files without a public issue are deleted, mixed files keep only their public issues, and index.json
+ * lists only those files and summaries. Admins read the rest through the content API (GET /api/issues).
+ * -> { kept, dropped } issue ids
+ */
+export async function writePublicContent(outDir, { contentDir = CONTENT_DIR, now = Date.now() } = {}) {
+  const idx = await readJSON(path.join(contentDir, "index.json"));
+  const kept = [];
+  const dropped = [];
+  const split = (payload) => {
+    const all = Array.isArray(payload?.issues) ? payload.issues : [];
+    const shown = new Set(publicIssues(validatePayload(payload).validIssues, now).map((i) => i.id));
+    const issues = all.filter((i) => shown.has(i?.id));
+    kept.push(...issues.map((i) => i.id));
+    dropped.push(...all.filter((i) => !shown.has(i?.id)).map((i) => i?.id ?? "?"));
+    return { issues, partial: issues.length < all.length };
+  };
+
+  const files = [];
+  for (const name of Array.isArray(idx?.files) ? idx.files : []) {
+    const out = path.join(outDir, name);
+    let payload;
+    try {
+      payload = await readJSON(path.join(contentDir, name));
+    } catch {
+      await rm(out, { force: true });
+      continue;
+    }
+    const { issues, partial } = split(payload);
+    if (!issues.length) await rm(out, { force: true });
+    else {
+      files.push(name);
+      if (partial) await writeJSON(out, { ...payload, issues });
+    }
+  }
+
+  const next = { ...idx };
+  if (Array.isArray(idx?.files)) next.files = files;
+  if (Array.isArray(idx?.issues)) next.issues = split(idx).issues;
+  if (Array.isArray(idx?.summaries)) next.summaries = idx.summaries.filter((s) => kept.includes(s?.id));
+  await writeJSON(path.join(outDir, "index.json"), next);
+  return { kept, dropped };
+}
+
+/** --flag value / --flag=value */
+export function argValue(args, name) {
+  const i = args.findIndex((a) => a === name || a.startsWith(`${name}=`));
+  if (i < 0) return "";
+  return args[i].includes("=") ? args[i].split("=").slice(1).join("=") : args[i + 1] || "";
+}
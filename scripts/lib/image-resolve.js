@@ -0,0 +1,100 @@
+/**
+ * Network + sharp side of the image resolver (scripts/resolve-images.js)
+ * - Source: a remote item.image.src, else the lead image of the item's first link
+ * - Candidates are tried best-first until one decodes as a real photo (>= MIN_WIDTH px wide)
+ * - Writes <slug>.webp (largest) + one <slug>-<w>.webp per IMAGE_WIDTHS step below it, and a tiny LQIP data URI
+ * - item.image = { src, alt?, href?, width, height, srcset, lqip, origin }
+ */
+import { mkdir } from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import { IMAGE_WIDTHS, LQIP_WIDTH, imageCandidates, isLocalSrc, localImagePath } from "../../src/lib/images.js";
+
+const USER_AGENT = "Mozilla/5.0 (compatible; AmicusImageResolver/1.0)";
+const MIN_WIDTH = 320;
+const MAX_BYTES = 15 * 1024 * 1024;
+const WEBP = { quality: 78 };
+
+async function get(url, { timeout, fetchImpl, accept }) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeout);
+  try {
+    const res = await fetchImpl(url, { signal: ctrl.signal, headers: { "User-Agent": USER_AGENT, Accept: accept } });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return { res, body: Buffer.from(await res.arrayBuffer()) };
+  } catch (e) {
+    throw new Error(e?.name === "AbortError" ? `超时（${timeout}ms）` : e?.cause?.code || e?.message || String(e));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Remote image URLs to try for this item, best first */
+export async function sourceCandidates(item, { timeout = 15000, fetchImpl = fetch } = {}) {
+  const explicit = item?.image?.src;
+  if (explicit && !isLocalSrc(explicit)) return [explicit];
+  const page = Array.isArray(item?.links) ? item.links.find((l) => l?.url)?.url : "";
+  if (!page) return [];
+  const { res, body } = await get(page, { timeout, fetchImpl, accept: "text/html,application/xhtml+xml,*/*;q=0.8" });
+  return imageCandidates(body.toString("utf8"), res.url || page);
+}
+
+async function download(url, opts) {
+  const { res, body } = await get(url, { ...opts, accept: "image/avif,image/webp,image/*,*/*;q=0.8" });
+  const type = res.headers.get("content-type") || "";
+  if (type && !type.startsWith("image/")) throw new Error(`不是图片（${type}）`);
+  if (body.length > MAX_BYTES) throw new Error(`图片过大（${Math.round(body.length / 1024 / 1024)}MB）`);
+  const meta = await sharp(body).metadata();
+  if (!meta.width || meta.width < MIN_WIDTH) throw new Error(`图片太小（${meta.width || 0}px）`);
+  return body;
+}
+
+/** Encode `input` under publicDir; returns the item.image fields (src, srcset, width, height, lqip) */
+export async function writeVariants(input, { publicDir, issueId, slug }) {
+  const base = sharp(input).rotate();
+  const meta = await base.metadata();
+  // EXIF rotation swaps the axes
+  const [w0, h0] = (meta.orientation || 1) >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+  const top = Math.min(w0, IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]);
+  const widths = [...IMAGE_WIDTHS.filter((w) => w < top), top];
+
+  await mkdir(path.join(publicDir, "images", issueId), { recursive: true });
+  const srcset = [];
+  for (const w of widths) {
+    const src = localImagePath(issueId, slug, w === top ? 0 : w);
+    await base.clone().resize({ width: w, withoutEnlargement: true }).webp(WEBP).toFile(path.join(publicDir, src));
+    srcset.push({ src, width: w });
+  }
+  const tiny = await base.clone().resize({ width: LQIP_WIDTH }).webp({ quality: 40 }).toBuffer();
+
+  return {
+    src: localImagePath(issueId, slug),
+    width: top,
+    height: Math.round((h0 * top) / w0),
+    srcset,
+    lqip: `data:image/webp;base64,${tiny.toString("base64")}`,
+  };
+}
+
+/**
+ * Resolve one item; returns the new item.image, or throws with the reasons every candidate failed.
+ * Keeps alt / href from the existing image; origin records where the pixels came from.
+ */
+export async function resolveItemImage(item, { publicDir, issueId, slug, timeout = 15000, fetchImpl = fetch, dryRun = false }) {
+  const candidates = await sourceCandidates(item, { timeout, fetchImpl });
+  if (!candidates.length) throw new Error("没有可用的候选图片");
+  const reasons = [];
+  for (const url of candidates.slice(0, 5)) {
+    try {
+      const body = await download(url, { timeout, fetchImpl });
+      if (dryRun) return { origin: url };
+      const { src, ...fields } = await writeVariants(body, { publicDir, issueId, slug });
+      const { alt, href } = item.image || {};
+      // Same key order as the Markdown ```image block
+      return { src, ...(alt ? { alt } : {}), ...(href ? { href } : {}), ...fields, origin: url };
+    } catch (e) {
+      reasons.push(`${url}: ${e.message}`);
+    }
+  }
+  throw new Error(reasons.join("；"));
+}
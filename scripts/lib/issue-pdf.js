@@ -0,0 +1,168 @@
+/**
+ * Issue PDF layout (scripts/export-pdf.js): printModel() (src/lib/print.js) -> PDF bytes (scripts/lib/pdf.js)
+ * - Page 1: cover — title, dates, issue.cover, summary
+ * - Then the table of contents (page numbers, each entry links to its item), then the items: compact, each kept
+ *   on one page unless it is taller than a page, sources as clickable numbered footnotes under the item
+ * - Every page but the cover has a footer with the dates and "n / total"
+ */
+import { A4, createPdf, measure, wrap } from "./pdf.js";
+import { t } from "../../src/lib/i18n.js";
+import { fmtSGT } from "../../src/lib/format.js";
+
+const MARGIN = 56;
+const WIDTH = A4.width - 2 * MARGIN;
+const TOP = A4.height - MARGIN;
+const BOTTOM = MARGIN;
+const FOOTER_Y = 30;
+const COVER_IMAGE_MAX = 300;
+const GRAY = { text: 0.1, muted: 0.42, faint: 0.6, box: 0.95, rule: 0.82 };
+
+/** One paragraph -> lines: [{ text, size, bold, gray, indent, lead, before, box?, rule?, url? }] */
+function para(text, { size = 10, bold = false, gray = GRAY.text, indent = 0, before = 0, box = false, url, width = WIDTH }) {
+  const inset = box ? 10 : 0;
+  return wrap(text, size, width - indent - 2 * inset, { bold }).map((line, i) => ({
+    text: line,
+    size,
+    bold,
+    gray,
+    indent: indent + inset,
+    lead: size * 1.5,
+    before: i === 0 ? before : 0,
+    box,
+    url,
+  }));
+}
+
+const spacer = (lead, opts = {}) => ({ text: "", size: 0, lead, before: 0, indent: 0, ...opts });
+const heightOf = (lines) => lines.reduce((h, l) => h + l.before + l.lead, 0);
+
+/**
+ * blocks: [[line]] -> the same shape of { page, y } (y = top of the line box), pages counted from 0.
+ * A block that doesn't fit the rest of the page starts a new one, unless it wouldn't fit any page.
+ */
+function place(blocks) {
+  let page = 0;
+  let y = TOP;
+  return blocks.map((lines) => {
+    const h = heightOf(lines);
+    if (y < TOP && y - h < BOTTOM && h <= TOP - BOTTOM) {
+      page++;
+      y = TOP;
+    }
+    return lines.map((l) => {
+      if (y < TOP && y - l.before - l.lead < BOTTOM) {
+        page++;
+        y = TOP;
+      }
+      if (y < TOP) y -= l.before;
+      const at = { page, y };
+      y -= l.lead;
+      return at;
+    });
+  });
+}
+
+function drawLine(doc, page, top, l) {
+  if (l.box) doc.rect(page, MARGIN, top - l.lead, WIDTH, l.lead, { gray: GRAY.box });
+  if (l.rule) doc.line(page, MARGIN, top + l.before / 2, MARGIN + WIDTH, top + l.before / 2, { gray: GRAY.rule });
+  if (!l.text) return;
+  const x = MARGIN + l.indent;
+  const baseline = top - (l.lead - l.size) / 2 - l.size * 0.85;
+  doc.text(page, x, baseline, l.text, { size: l.size, bold: l.bold, gray: l.gray });
+  if (l.url) doc.link(page, [x, baseline - 2, x + measure(l.text, l.size, l), baseline + l.size], l.url);
+}
+
+function itemBlock(item, lang) {
+  const bi = lang === "bi";
+  const lines = [
+    ...para(`${item.num}  ${item.title}`, { size: 13, bold: true, before: 18 }),
+  ];
+  lines[0].rule = true;
+  if (item.keyInfo.length) {
+    const sep = lang === "en" ? ": " : "：";
+    lines.push(...para(item.keyInfo.map((k) => `${k.label}${sep}${k.value}`).join("  ·  "), { size: 8.5, gray: GRAY.muted, before: 2 }));
+  }
+  item.facts.forEach((f, i) => {
+    lines.push(...para(f.text, { gray: f.lang === "en" && bi ? GRAY.muted : GRAY.text, before: i === 0 || f.lang === "cn" || !bi ? 5 : 1 }));
+  });
+  if (item.why.length) {
+    lines.push({ ...spacer(6, { box: true }), before: 8 });
+    lines.push(...para(t(lang, "item.why"), { size: 9.5, bold: true, box: true }));
+    for (const part of item.why) lines.push(...para(part.text, { size: 9.5, box: true, gray: part.lang === "en" && bi ? GRAY.muted : GRAY.text }));
+    lines.push(spacer(6, { box: true }));
+  }
+  if (item.notes.length) {
+    lines.push(...para(t(lang, "print.sources"), { size: 8, bold: true, gray: GRAY.muted, before: 8 }));
+    for (const n of item.notes) lines.push(...para(`[${n.n}] ${n.label} — ${n.url}`, { size: 8, gray: GRAY.muted, url: n.url }));
+  }
+  return lines;
+}
+
+function drawCover(doc, model, lang, cover) {
+  const page = doc.addPage();
+  let y = TOP;
+  const put = (lines) => {
+    for (const l of lines) {
+      y -= l.before;
+      if (y - l.lead < BOTTOM) return;
+      drawLine(doc, page, y, l);
+      y -= l.lead;
+    }
+  };
+  put(para(model.site, { size: 10, bold: true, gray: GRAY.muted }));
+  put(para(model.title, { size: 24, bold: true, before: 36 }));
+  put(para(model.dates, { size: 11, gray: GRAY.muted, before: 6 }));
+  if (model.publishedAt) put(para(t(lang, "print.publishedAt", { time: fmtSGT(model.publishedAt) }), { size: 9, gray: GRAY.faint }));
+  if (cover) {
+    const img = doc.addJpeg(cover);
+    const scale = Math.min(WIDTH / img.width, COVER_IMAGE_MAX / img.height);
+    const [w, h] = [img.width * scale, img.height * scale];
+    y -= 24;
+    doc.image(page, img, MARGIN + (WIDTH - w) / 2, y - h, w, h);
+    y -= h;
+  }
+  model.summary.forEach((part, i) => {
+    put(para(part.text, { size: 11, before: i === 0 ? 24 : 6, gray: part.lang === "en" && lang === "bi" ? GRAY.muted : GRAY.text }));
+  });
+  if (model.url) drawLine(doc, page, BOTTOM + 12, para(model.url, { size: 8, gray: GRAY.faint, url: model.url })[0]);
+}
+
+/** model: printModel(); cover: JPEG bytes or null -> PDF Buffer */
+export function renderIssuePdf(model, { lang = "bi", cover = null, createdAt = new Date() } = {}) {
+  const doc = createPdf({ title: `${model.site} · ${model.title}`, author: model.site, createdAt });
+  drawCover(doc, model, lang, cover);
+
+  const contentsTitle = para(t(lang, "print.contents"), { size: 16, bold: true });
+  const entries = model.items.map((item) => para(`${item.num}  ${item.title}`, { size: 10, before: 6, width: WIDTH - 36 }));
+  const tocSpots = place([contentsTitle, ...entries]);
+  const tocPages = tocSpots[tocSpots.length - 1].at(-1).page + 1;
+  const blocks = model.items.map((item) => itemBlock(item, lang));
+  const spots = place(blocks);
+  const itemPages = spots.length ? spots[spots.length - 1].at(-1).page + 1 : 0;
+
+  const first = doc.pageCount;
+  for (let i = 0; i < tocPages + itemPages; i++) doc.addPage();
+  const itemStart = first + tocPages;
+
+  [contentsTitle, ...entries].forEach((lines, b) =>
+    lines.forEach((l, k) => drawLine(doc, first + tocSpots[b][k].page, tocSpots[b][k].y, l))
+  );
+  entries.forEach((lines, i) => {
+    const target = itemStart + spots[i][0].page;
+    const [at] = tocSpots[i + 1];
+    const last = tocSpots[i + 1][lines.length - 1];
+    const label = String(target + 1);
+    const baseline = at.y - (lines[0].lead - lines[0].size) / 2 - lines[0].size * 0.85;
+    doc.text(first + at.page, MARGIN + WIDTH - measure(label, 10), baseline, label, { size: 10, gray: GRAY.muted });
+    doc.goto(first + at.page, [MARGIN, last.y - lines[lines.length - 1].lead, MARGIN + WIDTH, at.y], target, spots[i][0].y);
+  });
+  blocks.forEach((lines, b) => lines.forEach((l, k) => drawLine(doc, itemStart + spots[b][k].page, spots[b][k].y, l)));
+
+  const total = doc.pageCount;
+  for (let p = 1; p < total; p++) {
+    doc.text(p, MARGIN, FOOTER_Y, `${model.site} · ${model.dates}`, { size: 8, gray: GRAY.faint });
+    const n = `${p + 1} / ${total}`;
+    doc.text(p, MARGIN + WIDTH - measure(n, 8), FOOTER_Y, n, { size: 8, gray: GRAY.faint });
+  }
+  return doc.toBuffer();
+}
@@ -0,0 +1,125 @@
+/**
+ * Network side of the link checker (scripts/check-links.js)
+ * - HEAD first, GET when the server rejects HEAD; redirects followed by hand so every hop is recorded
+ * - Per-request timeout; a small worker pool keeps concurrency bounded
+ * - fetchImpl is injectable so the checker can run against a local stub server
+ */
+import {
+  REPORT_VERSION,
+  normalizeUrl,
+  genericReason,
+  collectLinks,
+  findDuplicates,
+  classifyStatus,
+} from "../../src/lib/links.js";
+
+const USER_AGENT = "Mozilla/5.0 (compatible; AmicusLinkCheck/1.0)";
+const RETRY_WITH_GET = new Set([403, 405, 429, 501]);
+
+async function request(url, method, { timeout, fetchImpl }) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeout);
+  try {
+    const res = await fetchImpl(url, {
+      method,
+      redirect: "manual",
+      signal: ctrl.signal,
+      headers: { "User-Agent": USER_AGENT, Accept: "text/html,application/xhtml+xml,*/*;q=0.8" },
+    });
+    // Don't download bodies we never read
+    res.body?.cancel?.().catch(() => {});
+    return res;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** { url, status, finalUrl, redirects: [{ url, status }], error } */
+export async function checkUrl(url, { timeout = 10000, maxRedirects = 5, fetchImpl = fetch } = {}) {
+  const redirects = [];
+  let current = url;
+  try {
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      let res = await request(current, "HEAD", { timeout, fetchImpl });
+      if (RETRY_WITH_GET.has(res.status)) res = await request(current, "GET", { timeout, fetchImpl });
+      const location = res.headers.get("location");
+      if (res.status >= 300 && res.status < 400 && location) {
+        redirects.push({ url: current, status: res.status });
+        current = new URL(location, current).toString();
+        continue;
+      }
+      return { url, status: res.status, finalUrl: current, redirects, error: null };
+    }
+    return { url, status: 0, finalUrl: current, redirects, error: `重定向超过 ${maxRedirects} 次` };
+  } catch (e) {
+    const error = e?.name === "AbortError" ? `超时（${timeout}ms）` : e?.cause?.code || e?.message || String(e);
+    return { url, status: 0, finalUrl: current, redirects, error };
+  }
+}
+
+async function pool(list, size, fn) {
+  const out = new Array(list.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(size, list.length)) }, worker));
+  return out;
+}
+
+/**
+ * Check every link in `issues` and build the report.
+ * offline: skip the network and only apply the static rules (generic / duplicate).
+ */
+export async function checkLinks(issues, { concurrency = 4, timeout, maxRedirects, fetchImpl, offline = false, onResult } = {}) {
+  const refs = collectLinks(issues);
+  const byUrl = new Map();
+  for (const r of refs) {
+    if (!byUrl.has(r.url)) byUrl.set(r.url, []);
+    byUrl.get(r.url).push({ issueId: r.issueId, idx: r.idx, slug: r.slug, label: r.label, title: r.title });
+  }
+  const urls = [...byUrl.keys()];
+
+  const results = await pool(urls, concurrency, async (url) => {
+    const res = offline
+      ? { url, status: null, finalUrl: null, redirects: [], error: null }
+      : await checkUrl(url, { timeout, maxRedirects, fetchImpl });
+    // A specific article that redirects to a homepage / index is as good as dead
+    const generic = genericReason(url) || (res.finalUrl && res.redirects.length ? genericReason(res.finalUrl) && "redirects-to-index" : null);
+    const entry = {
+      ...res,
+      state: offline ? "unchecked" : classifyStatus(res),
+      generic: generic || null,
+      refs: byUrl.get(url),
+    };
+    onResult?.(entry);
+    return entry;
+  });
+
+  const duplicates = findDuplicates(refs).map((d) => ({
+    url: d.url,
+    refs: d.refs.map((r) => ({ issueId: r.issueId, idx: r.idx, slug: r.slug, label: r.label, title: r.title })),
+  }));
+  const count = (state) => results.filter((r) => r.state === state).length;
+
+  return {
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    offline,
+    summary: {
+      links: refs.length,
+      unique: urls.length,
+      ok: count("ok"),
+      redirect: count("redirect"),
+      restricted: count("restricted"),
+      broken: count("broken"),
+      generic: results.filter((r) => r.generic).length,
+      duplicates: duplicates.length,
+    },
+    links: results.sort((a, b) => normalizeUrl(a.url).localeCompare(normalizeUrl(b.url))),
+    duplicates,
+  };
+}
@@ -0,0 +1,269 @@
+/**
+ * Minimal PDF 1.4 writer for the issue PDF export (scripts/export-pdf.js) — no headless browser, no dependencies
+ * - Text: Helvetica / Helvetica-Bold for printable ASCII, STSong-Light (Adobe's standard GB1 CID font, not
+ *   embedded; every PDF reader ships it) for everything else; bold CJK is drawn fill + stroke
+ * - measure() / wrap() use the same advance widths the reader will, so callers can lay out blocks and keep
+ *   them on one page
+ * - JPEG images (DCTDecode), URI links and links to a spot on another page; content streams are deflated
+ */
+import { deflateSync } from "node:zlib";
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Advance widths (1/1000 em) of ASCII 32..126 (WinAnsiEncoding)
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+  556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+  611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+// STSong-Light: /DW 1000 with CIDs 1–95 (half-width ASCII) at 500 — only non-ASCII text is drawn with it
+const CJK_WIDTH = 1000;
+
+const isLatin = (code) => code >= 32 && code <= 126;
+
+/** Non-BMP characters (emoji) have no glyph in either font; control characters are dropped */
+function clean(text) {
+  return String(text ?? "")
+    .replace(/[\u{10000}-\u{10FFFF}]/gu, "?")
+    .replace(/[\u0000-\u001f\u007f]/g, " ");
+}
+
+/** Width in points */
+export function measure(text, size, { bold = false } = {}) {
+  const table = bold ? HELVETICA_BOLD : HELVETICA;
+  let units = 0;
+  for (const ch of clean(text)) {
+    const code = ch.charCodeAt(0);
+    units += isLatin(code) ? table[code - 32] : CJK_WIDTH;
+  }
+  return (units * size) / 1000;
+}
+
+/** Lines that fit maxWidth: breaks at spaces and between CJK characters (closing punctuation stays attached) */
+export function wrap(text, size, maxWidth, opts = {}) {
+  const tokens = clean(text).match(/[!-~]+|\s+|[^\s!-~][，。、；：？！）」』”’》〉]*/g) || [];
+  const lines = [];
+  let line = "";
+  const push = () => {
+    lines.push(line.trimEnd());
+    line = "";
+  };
+  for (const token of tokens) {
+    if (!line && /^\s+$/.test(token)) continue;
+    if (measure(line + token, size, opts) <= maxWidth) {
+      line += token;
+      continue;
+    }
+    if (line) push();
+    if (/^\s+$/.test(token)) continue;
+    // A token wider than the line (a long URL): cut it wherever it has to be cut
+    let rest = token;
+    while (measure(rest, size, opts) > maxWidth) {
+      let n = 1;
+      while (n < rest.length && measure(rest.slice(0, n + 1), size, opts) <= maxWidth) n++;
+      lines.push(rest.slice(0, n));
+      rest = rest.slice(n);
+    }
+    line = rest;
+  }
+  if (line || !lines.length) push();
+  return lines;
+}
+
+function num(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+function latinString(s) {
+  return `(${s.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+/** UTF-16BE hex, as UniGB-UCS2-H and PDF text strings expect */
+function utf16Hex(s, bom = false) {
+  let hex = bom ? "FEFF" : "";
+  for (let i = 0; i < s.length; i++) hex += s.charCodeAt(i).toString(16).padStart(4, "0").toUpperCase();
+  return `<${hex}>`;
+}
+
+/** Runs of one font: [{ latin, text }] */
+function runs(text) {
+  const out = [];
+  for (const ch of clean(text)) {
+    const latin = isLatin(ch.charCodeAt(0));
+    const last = out[out.length - 1];
+    if (last?.latin === latin) last.text += ch;
+    else out.push({ latin, text: ch });
+  }
+  return out;
+}
+
+/** Link actions take 7-bit URIs */
+function asciiUri(url) {
+  try {
+    return encodeURI(decodeURI(url));
+  } catch {
+    return encodeURI(url);
+  }
+}
+
+/** { width, height, components } from a JPEG's SOF marker */
+export function jpegInfo(buf) {
+  if (buf[0] !== 0xff || buf[1] !== 0xd8) throw new Error("不是 JPEG 文件");
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) throw new Error("JPEG 结构无效");
+    const marker = buf[i + 1];
+    const len = buf.readUInt16BE(i + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7), components: buf[i + 9] };
+    }
+    i += 2 + len;
+  }
+  throw new Error("JPEG 缺少尺寸信息");
+}
+
+/** PDF date: D:20250901100000+08'00' */
+function pdfDate(d) {
+  const local = new Date(+d + 8 * 3600 * 1000).toISOString().replace(/\D/g, "").slice(0, 14);
+  return `D:${local}+08'00'`;
+}
+
+/**
+ * -> { addPage, pageCount, text, rect, line, addJpeg, image, link, goto, toBuffer }
+ * Coordinates are PDF points from the bottom-left corner; text y is the baseline
+ */
+export function createPdf({ title = "", author = "", createdAt = new Date(), size = A4 } = {}) {
+  const pages = [];
+  const images = [];
+
+  const page = (i) => {
+    if (!pages[i]) throw new Error(`没有第 ${i + 1} 页`);
+    return pages[i];
+  };
+
+  return {
+    size,
+    addPage() {
+      pages.push({ ops: [], annots: [] });
+      return pages.length - 1;
+    },
+    get pageCount() {
+      return pages.length;
+    },
+    text(i, x, y, str, { size: pt = 10, bold = false, gray = 0 } = {}) {
+      const p = page(i);
+      let dx = x;
+      for (const run of runs(str)) {
+        const font = run.latin ? (bold ? "/F2" : "/F1") : "/F3";
+        const fake = bold && !run.latin;
+        p.ops.push(
+          `BT ${font} ${num(pt)} Tf ${num(gray)} g${fake ? ` ${num(gray)} G 2 Tr ${num(pt / 30)} w` : ""} 1 0 0 1 ${num(dx)} ${num(y)} Tm ` +
+            `${run.latin ? latinString(run.text) : utf16Hex(run.text)} Tj${fake ? " 0 Tr" : ""} ET`
+        );
+        dx += measure(run.text, pt, { bold });
+      }
+    },
+    rect(i, x, y, w, h, { gray = 0.95 } = {}) {
+      page(i).ops.push(`${num(gray)} g ${num(x)} ${num(y)} ${num(w)} ${num(h)} re f`);
+    },
+    line(i, x1, y1, x2, y2, { gray = 0.85, width = 0.5 } = {}) {
+      page(i).ops.push(`${num(gray)} G ${num(width)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+    },
+    addJpeg(data) {
+      const { width, height, components } = jpegInfo(data);
+      images.push({ data, width, height, components });
+      return { id: images.length - 1, width, height };
+    },
+    image(i, img, x, y, w, h) {
+      page(i).ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(y)} cm /Im${img.id} Do Q`);
+    },
+    link(i, [x1, y1, x2, y2], url) {
+      page(i).annots.push({ rect: [x1, y1, x2, y2], url });
+    },
+    goto(i, [x1, y1, x2, y2], target, top) {
+      page(target);
+      page(i).annots.push({ rect: [x1, y1, x2, y2], target, top });
+    },
+    toBuffer() {
+      const objects = []; // index + 1 = object number
+      const alloc = () => objects.push(null);
+      const set = (n, body) => (objects[n - 1] = body);
+
+      const catalog = alloc();
+      const pagesRoot = alloc();
+      const info = alloc();
+      const fonts = [alloc(), alloc(), alloc()];
+      const cidFont = alloc();
+      const descriptor = alloc();
+      const imageRefs = images.map(() => alloc());
+      const pageRefs = pages.map(() => ({ page: alloc(), content: alloc() }));
+
+      set(catalog, `<< /Type /Catalog /Pages ${pagesRoot} 0 R >>`);
+      set(pagesRoot, `<< /Type /Pages /Kids [${pageRefs.map((r) => `${r.page} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+      set(info, `<< /Title ${utf16Hex(clean(title), true)} /Author ${utf16Hex(clean(author), true)} /Producer (monday-weekly export-pdf) /CreationDate (${pdfDate(createdAt)}) >>`);
+      set(fonts[0], "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      set(fonts[1], "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      set(fonts[2], `<< /Type /Font /Subtype /Type0 /BaseFont /STSong-Light /Encoding /UniGB-UCS2-H /DescendantFonts [${cidFont} 0 R] >>`);
+      set(
+        cidFont,
+        `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /STSong-Light /CIDSystemInfo << /Registry (Adobe) /Ordering (GB1) /Supplement 2 >> ` +
+          `/FontDescriptor ${descriptor} 0 R /DW ${CJK_WIDTH} /W [1 95 500] >>`
+      );
+      set(
+        descriptor,
+        "<< /Type /FontDescriptor /FontName /STSong-Light /Flags 6 /FontBBox [-25 -254 1000 880] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>"
+      );
+      images.forEach((img, k) => {
+        const space = img.components === 1 ? "/DeviceGray" : img.components === 4 ? "/DeviceCMYK" : "/DeviceRGB";
+        set(imageRefs[k], {
+          dict: `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace ${space} /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.data.length} >>`,
+          data: img.data,
+        });
+      });
+      const resources =
+        `<< /Font << /F1 ${fonts[0]} 0 R /F2 ${fonts[1]} 0 R /F3 ${fonts[2]} 0 R >>` +
+        (images.length ? ` /XObject << ${imageRefs.map((n, k) => `/Im${k} ${n} 0 R`).join(" ")} >>` : "") +
+        " >>";
+      pages.forEach((p, k) => {
+        const annots = p.annots.map((a) => {
+          const rect = `/Rect [${a.rect.map(num).join(" ")}] /Border [0 0 0]`;
+          return a.url != null
+            ? `<< /Type /Annot /Subtype /Link ${rect} /A << /S /URI /URI ${latinString(asciiUri(a.url))} >> >>`
+            : `<< /Type /Annot /Subtype /Link ${rect} /Dest [${pageRefs[a.target].page} 0 R /XYZ null ${num(a.top)} null] >>`;
+        });
+        set(
+          pageRefs[k].page,
+          `<< /Type /Page /Parent ${pagesRoot} 0 R /MediaBox [0 0 ${num(size.width)} ${num(size.height)}] /Resources ${resources} ` +
+            `/Contents ${pageRefs[k].content} 0 R${annots.length ? ` /Annots [${annots.join(" ")}]` : ""} >>`
+        );
+        const data = deflateSync(Buffer.from(p.ops.join("\n"), "latin1"));
+        set(pageRefs[k].content, { dict: `<< /Filter /FlateDecode /Length ${data.length} >>`, data });
+      });
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let offset = chunks[0].length;
+      const offsets = [];
+      objects.forEach((body, k) => {
+        offsets.push(offset);
+        const parts =
+          typeof body === "string"
+            ? [Buffer.from(`${k + 1} 0 obj\n${body}\nendobj\n`, "latin1")]
+            : [Buffer.from(`${k + 1} 0 obj\n${body.dict}\nstream\n`, "latin1"), body.data, Buffer.from("\nendstream\nendobj\n", "latin1")];
+        for (const part of parts) {
+          chunks.push(part);
+          offset += part.length;
+        }
+      });
+      const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`, ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`)].join("");
+      chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${offset}\n%%EOF\n`, "latin1"));
+      return Buffer.concat(chunks);
+    },
+  };
+}
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Prerender the archive and every issue into static HTML (runs after both vite builds)
+ *   dist/index.html              -> archive
+ *   dist/issue/<id>/index.html   -> one page per issue
+ *   dist/sitemap.xml
+ * Only public issues are rendered (see src/lib/status.js); scheduled ones appear on the next build after publishedAt.
+ * Each page gets its own <title>, description, canonical, Open Graph/Twitter tags and JSON-LD,
+ * plus the rendered markup and an embedded __MW_SSR__ payload that main.jsx hydrates from:
+ * the archive embeds the index summaries only, an issue page its summary + full issue.
+ * SITE_URL (env) or --site sets absolute URLs; --out overrides dist/.
+ */
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { ROOT, DIST_DIR, loadPublicIssues, loadSummaries, argValue } from "./lib/content.js";
+import { pageMeta, renderHeadTags, issuePath } from "../src/lib/meta.js";
+import { escapeXml, issueDate } from "../src/lib/feeds.js";
+
+const DEFAULT_SITE_URL = "http://localhost:4173";
+const SSR_ENTRY = path.join(ROOT, "dist-ssr", "entry-server.js");
+
+/** JSON safe to inline in <script> */
+function inlineJSON(data) {
+  return JSON.stringify(data).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
+function renderPage(template, { head, html, data }) {
+  return template
+    .replace(/<title>[\s\S]*?<\/title>/, head)
+    .replace(
+      '<div id="root"></div>',
+      `<div id="root">${html}</div>\n<script id="__MW_SSR__" type="application/json">${inlineJSON(data)}</script>`
+    );
+}
+
+function buildSitemap(site, issues) {
+  const urls = [{ loc: `${site}/`, lastmod: issues.length ? issueDate(issues[0]) : null }].concat(
+    issues.map((issue) => ({ loc: `${site}${issuePath(issue.id)}`, lastmod: issueDate(issue) }))
+  );
+  const body = urls
+    .map((u) => `  <url><loc>${escapeXml(u.loc)}</loc>${u.lastmod ? `<lastmod>${u.lastmod.toISOString().slice(0, 10)}</lastmod>` : ""}</url>`)
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</urlset>\n`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const siteUrl = (argValue(args, "--site") || process.env.SITE_URL || "").replace(/\/+$/, "");
+  const outDir = path.resolve(argValue(args, "--out") || DIST_DIR);
+  const site = siteUrl || DEFAULT_SITE_URL;
+  if (!siteUrl) console.warn(`[prerender] SITE_URL 未设置，使用 ${DEFAULT_SITE_URL}`);
+
+  const template = await readFile(path.join(outDir, "index.html"), "utf8");
+  const { render } = await import(pathToFileURL(SSR_ENTRY).href);
+  const issues = (await loadPublicIssues()).sort((a, b) => String(b.start).localeCompare(String(a.start)));
+
+  const publicIds = new Set(issues.map((i) => i.id));
+  const summaries = (await loadSummaries()).filter((s) => publicIds.has(s.id));
+  if (summaries.length < issues.length) console.warn("[prerender] index.json 摘要不全，请先运行 npm run content-index");
+
+  const archive = { summaries, issues: [] };
+  await writeFile(
+    path.join(outDir, "index.html"),
+    renderPage(template, { head: renderHeadTags(pageMeta({ siteUrl: site })), html: render("/", archive), data: { url: "/", ...archive } }),
+    "utf8"
+  );
+
+  for (const issue of issues) {
+    const url = issuePath(issue.id);
+    const data = { summaries: summaries.filter((s) => s.id === issue.id), issues: [issue] };
+    const page = renderPage(template, {
+      head: renderHeadTags(pageMeta({ siteUrl: site, issue })),
+      html: render(url, data),
+      data: { url, ...data },
+    });
+    const dir = path.join(outDir, "issue", issue.id);
+    await mkdir(dir, { recursive: true });
+    await writeFile(path.join(dir, "index.html"), page, "utf8");
+  }
+
+  await writeFile(path.join(outDir, "sitemap.xml"), buildSitemap(site, issues), "utf8");
+  console.log(`[prerender] archive + ${issues.length} issues -> ${path.relative(process.cwd(), outDir) || "."}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Resolve item images at build time and write them back into the weekly files
+ *   npm run images                         -> every file listed in public/content/index.json
+ *   node scripts/resolve-images.js f.json  -> only these weekly files (images still go to public/images/)
+ *   --issue <id>     only this issue
+ *   --force          re-resolve items that already have a local image (from image.origin when known)
+ *   --dry-run        pick and download sources, write nothing
+ *   --timeout <ms>   per request (default 15000)
+ * Items whose image.src is already local (/...) are skipped; failures warn and leave the item untouched.
+ * Run it before `npm run build` and commit public/images/ together with the content.
+ */
+import { access, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { CONTENT_DIR, ROOT, readJSON, argValue } from "./lib/content.js";
+import { resolveItemImage } from "./lib/image-resolve.js";
+import { localImage } from "../src/lib/images.js";
+import { itemSlugs } from "../src/lib/slug.js";
+
+const VALUE_FLAGS = ["--issue", "--timeout"];
+const PUBLIC_DIR = path.join(ROOT, "public");
+
+function positional(args) {
+  return args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function weeklyFiles(files) {
+  if (files.length) return files.map((f) => path.resolve(f));
+  const idx = await readJSON(path.join(CONTENT_DIR, "index.json"));
+  return (Array.isArray(idx?.files) ? idx.files : []).map((name) => path.join(CONTENT_DIR, name));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const onlyIssue = argValue(args, "--issue");
+  const force = args.includes("--force");
+  const dryRun = args.includes("--dry-run");
+  const timeout = Number(argValue(args, "--timeout")) || 15000;
+  const stats = { resolved: 0, skipped: 0, failed: 0 };
+
+  for (const file of await weeklyFiles(positional(args))) {
+    const payload = await readJSON(file);
+    let changed = false;
+    for (const issue of Array.isArray(payload?.issues) ? payload.issues : []) {
+      if (onlyIssue && issue.id !== onlyIssue) continue;
+      const items = Array.isArray(issue.items) ? issue.items : [];
+      const slugs = itemSlugs(items);
+      for (const [idx, item] of items.entries()) {
+        const local = localImage(item);
+        if (local && !force && (await exists(path.join(PUBLIC_DIR, local.src)))) {
+          stats.skipped++;
+          continue;
+        }
+        // --force / missing files: go back to the original source rather than the local copy
+        const source = local?.origin ? { ...item, image: { ...item.image, src: local.origin } } : item;
+        const where = `${issue.id}#${idx + 1} ${slugs[idx]}`;
+        try {
+          const image = await resolveItemImage(source, { publicDir: PUBLIC_DIR, issueId: issue.id, slug: slugs[idx], timeout, dryRun });
+          console.log(`✓ ${where} <- ${image.origin}`);
+          stats.resolved++;
+          if (!dryRun) {
+            item.image = image;
+            changed = true;
+          }
+        } catch (e) {
+          console.warn(`✗ ${where}: ${e.message}`);
+          stats.failed++;
+        }
+      }
+    }
+    if (changed) {
+      await writeFile(file, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+      console.log(`[images] 已更新 ${path.relative(process.cwd(), file)}`);
+    }
+  }
+
+  console.log(
+    `[images] 解析 ${stats.resolved} / 已是本地 ${stats.skipped} / 失败 ${stats.failed}${dryRun ? "（dry-run，未写入）" : ""}`
+  );
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Validate public/content/ before deploying.
+ *   npm run validate              -> checks index.json + every listed weekly file
+ *   node scripts/validate-content.js path/to/file.json [...]
+ * Exit code 1 if any error is found (warnings do not fail the run).
+ */
+import { readdir } from "node:fs/promises";
+import path from "node:path";
+import { validatePayload } from "../src/lib/schema.js";
+import { ROOT, CONTENT_DIR, readJSON } from "./lib/content.js";
+
+async function checkFile(file) {
+  const errors = [];
+  const warnings = [];
+  let payload;
+  try {
+    payload = await readJSON(file);
+  } catch (e) {
+    errors.push({ path: "$", message: e.message });
+    return { errors, warnings };
+  }
+  const res = validatePayload(payload);
+  errors.push(...res.errors);
+  warnings.push(...res.warnings);
+
+  // Weekly files hold one issue named after it: <id>.json
+  const base = path.basename(file, ".json");
+  if (/^\d{4}-\d{2}-\d{2}_\d{4}-\d{2}-\d{2}$/.test(base) && Array.isArray(payload?.issues)) {
+    payload.issues.forEach((issue, i) => {
+      if (issue?.id && issue.id !== base) {
+        errors.push({ path: `$.issues[${i}].id`, message: `id 与文件名不一致（${base}.json）` });
+      }
+    });
+  }
+  return { errors, warnings };
+}
+
+async function listedFiles() {
+  const idx = await readJSON(path.join(CONTENT_DIR, "index.json"));
+  const problems = [];
+  if (!Array.isArray(idx?.files)) {
+    problems.push({ path: "$.files", message: "缺少 files 数组" });
+    return { files: [], problems };
+  }
+  const onDisk = new Set((await readdir(CONTENT_DIR)).filter((f) => f.endsWith(".json") && f !== "index.json"));
+  idx.files.forEach((name, i) => {
+    if (!onDisk.has(name)) problems.push({ path: `$.files[${i}]`, message: `文件不存在：${name}` });
+  });
+  for (const name of onDisk) {
+    if (!idx.files.includes(name)) problems.push({ path: "$.files", message: `未列入 index.json：${name}`, warning: true });
+  }
+  return { files: idx.files.filter((n) => onDisk.has(n)).map((n) => path.join(CONTENT_DIR, n)), problems };
+}
+
+function print(label, { errors, warnings }) {
+  const status = errors.length ? "✗" : "✓";
+  const extra = warnings.length ? `（${warnings.length} 条警告）` : "";
+  console.log(`${status} ${label}${extra}`);
+  for (const e of errors) console.log(`    error  ${e.path}: ${e.message}`);
+  for (const w of warnings) console.log(`    warn   ${w.path}: ${w.message}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  let files = args.map((a) => path.resolve(a));
+  let failed = false;
+
+  if (!files.length) {
+    let listed;
+    try {
+      listed = await listedFiles();
+    } catch (e) {
+      print("index.json", { errors: [{ path: "$", message: e.message }], warnings: [] });
+      process.exit(1);
+    }
+    const errors = listed.problems.filter((p) => !p.warning);
+    const warnings = listed.problems.filter((p) => p.warning);
+    print("index.json", { errors, warnings });
+    if (errors.length) failed = true;
+    files = listed.files;
+  }
+
+  for (const file of files) {
+    const res = await checkFile(file);
+    print(path.relative(ROOT, file), res);
+    if (res.errors.length) failed = true;
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * Weekly files in public/content/ without hand-editing index.json
+ *   npm run weekly -- new [--week YYYY-MM-DD]   -> scaffold next week's draft (<start>_<end>.json, Monday–Sunday;
+ *                                                 --week: the week containing that day) and reindex
+ *   npm run weekly -- index [--check]           -> rebuild index.json (files + summaries) from every weekly file
+ *                                                 in the directory; --check exits 1 when it is out of date
+ *   npm run weekly -- lint                      -> schema, filename / id / dates, overlapping weeks, related refs
+ *                                                 that point at no item, index.json
+ *   npm run weekly -- publish <id> [--at iso] [--force] [--dry-run]
+ *                                               -> status published, publishedAt now in +08:00 (a future --at
+ *                                                 schedules it instead), revision bumped; then reindex
+ *   npm run weekly -- release [--dist dir] [--dry-run]
+ *                                               -> rebuild (npm run build) when an issue is public now but not in
+ *                                                 the last build, e.g. a scheduled one whose publishedAt passed;
+ *                                                 run it from cron and deploy dist/ when it exits 0 after a build
+ *   --content <dir>   weekly files + index.json (default public/content)
+ * Exit code 1 on errors; lint warnings do not fail the run.
+ */
+import { spawnSync } from "node:child_process";
+import { readdir, stat } from "node:fs/promises";
+import path from "node:path";
+import { CONTENT_DIR, DIST_DIR, ROOT, argValue, buildContentIndex, loadIssues, readJSON, writeJSON } from "./lib/content.js";
+import { validateIssue, validatePayload, formatProblems } from "../src/lib/schema.js";
+import { issueStatus, nextRelease, unreleasedIds } from "../src/lib/status.js";
+import { readSummaries } from "../src/lib/content-index.js";
+import { bumpRevision } from "../src/lib/issues.js";
+import { blankIssue } from "../src/lib/editor.js";
+import { isoAt, lintWeeks, nextWeek, weekOf } from "../src/lib/weeks.js";
+import { unresolvedRefs } from "../src/lib/threads.js";
+
+const VALUE_FLAGS = ["--content", "--week", "--at", "--dist"];
+const ISO_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+const USAGE = "用法：node scripts/weekly.js new [--week YYYY-MM-DD] | index [--check] | lint | publish <id> [--at iso] [--force] [--dry-run] | release [--dist dir] [--dry-run]  [--content dir]";
+
+function positional(args) {
+  return args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+const rel = (file) => path.relative(process.cwd(), file) || ".";
+
+/** Every *.json in the directory but index.json, sorted (= oldest week first for well-named files) */
+async function weeklyFiles(dir) {
+  return (await readdir(dir)).filter((f) => f.endsWith(".json") && f !== "index.json").sort();
+}
+
+async function readIndex(dir) {
+  try {
+    return await readJSON(path.join(dir, "index.json"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw new Error(`index.json：${e.message}`);
+  }
+}
+
+/** -> { changed, index, problems } ; check: compare only */
+async function reindex(dir, { check = false } = {}) {
+  const { index, problems } = await buildContentIndex(await weeklyFiles(dir), dir);
+  const current = await readIndex(dir);
+  const changed = JSON.stringify(index) !== JSON.stringify(current);
+  if (changed && !check) await writeJSON(path.join(dir, "index.json"), index);
+  return { changed, index, problems };
+}
+
+async function cmdNew(dir, args) {
+  const day = argValue(args, "--week");
+  if (day && !/^\d{4}-\d{2}-\d{2}$/.test(day)) throw new Error(`--week 应为 YYYY-MM-DD：${day}`);
+  const week = day ? weekOf(day) : nextWeek(new Date());
+  const file = path.join(dir, `${week.id}.json`);
+  if (await stat(file).catch(() => null)) throw new Error(`已存在：${rel(file)}`);
+
+  const entries = [];
+  for (const f of await weeklyFiles(dir)) entries.push({ file: f, payload: await readJSON(path.join(dir, f)).catch(() => null) });
+  const issue = blankIssue(week.start);
+  const clash = lintWeeks([...entries, { file: `${week.id}.json`, payload: { issues: [issue] } }]).find(
+    (p) => p.file === `${week.id}.json` && !p.warning
+  );
+  if (clash) throw new Error(clash.message);
+
+  await writeJSON(file, { issues: [issue] });
+  const { problems } = await reindex(dir);
+  for (const p of problems) console.warn(`✗ ${p.file}\n${p.message}`);
+  console.log(`[weekly] 新建 ${rel(file)}（draft），已更新 index.json`);
+}
+
+async function cmdIndex(dir, args) {
+  const check = args.includes("--check");
+  const { changed, index, problems } = await reindex(dir, { check });
+  for (const p of problems) console.warn(`✗ ${p.file}\n${p.message}`);
+  if (check) {
+    console.log(changed ? "[weekly] index.json 已过期，请运行 npm run weekly -- index" : "[weekly] index.json 已是最新");
+    process.exit(changed || problems.length ? 1 : 0);
+  }
+  console.log(`[weekly] ${index.files.length} 个文件 / ${index.summaries.length} 期摘要 -> ${rel(path.join(dir, "index.json"))}`);
+  if (problems.length) process.exit(1);
+}
+
+function print(label, problems) {
+  const errors = problems.filter((p) => !p.warning);
+  const warnings = problems.filter((p) => p.warning);
+  console.log(`${errors.length ? "✗" : "✓"} ${label}${warnings.length ? `（${warnings.length} 条警告）` : ""}`);
+  for (const e of errors) console.log(`    error  ${e.path}: ${e.message}`);
+  for (const w of warnings) console.log(`    warn   ${w.path}: ${w.message}`);
+  return errors.length;
+}
+
+async function cmdLint(dir) {
+  const files = await weeklyFiles(dir);
+  const entries = [];
+  const byFile = new Map(files.map((f) => [f, []]));
+  for (const file of files) {
+    try {
+      const payload = await readJSON(path.join(dir, file));
+      entries.push({ file, payload });
+      const res = validatePayload(payload);
+      byFile.get(file).push(...res.errors, ...res.warnings.map((w) => ({ ...w, warning: true })));
+    } catch (e) {
+      byFile.get(file).push({ path: "$", message: e.message });
+    }
+  }
+  for (const p of lintWeeks(entries)) byFile.get(p.file).push(p);
+  const where = new Map();
+  for (const { file, payload } of entries) {
+    (Array.isArray(payload?.issues) ? payload.issues : []).forEach((issue, i) => where.set(issue?.id, { file, i }));
+  }
+  const issues = entries.flatMap((e) => (Array.isArray(e.payload?.issues) ? e.payload.issues : [])).filter((x) => x && typeof x === "object");
+  for (const r of unresolvedRefs(issues)) {
+    const { file, i } = where.get(r.issueId);
+    byFile.get(file).push({ path: `$.issues[${i}].items[${r.idx}].related`, message: `找不到相关条目：${r.ref}` });
+  }
+
+  const indexProblems = [];
+  const idx = await readIndex(dir);
+  const listed = Array.isArray(idx?.files) ? idx.files : [];
+  if (!idx) indexProblems.push({ path: "$", message: "缺少 index.json" });
+  for (const f of listed) if (!files.includes(f)) indexProblems.push({ path: "$.files", message: `文件不存在：${f}` });
+  for (const f of files) if (!listed.includes(f)) indexProblems.push({ path: "$.files", message: `未列入 index.json：${f}` });
+  if (idx && (await reindex(dir, { check: true })).changed) {
+    indexProblems.push({ path: "$.summaries", message: "摘要已过期，请运行 npm run weekly -- index" });
+  }
+
+  let errors = print("index.json", indexProblems);
+  for (const file of files) errors += print(path.relative(ROOT, path.join(dir, file)), byFile.get(file));
+  process.exit(errors ? 1 : 0);
+}
+
+/** issue with status / publishedAt set, placed after end like in hand-written files */
+function stamp(issue, fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(issue)) {
+    if (k in fields) continue;
+    out[k] = v;
+    if (k === "end") Object.assign(out, fields);
+  }
+  return { ...out, ...fields };
+}
+
+async function cmdPublish(dir, args, id) {
+  if (!id) throw new Error(USAGE);
+  const at = argValue(args, "--at") || new Date().toISOString();
+  if (!ISO_RE.test(at) || isNaN(Date.parse(at))) throw new Error(`--at 应为带时区的 ISO 时间：${at}`);
+
+  let found = null;
+  for (const file of await weeklyFiles(dir)) {
+    const payload = await readJSON(path.join(dir, file));
+    const i = Array.isArray(payload?.issues) ? payload.issues.findIndex((x) => x?.id === id) : -1;
+    if (i >= 0) {
+      found = { file, payload, i };
+      break;
+    }
+  }
+  if (!found) throw new Error(`找不到周报：${id}`);
+  const issue = found.payload.issues[found.i];
+  if (issueStatus(issue) === "published" && !args.includes("--force")) {
+    throw new Error(`${id} 已发布（publishedAt ${issue.publishedAt || "未记录"}）；要改发布时间请加 --force`);
+  }
+  if (!Array.isArray(issue.items) || !issue.items.length) throw new Error(`${id} 还没有条目，不能发布`);
+
+  const scheduled = Date.parse(at) > Date.now();
+  const next = bumpRevision(stamp(issue, { status: scheduled ? "scheduled" : "published", publishedAt: isoAt(at) }));
+  const res = validateIssue(next);
+  if (res.errors.length) throw new Error(`校验未通过：\n${formatProblems(res.errors)}`);
+  const what = `${id} ${scheduled ? "定时发布" : "发布"}于 ${next.publishedAt}（第 ${next.revision} 版）`;
+  if (args.includes("--dry-run")) {
+    console.log(`[weekly] ${what}（dry-run，未写入）`);
+    return;
+  }
+  const issues = [...found.payload.issues];
+  issues[found.i] = next;
+  await writeJSON(path.join(dir, found.file), { ...found.payload, issues });
+  await reindex(dir);
+  console.log(`[weekly] ${what} -> ${rel(path.join(dir, found.file))}，已更新 index.json`);
+}
+
+/** Ids in the built index (dist/content/index.json), or null when there is no build yet */
+async function builtIds(outDir) {
+  try {
+    return readSummaries(await readJSON(path.join(outDir, "content", "index.json"))).summaries.map((s) => s.id);
+  } catch {
+    return null;
+  }
+}
+
+async function cmdRelease(dir, args) {
+  const outDir = path.resolve(argValue(args, "--dist") || DIST_DIR);
+  const now = Date.now();
+  const issues = await loadIssues(dir);
+  const built = await builtIds(outDir);
+  const due = unreleasedIds(issues, built || [], now);
+  if (built && !due.length) {
+    const next = nextRelease(issues, now);
+    console.log(`[weekly] 没有待发布的周报${next ? `；下一期定时于 ${isoAt(next)}` : ""}`);
+    return;
+  }
+  console.log(`[weekly] ${built ? `已到发布时间：${due.join(", ")}` : `${rel(outDir)} 还没有构建`}，重新构建`);
+  if (args.includes("--dry-run")) return;
+  const res = spawnSync("npm", ["run", "build"], { cwd: ROOT, stdio: "inherit" });
+  if (res.status !== 0) throw new Error(`构建失败（退出码 ${res.status ?? res.signal}）`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, id] = positional(args);
+  const dir = path.resolve(argValue(args, "--content") || CONTENT_DIR);
+  if (command === "new") return cmdNew(dir, args);
+  if (command === "index") return cmdIndex(dir, args);
+  if (command === "lint") return cmdLint(dir);
+  if (command === "publish") return cmdPublish(dir, args, id);
+  if (command === "release") return cmdRelease(dir, args);
+  console.error(USAGE);
+  process.exit(2);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -1,4 +1,5 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { flushSync } from "react-dom";
 import {
   Calendar,
   Clock,
@@ -11,22 +12,133 @@ import {
   ExternalLink,
   Globe,
   Info,
+  Check,
+  CloudDownload,
+  Mail,
+  GripVertical,
+  Undo2,
+  Redo2,
+  Plus,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Pencil,
+  ChevronDown,
+  ChevronRight,
+  LogOut,
+  History,
+  ZoomIn,
+  ZoomOut,
+  Printer,
 } from "lucide-react";
+import { validatePayload, validateIssue, formatProblems } from "./lib/schema.js";
+import {
+  LANGS,
+  DEFAULT_LANG,
+  LANG_KEY,
+  isLang,
+  t,
+  pickTitle,
+  pickPair,
+  pickFacts,
+  langFromHash,
+  withLangInHash,
+} from "./lib/i18n.js";
+import { itemSlugs, findItemIndex, slugify } from "./lib/slug.js";
+import { parseTimeSGT } from "./lib/schema.js";
+import { FACET_TYPES, itemsForFacet, parseFacetParts, facetHref } from "./lib/facets.js";
+import { pageTitle } from "./lib/meta.js";
+import { buildEmail } from "./lib/email.js";
+import { printModel } from "./lib/print.js";
+import { ISSUE_STATUSES, issueStatus, effectiveStatus, publicIssues, nextRelease } from "./lib/status.js";
+import { markdownToPayload, payloadToMarkdown, looksLikeMarkdown } from "./lib/markdown.js";
+import { localImage, srcSetAttr } from "./lib/images.js";
+import { artworkSpec } from "./lib/artwork.js";
+import { parseHashFromString, parseLocation } from "./lib/routing.js";
+import { overlayLocal, recordPublish, revisionOf, conflictWinner } from "./lib/issues.js";
+import { getSession, login, logout, listIssues, getLinkReport, putIssue, deleteIssue } from "./lib/api.js";
+import { fmtLocal, fmtMonthDay, fmtSGT } from "./lib/format.js";
+import {
+  ARCHIVE_PAGE_SIZE,
+  contentHash,
+  correctionCount,
+  facetsOf,
+  isStub,
+  issuesWithFacet,
+  itemCount,
+  leadOf,
+  readSummaries,
+} from "./lib/content-index.js";
+import { STORES, idbDelete, idbGet, idbGetAll, idbPut, idbReplaceAll } from "./lib/idb.js";
+import {
+  DRAFTS_KEY,
+  blankIssue,
+  blankItem,
+  moveItem,
+  removeAt,
+  setIn,
+  initHistory,
+  pushHistory,
+  undo,
+  redo,
+  normalizeIssue,
+} from "./lib/editor.js";
+import { diffIssues, diffCounts, valueLines } from "./lib/diff.js";
+import { allCorrections, correctionsOf } from "./lib/corrections.js";
+import { contextIssueIds, issuesWithThread, previously, threadHref, threadItems } from "./lib/threads.js";
+import { TIMELINE_FILTERS, TIMELINE_ZOOMS, bucketOf, groupTimeline, timelineEntries, timelineHref } from "./lib/timeline.js";
+import { SHORTCUTS, createMatcher, ignoreKeyEvent, isTypingTarget, stepIndex, adjacentId } from "./lib/shortcuts.js";
+import { buildSearchIndex, searchIndex, contentSignature, parseQuery, highlight, INDEX_VERSION } from "./lib/search.js";
 
 /**
  * Monday Weekly (light-only, variable-colored)
  * - Archive + Issue reader (hash routing)
  * - Light mode only (no dark classes / no system toggle)
  * - All colors via CSS variables (see :root in index.css)
- * - Weekly cover: issue.cover.src (if provided) > derived > Unsplash
- * - Item image: item.image.src > first link og/twitter image > Unsplash
- * - Image lazy-load with skeleton; error -> hide (no broken icon)
+ * - Weekly cover: issue.cover.src (if provided) > first item's local image > generated artwork
+ * - Item image: local item.image (resolved at build time by scripts/resolve-images.js) > generated artwork
+ * - Image lazy-load with skeleton / LQIP blur + srcset; missing / error -> seeded SVG artwork (src/lib/artwork.js)
  * - English lines use MapleMono via global CSS; slightly lighter color
- * - Share button; Import/Export only visible for admin (?key=VITE_ADMIN_KEY)
+ * - Share button; Import/Export only visible for admin: a content API session (#/login, src/lib/api.js,
+ *   scripts/content-api.js); publish / import / conflict choices are written through the API
+ * - Remote + imported content validated by src/lib/schema.js (admin sees problems)
+ * - Content: archive renders from index.json summaries (paged), bodies load per issue and are cached in
+ *   IndexedDB by content hash (src/lib/content-index.js, src/lib/idb.js); admin-local issues live there too
+ * - Item permalinks: #/issue/<id>/item/<slug-or-index> (scroll + highlight, copy link)
+ * - Archive search: item-level ranked hits with field filters (src/lib/search.js)
+ * - Corrections: item.corrections rendered under the item + #/corrections across issues (src/lib/corrections.js;
+ *   scripts/corrections.js writes them from a diff of two versions)
+ * - Facets from keyInfo (actor / market / impact): #/actor/<name> etc. + archive sidebar
+ * - Timeline: #/timeline puts every item on a day / week / month axis by keyInfo.timeSGT (SGT, plus the
+ *   reader's local time), filtered by market / actor; the time badge of an item links to its day (src/lib/timeline.js)
+ * - Story threads: item.thread / item.related -> "前情 / Previously" box under the item (declared links first,
+ *   then suggestions by shared actor + title terms) and #/thread/<key> timeline across issues (src/lib/threads.js)
+ * - Offline: public/sw.js caches content (stale-while-revalidate), fonts, covers, recent images
+ * - Prerendered /issue/<id>/ pages (scripts/prerender.js) hydrate with `ssr` props; path URLs route like #/issue/
+ * - Lifecycle: status draft / scheduled / published (src/lib/status.js); the build ships public issues only,
+ *   so scheduled ones reach readers with the first build after publishedAt (`npm run weekly -- release` from cron);
+ *   admins get the rest from the content API and see everything with a DRAFT / SCHEDULED banner
+ * - Admin: #/edit/<id> editor (forms, drag reorder, undo/redo, drafts in localStorage, live IssuePage preview)
+ * - Admin: import/export Markdown (src/lib/markdown.js) alongside JSON
+ * - Admin: #/links link-check report (scripts/check-links.js -> GET /api/link-report)
+ * - Versions: issue.revision / updatedAt, bumped on publish; the newer of local / remote / imported wins,
+ *   undecidable ones go to #/conflicts (side-by-side diff, admin keeps one) (src/lib/issues.js, src/lib/diff.js)
+ * - Admin: export the open issue as newsletter HTML + plain text (src/lib/email.js)
+ * - Print: while printing, the issue page swaps in PrintIssue — cover page, contents, compact items with source
+ *   footnotes (src/lib/print.js); the same layout as a PDF file via scripts/export-pdf.js
+ * - Reader shortcuts: j/k item, n/p issue, / search, g a archive, l language, ? help (src/lib/shortcuts.js)
+ * - Language mode cn / en / bi (persisted + ?lang= in hash); UI strings in src/lib/i18n.js
+ * - Pure helpers live in src/lib/ (routes: routing.js); tests under tests/ (npm test)
  */
 
+// Pre-IndexedDB localStorage copy of the whole archive; moved into IndexedDB ("local") once, then removed
 const STORAGE_KEY = "monday.weekly.data.v1";
-const IMG_CACHE_KEY = "mw.img.cache.v3";
+// Runtime image-scrape cache from before scripts/resolve-images.js; cleared on load
+const LEGACY_IMG_CACHE_KEY = "mw.img.cache.v3";
+// Admin flag of the old bundled-key gate (?key=VITE_ADMIN_KEY); removed on load
+const LEGACY_ADMIN_KEY = "mw.admin";
+// Mirrors the cache names in public/sw.js — keep in sync
+const OFFLINE_CACHES = { content: "mw-content-v1" };
 
 // ---------- Utilities ----------
 async function fetchJSON(url) {
@@ -35,13 +147,6 @@ async function fetchJSON(url) {
   return res.json();
 }
 
-/** Month & day only, e.g., "Aug 18" */
-function fmtMonthDay(iso) {
-  if (!iso) return "";
-  const d = new Date(iso);
-  return d.toLocaleDateString("en-SG", { month: "short", day: "2-digit" });
-}
-
 /** classNames helper */
 function cx(...xs) {
   return xs.filter(Boolean).join(" ");
@@ -64,188 +169,145 @@ function useLightModeOnly() {
   }, []);
 }
 
-/** Admin gate via ?key=... (matches VITE_ADMIN_KEY) or ?admin=1 if no env key */
-function useAdmin() {
-  const [isAdmin, setIsAdmin] = useState(() => {
-    try {
-      return localStorage.getItem("mw.admin") === "1";
-    } catch {
-      return false;
-    }
-  });
+/**
+ * Admin = a live content API session (GET /api/session on load); it ends on logout or at expiresAt.
+ * Without an API behind the site (static hosting) nobody is admin.
+ */
+function useSession() {
+  const [session, setSession] = useState(null);
   useEffect(() => {
     try {
-      const params = new URLSearchParams(window.location.search);
-      const urlKey = params.get("key") || "";
-      const enableFlag = params.get("admin") === "1";
-      const envKey = (import.meta?.env?.VITE_ADMIN_KEY || "").trim();
-      const ok = envKey ? urlKey === envKey : enableFlag;
-      if (ok) {
-        setIsAdmin(true);
-        try {
-          localStorage.setItem("mw.admin", "1");
-        } catch {}
-      }
+      localStorage.removeItem(LEGACY_ADMIN_KEY);
     } catch {}
+    let alive = true;
+    getSession().then((s) => alive && setSession(s));
+    return () => {
+      alive = false;
+    };
   }, []);
-  return isAdmin;
-}
+  useEffect(() => {
+    if (!session) return;
+    const timer = setTimeout(() => setSession(null), Math.max(0, Date.parse(session.expiresAt) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [session]);
 
-// ---------- Image helpers (prefer article images; avoid logos; fallback Unsplash) ----------
-function domainFromUrl(u) {
-  try {
-    return new URL(u).hostname.replace(/^www\./, "");
-  } catch {
-    return "";
-  }
-}
-function toAbsoluteUrl(maybe, baseUrl) {
-  if (!maybe) return "";
-  if (/^https?:\/\//i.test(maybe)) return maybe;
-  if (maybe.startsWith("//")) return "https:" + maybe;
-  try {
-    const base = new URL(baseUrl);
-    return new URL(maybe, `${base.protocol}//${base.host}`).toString();
-  } catch {
-    return maybe;
-  }
-}
-function toJinaProxy(url) {
-  try {
-    const u = new URL(url);
-    return `https://r.jina.ai/${u.protocol}//${u.host}${u.pathname}${u.search}`;
-  } catch {
-    return "";
-  }
+  const signIn = async (user, password) => setSession(await login(user, password));
+  const signOut = async () => {
+    try {
+      await logout();
+    } catch {}
+    setSession(null);
+  };
+  return { user: session?.user || "", expiresAt: session?.expiresAt || "", signIn, signOut, clear: () => setSession(null) };
 }
-function randomUnsplash(w = 1600, h = 900) {
-  const sig = Math.floor(Math.random() * 1e9);
-  return `https://source.unsplash.com/random/${w}x${h}/?wallpapers&sig=${sig}`;
+
+// ---------- Language ----------
+const LangContext = createContext(DEFAULT_LANG);
+
+function useLang() {
+  return useContext(LangContext);
 }
-function loadImgCache() {
-  try {
-    return JSON.parse(localStorage.getItem(IMG_CACHE_KEY) || "{}");
-  } catch {
-    return {};
-  }
+
+/** Message lookup bound to the current mode: const tr = useT(); tr("archive.title") */
+function useT() {
+  const lang = useLang();
+  return (key, vars) => t(lang, key, vars);
 }
-function saveImgCache(map) {
+
+/** Mode from ?lang= in hash > localStorage > default */
+function preferredLang() {
+  if (typeof window === "undefined") return DEFAULT_LANG;
+  const fromHash = langFromHash(window.location.hash);
+  if (fromHash) return fromHash;
   try {
-    localStorage.setItem(IMG_CACHE_KEY, JSON.stringify(map));
+    const stored = localStorage.getItem(LANG_KEY);
+    if (isLang(stored)) return stored;
   } catch {}
+  return DEFAULT_LANG;
 }
 
-function isBadExt(u) {
-  return /\.svg(\?|$)/i.test(u) || /\.gif(\?|$)/i.test(u);
-}
-function isLogoish(u) {
-  const s = (u || "").toLowerCase();
-  return /(logo|favicon|icon|sprite|wordmark|lockup|brandmark|badge|avatar|mark)/.test(s);
-}
-function goodExt(u) {
-  return /\.(jpe?g|png|webp|avif)(\?|$)/i.test(u);
-}
-function scoreImage(u) {
-  const s = (u || "").toLowerCase();
-  let sc = 0;
-  if (/(hero|featured|feature|article|banner|news|press|upload|uploads|media|images|photo|screenshot|figure|cover)/.test(s)) sc += 10;
-  if (goodExt(s)) sc += 5;
-  if (/(1200|1600|2048|1080|w=12|w=16|w=20)/.test(s)) sc += 2;
-  if (isLogoish(s)) sc -= 20;
-  if (isBadExt(s)) sc -= 10;
-  return sc;
-}
-
-async function resolveArticleImage(url) {
-  const proxy = toJinaProxy(url);
-  if (!proxy) return "";
-  const res = await fetch(proxy, { cache: "no-store" });
-  if (!res.ok) return "";
-
-  const html = await res.text();
-  const abs = (u) => toAbsoluteUrl(u, url);
+/**
+ * The reader's mode (preferredLang), kept in sync with the hash and localStorage.
+ * hydrating: prerendered markup is always DEFAULT_LANG, so the first render matches it and the preference is
+ * applied right after (nothing is written back before that)
+ */
+function useLangPreference(hydrating = false) {
+  const [lang, setLangState] = useState(() => (hydrating ? DEFAULT_LANG : preferredLang()));
+  const [ready, setReady] = useState(!hydrating);
 
-  const metaRe =
-    /<meta[^>]+(?:property|name)=["'](?:og:image|og:image:secure_url|twitter:image(?::src)?)["'][^>]+content=["']([^"']+)["'][^>]*>/gi;
-  const imgRe = /<img[^>]+src=["']([^"']+)["'][^>]*>/gi;
+  useEffect(() => {
+    if (ready) return;
+    setLangState(preferredLang());
+    setReady(true);
+  }, [ready]);
 
-  const set = new Set();
-  for (const m of html.matchAll(metaRe)) {
-    if (m[1]) set.add(abs(m[1]));
-  }
-  for (const m of html.matchAll(imgRe)) {
-    if (m[1]) set.add(abs(m[1]));
-  }
+  useEffect(() => {
+    if (!ready) return;
+    try {
+      localStorage.setItem(LANG_KEY, lang);
+    } catch {}
+    document.documentElement.lang = lang === "en" ? "en" : "zh-CN";
 
-  const candidates = [...set].filter(Boolean).filter((u) => !isBadExt(u)).filter((u) => !isLogoish(u));
-  if (!candidates.length) return "";
-  candidates.sort((a, b) => scoreImage(b) - scoreImage(a));
-  if (scoreImage(candidates[0]) < 1) return "";
-  return candidates[0];
+    // A shared link may carry another ?lang=; links without one get ours appended
+    const sync = () => {
+      const fromHash = langFromHash(window.location.hash);
+      if (fromHash && fromHash !== lang) setLangState(fromHash);
+      else if (!fromHash) history.replaceState(null, "", withLangInHash(window.location.hash, lang));
+    };
+    sync();
+    window.addEventListener("hashchange", sync);
+    return () => window.removeEventListener("hashchange", sync);
+  }, [lang, ready]);
+
+  const setLang = (next) => {
+    if (!isLang(next)) return;
+    history.replaceState(null, "", withLangInHash(window.location.hash, next));
+    setLangState(next);
+  };
+  return [lang, setLang];
 }
 
-/** Final per-item resolver: explicit non-logo -> article image -> Unsplash */
-function useResolvedImage(item) {
+// ---------- Image helpers (build-time resolved local images; fallback artwork) ----------
+/**
+ * Per-item image: local asset from scripts/resolve-images.js (src + srcset + LQIP);
+ * src "" -> callers draw <FallbackArt>. No runtime scraping; remote item.image.src is left for the resolver.
+ */
+function resolvedImage(item) {
   const firstUrl = Array.isArray(item?.links) && item.links.length ? item.links[0].url : "";
+  const image = localImage(item);
+  if (!image) return { src: "", srcSet: "", lqip: "", href: firstUrl };
+  return { src: image.src, srcSet: srcSetAttr(image), lqip: image.lqip || "", href: firstUrl || image.href || "" };
+}
 
-  const initial = () => {
-    const s = item?.image?.src || "";
-    if (s && !isLogoish(s) && !isBadExt(s)) {
-      return { src: s, href: firstUrl || item?.image?.href || s };
-    }
-    return { src: "", href: firstUrl || "" };
-  };
-
-  const [img, setImg] = useState(initial);
-
-  useEffect(() => {
-    if (img.src) return;
-
-    // No link -> Unsplash
-    if (!firstUrl) {
-      setImg({
-        src: randomUnsplash(1200, 800),
-        href: "https://unsplash.com/t/wallpapers",
-      });
-      return;
-    }
-
-    // Cache hit
-    const cache = loadImgCache();
-    if (cache[firstUrl]) {
-      setImg({ src: cache[firstUrl], href: firstUrl });
-      return;
-    }
-
-    let alive = true;
-    (async () => {
-      try {
-        const s = await resolveArticleImage(firstUrl);
-        if (!alive) return;
-        if (s) {
-          const next = { src: s, href: firstUrl };
-          const nextCache = loadImgCache();
-          nextCache[firstUrl] = s;
-          saveImgCache(nextCache);
-          setImg(next);
-          return;
-        }
-      } catch {}
-      if (alive) {
-        setImg({
-          src: randomUnsplash(1200, 800),
-          href: "https://unsplash.com/t/wallpapers",
-        });
-      }
-    })();
-
-    return () => {
-      alive = false;
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [firstUrl, item?.image?.src]);
-
-  return img;
+/**
+ * Deterministic stand-in for a missing / broken image (src/lib/artwork.js):
+ * palette shapes seeded by `seed`, with market / title / dates on top. compact: no title (cards show it below).
+ */
+function FallbackArt({ seed, title = "", dates = "", market = "", compact = false }) {
+  const art = useMemo(() => artworkSpec(seed), [seed]);
+  return (
+    <div className="relative h-full w-full overflow-hidden" style={{ background: art.background }} role="img" aria-label={title || dates}>
+      <svg
+        viewBox={`0 0 ${art.width} ${art.height}`}
+        preserveAspectRatio="xMaxYMid slice"
+        className="absolute inset-0 h-full w-full"
+        aria-hidden="true"
+      >
+        {art.shapes.map(({ type, strokeWidth, ...attrs }, i) =>
+          type === "rect" ? <rect key={i} {...attrs} /> : <circle key={i} {...attrs} strokeWidth={strokeWidth} />
+        )}
+      </svg>
+      <div className={cx("absolute inset-0 flex flex-col justify-end gap-2", compact ? "p-4" : "p-6 sm:p-8")}>
+        {market && (
+          <span className="w-fit rounded-full bg-[var(--ami-surface)] px-2.5 py-0.5 text-xs text-[var(--ami-subtle)] shadow-sm">{market}</span>
+        )}
+        {!compact && title && (
+          <p className="line-clamp-3 max-w-[80%] font-sans text-xl font-bold leading-snug text-[var(--ami-text-strong)] sm:text-2xl">{title}</p>
+        )}
+        {dates && <p className="text-xs text-[var(--ami-subtle)]">{dates}</p>}
+      </div>
+    </div>
+  );
 }
 
 // ---------- Bootstrap content ----------
@@ -266,137 +328,342 @@ const bootstrapData = {
 };
 
 // ---------- Root ----------
-export default function MondayWeekly() {
-  useEffect(() => { document.title = "Amicus"; }, []);
-
+/**
+ * ssr (optional): { url, summaries, issues } — set by src/entry-server.jsx when prerendering and by
+ * main.jsx when hydrating a prerendered page, so the first client render matches the HTML.
+ * The archive page embeds summaries only; an issue page embeds its summary + full issue.
+ */
+export default function MondayWeekly({ ssr = null }) {
   useLightModeOnly();
 
-  const [data, setData] = useLocalData(bootstrapData);
   const [q, setQ] = useState("");
-  const { route, params, go } = useHashRouter();
+  // Timeline zoom + filters, kept while the reader jumps to an item and back
+  const [timelineView, setTimelineView] = useState({ zoom: "week", market: "", actor: "" });
+  const { route, params, go } = useHashRouter(ssr?.url);
+  const [lang, setLang] = useLangPreference(!!ssr);
   const [showImporter, setShowImporter] = useState(false);
-  const isAdmin = useAdmin();
-
-  // Load remote content:
-  // A) /content/index.json has {issues:[...]} -> merge
-  // B) or {files:[...]} -> fetch each /content/<file>.json and merge
-  useEffect(() => {
-    (async () => {
-      try {
-        const idx = await fetchJSON("/content/index.json");
-        if (idx && Array.isArray(idx.issues)) {
-          setData((prev) => ({ issues: mergeIssues(prev?.issues || [], idx.issues) }));
-          return;
-        }
-        if (idx && Array.isArray(idx.files) && idx.files.length) {
-          const urls = idx.files.map((name) => `/content/${name}`);
-          const payloads = await Promise.all(urls.map((u) => fetchJSON(u).catch(() => null)));
-          const mergedIssues = [];
-          for (const p of payloads) if (p?.issues?.length) mergedIssues.push(...p.issues);
-          if (mergedIssues.length) {
-            setData((prev) => ({ issues: mergeIssues(prev?.issues || [], mergedIssues) }));
-          }
-        }
-      } catch {
-        // no index.json or parse failed
-      }
-    })();
-  }, [setData]);
+  const [showEmail, setShowEmail] = useState(false);
+  const [showHelp, setShowHelp] = useState(false);
+  const searchRef = useRef(null);
+  // Writes the content API refused as conflicting, until the admin settles them (local clashes come from useContent)
+  const [apiConflicts, setApiConflicts] = useState([]);
+  // Bumped when the service worker reports fresher content (or takes control) -> reload + merge
+  const contentRev = useContentRevision();
+  const session = useSession();
+  const isAdmin = !!session.user;
+  const content = useContent(ssr, contentRev, isAdmin);
 
-  // On-demand load single weekly file when visiting direct permalink
   useEffect(() => {
-    if (route !== "issue") return;
-    const id = params?.[0];
-    if (!id) return;
-    const exists = (data?.issues || []).some((i) => i.id === id);
-    if (exists) return;
-    (async () => {
-      try {
-        const p = await fetchJSON(`/content/${id}.json`);
-        if (p?.issues?.length) setData((prev) => ({ issues: mergeIssues(prev?.issues || [], p.issues) }));
-      } catch {}
-    })();
-  }, [route, params, data, setData]);
+    try {
+      localStorage.removeItem(LEGACY_IMG_CACHE_KEY);
+    } catch {}
+  }, []);
 
   // Derived
+  const allIssuesSorted = useMemo(
+    () => [...content.issues].sort((a, b) => new Date(b.start) - new Date(a.start)),
+    [content.issues]
+  );
+  // Readers see public issues only (the build already holds the rest back; this covers admins and the dev server);
+  // `now` ticks when the next scheduled issue is due
+  const now = useReleaseClock(allIssuesSorted);
   const issuesSorted = useMemo(
-    () => [...(data?.issues || [])].sort((a, b) => new Date(b.start) - new Date(a.start)),
-    [data]
+    () => (isAdmin ? allIssuesSorted : publicIssues(allIssuesSorted, now)),
+    [isAdmin, allIssuesSorted, now]
   );
   const currentIssue = useMemo(() => {
     if (route !== "issue") return null;
     const id = params?.[0];
     return issuesSorted.find((i) => i.id === id) || null;
   }, [route, params, issuesSorted]);
+  useEffect(() => {
+    document.title = pageTitle(currentIssue);
+  }, [currentIssue]);
+  const editIssue = useMemo(
+    () => (route === "edit" ? allIssuesSorted.find((i) => i.id === params?.[0]) || null : null),
+    [route, params, allIssuesSorted]
+  );
+  const focusIndex = useMemo(
+    () => (currentIssue ? findItemIndex(currentIssue.items || [], params?.[1]) : -1),
+    [currentIssue, params]
+  );
+  // Header share: the focused item's permalink, else the current page
+  const shareTarget = useMemo(() => {
+    if (!currentIssue || focusIndex < 0) return null;
+    const slug = itemSlugs(currentIssue.items)[focusIndex];
+    return {
+      url: absoluteHashUrl(`/issue/${currentIssue.id}/item/${slug}`),
+      title: pickTitle(currentIssue.items[focusIndex].title, lang),
+    };
+  }, [currentIssue, focusIndex, lang]);
+
+  // Prebuilt /search-index.json when it matches the listed issues, else built here from the loaded bodies
+  const [searchIdx, searchComplete] = useSearchIndex(issuesSorted, content.hashes);
+  const searchHits = useMemo(() => (q.trim() ? searchIndex(searchIdx, q) : []), [q, searchIdx]);
+  const facets = useMemo(() => facetsOf(issuesSorted), [issuesSorted]);
+
+  // Bodies the current view needs: the open / edited issue (then the earlier issues its Previously boxes
+  // draw on), a facet's, thread's or corrections' issues, everything on the timeline or while searching
+  // without a matching prebuilt index
+  const facetStubs = useMemo(
+    () => (route === "facet" ? issuesWithFacet(issuesSorted.filter(isStub), params[0], params[1]) : []),
+    [route, params, issuesSorted]
+  );
+  const correctionStubs = useMemo(
+    () => (route === "corrections" ? issuesSorted.filter((i) => isStub(i) && correctionCount(i) > 0).map((i) => i.id) : []),
+    [route, issuesSorted]
+  );
+  const threadStubs = useMemo(
+    () => (route === "thread" ? issuesWithThread(issuesSorted.filter(isStub), params[0]) : []),
+    [route, params, issuesSorted]
+  );
+  const contextStubs = useMemo(() => {
+    if (!currentIssue || isStub(currentIssue)) return [];
+    const stubs = new Set(issuesSorted.filter(isStub).map((i) => i.id));
+    return contextIssueIds(issuesSorted, currentIssue).filter((id) => stubs.has(id));
+  }, [currentIssue, issuesSorted]);
+  const neededIds = useMemo(() => {
+    if ((q.trim() && !searchComplete) || route === "timeline") return issuesSorted.filter(isStub).map((i) => i.id);
+    if (route === "facet") return facetStubs;
+    if (route === "thread") return threadStubs;
+    if (route === "corrections") return correctionStubs;
+    const id = params?.[0];
+    if ((route !== "issue" && route !== "edit") || !id || id === "new") return [];
+    const known = allIssuesSorted.find((i) => i.id === id);
+    if (!known || isStub(known)) return [id];
+    return route === "issue" ? contextStubs : [];
+  }, [q, searchComplete, route, params, issuesSorted, allIssuesSorted, facetStubs, threadStubs, correctionStubs, contextStubs]);
+  const { want } = content;
+  useEffect(() => {
+    want(neededIds);
+  }, [want, neededIds]);
 
-  const filteredIssues = useMemo(() => {
-    if (!q) return issuesSorted;
-    const t = q.toLowerCase();
-    return issuesSorted.filter(
-      (issue) =>
-        issue.title?.toLowerCase().includes(t) ||
-        issue.items?.some(
-          (item) =>
-            item.title?.toLowerCase().includes(t) ||
-            item.factsEN?.join(" ").toLowerCase().includes(t) ||
-            item.factsCN?.join(" ").toLowerCase().includes(t)
-        )
-    );
-  }, [q, issuesSorted]);
+  // Earlier coverage per item of the open issue, from whatever bodies are loaded so far
+  const earlierCoverage = useMemo(
+    () => (currentIssue && !isStub(currentIssue) ? currentIssue.items.map((_, idx) => previously(issuesSorted, currentIssue, idx)) : []),
+    [currentIssue, issuesSorted]
+  );
+
+  const offlineIds = useOfflineIssueIds(issuesSorted, contentRev);
+  const conflicts = useMemo(() => [...content.conflicts, ...apiConflicts], [content.conflicts, apiConflicts]);
+
+  useShortcuts((action) => {
+    if (action === "help") return setShowHelp(true);
+    if (action === "archive") return go("/");
+    if (action === "lang") return setLang(LANGS[(LANGS.indexOf(lang) + 1) % LANGS.length]);
+    if (action === "search") {
+      if (route !== "home") go("/");
+      requestAnimationFrame(() => searchRef.current?.focus());
+      return;
+    }
+    if (route !== "issue" || !currentIssue || isStub(currentIssue)) return;
+    if (action === "nextItem" || action === "prevItem") {
+      const slugs = itemSlugs(currentIssue.items);
+      const next = stepIndex(currentItemIndex(slugs, focusIndex), action === "nextItem" ? 1 : -1, slugs.length);
+      if (next >= 0) go(`/issue/${currentIssue.id}/item/${slugs[next]}`);
+    } else {
+      const id = adjacentId(issuesSorted, currentIssue.id, action === "nextIssue" ? 1 : -1);
+      if (id) go(`/issue/${id}`);
+    }
+  });
+  /**
+   * PUT one issue; base = the server revision it was edited from. A saved copy also goes into the local
+   * records so it shows before index.json catches up. -> "saved" | "stale" | "conflict" | "failed"
+   */
+  const publish = async (issue, { base = null, source = "remote" } = {}) => {
+    try {
+      const saved = await putIssue(issue, { base });
+      content.setLocal((prev) => [...prev.filter((r) => r.id !== saved.id), { id: saved.id, issue: saved, base }]);
+      content.reload();
+      return "saved";
+    } catch (e) {
+      if (e.status === 409 && e.reason === "conflict") {
+        const c =
+          source === "import"
+            ? { id: issue.id, source, local: e.current, other: issue }
+            : { id: issue.id, source, local: issue, other: e.current };
+        setApiConflicts((prev) => [...prev.filter((x) => x.id !== c.id), c]);
+        return "conflict";
+      }
+      if (e.status === 409) return "stale";
+      if (e.status === 401) {
+        session.clear();
+        alert(t(lang, "api.expired"));
+      } else {
+        alert(t(lang, "api.failed", { message: e.message }));
+      }
+      return "failed";
+    }
+  };
+  const settle = async (conflict, keep) => {
+    setApiConflicts((prev) => prev.filter((c) => c !== conflict));
+    const win = conflictWinner(conflict, keep);
+    if (!win) {
+      content.setLocal((prev) => prev.filter((r) => r.id !== conflict.id));
+      return;
+    }
+    await publish(win.issue, { base: win.base, source: conflict.source });
+  };
+  const openItem = (id, slug) => go(`/issue/${id}/item/${slug}`);
+  const openFacet = (type, name) => go(`/${type}/${encodeURIComponent(name)}`);
 
   return (
-    <div className="min-h-screen bg-[var(--ami-bg)] text-[var(--ami-text)]">
-      <Header onImport={() => setShowImporter(true)} data={data} isAdmin={isAdmin} />
+    <LangContext.Provider value={lang}>
+      <div className="min-h-screen bg-[var(--ami-bg)] text-[var(--ami-text)]">
+        <Header
+          onImport={() => setShowImporter(true)}
+          loadAll={content.loadAll}
+          isAdmin={isAdmin}
+          session={session}
+          setLang={setLang}
+          shareTarget={shareTarget}
+          currentIssue={route === "issue" && currentIssue && !isStub(currentIssue) ? currentIssue : null}
+          onEmail={route === "issue" && currentIssue && !isStub(currentIssue) ? () => setShowEmail(true) : null}
+          onEdit={route === "edit" ? null : () => go(`/edit/${route === "issue" && currentIssue ? currentIssue.id : "new"}`)}
+        />
 
-      <main className="mx-auto w-full max-w-5xl px-4 sm:px-6 lg:px-8">
-        {route === "issue" && currentIssue ? (
-          <IssuePage issue={currentIssue} onBack={() => go("/")} />
-        ) : (
-          <ArchivePage issues={filteredIssues} q={q} setQ={setQ} openIssue={(id) => go(`/issue/${id}`)} />
+        <main className="mx-auto w-full max-w-5xl px-4 sm:px-6 lg:px-8">
+          {isAdmin && content.problems.length > 0 && <ContentProblems problems={content.problems} />}
+          {isAdmin && conflicts.length > 0 && route !== "conflicts" && <ConflictNotice count={conflicts.length} />}
+          {route === "edit" && isAdmin ? (
+            editIssue && isStub(editIssue) ? (
+              <Loading />
+            ) : editIssue || params[0] === "new" ? (
+              <EditorPage
+                key={params[0]}
+                draftKey={params[0]}
+                published={editIssue}
+                issues={allIssuesSorted}
+                onExit={() => go(editIssue ? `/issue/${editIssue.id}` : "/")}
+                onPublish={async (issue, prevId) => {
+                  const rec = recordPublish(content.local, issue, { prevId, hasRemote: content.hasRemote(issue.id) }).find(
+                    (r) => r.id === issue.id
+                  );
+                  const result = await publish(rec.issue, { base: rec.base });
+                  if (result === "stale") alert(t(lang, "api.stale", { id: issue.id }));
+                  if (result === "conflict") go("/conflicts");
+                  if (result !== "saved") return false;
+                  // Renamed: the old id goes away on the server too
+                  if (prevId && prevId !== issue.id) {
+                    content.setLocal((prev) => prev.filter((r) => r.id !== prevId));
+                    if (content.hasRemote(prevId)) await deleteIssue(prevId).catch((e) => alert(t(lang, "api.failed", { message: e.message })));
+                  }
+                  go(`/issue/${issue.id}`);
+                  return true;
+                }}
+              />
+            ) : (
+              <div className="my-24 text-center text-[var(--ami-subtle)]">{t(lang, "editor.notFound")}</div>
+            )
+          ) : route === "login" ? (
+            <LoginPage session={session} onDone={() => go("/")} />
+          ) : route === "links" && isAdmin ? (
+            <LinkReportPage onBack={() => go("/")} />
+          ) : route === "conflicts" && isAdmin ? (
+            <ConflictsPage conflicts={conflicts} onKeep={settle} onBack={() => go("/")} />
+          ) : route === "issue" && currentIssue && isStub(currentIssue) ? (
+            <Loading />
+          ) : route === "issue" && currentIssue ? (
+            <IssuePage
+              issue={currentIssue}
+              status={effectiveStatus(currentIssue, now)}
+              focusIndex={focusIndex}
+              previously={earlierCoverage}
+              onBack={() => go("/")}
+            />
+          ) : route === "corrections" ? (
+            <CorrectionsPage issues={issuesSorted} loading={correctionStubs.length > 0} onBack={() => go("/")} openItem={openItem} />
+          ) : route === "timeline" ? (
+            <TimelinePage
+              issues={issuesSorted}
+              facets={facets}
+              view={timelineView}
+              setView={setTimelineView}
+              focusDate={params[0] || ""}
+              loading={issuesSorted.some(isStub)}
+              onBack={() => go("/")}
+              openItem={openItem}
+            />
+          ) : route === "thread" ? (
+            <ThreadPage threadKey={params[0]} issues={issuesSorted} loading={threadStubs.length > 0} onBack={() => go("/")} openItem={openItem} />
+          ) : route === "facet" ? (
+            <FacetPage
+              type={params[0]}
+              name={params[1]}
+              issues={issuesSorted}
+              loading={facetStubs.length > 0}
+              onBack={() => go("/")}
+              openItem={openItem}
+            />
+          ) : (
+            <ArchivePage
+              searchRef={searchRef}
+              issues={issuesSorted}
+              now={now}
+              offlineIds={offlineIds}
+              hits={searchHits}
+              facets={facets}
+              q={q}
+              setQ={setQ}
+              openIssue={(id) => go(`/issue/${id}`)}
+              openItem={openItem}
+              openFacet={openFacet}
+            />
+          )}
+        </main>
+
+        {showImporter && isAdmin && (
+          <Importer
+            close={() => setShowImporter(false)}
+            onImport={async (payload) => {
+              if (!payload?.issues) return;
+              // One at a time, so a failure (e.g. an expired session) doesn't repeat for every issue
+              const skipped = [];
+              let conflicted = 0;
+              for (const issue of payload.issues) {
+                const result = await publish(issue, { source: "import" });
+                if (result === "stale") skipped.push(issue.id);
+                if (result === "conflict") conflicted++;
+                if (result === "failed") break;
+              }
+              if (skipped.length) alert(t(lang, "conflicts.skipped", { n: skipped.length, ids: skipped.join(", ") }));
+              if (conflicted) go("/conflicts");
+            }}
+          />
         )}
-      </main>
-
-      {showImporter && isAdmin && (
-        <Importer
-          close={() => setShowImporter(false)}
-          onImport={(payload) => {
-            if (!payload?.issues) return;
-            setData((prev) => {
-              const existing = new Map((prev?.issues || []).map((i) => [i.id, i]));
-              for (const issue of payload.issues) existing.set(issue.id, issue);
-              return { issues: [...existing.values()] };
-            });
-          }}
-        />
-      )}
 
-      <Footer />
-      <TestPanel />
-    </div>
+        {showEmail && isAdmin && currentIssue && !isStub(currentIssue) && <EmailExport issue={currentIssue} close={() => setShowEmail(false)} />}
+
+        {showHelp && <ShortcutHelp close={() => setShowHelp(false)} />}
+
+        <Footer />
+      </div>
+    </LangContext.Provider>
   );
 }
 
 // Header with Share button（品牌：Amicus，Logo 用 Lily Script One）
-function Header({ onImport, data, setData, isAdmin }) {
+function Header({ onImport, onEmail, onEdit, currentIssue, loadAll, isAdmin, session, setLang, shareTarget }) {
+  const tr = useT();
   const handleShare = async () => {
     try {
-      const url = window.location.href;
-      const title = document.title || "Amicus";
-      const text = "精选且可核验的科技/IT 周报";
+      const url = shareTarget?.url || window.location.href;
+      const title = shareTarget?.title || document.title || "Amicus";
+      const text = tr("header.shareText");
       if (navigator.share) {
         await navigator.share({ title, text, url });
       } else {
         await navigator.clipboard.writeText(url);
-        alert("链接已复制到剪贴板");
+        alert(tr("header.copied"));
       }
     } catch {}
   };
 
   return (
-    <header className="sticky top-0 z-40 border-b border-neutral-200 bg-white/80 backdrop-blur">
+    <header className="no-print sticky top-0 z-40 border-b border-neutral-200 bg-white/80 backdrop-blur">
       <div className="mx-auto flex w-full max-w-5xl items-center justify-between px-4 py-3 sm:px-6 lg:px-8">
         {/* 左侧品牌（内联 Logo） */}
-        <a href="#/" className="group inline-flex items-center gap-3">
+        <a href="/#/" className="group inline-flex items-center gap-3">
          
           {/* 文字 Logo：Amicus（Lily Script One） */}
           <div className="logo-script text-2xl tracking-tight group-hover:opacity-80">
@@ -406,13 +673,14 @@ function Header({ onImport, data, setData, isAdmin }) {
 
         {/* 右侧按钮 */}
         <div className="flex items-center gap-2">
+          <LangSwitch setLang={setLang} />
           <button
             onClick={handleShare}
             className="inline-flex items-center gap-2 rounded-full border border-neutral-300 px-3 py-1.5 text-sm hover:bg-neutral-50"
-            title="分享"
+            title={tr("header.share")}
           >
             <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 24 24" fill="none" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 12v7a1 1 0 001 1h14a1 1 0 001-1v-7M16 6l-4-4m0 0L8 6m4-4v14"/></svg>
-            分享
+            {tr("header.share")}
           </button>
 
           {isAdmin && (
@@ -420,16 +688,62 @@ function Header({ onImport, data, setData, isAdmin }) {
               <button
                 onClick={onImport}
                 className="inline-flex items-center gap-2 rounded-full border border-neutral-300 px-3 py-1.5 text-sm hover:bg-neutral-50"
-                title="导入 JSON"
+                title={tr("header.importTitle")}
+              >
+                {tr("header.import")}
+              </button>
+              <button
+                onClick={async () => downloadJSON("monday.weekly.data.v1", { issues: await loadAll() })}
+                className="inline-flex items-center gap-2 rounded-full border border-neutral-300 px-3 py-1.5 text-sm hover:bg-neutral-50"
+                title={tr("header.exportTitle")}
+              >
+                {tr("header.export")}
+              </button>
+              <button
+                onClick={async () =>
+                  currentIssue
+                    ? downloadFile(`${currentIssue.id}.md`, payloadToMarkdown([currentIssue]), "text/markdown")
+                    : downloadFile("monday.weekly.data.v1.md", payloadToMarkdown({ issues: await loadAll() }), "text/markdown")
+                }
+                className="inline-flex items-center gap-2 rounded-full border border-neutral-300 px-3 py-1.5 text-sm hover:bg-neutral-50"
+                title={tr("header.exportMdTitle")}
               >
-                导入
+                {tr("header.exportMd")}
               </button>
+              {onEdit && (
+                <button
+                  onClick={onEdit}
+                  className="inline-flex items-center gap-2 rounded-full border border-neutral-300 px-3 py-1.5 text-sm hover:bg-neutral-50"
+                  title={tr(currentIssue ? "editor.editTitle" : "editor.newTitle")}
+                >
+                  {currentIssue ? <Pencil className="h-4 w-4" /> : <Plus className="h-4 w-4" />}
+                  {tr(currentIssue ? "editor.edit" : "editor.new")}
+                </button>
+              )}
+              <a
+                href="#/links"
+                className="inline-flex items-center gap-2 rounded-full border border-neutral-300 px-3 py-1.5 text-sm hover:bg-neutral-50"
+                title={tr("header.linksTitle")}
+              >
+                {tr("header.links")}
+              </a>
+              {onEmail && (
+                <button
+                  onClick={onEmail}
+                  className="inline-flex items-center gap-2 rounded-full border border-neutral-300 px-3 py-1.5 text-sm hover:bg-neutral-50"
+                  title={tr("header.emailTitle")}
+                >
+                  <Mail className="h-4 w-4" />
+                  {tr("header.email")}
+                </button>
+              )}
               <button
-                onClick={() => downloadJSON("monday.weekly.data.v1", data)}
+                onClick={session.signOut}
                 className="inline-flex items-center gap-2 rounded-full border border-neutral-300 px-3 py-1.5 text-sm hover:bg-neutral-50"
-                title="导出 JSON"
+                title={tr("header.logoutTitle", { user: session.user })}
               >
-                导出
+                <LogOut className="h-4 w-4" />
+                {tr("header.logout")}
               </button>
             </>
           )}
@@ -439,160 +753,817 @@ function Header({ onImport, data, setData, isAdmin }) {
   );
 }
 
+/** cn / en / bi segmented switch */
+function LangSwitch({ setLang }) {
+  const lang = useLang();
+  const tr = useT();
+  return (
+    <div className="inline-flex overflow-hidden rounded-full border border-neutral-300 text-xs" role="group" title={tr("lang.switch")}>
+      {LANGS.map((m) => (
+        <button
+          key={m}
+          onClick={() => setLang(m)}
+          aria-pressed={lang === m}
+          className={cx(
+            "px-2.5 py-1.5",
+            lang === m ? "bg-[var(--ami-text-strong)] text-[var(--ami-surface)]" : "hover:bg-neutral-50"
+          )}
+        >
+          {tr(`lang.${m}`)}
+        </button>
+      ))}
+    </div>
+  );
+}
 
 // ---------- Archive ----------
-function ArchivePage({ issues, q, setQ, openIssue }) {
+function ArchivePage({ searchRef = null, issues, now, offlineIds, hits, facets, q, setQ, openIssue, openItem, openFacet }) {
+  const tr = useT();
+  const searching = !!q.trim();
+  // Pages of ARCHIVE_PAGE_SIZE cards; the next page loads when the end of the list scrolls into view
+  // ("load more" stays as the fallback)
+  const [limit, setLimit] = useState(ARCHIVE_PAGE_SIZE);
+  const remaining = Math.max(0, issues.length - limit);
+  const sentinel = useRef(null);
+  useEffect(() => {
+    const el = sentinel.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((e) => e.isIntersecting)) setLimit((n) => n + ARCHIVE_PAGE_SIZE);
+      },
+      { rootMargin: "600px 0px" }
+    );
+    io.observe(el);
+    return () => io.disconnect();
+  }, [remaining, searching]);
+
   return (
     <section className="py-8 sm:py-10">
       <div className="mb-6 flex items-center justify-between">
-        <h1 className="text-2xl font-sans font-bold sm:text-3xl">存档</h1>
+        <h1 className="text-2xl font-sans font-bold sm:text-3xl">{tr("archive.title")}</h1>
         <div className="relative">
           <Search className="pointer-events-none absolute left-2.5 top-2.5 h-4 w-4 text-[var(--ami-muted-2)]" />
           <input
+            ref={searchRef}
             value={q}
             onChange={(e) => setQ(e.target.value)}
-            placeholder="搜索标题或事实…"
+            placeholder={tr("archive.search")}
             className="w-64 rounded-full border border-[var(--ami-border)] bg-[var(--ami-surface)] py-2 pl-8 pr-3 text-sm outline-none ring-0 placeholder:text-[var(--ami-muted-2)] focus:border-[var(--ami-text-strong)]"
           />
         </div>
       </div>
 
-      <div className="grid gap-6 sm:grid-cols-2">
-        {issues.map((issue) => (
-          <IssueCard key={issue.id} issue={issue} onClick={() => openIssue(issue.id)} />
-        ))}
-        {issues.length === 0 && (
-          <div className="rounded-2xl border border-dashed border-[var(--ami-border)] p-10 text-center text-[var(--ami-subtle)]">
-            没有匹配的周报。
+      <div className="gap-8 lg:grid lg:grid-cols-[minmax(0,1fr)_14rem]">
+        {searching ? (
+          <SearchResults hits={hits} q={q} openItem={openItem} />
+        ) : (
+          <div className="grid content-start gap-6 sm:grid-cols-2">
+            {issues.slice(0, limit).map((issue) => (
+              <IssueCard
+                key={issue.id}
+                issue={issue}
+                status={effectiveStatus(issue, now)}
+                offline={offlineIds?.has(issue.id)}
+                onClick={() => openIssue(issue.id)}
+              />
+            ))}
+            {issues.length === 0 && (
+              <div className="rounded-2xl border border-dashed border-[var(--ami-border)] p-10 text-center text-[var(--ami-subtle)]">
+                {tr("archive.empty")}
+              </div>
+            )}
+            {remaining > 0 && (
+              <div ref={sentinel} className="text-center sm:col-span-2">
+                <button
+                  onClick={() => setLimit((n) => n + ARCHIVE_PAGE_SIZE)}
+                  className="rounded-full border border-[var(--ami-border)] px-4 py-2 text-sm text-[var(--ami-subtle)] hover:bg-neutral-50 hover:text-[var(--ami-text-strong)]"
+                >
+                  {tr("archive.more", { n: remaining })}
+                </button>
+              </div>
+            )}
           </div>
         )}
+        <FacetSidebar facets={facets} openFacet={openFacet} />
       </div>
     </section>
   );
 }
 
-function IssueCard({ issue, onClick }) {
-  // Weekly cover: explicit > derived > Unsplash
-  const firstItem = issue.items?.[0] || {};
-  const derived = useResolvedImage(firstItem);
-  const cover = issue?.cover?.src || derived.src || randomUnsplash(1280, 720);
+// ---------- Facets ----------
+const FACET_PREVIEW = 8;
 
+function FacetSidebar({ facets, openFacet }) {
+  const tr = useT();
+  const [expanded, setExpanded] = useState({});
   return (
-    <article
-      onClick={onClick}
-      className="group cursor-pointer overflow-hidden rounded-2xl border border-[var(--ami-border)] bg-[var(--ami-surface)] transition hover:shadow-md"
-    >
-      <div className="aspect-[16/9] w-full bg-[var(--ami-bg-soft-1)]">
-        {cover ? (
-          <img
-            src={cover}
-            alt="cover"
-            loading="lazy"
-            onError={(e) => {
-              if (!e.currentTarget.dataset.fallback) {
-                e.currentTarget.dataset.fallback = "1";
-                e.currentTarget.src = randomUnsplash(1280, 720);
-              } else {
-                e.currentTarget.style.display = "none";
-              }
-            }}
-            className="h-full w-full object-cover transition group-hover:scale-[1.01]"
-          />
-        ) : (
-          <div className="flex h-full w-full items-center justify-center text-[var(--ami-muted-3)]">No cover</div>
-        )}
-      </div>
-      <div className="space-y-2 p-5">
-        <h3 className="line-clamp-2 font-sans font-bold text-lg leading-snug sm:text-xl">
-          {issue.title || `${fmtMonthDay(issue.start)} — ${fmtMonthDay(issue.end)}`}
-        </h3>
-        {/* Only show month-day; remove time row */}
-        <div className="flex items-center gap-3 text-xs text-[var(--ami-subtle)]">
-          <span className="inline-flex items-center gap-1">
-            <Calendar className="h-3.5 w-3.5" /> {fmtMonthDay(issue.start)} — {fmtMonthDay(issue.end)}
-          </span>
-        </div>
-        {(issue.summaryCN || issue.summaryEN) && (
-          <p className="line-clamp-2 text-[15px] text-[var(--ami-text-strong)]">
-            <span>{issue.summaryCN || ""}</span>
-            {issue.summaryEN && (
-              <>
-                <span className="mx-2 text-[var(--ami-muted-2)]">/</span>
-                <span className="text-[13px] text-[var(--ami-muted-1)]">{issue.summaryEN}</span>
-              </>
+    <aside className="mt-10 space-y-6 lg:mt-0">
+      <h2 className="font-sans text-sm font-bold text-[var(--ami-text-strong)]">{tr("facet.browse")}</h2>
+      {FACET_TYPES.map((type) => {
+        const list = facets?.[type] || [];
+        if (!list.length) return null;
+        const shown = expanded[type] ? list : list.slice(0, FACET_PREVIEW);
+        return (
+          <div key={type}>
+            <h3 className="mb-2 text-xs text-[var(--ami-subtle)]">{tr(`keyInfo.${type}`)}</h3>
+            <ul className="space-y-1 text-sm">
+              {shown.map((f) => (
+                <li key={f.name}>
+                  <a
+                    href={facetHref(type, f.name)}
+                    onClick={(e) => {
+                      e.preventDefault();
+                      openFacet(type, f.name);
+                    }}
+                    className="flex items-center justify-between gap-2 rounded-lg px-2 py-1 hover:bg-neutral-50"
+                  >
+                    <span className="truncate">{f.name}</span>
+                    <span className="text-xs text-[var(--ami-muted-4)]">{f.count}</span>
+                  </a>
+                </li>
+              ))}
+            </ul>
+            {list.length > FACET_PREVIEW && (
+              <button
+                onClick={() => setExpanded((x) => ({ ...x, [type]: !x[type] }))}
+                className="mt-1 px-2 text-xs text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]"
+              >
+                {expanded[type] ? tr("facet.less") : tr("facet.more", { n: list.length - FACET_PREVIEW })}
+              </button>
             )}
-          </p>
-        )}
-        <div className="pt-2 text-sm text-[var(--ami-subtle)]">{issue.items?.length || 0} items</div>
-      </div>
-    </article>
+          </div>
+        );
+      })}
+    </aside>
   );
 }
 
-// ---------- Issue Page ----------
-function IssuePage({ issue, onBack }) {
+function FacetPage({ type, name, issues, loading = false, onBack, openItem }) {
+  const lang = useLang();
+  const tr = useT();
+  const entries = useMemo(() => itemsForFacet(issues, type, name), [issues, type, name]);
+  const sep = lang === "en" ? ": " : "：";
+
   return (
-    <article className="py-8 sm:py-10">
+    <section className="py-8 sm:py-10">
       <button
         onClick={onBack}
         className="mb-6 inline-flex items-center gap-1.5 text-sm text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]"
       >
-        <ChevronLeft className="h-4 w-4" /> 返回
+        <ChevronLeft className="h-4 w-4" /> {tr("issue.back")}
       </button>
+      <h1 className="mb-2 font-sans text-2xl font-bold sm:text-3xl">
+        <span className="text-[var(--ami-subtle)]">{tr(`keyInfo.${type}`)}{sep}</span>
+        {name}
+      </h1>
+      <div className="mb-6 text-sm text-[var(--ami-subtle)]">
+        {tr("archive.itemsCount", { n: entries.length })}
+        {loading && <span className="ml-2 text-[var(--ami-muted-4)]">{tr("archive.loading")}</span>}
+      </div>
 
-      <header className="mx-auto max-w-3xl">
-        <h1 className="mb-3 font-sans font-bold leading-tight text-[3rem]">
-          {issue.title || `${fmtMonthDay(issue.start)} — ${fmtMonthDay(issue.end)} Weekly`}
-        </h1>
-        <div className="mb-6 flex flex-wrap items-center gap-3 text-sm text-[var(--ami-subtle)]">
-          <span className="inline-flex items-center gap-1">
-            <Calendar className="h-4 w-4" /> {fmtMonthDay(issue.start)} — {fmtMonthDay(issue.end)}
-          </span>
-        </div>
-        {issue.summaryCN && (
-          <p className="mb-8 text-[17px] leading-7 text-[var(--ami-text)]">
-            <span>{issue.summaryCN}</span>
-          </p>
-        )}
-      </header>
-
-      <div className="mx-auto max-w-3xl">
-        {issue.items?.length ? (
-          issue.items.map((item, idx) => (
-            <ItemBlock key={idx} item={item} idx={idx + 1} isLast={idx === issue.items.length - 1} />
-          ))
-        ) : (
-          <div className="my-24 rounded-2xl border border-dashed border-[var(--ami-border)] p-8 text-center text-[var(--ami-subtle)]">
-            暂无条目。使用「导入」添加本周内容。
+      {entries.length ? (
+        <ul className="divide-y divide-[var(--ami-border)] overflow-hidden rounded-2xl border border-[var(--ami-border)] bg-[var(--ami-surface)]">
+          {entries.map(({ issue, item, idx, slug, date }) => (
+            <li key={`${issue.id}/${slug}`}>
+              <a
+                href={`#/issue/${issue.id}/item/${slug}`}
+                onClick={(e) => {
+                  e.preventDefault();
+                  openItem(issue.id, slug);
+                }}
+                className="block space-y-1 px-5 py-4 hover:bg-neutral-50"
+              >
+                <div className="flex items-center gap-2 text-xs text-[var(--ami-subtle)]">
+                  <Clock className="h-3.5 w-3.5" /> {date}
+                  <span className="text-[var(--ami-muted-4)]">
+                    {fmtMonthDay(issue.start)} — {fmtMonthDay(issue.end)} #{String(idx + 1).padStart(2, "0")}
+                  </span>
+                </div>
+                <div className="font-sans font-bold leading-snug">{pickTitle(item.title, lang)}</div>
+                <p className="line-clamp-2 text-sm text-[var(--ami-text)]">{pickFacts(item.factsCN, item.factsEN, lang)[0]?.text}</p>
+              </a>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        !loading && (
+          <div className="rounded-2xl border border-dashed border-[var(--ami-border)] p-10 text-center text-[var(--ami-subtle)]">
+            {tr("facet.empty")}
           </div>
-        )}
-      </div>
-    </article>
+        )
+      )}
+    </section>
   );
 }
 
-function ItemBlock({ item, idx, isLast }) {
-  // 解析正文图片：优先 item.image.src；否则解析第一条链接页；再不行用 Unsplash
-  const resolved = useResolvedImage ? useResolvedImage(item) : { src: item?.image?.src || "", href: item?.links?.[0]?.url || "" };
-  const src = resolved?.src || "";
-  const href = resolved?.href || (Array.isArray(item?.links) && item.links[0]?.url) || "";
+// ---------- Timeline (#/timeline) ----------
+function TimelinePage({ issues, facets, view, setView, focusDate = "", loading = false, onBack, openItem }) {
+  const lang = useLang();
+  const tr = useT();
+  const { zoom } = view;
+  const buckets = useMemo(
+    () => groupTimeline(timelineEntries(issues, { market: view.market, actor: view.actor }), zoom),
+    [issues, view.market, view.actor, zoom]
+  );
+  const focusStart = focusDate ? bucketOf(focusDate, zoom).start : "";
+  const step = (dir) => setView((v) => ({ ...v, zoom: TIMELINE_ZOOMS[TIMELINE_ZOOMS.indexOf(v.zoom) + dir] || v.zoom }));
+
+  // #/timeline/<day>: scroll its bucket into view once it exists (bodies load in after the first render)
+  const found = buckets.some((b) => b.start === focusStart);
+  useEffect(() => {
+    if (found) document.getElementById(`timeline-${focusStart}`)?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [found, focusStart]);
 
   return (
-    <section className="space-y-5 sm:space-y-6 py-2">
-      {/* 标题 */}
-      <h2 className="font-sans font-bold text-2xl leading-snug">
-        <span className="mr-2 text-neutral-400">{String(idx).padStart(2, "0")}</span>
-        {item.title}
-      </h2>
+    <section className="py-8 sm:py-10">
+      <button
+        onClick={onBack}
+        className="mb-6 inline-flex items-center gap-1.5 text-sm text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]"
+      >
+        <ChevronLeft className="h-4 w-4" /> {tr("issue.back")}
+      </button>
+      <h1 className="mb-2 font-sans text-2xl font-bold sm:text-3xl">{tr("timeline.title")}</h1>
+      <p className="mb-6 text-sm text-[var(--ami-subtle)]">{tr("timeline.intro")}</p>
 
-      {/* Facts */}
-      <div className="space-y-2">
-        {Array.isArray(item.factsCN) && item.factsCN.map((s, i) => (
-          <p key={`cn-${i}`} className="text-[16px] leading-7 text-neutral-900">{s}</p>
-        ))}
-        {Array.isArray(item.factsEN) && item.factsEN.map((s, i) => (
-          <p key={`en-${i}`} className="text-[16px] leading-7 text-[color:var(--ami-muted-1)]">{s}</p>
-        ))}
+      <div className="sticky top-[57px] z-10 mb-6 flex flex-wrap items-center gap-3 rounded-xl border border-[var(--ami-border)] bg-[var(--ami-surface)] px-3 py-2 text-sm">
+        <div className="inline-flex items-center gap-1" role="group" aria-label={tr("timeline.zoom")}>
+          <button onClick={() => step(-1)} disabled={zoom === TIMELINE_ZOOMS[0]} title={tr("timeline.zoomIn")} aria-label={tr("timeline.zoomIn")} className={cx(SMALL_BTN_CLS, "disabled:opacity-40")}>
+            <ZoomIn className="h-3.5 w-3.5" />
+          </button>
+          {TIMELINE_ZOOMS.map((z) => (
+            <button
+              key={z}
+              onClick={() => setView((v) => ({ ...v, zoom: z }))}
+              aria-pressed={zoom === z}
+              className={cx(
+                "rounded-full px-2.5 py-0.5 text-xs",
+                zoom === z ? "bg-[var(--ami-text-strong)] text-white" : "text-[var(--ami-subtle)] hover:bg-neutral-50"
+              )}
+            >
+              {tr(`timeline.${z}`)}
+            </button>
+          ))}
+          <button onClick={() => step(1)} disabled={zoom === TIMELINE_ZOOMS[TIMELINE_ZOOMS.length - 1]} title={tr("timeline.zoomOut")} aria-label={tr("timeline.zoomOut")} className={cx(SMALL_BTN_CLS, "disabled:opacity-40")}>
+            <ZoomOut className="h-3.5 w-3.5" />
+          </button>
+        </div>
+        {TIMELINE_FILTERS.map((type) => (
+          <label key={type} className="inline-flex items-center gap-1.5 text-xs text-[var(--ami-subtle)]">
+            {tr(`keyInfo.${type}`)}
+            <select
+              value={view[type]}
+              onChange={(e) => setView((v) => ({ ...v, [type]: e.target.value }))}
+              className="max-w-[12rem] rounded-lg border border-[var(--ami-border)] bg-[var(--ami-surface)] px-2 py-1 text-xs text-[var(--ami-text)]"
+            >
+              <option value="">{tr("timeline.all")}</option>
+              {(facets?.[type] || []).map((f) => (
+                <option key={f.name} value={f.name}>
+                  {f.name} ({f.count})
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+        {loading && <span className="text-xs text-[var(--ami-muted-4)]">{tr("archive.loading")}</span>}
+      </div>
+
+      {buckets.length ? (
+        <ol className="relative ml-2 border-l border-[var(--ami-border)] pl-6">
+          {buckets.map((b) => (
+            <li key={b.start} id={`timeline-${b.start}`} className="scroll-mt-32 pb-6">
+              {b.gap > 0 && <div className="-ml-6 mb-4 pl-6 text-xs italic text-[var(--ami-muted-4)]">{tr(`timeline.gap.${zoom}`, { n: b.gap })}</div>}
+              <h2
+                className={cx(
+                  "relative mb-3 font-sans text-sm font-bold text-[var(--ami-text-strong)]",
+                  b.start === focusStart && "ami-item-focus"
+                )}
+              >
+                <span className="absolute -left-[29px] top-1 h-2.5 w-2.5 rounded-full bg-[var(--ami-text-strong)]" />
+                {zoom === "month" ? b.start.slice(0, 7) : zoom === "week" ? `${fmtMonthDay(b.start)} — ${fmtMonthDay(b.end)}` : b.start}
+                <span className="ml-2 font-normal text-[var(--ami-subtle)]">{tr("archive.itemsCount", { n: b.entries.length })}</span>
+              </h2>
+              <ul className="space-y-3">
+                {b.entries.map(({ issue, item, idx, slug, when, estimated }) => (
+                  <li key={`${issue.id}/${slug}`}>
+                    <div className="flex flex-wrap items-center gap-x-2 text-xs text-[var(--ami-subtle)]">
+                      <Clock className="h-3.5 w-3.5" />
+                      <time dateTime={new Date(when.ms).toISOString()} className="font-mono">
+                        {when.date} {when.time ? `${when.time} SGT` : tr("timeline.allDay")}
+                      </time>
+                      {when.time && <LocalTime ms={when.ms} />}
+                      {estimated && <span className="text-[var(--ami-muted-4)]">{tr("timeline.estimated")}</span>}
+                      <span className="text-[var(--ami-muted-4)]">
+                        {fmtMonthDay(issue.start)} — {fmtMonthDay(issue.end)} #{String(idx + 1).padStart(2, "0")}
+                      </span>
+                    </div>
+                    <a
+                      href={`#/issue/${issue.id}/item/${slug}`}
+                      onClick={(e) => {
+                        e.preventDefault();
+                        openItem(issue.id, slug);
+                      }}
+                      className="font-sans font-bold leading-snug hover:underline"
+                    >
+                      {pickTitle(item.title, lang)}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        !loading && (
+          <div className="rounded-2xl border border-dashed border-[var(--ami-border)] p-10 text-center text-[var(--ami-subtle)]">
+            {tr("timeline.empty")}
+          </div>
+        )
+      )}
+    </section>
+  );
+}
+
+/** The reader's local time, rendered after mount so prerendered (SGT-only) HTML hydrates as-is */
+function LocalTime({ ms }) {
+  const tr = useT();
+  const [text, setText] = useState("");
+  useEffect(() => setText(fmtLocal(ms)), [ms]);
+  return text ? <span className="text-[var(--ami-muted-2)]">({tr("time.local", { time: text })})</span> : null;
+}
+
+// ---------- Story thread (#/thread/<key>) ----------
+function ThreadPage({ threadKey, issues, loading = false, onBack, openItem }) {
+  const lang = useLang();
+  const tr = useT();
+  const entries = useMemo(() => threadItems(issues, threadKey), [issues, threadKey]);
+  const sep = lang === "en" ? ": " : "：";
+
+  return (
+    <section className="py-8 sm:py-10">
+      <button
+        onClick={onBack}
+        className="mb-6 inline-flex items-center gap-1.5 text-sm text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]"
+      >
+        <ChevronLeft className="h-4 w-4" /> {tr("issue.back")}
+      </button>
+      <h1 className="mb-2 font-sans text-2xl font-bold sm:text-3xl">
+        <span className="text-[var(--ami-subtle)]">{tr("thread.title")}{sep}</span>
+        <span className="font-mono">{threadKey}</span>
+      </h1>
+      <p className="mb-6 text-sm text-[var(--ami-subtle)]">
+        {tr("thread.intro")} {tr("archive.itemsCount", { n: entries.length })}
+        {loading && <span className="ml-2 text-[var(--ami-muted-4)]">{tr("archive.loading")}</span>}
+      </p>
+
+      {entries.length ? (
+        <ol className="relative ml-2 space-y-6 border-l border-[var(--ami-border)] pl-6">
+          {entries.map(({ issue, item, idx, slug, date }) => (
+            <li key={`${issue.id}/${slug}`} className="relative">
+              <span className="absolute -left-[29px] top-1.5 h-2.5 w-2.5 rounded-full bg-[var(--ami-text-strong)]" />
+              <div className="flex flex-wrap items-center gap-2 text-xs text-[var(--ami-subtle)]">
+                <Clock className="h-3.5 w-3.5" /> {date}
+                <span className="text-[var(--ami-muted-4)]">
+                  {fmtMonthDay(issue.start)} — {fmtMonthDay(issue.end)} #{String(idx + 1).padStart(2, "0")}
+                </span>
+              </div>
+              <a
+                href={`#/issue/${issue.id}/item/${slug}`}
+                onClick={(e) => {
+                  e.preventDefault();
+                  openItem(issue.id, slug);
+                }}
+                className="mt-1 block font-sans font-bold leading-snug hover:underline"
+              >
+                {pickTitle(item.title, lang)}
+              </a>
+              <p className="mt-1 line-clamp-2 text-sm text-[var(--ami-text)]">{pickFacts(item.factsCN, item.factsEN, lang)[0]?.text}</p>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        !loading && (
+          <div className="rounded-2xl border border-dashed border-[var(--ami-border)] p-10 text-center text-[var(--ami-subtle)]">
+            {tr("thread.empty")}
+          </div>
+        )
+      )}
+    </section>
+  );
+}
+
+// ---------- Search results (item-level) ----------
+// ---------- Corrections (#/corrections) ----------
+function CorrectionsPage({ issues, loading = false, onBack, openItem }) {
+  const lang = useLang();
+  const tr = useT();
+  const entries = useMemo(() => allCorrections(issues), [issues]);
+  const titles = useMemo(() => new Map(issues.map((i) => [i.id, pickTitle(i.title, lang)])), [issues, lang]);
+
+  return (
+    <section className="py-8 sm:py-10">
+      <button
+        onClick={onBack}
+        className="mb-6 inline-flex items-center gap-1.5 text-sm text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]"
+      >
+        <ChevronLeft className="h-4 w-4" /> {tr("issue.back")}
+      </button>
+      <h1 className="mb-2 text-2xl font-sans font-bold sm:text-3xl">{tr("corrections.title")}</h1>
+      <p className="mb-6 text-sm text-[var(--ami-subtle)]">{tr("corrections.intro")}</p>
+      {entries.length ? (
+        <ul className="space-y-4">
+          {entries.map((c) => (
+            <li key={`${c.issueId}/${c.slug}/${c.at}`} className="rounded-xl border border-[var(--ami-border)] bg-[var(--ami-surface)] p-4 text-sm">
+              <div className="mb-1 flex flex-wrap items-center gap-x-2 text-xs text-[var(--ami-muted-2)]">
+                <time dateTime={c.at} className="font-mono">
+                  {fmtSGT(c.at)}
+                </time>
+                <span>·</span>
+                <span>{titles.get(c.issueId)}</span>
+              </div>
+              <button onClick={() => openItem(c.issueId, c.slug)} className="text-left font-sans font-bold hover:underline">
+                {pickTitle(c.title, lang)}
+              </button>
+              {pickPair(c.noteCN, c.noteEN, lang).map((part) => (
+                <p key={part.lang} className={cx("mt-1", part.lang === "en" && lang === "bi" && "text-[color:var(--ami-muted-1)]")}>
+                  {part.text}
+                </p>
+              ))}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        !loading && <div className="my-16 text-center text-[var(--ami-subtle)]">{tr("corrections.none")}</div>
+      )}
+      {loading && <Loading />}
+    </section>
+  );
+}
+
+function SearchResults({ hits, q, openItem }) {
+  const lang = useLang();
+  const tr = useT();
+  const parsed = useMemo(() => parseQuery(q), [q]);
+
+  if (!hits.length) {
+    return (
+      <div className="rounded-2xl border border-dashed border-[var(--ami-border)] p-10 text-center text-[var(--ami-subtle)]">
+        {tr("search.empty")}
+      </div>
+    );
+  }
+  return (
+    <div>
+      <div className="mb-3 text-sm text-[var(--ami-subtle)]">{tr("search.count", { n: hits.length })}</div>
+      <ul className="divide-y divide-[var(--ami-border)] overflow-hidden rounded-2xl border border-[var(--ami-border)] bg-[var(--ami-surface)]">
+        {hits.map((h) => (
+          <li key={`${h.issueId}/${h.slug}`}>
+            <a
+              href={`#/issue/${h.issueId}/item/${h.slug}`}
+              onClick={(e) => {
+                e.preventDefault();
+                openItem(h.issueId, h.slug);
+              }}
+              className="block space-y-1 px-5 py-4 hover:bg-neutral-50"
+            >
+              <div className="flex items-center gap-2 text-xs text-[var(--ami-subtle)]">
+                <Calendar className="h-3.5 w-3.5" /> {fmtMonthDay(h.start)}
+                <span className="text-[var(--ami-muted-4)]">#{String(h.idx + 1).padStart(2, "0")}</span>
+              </div>
+              <div className="font-sans font-bold leading-snug">
+                <Highlighted segments={highlight(pickTitle(h.title, lang), parsed)} />
+              </div>
+              <p className="line-clamp-2 text-sm text-[var(--ami-text)]">
+                <Highlighted segments={h.snippet} />
+              </p>
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function Highlighted({ segments }) {
+  return segments.map((seg, i) =>
+    seg.hit ? (
+      <mark key={i} className="rounded bg-[var(--ami-bg-soft-1)] px-0.5 text-[var(--ami-text-strong)]">
+        {seg.text}
+      </mark>
+    ) : (
+      <React.Fragment key={i}>{seg.text}</React.Fragment>
+    )
+  );
+}
+
+function IssueCard({ issue, status = "published", offline, onClick }) {
+  const lang = useLang();
+  const tr = useT();
+  // Weekly cover: explicit > first item's local image > generated artwork (stubs carry the first item as `lead`)
+  const lead = leadOf(issue);
+  const derived = resolvedImage(lead);
+  const cover = issue?.cover?.src || derived.src;
+  const coverSrcSet = issue?.cover?.src ? "" : derived.srcSet;
+  const [coverFailed, setCoverFailed] = useState(false);
+  const summary = pickPair(issue.summaryCN, issue.summaryEN, lang);
+
+  return (
+    <article
+      onClick={onClick}
+      className="group cursor-pointer overflow-hidden rounded-2xl border border-[var(--ami-border)] bg-[var(--ami-surface)] transition hover:shadow-md"
+    >
+      <div className="aspect-[16/9] w-full bg-[var(--ami-bg-soft-1)]">
+        {cover && !coverFailed ? (
+          <img
+            src={cover}
+            srcSet={coverSrcSet || undefined}
+            sizes={coverSrcSet ? "(min-width: 768px) 50vw, 100vw" : undefined}
+            alt="cover"
+            loading="lazy"
+            onError={() => setCoverFailed(true)}
+            className="h-full w-full object-cover transition group-hover:scale-[1.01]"
+          />
+        ) : (
+          <FallbackArt
+            seed={issue.id}
+            title={pickTitle(issue.title, lang)}
+            dates={`${issue.start} — ${issue.end}`}
+            market={lead.market}
+            compact
+          />
+        )}
+      </div>
+      <div className="space-y-2 p-5">
+        <h3 className="line-clamp-2 font-sans font-bold text-lg leading-snug sm:text-xl">
+          {pickTitle(issue.title, lang) || `${fmtMonthDay(issue.start)} — ${fmtMonthDay(issue.end)}`}
+        </h3>
+        {/* Only show month-day; remove time row */}
+        <div className="flex items-center gap-3 text-xs text-[var(--ami-subtle)]">
+          <span className="inline-flex items-center gap-1">
+            <Calendar className="h-3.5 w-3.5" /> {fmtMonthDay(issue.start)} — {fmtMonthDay(issue.end)}
+          </span>
+          {status !== "published" && <StatusBadge status={status} />}
+          {offline && (
+            <span className="inline-flex items-center gap-1" title={tr("archive.offline")}>
+              <CloudDownload className="h-3.5 w-3.5" /> {tr("archive.offline")}
+            </span>
+          )}
+        </div>
+        {summary.length > 0 && (
+          <p className="line-clamp-2 text-[15px] text-[var(--ami-text-strong)]">
+            {summary.map((part, i) => (
+              <React.Fragment key={part.lang}>
+                {i > 0 && <span className="mx-2 text-[var(--ami-muted-2)]">/</span>}
+                <span className={part.lang === "en" && i > 0 ? "text-[13px] text-[var(--ami-muted-1)]" : undefined}>{part.text}</span>
+              </React.Fragment>
+            ))}
+          </p>
+        )}
+        <div className="pt-2 text-sm text-[var(--ami-subtle)]">{tr("archive.itemsCount", { n: itemCount(issue) })}</div>
+      </div>
+    </article>
+  );
+}
+
+// ---------- Issue Page ----------
+function IssuePage({ issue, status = "published", focusIndex = -1, previously = [], onBack }) {
+  const lang = useLang();
+  const tr = useT();
+  const slugs = useMemo(() => itemSlugs(issue.items || []), [issue]);
+  const printing = usePrintMode();
+
+  // Deep link: scroll the focused item into view
+  useEffect(() => {
+    if (focusIndex < 0) return;
+    const el = document.getElementById(`item-${slugs[focusIndex]}`);
+    el?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [issue.id, focusIndex, slugs]);
+
+  if (printing) return <PrintIssue issue={issue} />;
+
+  return (
+    <article className="py-8 sm:py-10">
+      <div className="mb-6 flex items-center justify-between gap-3">
+        <button
+          onClick={onBack}
+          className="inline-flex items-center gap-1.5 text-sm text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]"
+        >
+          <ChevronLeft className="h-4 w-4" /> {tr("issue.back")}
+        </button>
+        <button
+          onClick={() => window.print()}
+          title={tr("print.title")}
+          className="inline-flex items-center gap-1.5 text-sm text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]"
+        >
+          <Printer className="h-4 w-4" /> {tr("print.button")}
+        </button>
+      </div>
+
+      {status !== "published" && <StatusBanner status={status} publishedAt={issue.publishedAt} />}
+
+      <header className="mx-auto max-w-3xl">
+        <h1 className="mb-3 font-sans font-bold leading-tight text-[3rem]">
+          {pickTitle(issue.title, lang) || `${fmtMonthDay(issue.start)} — ${fmtMonthDay(issue.end)} ${tr("issue.weekly")}`}
+        </h1>
+        <div className="mb-6 flex flex-wrap items-center gap-3 text-sm text-[var(--ami-subtle)]">
+          <span className="inline-flex items-center gap-1">
+            <Calendar className="h-4 w-4" /> {fmtMonthDay(issue.start)} — {fmtMonthDay(issue.end)}
+          </span>
+        </div>
+        <div className="mb-8 space-y-1">
+          {pickPair(issue.summaryCN, issue.summaryEN, lang).map((part, i) => (
+            <p
+              key={part.lang}
+              className={cx(
+                "text-[17px] leading-7",
+                part.lang === "en" && i > 0 ? "text-[color:var(--ami-muted-1)]" : "text-[var(--ami-text)]"
+              )}
+            >
+              {part.text}
+            </p>
+          ))}
+        </div>
+      </header>
+
+      <div className="mx-auto max-w-3xl">
+        {issue.items?.length ? (
+          issue.items.map((item, idx) => (
+            <ItemBlock
+              key={slugs[idx]}
+              item={item}
+              idx={idx + 1}
+              slug={slugs[idx]}
+              issueId={issue.id}
+              dates={`${issue.start} — ${issue.end}`}
+              focused={idx === focusIndex}
+              previously={previously[idx] || []}
+              isLast={idx === issue.items.length - 1}
+            />
+          ))
+        ) : (
+          <div className="my-24 rounded-2xl border border-dashed border-[var(--ami-border)] p-8 text-center text-[var(--ami-subtle)]">
+            {tr("issue.empty")}
+          </div>
+        )}
+      </div>
+    </article>
+  );
+}
+
+/**
+ * Print layout of an issue (printModel, src/lib/print.js): cover page, contents, then compact items that don't
+ * break across pages, each with its sources as numbered footnotes (full URLs, since links don't click on paper)
+ */
+function PrintIssue({ issue }) {
+  const lang = useLang();
+  const tr = useT();
+  const model = useMemo(() => printModel(issue, { lang }), [issue, lang]);
+  const muted = (part, i) => (part.lang === "en" && i > 0 ? "text-neutral-500" : "");
+
+  return (
+    <article className="text-black">
+      <section className="flex min-h-[240mm] flex-col break-after-page">
+        <div className="text-xs font-semibold uppercase tracking-widest text-neutral-500">{model.site}</div>
+        <h1 className="mt-10 font-sans text-4xl font-bold leading-tight">{model.title}</h1>
+        <div className="mt-2 text-sm text-neutral-600">{model.dates}</div>
+        {model.publishedAt && (
+          <div className="text-xs text-neutral-500">{tr("print.publishedAt", { time: fmtSGT(model.publishedAt) })}</div>
+        )}
+        {model.cover && <img src={model.cover.src} alt={model.cover.alt} className="mt-8 max-h-[110mm] w-full object-contain" />}
+        <div className="mt-8 space-y-1">
+          {model.summary.map((part, i) => (
+            <p key={part.lang} className={cx("text-base leading-7", muted(part, i))}>
+              {part.text}
+            </p>
+          ))}
+        </div>
+      </section>
+
+      <nav className="break-after-page">
+        <h2 className="mb-4 text-xl font-bold">{tr("print.contents")}</h2>
+        <ol className="space-y-1.5 text-sm">
+          {model.items.map((item) => (
+            <li key={item.slug}>
+              <a href={`#print-${item.slug}`} className="flex gap-3">
+                <span className="font-mono text-neutral-500">{item.num}</span>
+                <span>{item.title}</span>
+              </a>
+            </li>
+          ))}
+        </ol>
+      </nav>
+
+      {model.items.map((item) => (
+        <section key={item.slug} id={`print-${item.slug}`} className="break-inside-avoid border-t border-neutral-300 py-4">
+          <h2 className="text-base font-bold leading-snug">
+            <span className="mr-2 font-mono text-neutral-500">{item.num}</span>
+            {item.title}
+          </h2>
+          {item.keyInfo.length > 0 && (
+            <div className="mt-1 text-[11px] text-neutral-600">
+              {item.keyInfo.map((k) => `${k.label}${lang === "en" ? ": " : "："}${k.value}`).join("  ·  ")}
+            </div>
+          )}
+          <div className="mt-2 space-y-1 text-sm leading-6">
+            {item.facts.map((f, i) => (
+              <p key={i} className={lang === "bi" && f.lang === "en" ? "text-neutral-500" : ""}>
+                {f.text}
+              </p>
+            ))}
+          </div>
+          {item.why.length > 0 && (
+            <div className="mt-2 bg-neutral-100 px-3 py-2 text-[13px] leading-6">
+              <div className="font-semibold">{tr("item.why")}</div>
+              {item.why.map((part, i) => (
+                <p key={part.lang} className={muted(part, i)}>
+                  {part.text}
+                </p>
+              ))}
+            </div>
+          )}
+          {item.notes.length > 0 && (
+            <ol className="mt-2 text-[11px] leading-5 text-neutral-600">
+              {item.notes.map((n) => (
+                <li key={n.n}>
+                  [{n.n}] {n.label} — <span className="break-all">{n.url}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </section>
+      ))}
+    </article>
+  );
+}
+
+/** Admin-only: readers never get non-public issues */
+function StatusBanner({ status, publishedAt }) {
+  const tr = useT();
+  const when = publishedAt ? new Date(publishedAt).toLocaleString() : "—";
+  return (
+    <div className="mx-auto mb-6 max-w-3xl rounded-xl border-2 border-dashed border-amber-400 bg-amber-50 px-4 py-3 text-sm text-amber-900">
+      <span className="mr-2 font-mono font-bold tracking-widest">{status === "draft" ? "DRAFT" : "SCHEDULED"}</span>
+      {status === "draft" ? tr("status.draftBanner") : tr("status.scheduledBanner", { time: when })}
+    </div>
+  );
+}
+
+function StatusBadge({ status }) {
+  const tr = useT();
+  return (
+    <span className="rounded-full border border-amber-400 bg-amber-50 px-2 py-0.5 font-mono text-[10px] font-bold uppercase tracking-wider text-amber-900">
+      {tr(`status.${status}`)}
+    </span>
+  );
+}
+
+function ItemBlock({ item, idx, slug, issueId, dates, focused, previously = [], isLast }) {
+  const lang = useLang();
+  const tr = useT();
+  const [copied, setCopied] = useState(false);
+  // 正文图片：构建时解析到本地的 item.image（scripts/resolve-images.js）；没有或加载失败则画占位图
+  const resolved = resolvedImage(item);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(absoluteHashUrl(`/issue/${issueId}/item/${slug}`));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {}
+  };
+
+  return (
+    <section id={`item-${slug}`} className={cx("scroll-mt-20 space-y-5 sm:space-y-6 py-2", focused && "ami-item-focus")}>
+      {/* 标题 + 复制本条链接 */}
+      <div className="group flex items-start gap-2">
+        <h2 className="flex-1 font-sans font-bold text-2xl leading-snug">
+          <span className="mr-2 text-neutral-400">{String(idx).padStart(2, "0")}</span>
+          {pickTitle(item.title, lang)}
+        </h2>
+        <button
+          onClick={copyLink}
+          title={tr("item.copyLink")}
+          aria-label={tr("item.copyLink")}
+          className="mt-1 inline-flex shrink-0 items-center gap-1 rounded-full border border-neutral-300 px-2 py-1 text-xs text-[var(--ami-subtle)] opacity-60 hover:bg-neutral-50 group-hover:opacity-100"
+        >
+          {copied ? <Check className="h-3.5 w-3.5" /> : <LinkIcon className="h-3.5 w-3.5" />}
+          {copied ? tr("item.copied") : tr("item.copyLink")}
+        </button>
+      </div>
+
+      {/* Facts（bi 模式下每条中文紧跟对应英文） */}
+      <div className="space-y-2">
+        {pickFacts(item.factsCN, item.factsEN, lang).map((f, i) => (
+          <p
+            key={`${f.lang}-${i}`}
+            className={cx(
+              "text-[16px] leading-7",
+              f.lang === "en" && lang === "bi" ? "text-[color:var(--ami-muted-1)]" : "text-neutral-900"
+            )}
+          >
+            {f.text}
+          </p>
+        ))}
       </div>
 
       {/* 关键信息 */}
@@ -600,10 +1571,18 @@ function ItemBlock({ item, idx, isLast }) {
 
       {/* 正文配图：骨架屏 + 懒加载 + 双重回退 + 点击跳转“本条新闻来源” */}
       <ContentImage
-        src={src}
-        linkHref={href}
+        src={resolved.src}
+        srcSet={resolved.srcSet}
+        lqip={resolved.lqip}
+        linkHref={resolved.href}
         alt={item.image?.alt || "image"}
         height={380}
+        art={{
+          seed: `${issueId}/${slug}`,
+          title: pickTitle(item.title, lang),
+          dates: item.keyInfo?.timeSGT || dates,
+          market: item.keyInfo?.market,
+        }}
       />
 
       {/* 链接列表（引用） */}
@@ -613,7 +1592,7 @@ function ItemBlock({ item, idx, isLast }) {
             <a key={i} href={l.url} target="_blank" rel="noreferrer"
                className="inline-flex items-center gap-1 rounded-full border border-neutral-300 px-3 py-1 text-xs hover:bg-neutral-50">
               <svg width="14" height="14" viewBox="0 0 24 24"><path fill="currentColor" d="M3.9 12a5 5 0 0 1 5-5h3v2h-3a3 3 0 1 0 0 6h3v2h-3a5 5 0 0 1-5-5Zm7-3h3a5 5 0 1 1 0 10h-3v-2h3a3 3 0 1 0 0-6h-3V9Z"/></svg>
-              {l.label || "来源"}
+              {l.label || tr("item.source")}
             </a>
           ))}
         </div>
@@ -622,245 +1601,1708 @@ function ItemBlock({ item, idx, isLast }) {
       {/* Why it matters */}
       {(item.whyCN || item.whyEN) && (
         <div className="rounded-xl bg-[var(--ami-bg-soft-2)] p-4 text-[15px] text-neutral-800">
-          <div className="font-sans font-bold">这为什么重要 / Why it matters</div>
-          {item.whyCN && <p className="mt-1 text-[15px]">{item.whyCN}</p>}
-          {item.whyEN && <p className="text-[15px] text-[color:var(--ami-muted-1)]">{item.whyEN}</p>}
+          <div className="font-sans font-bold">{tr("item.why")}</div>
+          {pickPair(item.whyCN, item.whyEN, lang).map((part, i) => (
+            <p
+              key={part.lang}
+              className={cx("text-[15px]", i === 0 && "mt-1", part.lang === "en" && i > 0 && "text-[color:var(--ami-muted-1)]")}
+            >
+              {part.text}
+            </p>
+          ))}
         </div>
       )}
 
-      {/* 分割线 */}
-      {!isLast && (
-        <div className="py-12">
-          <hr className="border-neutral-200" />
+      {/* 前情：同一脉络 / 相关条目的早前报道（src/lib/threads.js） */}
+      {(previously.length > 0 || item.thread) && <PreviouslyBox entries={previously} thread={item.thread} />}
+
+      {/* 更正记录：发布后的修改（src/lib/corrections.js） */}
+      {correctionsOf(item).length > 0 && <CorrectionList corrections={correctionsOf(item)} />}
+
+      {/* 分割线 */}
+      {!isLast && (
+        <div className="py-12">
+          <hr className="border-neutral-200" />
+        </div>
+      )}
+    </section>
+  );
+}
+
+function PreviouslyBox({ entries, thread }) {
+  const lang = useLang();
+  const tr = useT();
+  return (
+    <div className="rounded-xl border border-[var(--ami-border)] p-4 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <div className="inline-flex items-center gap-1.5 font-sans font-bold text-[var(--ami-text-strong)]">
+          <History className="h-4 w-4" /> {tr("item.previously")}
+        </div>
+        {thread && (
+          <a href={threadHref(thread)} className="text-xs text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)] hover:underline">
+            {tr("item.fullStory")} →
+          </a>
+        )}
+      </div>
+      {entries.length > 0 && (
+        <ul className="mt-2 space-y-1.5">
+          {entries.map((e) => (
+            <li key={`${e.issue.id}/${e.slug}`} className="flex flex-wrap items-baseline gap-x-2">
+              <span className="font-mono text-xs text-[var(--ami-muted-2)]">{e.date}</span>
+              <a href={`#/issue/${e.issue.id}/item/${e.slug}`} className="hover:underline">
+                {pickTitle(e.item.title, lang)}
+              </a>
+              {e.reason === "suggested" && <span className="text-xs text-[var(--ami-muted-4)]">{tr("item.suggested")}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function CorrectionList({ corrections }) {
+  const lang = useLang();
+  const tr = useT();
+  return (
+    <div className="border-l-2 border-[var(--ami-border)] pl-4 text-sm text-[var(--ami-subtle)]">
+      <div className="font-sans font-bold text-[var(--ami-text-strong)]">{tr("item.corrections")}</div>
+      <ul className="mt-1 space-y-2">
+        {corrections.map((c, i) => (
+          <li key={i}>
+            <time dateTime={c.at} className="font-mono text-xs text-[var(--ami-muted-2)]">
+              {fmtSGT(c.at)}
+            </time>
+            {pickPair(c.noteCN, c.noteEN, lang).map((part) => (
+              <p key={part.lang} className={cx(part.lang === "en" && lang === "bi" && "text-[color:var(--ami-muted-1)]")}>
+                {part.text}
+              </p>
+            ))}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function KeyInfoRow({ info }) {
+  const lang = useLang();
+  const tr = useT();
+  const sep = lang === "en" ? ": " : "：";
+  return (
+    <div className="flex flex-wrap items-center gap-2 rounded-xl bg-[var(--ami-bg-soft-2)] px-3 py-2 text-xs text-[var(--ami-text-strong)]">
+      {info.timeSGT && (
+        <Badge icon={<Clock className="h-3.5 w-3.5" />} label={`${tr("keyInfo.time")}${sep}`}>
+          <TimeSGT raw={info.timeSGT} />
+        </Badge>
+      )}
+      {info.actor && (
+        <Badge icon={<Info className="h-3.5 w-3.5" />} label={`${tr("keyInfo.actor")}${sep}`}>
+          <FacetLinks type="actor" raw={info.actor} />
+        </Badge>
+      )}
+      {info.market && (
+        <Badge icon={<Globe className="h-3.5 w-3.5" />} label={`${tr("keyInfo.market")}${sep}`}>
+          <FacetLinks type="market" raw={info.market} />
+        </Badge>
+      )}
+      {info.impact && (
+        <Badge icon={<Info className="h-3.5 w-3.5" />} label={`${tr("keyInfo.impact")}${sep}`}>
+          <FacetLinks type="impact" raw={info.impact} />
+        </Badge>
+      )}
+    </div>
+  );
+}
+/** timeSGT as written, linking to its day on the timeline; the reader's local time when it has one */
+function TimeSGT({ raw }) {
+  const tr = useT();
+  const when = parseTimeSGT(raw);
+  if (!when) return raw;
+  return (
+    <>
+      <a href={timelineHref(when.date)} title={tr("keyInfo.onTimeline")} className="underline decoration-[var(--ami-border)] hover:decoration-current">
+        {raw}
+      </a>
+      {when.time && (
+        <>
+          {" "}
+          <LocalTime ms={when.ms} />
+        </>
+      )}
+    </>
+  );
+}
+function Badge({ icon, label, children }) {
+  return (
+    <span className="inline-flex items-center gap-1.5 rounded-full border border-[var(--ami-border)] bg-[var(--ami-surface)] px-2.5 py-1">
+      {icon}
+      <span>
+        {label}
+        {children}
+      </span>
+    </span>
+  );
+}
+/** Entities as written, each linking to its canonical facet page */
+function FacetLinks({ type, raw }) {
+  const parts = parseFacetParts(type, raw);
+  return parts.map((p, i) => (
+    <React.Fragment key={p.name}>
+      {i > 0 && <span className="text-[var(--ami-muted-2)]"> · </span>}
+      <a href={facetHref(type, p.name)} className="underline decoration-[var(--ami-border)] hover:decoration-current">
+        {p.label}
+      </a>
+    </React.Fragment>
+  ));
+}
+
+// ---------- Content image ----------
+/**
+ * Skeleton (or the blurred LQIP) while loading, lazy; srcSet = resolved width variants.
+ * No src / load error -> <FallbackArt {...art}> (hidden when no art is given); optional link to the source
+ */
+function ContentImage({ src, srcSet = "", lqip = "", linkHref, alt, height = 380, art = null }) {
+  const [loaded, setLoaded] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const imgRef = useRef(null);
+
+  useEffect(() => {
+    setLoaded(false);
+    setFailed(false);
+  }, [src]);
+
+  // Prerendered <img> may finish loading before hydration attaches onLoad
+  useEffect(() => {
+    const el = imgRef.current;
+    if (el?.complete && el.naturalWidth > 0) setLoaded(true);
+  }, [src]);
+
+  const showArt = !src || failed;
+  if (showArt && !art) return null;
+
+  const img = (
+    <div className="relative w-full overflow-hidden rounded-2xl bg-[var(--ami-bg-soft-1)]" style={{ height }}>
+      {showArt ? (
+        <FallbackArt {...art} />
+      ) : (
+        <>
+          {!loaded &&
+            (lqip ? (
+              <img src={lqip} alt="" aria-hidden="true" className="absolute inset-0 h-full w-full scale-110 object-cover blur-xl" />
+            ) : (
+              <div className="ami-skeleton absolute inset-0" />
+            ))}
+          <img
+            ref={imgRef}
+            src={src}
+            srcSet={srcSet || undefined}
+            sizes={srcSet ? "(min-width: 768px) 720px, 100vw" : undefined}
+            alt={alt}
+            loading="lazy"
+            decoding="async"
+            referrerPolicy="no-referrer"
+            onLoad={() => setLoaded(true)}
+            onError={() => setFailed(true)}
+            className={cx("h-full w-full object-cover transition-opacity duration-300", loaded ? "opacity-100" : "opacity-0")}
+          />
+        </>
+      )}
+    </div>
+  );
+  return linkHref ? (
+    <a href={linkHref} target="_blank" rel="noreferrer" className="block">
+      {img}
+    </a>
+  ) : (
+    img
+  );
+}
+
+// ---------- Editor (admin) ----------
+const INPUT_CLS =
+  "w-full rounded-lg border border-[var(--ami-border)] bg-[var(--ami-surface)] px-3 py-1.5 text-sm focus:border-[var(--ami-text-strong)]";
+const SMALL_BTN_CLS =
+  "inline-flex items-center gap-1 rounded-full border border-[var(--ami-border)] px-2.5 py-1 text-xs hover:bg-[var(--ami-bg-soft-2)] disabled:opacity-40";
+
+/**
+ * #/edit/<id> (or #/edit/new): forms + live preview with the real IssuePage
+ * - undo/redo (buttons, Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y)
+ * - drafts autosave to localStorage (DRAFTS_KEY), never into published data until "Publish"
+ */
+function EditorPage({ draftKey, published, issues, onPublish, onExit }) {
+  const tr = useT();
+  const base = useMemo(() => published || blankIssue(), [published]);
+  const [hist, setHist] = useState(() => initHistory(readDrafts()[draftKey]?.issue || base));
+  const [savedAt, setSavedAt] = useState(() => readDrafts()[draftKey]?.savedAt || "");
+  const [problems, setProblems] = useState([]);
+  const [tab, setTab] = useState("form");
+  const [publishing, setPublishing] = useState(false);
+  const issue = hist.present;
+  const preview = useDebouncedValue(issue, 400);
+
+  const edit = (path, value) => setHist((h) => pushHistory(h, setIn(h.present, path, value), { key: path.join(".") }));
+  const apply = (fn) => setHist((h) => pushHistory(h, fn(h.present)));
+
+  // Autosave (debounced); a draft identical to the published version is dropped
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (JSON.stringify(issue) === JSON.stringify(base)) {
+        writeDraft(draftKey, null);
+        setSavedAt("");
+      } else {
+        setSavedAt(writeDraft(draftKey, issue));
+      }
+    }, 600);
+    return () => clearTimeout(timer);
+  }, [issue, base, draftKey]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      // In a field the browser's own undo edits the text; the change then lands in hist as usual
+      if (!(e.metaKey || e.ctrlKey) || isTypingTarget(e.target)) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) setHist(undo);
+      else if ((k === "z" && e.shiftKey) || k === "y") setHist(redo);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const discard = () => {
+    if (!window.confirm(tr("editor.discardConfirm"))) return;
+    writeDraft(draftKey, null);
+    setSavedAt("");
+    setHist(initHistory(base));
+  };
+
+  // onPublish resolves true once the content API took it; until then the draft stays
+  const publish = async () => {
+    const next = normalizeIssue(issue);
+    const res = validateIssue(next);
+    setProblems(res.errors);
+    if (!res.ok) return;
+    setPublishing(true);
+    if (await onPublish(next, published?.id)) writeDraft(draftKey, null);
+    else setPublishing(false);
+  };
+
+  const imageChoices = useMemo(() => {
+    const set = new Set(["/01.gif", "/02.gif"]);
+    for (const i of issues) if (i.cover?.src) set.add(i.cover.src);
+    return [...set];
+  }, [issues]);
+
+  return (
+    <section className="py-6">
+      <div className="sticky top-[57px] z-30 -mx-4 mb-6 flex flex-wrap items-center gap-2 border-b border-[var(--ami-border)] bg-[var(--ami-bg)]/95 px-4 py-3 backdrop-blur sm:-mx-6 sm:px-6 lg:-mx-8 lg:px-8">
+        <button onClick={onExit} className="inline-flex items-center gap-1.5 text-sm text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]">
+          <ChevronLeft className="h-4 w-4" /> {tr("issue.back")}
+        </button>
+        <h1 className="mr-auto text-lg font-sans font-bold">{tr("editor.heading")}</h1>
+        <span className="text-xs text-[var(--ami-muted-2)]">
+          {savedAt ? tr("editor.saved", { time: new Date(savedAt).toLocaleTimeString() }) : tr("editor.clean")}
+        </span>
+        <button onClick={() => setHist(undo)} disabled={!hist.past.length} className={SMALL_BTN_CLS} title={tr("editor.undo")}>
+          <Undo2 className="h-3.5 w-3.5" /> {tr("editor.undo")}
+        </button>
+        <button onClick={() => setHist(redo)} disabled={!hist.future.length} className={SMALL_BTN_CLS} title={tr("editor.redo")}>
+          <Redo2 className="h-3.5 w-3.5" /> {tr("editor.redo")}
+        </button>
+        <button onClick={discard} disabled={!savedAt} className={SMALL_BTN_CLS}>
+          {tr("editor.discard")}
+        </button>
+        <div className="inline-flex overflow-hidden rounded-full border border-[var(--ami-border)] text-xs lg:hidden">
+          {["form", "preview"].map((m) => (
+            <button
+              key={m}
+              onClick={() => setTab(m)}
+              className={cx("px-2.5 py-1", tab === m ? "bg-[var(--ami-text-strong)] text-[var(--ami-surface)]" : "hover:bg-[var(--ami-bg-soft-2)]")}
+            >
+              {tr(`editor.${m}`)}
+            </button>
+          ))}
+        </div>
+        <button onClick={publish} disabled={publishing} className="rounded-full bg-black px-3 py-1.5 text-sm text-white hover:bg-[#111] disabled:opacity-50">
+          {tr(publishing ? "editor.publishing" : "editor.publish")}
+        </button>
+      </div>
+
+      {problems.length > 0 && (
+        <div className="mb-6 rounded-xl border border-red-200 bg-red-50 p-4 text-sm text-red-700">
+          <div className="mb-1 font-bold">{tr("editor.invalid", { n: problems.length })}</div>
+          <pre className="max-h-40 overflow-auto whitespace-pre-wrap font-mono text-xs">{formatProblems(problems)}</pre>
+        </div>
+      )}
+
+      <div className="grid gap-8 lg:grid-cols-2">
+        <div className={cx("space-y-8", tab !== "form" && "hidden lg:block")}>
+          <IssueMetaForm issue={issue} edit={edit} imageChoices={imageChoices} />
+          <ItemsForm items={issue.items || []} edit={edit} apply={apply} imageChoices={imageChoices} />
+        </div>
+        <div className={cx("lg:sticky lg:top-[130px] lg:max-h-[calc(100vh-150px)] lg:overflow-auto", tab !== "preview" && "hidden lg:block")}>
+          <div className="rounded-2xl border border-[var(--ami-border)] bg-[var(--ami-surface)] px-4 sm:px-6">
+            <IssuePage issue={preview} status={effectiveStatus(preview)} onBack={onExit} />
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+function EditorField({ label, children, className }) {
+  return (
+    <label className={cx("block", className)}>
+      <span className="mb-1 block text-xs text-[var(--ami-subtle)]">{label}</span>
+      {children}
+    </label>
+  );
+}
+
+function IssueMetaForm({ issue, edit, imageChoices }) {
+  const tr = useT();
+  return (
+    <fieldset className="space-y-3 rounded-2xl border border-[var(--ami-border)] bg-[var(--ami-surface)] p-4">
+      <legend className="px-1 text-sm font-sans font-bold">{tr("editor.meta")}</legend>
+      <div className="grid grid-cols-2 gap-3">
+        <EditorField label="start">
+          <input type="date" value={issue.start || ""} onChange={(e) => edit(["start"], e.target.value)} className={INPUT_CLS} />
+        </EditorField>
+        <EditorField label="end">
+          <input type="date" value={issue.end || ""} onChange={(e) => edit(["end"], e.target.value)} className={INPUT_CLS} />
+        </EditorField>
+      </div>
+      <EditorField label="id">
+        <div className="flex gap-2">
+          <input value={issue.id || ""} onChange={(e) => edit(["id"], e.target.value)} className={cx(INPUT_CLS, "font-mono")} />
+          <button type="button" onClick={() => edit(["id"], `${issue.start}_${issue.end}`)} className={cx(SMALL_BTN_CLS, "shrink-0")}>
+            {tr("editor.idFromDates")}
+          </button>
+        </div>
+      </EditorField>
+      <EditorField label={tr("editor.status")}>
+        <select value={issueStatus(issue)} onChange={(e) => edit(["status"], e.target.value)} className={INPUT_CLS}>
+          {ISSUE_STATUSES.map((st) => (
+            <option key={st} value={st}>
+              {tr(`status.${st}Option`)}
+            </option>
+          ))}
+        </select>
+      </EditorField>
+      <EditorField label="publishedAt (YYYY-MM-DDTHH:mm:ss+08:00)">
+        <input value={issue.publishedAt || ""} onChange={(e) => edit(["publishedAt"], e.target.value)} className={cx(INPUT_CLS, "font-mono")} />
+      </EditorField>
+      <EditorField label={tr("editor.title")}>
+        <input value={issue.title || ""} onChange={(e) => edit(["title"], e.target.value)} className={INPUT_CLS} />
+      </EditorField>
+      <EditorField label={tr("editor.summaryCN")}>
+        <textarea rows={2} value={issue.summaryCN || ""} onChange={(e) => edit(["summaryCN"], e.target.value)} className={INPUT_CLS} />
+      </EditorField>
+      <EditorField label={tr("editor.summaryEN")}>
+        <textarea rows={2} value={issue.summaryEN || ""} onChange={(e) => edit(["summaryEN"], e.target.value)} className={INPUT_CLS} />
+      </EditorField>
+      <ImagePicker label={tr("editor.cover")} value={issue.cover} onChange={(v) => edit(["cover"], v)} choices={imageChoices} required />
+    </fieldset>
+  );
+}
+
+function ItemsForm({ items, edit, apply, imageChoices }) {
+  const tr = useT();
+  const [open, setOpen] = useState(() => new Set());
+  const dnd = useDragReorder((from, to) => apply((issue) => ({ ...issue, items: moveItem(issue.items || [], from, to) })));
+  const toggle = (i) =>
+    setOpen((prev) => {
+      const next = new Set(prev);
+      next.has(i) ? next.delete(i) : next.add(i);
+      return next;
+    });
+
+  const add = () => {
+    apply((issue) => ({ ...issue, items: [...(issue.items || []), blankItem()] }));
+    setOpen((prev) => new Set(prev).add(items.length));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-sans font-bold">{tr("editor.items", { n: items.length })}</h2>
+        <button type="button" onClick={add} className={SMALL_BTN_CLS}>
+          <Plus className="h-3.5 w-3.5" /> {tr("editor.addItem")}
+        </button>
+      </div>
+      {items.map((item, idx) => (
+        <div
+          key={idx}
+          {...dnd.targetProps(idx)}
+          className={cx(
+            "rounded-2xl border bg-[var(--ami-surface)]",
+            dnd.overIndex === idx && dnd.dragIndex !== idx ? "border-[var(--ami-text-strong)]" : "border-[var(--ami-border)]"
+          )}
+        >
+          <div className="flex items-center gap-2 px-3 py-2">
+            <span {...dnd.handleProps(idx)} title={tr("editor.drag")} className="cursor-grab text-[var(--ami-muted-2)] active:cursor-grabbing">
+              <GripVertical className="h-4 w-4" />
+            </span>
+            <button type="button" onClick={() => toggle(idx)} className="flex flex-1 items-center gap-1.5 text-left text-sm">
+              {open.has(idx) ? <ChevronDown className="h-4 w-4 shrink-0" /> : <ChevronRight className="h-4 w-4 shrink-0" />}
+              <span className="text-neutral-400">{String(idx + 1).padStart(2, "0")}</span>
+              <span className="truncate font-bold">{item.title || tr("editor.untitled")}</span>
+            </button>
+            <button type="button" onClick={() => apply((i) => ({ ...i, items: moveItem(i.items, idx, idx - 1) }))} disabled={idx === 0} className={SMALL_BTN_CLS} title={tr("editor.moveUp")}>
+              <ArrowUp className="h-3.5 w-3.5" />
+            </button>
+            <button type="button" onClick={() => apply((i) => ({ ...i, items: moveItem(i.items, idx, idx + 1) }))} disabled={idx === items.length - 1} className={SMALL_BTN_CLS} title={tr("editor.moveDown")}>
+              <ArrowDown className="h-3.5 w-3.5" />
+            </button>
+            <button
+              type="button"
+              onClick={() => window.confirm(tr("editor.removeConfirm")) && apply((i) => ({ ...i, items: removeAt(i.items, idx) }))}
+              className={SMALL_BTN_CLS}
+              title={tr("editor.removeItem")}
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </button>
+          </div>
+          {open.has(idx) && (
+            <ItemForm item={item} path={["items", idx]} edit={edit} apply={apply} imageChoices={imageChoices} />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ItemForm({ item, path, edit, apply, imageChoices }) {
+  const tr = useT();
+  const k = item.keyInfo || {};
+  const setList = (key) => (fn) => apply((issue) => setIn(issue, [...path, key], fn(item[key] || [])));
+  return (
+    <div className="space-y-4 border-t border-[var(--ami-border)] p-4">
+      <EditorField label={tr("editor.title")}>
+        <input value={item.title || ""} onChange={(e) => edit([...path, "title"], e.target.value)} className={INPUT_CLS} />
+      </EditorField>
+      <EditorField label={tr("editor.itemId")}>
+        <input value={item.id || ""} onChange={(e) => edit([...path, "id"], e.target.value)} placeholder={slugify(pickTitle(item.title, "en"))} className={cx(INPUT_CLS, "font-mono")} />
+      </EditorField>
+      <StringListEditor label={tr("editor.factsCN")} values={item.factsCN || []} path={[...path, "factsCN"]} edit={edit} update={setList("factsCN")} />
+      <StringListEditor label={tr("editor.factsEN")} values={item.factsEN || []} path={[...path, "factsEN"]} edit={edit} update={setList("factsEN")} />
+      <div className="grid grid-cols-2 gap-3">
+        {[
+          ["timeSGT", "keyInfo.time"],
+          ["actor", "keyInfo.actor"],
+          ["market", "keyInfo.market"],
+          ["impact", "keyInfo.impact"],
+        ].map(([key, label]) => (
+          <EditorField key={key} label={key === "timeSGT" ? `${tr(label)} (SGT)` : tr(label)}>
+            <input
+              value={k[key] || ""}
+              onChange={(e) => edit([...path, "keyInfo", key], e.target.value)}
+              placeholder={key === "timeSGT" ? "2025-08-28 14:00" : ""}
+              className={INPUT_CLS}
+            />
+          </EditorField>
+        ))}
+      </div>
+      <LinksEditor links={item.links || []} path={[...path, "links"]} edit={edit} update={setList("links")} />
+      <EditorField label={tr("editor.whyCN")}>
+        <textarea rows={2} value={item.whyCN || ""} onChange={(e) => edit([...path, "whyCN"], e.target.value)} className={INPUT_CLS} />
+      </EditorField>
+      <EditorField label={tr("editor.whyEN")}>
+        <textarea rows={2} value={item.whyEN || ""} onChange={(e) => edit([...path, "whyEN"], e.target.value)} className={INPUT_CLS} />
+      </EditorField>
+      <EditorField label={tr("editor.thread")}>
+        <input value={item.thread || ""} onChange={(e) => edit([...path, "thread"], e.target.value)} className={cx(INPUT_CLS, "font-mono")} />
+      </EditorField>
+      <StringListEditor label={tr("editor.related")} values={item.related || []} path={[...path, "related"]} edit={edit} update={setList("related")} />
+      <ImagePicker label={tr("editor.image")} value={item.image} onChange={(v) => edit([...path, "image"], v)} choices={imageChoices} />
+    </div>
+  );
+}
+
+/** Reorderable list of strings (facts) */
+function StringListEditor({ label, values, path, edit, update }) {
+  const tr = useT();
+  const dnd = useDragReorder((from, to) => update((list) => moveItem(list, from, to)));
+  return (
+    <div>
+      <div className="mb-1 flex items-center justify-between text-xs text-[var(--ami-subtle)]">
+        <span>{label}</span>
+        <button type="button" onClick={() => update((list) => [...list, ""])} className={SMALL_BTN_CLS}>
+          <Plus className="h-3 w-3" /> {tr("editor.add")}
+        </button>
+      </div>
+      <div className="space-y-2">
+        {values.map((v, i) => (
+          <div key={i} {...dnd.targetProps(i)} className={cx("flex items-start gap-2", dnd.overIndex === i && dnd.dragIndex !== i && "rounded-lg ring-1 ring-[var(--ami-text-strong)]")}>
+            <span {...dnd.handleProps(i)} title={tr("editor.drag")} className="mt-2 cursor-grab text-[var(--ami-muted-2)]">
+              <GripVertical className="h-4 w-4" />
+            </span>
+            <textarea rows={2} value={v} onChange={(e) => edit([...path, i], e.target.value)} className={INPUT_CLS} />
+            <button type="button" onClick={() => update((list) => removeAt(list, i))} className={cx(SMALL_BTN_CLS, "mt-1.5")} title={tr("editor.remove")}>
+              <Trash2 className="h-3 w-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function LinksEditor({ links, path, edit, update }) {
+  const tr = useT();
+  const dnd = useDragReorder((from, to) => update((list) => moveItem(list, from, to)));
+  return (
+    <div>
+      <div className="mb-1 flex items-center justify-between text-xs text-[var(--ami-subtle)]">
+        <span>{tr("editor.links")}</span>
+        <button type="button" onClick={() => update((list) => [...list, { label: "", url: "" }])} className={SMALL_BTN_CLS}>
+          <Plus className="h-3 w-3" /> {tr("editor.add")}
+        </button>
+      </div>
+      <div className="space-y-2">
+        {links.map((l, i) => (
+          <div key={i} {...dnd.targetProps(i)} className={cx("flex items-center gap-2", dnd.overIndex === i && dnd.dragIndex !== i && "rounded-lg ring-1 ring-[var(--ami-text-strong)]")}>
+            <span {...dnd.handleProps(i)} title={tr("editor.drag")} className="cursor-grab text-[var(--ami-muted-2)]">
+              <GripVertical className="h-4 w-4" />
+            </span>
+            <input value={l.label || ""} onChange={(e) => edit([...path, i, "label"], e.target.value)} placeholder={tr("editor.linkLabel")} className={cx(INPUT_CLS, "w-1/3")} />
+            <input value={l.url || ""} onChange={(e) => edit([...path, i, "url"], e.target.value)} placeholder="https://" className={cx(INPUT_CLS, "font-mono")} />
+            <button type="button" onClick={() => update((list) => removeAt(list, i))} className={SMALL_BTN_CLS} title={tr("editor.remove")}>
+              <Trash2 className="h-3 w-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** Cover / item image: src + type + alt, with thumbnails of images already on the site */
+function ImagePicker({ label, value, onChange, choices, required = false }) {
+  const tr = useT();
+  const v = value || {};
+  const set = (patch) => onChange({ ...v, ...patch });
+  return (
+    <div>
+      <span className="mb-1 block text-xs text-[var(--ami-subtle)]">{label}</span>
+      <div className="flex gap-3">
+        <div className="h-20 w-28 shrink-0 overflow-hidden rounded-lg border border-[var(--ami-border)] bg-[var(--ami-bg-soft-1)]">
+          {v.src &&
+            (v.type === "video" ? (
+              <video src={v.src} muted className="h-full w-full object-cover" />
+            ) : (
+              <img src={v.src} alt={v.alt || ""} className="h-full w-full object-cover" />
+            ))}
+        </div>
+        <div className="flex-1 space-y-2">
+          <input value={v.src || ""} onChange={(e) => set({ src: e.target.value })} placeholder={tr("editor.imageSrc")} className={cx(INPUT_CLS, "font-mono")} />
+          <div className="flex gap-2">
+            <select value={v.type || "image"} onChange={(e) => set({ type: e.target.value })} className={cx(INPUT_CLS, "w-28")}>
+              <option value="image">image</option>
+              <option value="video">video</option>
+            </select>
+            <input value={v.alt || ""} onChange={(e) => set({ alt: e.target.value })} placeholder={tr("editor.imageAlt")} className={INPUT_CLS} />
+          </div>
+        </div>
+      </div>
+      <div className="mt-2 flex flex-wrap gap-2">
+        {!required && (
+          <button type="button" onClick={() => onChange(undefined)} className={cx(SMALL_BTN_CLS, !v.src && "border-[var(--ami-text-strong)]")}>
+            {tr("editor.imageNone")}
+          </button>
+        )}
+        {choices.map((src) => (
+          <button
+            key={src}
+            type="button"
+            onClick={() => set({ src, type: /\.(mp4|webm)$/i.test(src) ? "video" : "image" })}
+            className={cx("h-10 w-14 overflow-hidden rounded-md border", v.src === src ? "border-[var(--ami-text-strong)]" : "border-[var(--ami-border)]")}
+            title={src}
+          >
+            <img src={src} alt="" className="h-full w-full object-cover" />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** HTML5 drag handles; only the handle is draggable so text inputs stay selectable */
+function useDragReorder(onMove) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+  const reset = () => {
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+  return {
+    dragIndex,
+    overIndex,
+    handleProps: (idx) => ({
+      draggable: true,
+      onDragStart: (e) => {
+        e.stopPropagation();
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", String(idx));
+        setDragIndex(idx);
+      },
+      onDragEnd: reset,
+    }),
+    targetProps: (idx) => ({
+      onDragOver: (e) => {
+        if (dragIndex == null) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (overIndex !== idx) setOverIndex(idx);
+      },
+      onDrop: (e) => {
+        if (dragIndex == null) return;
+        e.preventDefault();
+        e.stopPropagation();
+        onMove(dragIndex, idx);
+        reset();
+      },
+    }),
+  };
+}
+
+/** Date.now() that re-renders when the next scheduled issue is due (and when the tab comes back) */
+function useReleaseClock(issues) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const next = nextRelease(issues, now);
+    if (next == null) return;
+    // setTimeout caps at ~24.8 days; a later release just re-arms on the next tick
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(next - Date.now() + 250, 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [issues, now]);
+  useEffect(() => {
+    const onVisible = () => document.visibilityState === "visible" && setNow(Date.now());
+    document.addEventListener("visibilitychange", onVisible);
+    return () => document.removeEventListener("visibilitychange", onVisible);
+  }, []);
+  return now;
+}
+
+function useDebouncedValue(value, ms) {
+  const [v, setV] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setV(value), ms);
+    return () => clearTimeout(timer);
+  }, [value, ms]);
+  return v;
+}
+
+function readDrafts() {
+  try {
+    return JSON.parse(localStorage.getItem(DRAFTS_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+/** Save (issue) or drop (null) one draft; returns the savedAt stamp */
+function writeDraft(key, issue) {
+  const all = readDrafts();
+  const savedAt = new Date().toISOString();
+  if (issue) all[key] = { issue, savedAt };
+  else delete all[key];
+  try {
+    localStorage.setItem(DRAFTS_KEY, JSON.stringify(all));
+  } catch {}
+  return issue ? savedAt : "";
+}
+
+// ---------- Email export (admin) ----------
+function EmailExport({ issue, close }) {
+  const tr = useT();
+  const lang = useLang();
+  const [copied, setCopied] = useState("");
+  const email = useMemo(
+    () => buildEmail(issue, { siteUrl: window.location.origin, lang }),
+    [issue, lang]
+  );
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") close();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [close]);
+
+  const copy = async (kind) => {
+    try {
+      // Rich copy so pasting into a mail editor keeps the layout; plain text rides along
+      if (kind === "html" && window.ClipboardItem && navigator.clipboard?.write) {
+        await navigator.clipboard.write([
+          new ClipboardItem({
+            "text/html": new Blob([email.html], { type: "text/html" }),
+            "text/plain": new Blob([email.text], { type: "text/plain" }),
+          }),
+        ]);
+      } else {
+        await navigator.clipboard.writeText(kind === "html" ? email.html : email.text);
+      }
+      setCopied(kind);
+      setTimeout(() => setCopied(""), 1500);
+    } catch {}
+  };
+
+  const download = () => {
+    downloadFile(`${issue.id}.email.html`, email.html, "text/html");
+    downloadFile(`${issue.id}.email.txt`, email.text, "text/plain");
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className="flex max-h-[90vh] w-full max-w-3xl flex-col rounded-2xl bg-[var(--ami-surface)] p-6 shadow-xl">
+        <div className="mb-4 flex items-center justify-between">
+          <h3 className="text-lg font-sans font-bold">{tr("email.title")}</h3>
+          <button
+            onClick={close}
+            className="rounded-full border border-[var(--ami-border)] px-2 py-1 text-xs hover:bg-[var(--ami-bg-soft-2)]"
+          >
+            {tr("importer.close")}
+          </button>
+        </div>
+        <p className="mb-1 text-sm text-[var(--ami-subtle)]">{tr("email.hint")}</p>
+        <p className="mb-3 truncate font-mono text-xs text-[var(--ami-muted-2)]">{email.subject}</p>
+        {/* sandbox: no scripts, no same-origin — a preview only */}
+        <iframe
+          title={email.subject}
+          sandbox=""
+          srcDoc={email.html}
+          className="min-h-[50vh] w-full flex-1 rounded-xl border border-[var(--ami-border)] bg-white"
+        />
+        <div className="mt-4 flex flex-wrap justify-end gap-2">
+          <button
+            onClick={() => copy("text")}
+            className="rounded-full border border-[var(--ami-border)] px-3 py-1.5 text-sm hover:bg-[var(--ami-bg-soft-2)]"
+          >
+            {copied === "text" ? tr("email.copied") : tr("email.copyText")}
+          </button>
+          <button
+            onClick={download}
+            className="rounded-full border border-[var(--ami-border)] px-3 py-1.5 text-sm hover:bg-[var(--ami-bg-soft-2)]"
+          >
+            {tr("email.download")}
+          </button>
+          <button onClick={() => copy("html")} className="rounded-full bg-black px-3 py-1.5 text-sm text-white hover:bg-[#111]">
+            {copied === "html" ? tr("email.copied") : tr("email.copyHtml")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Importer ----------
+function Importer({ close, onImport }) {
+  const tr = useT();
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") close();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [close]);
+
+  const IMPORT_PLACEHOLDER = `{
+  "issues": [ { ... } ]
+}
+
+— 或 / or —
+
+---
+id: 2025-08-25_2025-08-31
+start: 2025-08-25
+end: 2025-08-31
+---
+# 标题 / Title
+## 条目 / Item`;
+
+  const handleImport = () => {
+    setError("");
+    let payload;
+    if (looksLikeMarkdown(text)) {
+      try {
+        payload = markdownToPayload(text);
+      } catch (e) {
+        setError(`Markdown 解析失败：${e?.message || e}`);
+        return;
+      }
+    } else {
+      try {
+        payload = JSON.parse(text);
+      } catch (e) {
+        // 注意反斜杠相关 JSON 转义
+        const hasBackslash = new RegExp('\\\\[^"\\\\/bfnrtu]').test(text);
+        const hint = hasBackslash ? " 提示：检查反斜杠（使用 \\\\ 或合法的 \\uXXXX 转义）。" : "";
+        setError((e?.message || "解析失败") + hint);
+        return;
+      }
+    }
+    const res = validatePayload(payload);
+    if (!res.ok) {
+      setError(`校验未通过（${res.errors.length} 处）：\n${formatProblems(res.errors)}`);
+      return;
+    }
+    if (res.warnings.length) console.warn(`[import] ${res.warnings.length} 条警告\n${formatProblems(res.warnings)}`);
+    onImport(payload);
+    close();
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div ref={dialogRef} className="w-full max-w-3xl rounded-2xl bg-[var(--ami-surface)] p-6 shadow-xl">
+        <div className="mb-4 flex items-center justify-between">
+          <h3 className="text-lg font-sans font-bold">{tr("importer.title")}</h3>
+          <button
+            onClick={close}
+            className="rounded-full border border-[var(--ami-border)] px-2 py-1 text-xs hover:bg-[var(--ami-bg-soft-2)]"
+          >
+            {tr("importer.close")}
+          </button>
+        </div>
+        <p className="mb-3 text-sm text-[var(--ami-subtle)]">{tr("importer.hint")}</p>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={IMPORT_PLACEHOLDER}
+          className="h-64 w-full resize-y rounded-xl border border-[var(--ami-border)] bg-[var(--ami-bg-soft-2)] p-3 font-mono text-xs focus:border-[var(--ami-text-strong)]"
+        />
+        {error && <div className="mt-2 max-h-40 overflow-auto whitespace-pre-wrap text-sm text-red-600">{error}</div>}
+        <div className="mt-4 flex justify-end gap-2">
+          <button
+            onClick={close}
+            className="rounded-full border border-[var(--ami-border)] px-3 py-1.5 text-sm hover:bg-[var(--ami-bg-soft-2)]"
+          >
+            {tr("importer.cancel")}
+          </button>
+          <button onClick={handleImport} className="rounded-full bg-black px-3 py-1.5 text-sm text-white hover:bg-[#111]">
+            {tr("importer.submit")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Login (#/login) ----------
+function LoginPage({ session, onDone }) {
+  const tr = useT();
+  const [user, setUser] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await session.signIn(user.trim(), password);
+      onDone();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="mx-auto max-w-sm py-12 sm:py-16">
+      <h1 className="mb-6 text-2xl font-sans font-bold">{tr("login.title")}</h1>
+      {session.user ? (
+        <div className="space-y-4 text-sm">
+          <p>{tr("login.signedIn", { user: session.user, time: new Date(session.expiresAt).toLocaleString() })}</p>
+          <button onClick={session.signOut} className={SMALL_BTN_CLS}>
+            <LogOut className="h-3.5 w-3.5" /> {tr("header.logout")}
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={submit} className="space-y-4">
+          <EditorField label={tr("login.user")}>
+            <input value={user} onChange={(e) => setUser(e.target.value)} autoComplete="username" required className={INPUT_CLS} />
+          </EditorField>
+          <EditorField label={tr("login.password")}>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+              className={INPUT_CLS}
+            />
+          </EditorField>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button type="submit" disabled={busy} className="rounded-full bg-black px-4 py-1.5 text-sm text-white hover:bg-[#111] disabled:opacity-50">
+            {tr(busy ? "login.busy" : "login.submit")}
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
+
+// ---------- Link report (admin only) ----------
+const LINK_STATE_CLS = {
+  ok: "text-emerald-700",
+  redirect: "text-sky-700",
+  restricted: "text-amber-700",
+  broken: "text-red-600",
+  unchecked: "text-[var(--ami-muted-2)]",
+};
+
+function LinkReportPage({ onBack }) {
+  const tr = useT();
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+  const [tab, setTab] = useState("problems");
+
+  useEffect(() => {
+    getLinkReport()
+      .then(setReport)
+      .catch((e) => setError(e?.message || String(e)));
+  }, []);
+
+  const rows = useMemo(() => {
+    const links = report?.links || [];
+    if (tab === "all") return links;
+    return links.filter((l) => l.generic || !["ok", "unchecked"].includes(l.state));
+  }, [report, tab]);
+
+  return (
+    <section className="py-8 sm:py-10">
+      <button
+        onClick={onBack}
+        className="mb-6 inline-flex items-center gap-1.5 text-sm text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]"
+      >
+        <ChevronLeft className="h-4 w-4" /> {tr("issue.back")}
+      </button>
+      <h1 className="mb-2 text-2xl font-sans font-bold sm:text-3xl">{tr("links.title")}</h1>
+
+      {!report ? (
+        <div className="my-12 rounded-2xl border border-dashed border-[var(--ami-border)] p-8 text-center text-sm text-[var(--ami-subtle)]">
+          {error ? tr("links.missing") : "…"}
         </div>
+      ) : (
+        <>
+          <p className="mb-4 text-xs text-[var(--ami-muted-2)]">
+            {tr("links.generated", { time: new Date(report.generatedAt).toLocaleString() })}
+            {report.offline && ` · ${tr("links.offline")}`}
+          </p>
+          <div className="mb-6 flex flex-wrap gap-2 text-xs">
+            {["ok", "redirect", "restricted", "broken", "generic", "duplicates"].map((k) => (
+              <span key={k} className={cx("rounded-full border border-[var(--ami-border)] px-2.5 py-1", LINK_STATE_CLS[k])}>
+                {tr(`links.count.${k}`, { n: report.summary?.[k] ?? 0 })}
+              </span>
+            ))}
+          </div>
+
+          <div className="mb-4 inline-flex overflow-hidden rounded-full border border-[var(--ami-border)] text-xs" role="tablist">
+            {["problems", "duplicates", "all"].map((m) => (
+              <button
+                key={m}
+                onClick={() => setTab(m)}
+                aria-pressed={tab === m}
+                className={cx("px-3 py-1.5", tab === m ? "bg-[var(--ami-text-strong)] text-[var(--ami-surface)]" : "hover:bg-[var(--ami-bg-soft-2)]")}
+              >
+                {tr(`links.tab.${m}`)}
+              </button>
+            ))}
+          </div>
+
+          {tab === "duplicates" ? (
+            <ul className="space-y-3">
+              {(report.duplicates || []).map((d) => (
+                <li key={d.url} className="rounded-xl border border-[var(--ami-border)] bg-[var(--ami-surface)] p-3 text-sm">
+                  <a href={d.url} target="_blank" rel="noreferrer" className="break-all font-mono text-xs underline">
+                    {d.url}
+                  </a>
+                  <LinkRefs refs={d.refs} />
+                </li>
+              ))}
+            </ul>
+          ) : rows.length ? (
+            <ul className="space-y-3">
+              {rows.map((l) => (
+                <li key={l.url} className="rounded-xl border border-[var(--ami-border)] bg-[var(--ami-surface)] p-3 text-sm">
+                  <div className="flex flex-wrap items-baseline gap-2">
+                    <span className={cx("font-mono text-xs font-bold", LINK_STATE_CLS[l.state])}>
+                      {tr(`links.state.${l.state}`)}
+                      {l.status ? ` ${l.status}` : ""}
+                    </span>
+                    <a href={l.url} target="_blank" rel="noreferrer" className="break-all font-mono text-xs underline">
+                      {l.url}
+                    </a>
+                  </div>
+                  {l.state === "redirect" && (
+                    <div className="mt-1 break-all font-mono text-xs text-[var(--ami-subtle)]">
+                      → {l.finalUrl}（{l.redirects.map((r) => r.status).join(" → ")}）
+                    </div>
+                  )}
+                  {l.error && <div className="mt-1 text-xs text-red-600">{l.error}</div>}
+                  {l.generic && <div className="mt-1 text-xs text-amber-700">{tr(`links.generic.${l.generic}`)}</div>}
+                  <LinkRefs refs={l.refs} />
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="my-12 text-center text-sm text-[var(--ami-subtle)]">{tr("links.clean")}</div>
+          )}
+        </>
       )}
     </section>
   );
 }
 
-function KeyInfoRow({ info }) {
+function LinkRefs({ refs }) {
+  const tr = useT();
   return (
-    <div className="flex flex-wrap items-center gap-2 rounded-xl bg-[var(--ami-bg-soft-2)] px-3 py-2 text-xs text-[var(--ami-text-strong)]">
-      {info.timeSGT && <Badge icon={<Clock className="h-3.5 w-3.5" />} label={`时间：${info.timeSGT}`} />}
-      {info.actor && <Badge icon={<Info className="h-3.5 w-3.5" />} label={`主体：${info.actor}`} />}
-      {info.market && <Badge icon={<Globe className="h-3.5 w-3.5" />} label={`地区/市场：${info.market}`} />}
-      {info.impact && <Badge icon={<Info className="h-3.5 w-3.5" />} label={`影响：${info.impact}`} />}
+    <div className="mt-2 flex flex-wrap gap-1.5 text-xs text-[var(--ami-subtle)]">
+      <span>{tr("links.usedBy")}</span>
+      {refs.map((r) => (
+        <a
+          key={`${r.issueId}-${r.idx}`}
+          href={`#/issue/${r.issueId}/item/${r.slug}`}
+          title={r.title}
+          className="rounded-full border border-[var(--ami-border)] px-2 py-0.5 hover:bg-[var(--ami-bg-soft-2)]"
+        >
+          {r.issueId} #{r.idx + 1}
+        </a>
+      ))}
     </div>
   );
 }
-function Badge({ icon, label }) {
-  return (
-    <span className="inline-flex items-center gap-1.5 rounded-full border border-[var(--ami-border)] bg-[var(--ami-surface)] px-2.5 py-1">
-      {icon}
-      <span>{label}</span>
-    </span>
-  );
-}
-
-// ---------- Importer ----------
-function Importer({ close, onImport }) {
-  const [text, setText] = useState("");
-  const [error, setError] = useState("");
-  const dialogRef = useRef(null);
 
+// ---------- Keyboard shortcuts help ("?") ----------
+function ShortcutHelp({ close }) {
+  const tr = useT();
   useEffect(() => {
     const onKey = (e) => {
-      if (e.key === "Escape") close();
+      if (e.key === "Escape" || e.key === "?") close();
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
   }, [close]);
 
-  const IMPORT_PLACEHOLDER = `{
-  "issues": [ { ... } ]
-}`;
-
-  const handleImport = () => {
-    setError("");
-    try {
-      const payload = JSON.parse(text);
-      if (!payload || !Array.isArray(payload.issues)) throw new Error("缺少 issues 数组");
-      for (const issue of payload.issues) {
-        if (!issue.id) throw new Error("每个 issue 需要 id (YYYY-MM-DD_YYYY-MM-DD)");
-      }
-      onImport(payload);
-      close();
-    } catch (e) {
-      // 注意反斜杠相关 JSON 转义
-      const hasBackslash = new RegExp('\\\\[^"\\\\/bfnrtu]').test(text);
-      const hint = hasBackslash ? " 提示：检查反斜杠（使用 \\\\ 或合法的 \\uXXXX 转义）。" : "";
-      setError((e?.message || "解析失败") + hint);
-    }
-  };
-
   return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
-      <div ref={dialogRef} className="w-full max-w-3xl rounded-2xl bg-[var(--ami-surface)] p-6 shadow-xl">
+    <div role="dialog" aria-modal="true" className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={close}>
+      <div className="w-full max-w-sm rounded-2xl bg-[var(--ami-surface)] p-6 shadow-xl" onClick={(e) => e.stopPropagation()}>
         <div className="mb-4 flex items-center justify-between">
-          <h3 className="text-lg font-sans font-bold">导入周报数据（JSON）</h3>
-          <button
-            onClick={close}
-            className="rounded-full border border-[var(--ami-border)] px-2 py-1 text-xs hover:bg-[var(--ami-bg-soft-2)]"
-          >
-            关闭
+          <h3 className="text-lg font-sans font-bold">{tr("shortcuts.title")}</h3>
+          <button onClick={close} className="rounded-full px-2 py-1 text-sm text-[var(--ami-subtle)] hover:bg-[var(--ami-bg-soft-2)]">
+            {tr("importer.close")}
           </button>
         </div>
-        <p className="mb-3 text-sm text-[var(--ami-subtle)]">粘贴符合数据结构的 JSON；相同 id 的周报会被替换。</p>
-        <textarea
-          value={text}
-          onChange={(e) => setText(e.target.value)}
-          placeholder={IMPORT_PLACEHOLDER}
-          className="h-64 w-full resize-y rounded-xl border border-[var(--ami-border)] bg-[var(--ami-bg-soft-2)] p-3 font-mono text-xs focus:border-[var(--ami-text-strong)]"
-        />
-        {error && <div className="mt-2 text-sm text-red-600">{error}</div>}
-        <div className="mt-4 flex justify-end gap-2">
-          <button
-            onClick={close}
-            className="rounded-full border border-[var(--ami-border)] px-3 py-1.5 text-sm hover:bg-[var(--ami-bg-soft-2)]"
-          >
-            取消
-          </button>
-          <button onClick={handleImport} className="rounded-full bg-black px-3 py-1.5 text-sm text-white hover:bg-[#111]">
-            导入
-          </button>
+        <dl className="space-y-2 text-sm">
+          {SHORTCUTS.map((s) => (
+            <div key={s.action} className="flex items-center justify-between gap-4">
+              <dt className="flex gap-1">
+                {s.keys.map((k, i) => (
+                  <kbd key={i} className="min-w-[1.75rem] rounded-md border border-[var(--ami-border)] bg-[var(--ami-bg-soft-2)] px-1.5 py-0.5 text-center font-mono text-xs">
+                    {k}
+                  </kbd>
+                ))}
+              </dt>
+              <dd className="text-[var(--ami-subtle)]">{tr(s.label)}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Content problems (admin only) ----------
+function ContentProblems({ problems }) {
+  const [open, setOpen] = useState(false);
+  const errorCount = problems.reduce((n, p) => n + p.errors.length, 0);
+  const warnCount = problems.reduce((n, p) => n + p.warnings.length, 0);
+  return (
+    <div className="no-print mt-6 rounded-xl border border-[var(--ami-border)] bg-[var(--ami-bg-soft-2)] p-3 text-xs text-[var(--ami-text-strong)]">
+      <button onClick={() => setOpen((v) => !v)} className="w-full text-left font-sans font-bold">
+        内容校验：{errorCount} 个错误，{warnCount} 条警告 {open ? "▲" : "▼"}
+      </button>
+      {open && (
+        <ul className="mt-2 space-y-2">
+          {problems.map((p) => (
+            <li key={p.file}>
+              <div className="font-bold">{p.file}</div>
+              <pre className="whitespace-pre-wrap text-red-600">{formatProblems(p.errors)}</pre>
+              <pre className="whitespace-pre-wrap text-[var(--ami-subtle)]">{formatProblems(p.warnings)}</pre>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ---------- Version conflicts (admin only) ----------
+function ConflictNotice({ count }) {
+  const tr = useT();
+  return (
+    <div className="no-print mt-6 flex flex-wrap items-center justify-between gap-2 rounded-xl border border-[var(--ami-border)] bg-[var(--ami-bg-soft-2)] p-3 text-xs text-[var(--ami-text-strong)]">
+      <span className="font-sans font-bold">{tr("conflicts.notice", { n: count })}</span>
+      <a href="#/conflicts" className="underline">
+        {tr("conflicts.review")}
+      </a>
+    </div>
+  );
+}
+
+function ConflictsPage({ conflicts, onKeep, onBack }) {
+  const tr = useT();
+  return (
+    <section className="py-8 sm:py-10">
+      <button
+        onClick={onBack}
+        className="mb-6 inline-flex items-center gap-1.5 text-sm text-[var(--ami-subtle)] hover:text-[var(--ami-text-strong)]"
+      >
+        <ChevronLeft className="h-4 w-4" /> {tr("issue.back")}
+      </button>
+      <h1 className="mb-6 text-2xl font-sans font-bold sm:text-3xl">{tr("conflicts.title")}</h1>
+      {conflicts.length === 0 ? (
+        <div className="my-12 rounded-2xl border border-dashed border-[var(--ami-border)] p-8 text-center text-sm text-[var(--ami-subtle)]">
+          {tr("conflicts.none")}
         </div>
+      ) : (
+        <ul className="space-y-8">
+          {conflicts.map((c) => (
+            <ConflictView key={`${c.source}:${c.id}`} conflict={c} onKeep={(keep) => onKeep(c, keep)} />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+/** One conflict: local (left) vs remote / import (right), issue fields then the items that differ */
+function ConflictView({ conflict, onKeep }) {
+  const tr = useT();
+  const lang = useLang();
+  const { local, other, source } = conflict;
+  const diff = useMemo(() => diffIssues(local, other), [local, other]);
+  const items = diff.items.filter((x) => x.status !== "same");
+  // An import is weighed against what the server has, not a local copy
+  const [mine, keepMine] = source === "import" ? ["conflicts.current", "conflicts.keepCurrent"] : ["conflicts.local", "conflicts.keepLocal"];
+  const keepOther = source === "import" ? "conflicts.keepImport" : "conflicts.keepRemote";
+  const version = (issue) =>
+    revisionOf(issue) || issue.updatedAt
+      ? tr("conflicts.version", { rev: revisionOf(issue), time: issue.updatedAt ? new Date(issue.updatedAt).toLocaleString() : "—" })
+      : tr("conflicts.unversioned");
+
+  return (
+    <li className="rounded-2xl border border-[var(--ami-border)] bg-[var(--ami-surface)] p-4 sm:p-5">
+      <div className="mb-1 font-sans text-lg font-bold">{pickTitle(other.title || local.title, lang)}</div>
+      <div className="mb-3 font-mono text-xs text-[var(--ami-muted-2)]">
+        {conflict.id} · {tr("conflicts.counts", diffCounts(diff))}
+      </div>
+      <div className="mb-4 grid grid-cols-2 gap-3 text-xs">
+        {[
+          ["local", local, keepMine],
+          ["other", other, keepOther],
+        ].map(([side, issue, label]) => (
+          <div key={side} className="rounded-xl border border-[var(--ami-border)] bg-[var(--ami-bg-soft-2)] p-3">
+            <div className="font-sans font-bold">{tr(side === "local" ? mine : `conflicts.${source}`)}</div>
+            <div className="mb-2 text-[var(--ami-subtle)]">{version(issue)}</div>
+            <button
+              onClick={() => onKeep(side)}
+              className="inline-flex items-center gap-1.5 rounded-full border border-[var(--ami-border)] bg-[var(--ami-surface)] px-3 py-1.5 hover:bg-[var(--ami-bg-soft-2)]"
+            >
+              <Check className="h-3.5 w-3.5" /> {tr(label)}
+            </button>
+          </div>
+        ))}
       </div>
+
+      {diff.fields.length > 0 && (
+        <>
+          <div className="mb-2 text-xs font-bold uppercase tracking-wide text-[var(--ami-subtle)]">{tr("conflicts.issueFields")}</div>
+          <FieldDiffRows fields={diff.fields} />
+        </>
+      )}
+      {items.map((x) => (
+        <div key={`${x.status}:${x.aIndex}:${x.bIndex}`} className="mt-4">
+          <div className="mb-2 flex items-center gap-2 text-xs">
+            <span className="rounded-full border border-[var(--ami-border)] px-2 py-0.5">{tr(`conflicts.status.${x.status}`)}</span>
+            <span className="font-bold">{pickTitle((x.b || x.a).title, lang)}</span>
+            {x.status === "moved" && (
+              <span className="text-[var(--ami-muted-2)]">
+                #{x.aIndex + 1} → #{x.bIndex + 1}
+              </span>
+            )}
+          </div>
+          {x.fields.length > 0 && <FieldDiffRows fields={x.fields} />}
+        </div>
+      ))}
+    </li>
+  );
+}
+
+function FieldDiffRows({ fields }) {
+  const cell = (value) => (
+    <pre className="whitespace-pre-wrap break-words rounded-lg bg-[var(--ami-bg-soft-2)] p-2 font-mono">
+      {valueLines(value).join("\n") || "—"}
+    </pre>
+  );
+  return (
+    <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+      {fields.map((f) => (
+        <React.Fragment key={f.field}>
+          <div className="col-span-2 mt-1 font-mono text-[var(--ami-muted-2)]">{f.field}</div>
+          {cell(f.a)}
+          {cell(f.b)}
+        </React.Fragment>
+      ))}
     </div>
   );
 }
 
 // ---------- Footer ----------
+function Loading() {
+  const tr = useT();
+  return <div className="my-24 text-center text-[var(--ami-subtle)]">{tr("archive.loading")}</div>;
+}
+
 function Footer() {
+  const tr = useT();
   return (
-    <footer className="border-t border-[var(--ami-border)] py-8">
+    <footer className="no-print border-t border-[var(--ami-border)] py-8">
       <div className="mx-auto flex w-full max-w-5xl flex-col items-start justify-between gap-4 px-4 sm:flex-row sm:items-center sm:px-6 lg:px-8">
         <div className="text-sm text-neutral-500 dark:text-neutral-400">
   © {new Date().getFullYear()} Amicus
 </div>
-        <div className="text-xs text-[var(--ami-subtle)]">一周热点，周一见</div>
+        <div className="flex items-center gap-4 text-xs text-[var(--ami-subtle)]">
+          <a href={timelineHref()} className="hover:underline">
+            {tr("footer.timeline")}
+          </a>
+          <a href="#/corrections" className="hover:underline">
+            {tr("footer.corrections")}
+          </a>
+          <span>{tr("footer.tagline")}</span>
+        </div>
       </div>
     </footer>
   );
 }
 
 // ---------- Hooks & helpers ----------
-function useLocalData(initial) {
-  const [state, setState] = useState(() => {
-    try {
-      const s = localStorage.getItem(STORAGE_KEY);
-      return s ? JSON.parse(s) : initial;
-    } catch {
-      return initial;
-    }
+/**
+ * Reader content: index summaries + lazily loaded bodies + the admin's local issues
+ * - index.json { summaries }: the archive renders from summaries (stubs, src/lib/content-index.js); bodies of the
+ *   ids passed to want() come from IndexedDB while the cached hash matches the summary, else from /content/<file>
+ * - Older indexes ({ issues } inline / { files } only) still load every body up front
+ * - admin: the built index leaves out issues that aren't public yet (scripts/build-public-content.js); those
+ *   come from the content API (listIssues) instead
+ * - local: records { id, issue, base } of what the admin imported / published in this browser (IndexedDB;
+ *   replaces the localStorage blob under STORAGE_KEY, moved over once). Laid over the remote issues by
+ *   version (overlayLocal, src/lib/issues.js); undecidable ones are reported as conflicts
+ * Returns { issues, hashes, problems, conflicts, local, setLocal, hasRemote, want, loadAll, reload }
+ */
+function useContent(ssr, rev, admin = false) {
+  const [summaries, setSummaries] = useState(() => ssr?.summaries || []);
+  // id -> { issue, hash }; hash null when the body came without a summary
+  const [bodies, setBodies] = useState(() => {
+    const hashes = new Map((ssr?.summaries || []).map((s) => [s.id, s.hash]));
+    return Object.fromEntries((ssr?.issues || []).map((i) => [i.id, { issue: i, hash: hashes.get(i.id) ?? null }]));
   });
+  const [local, setLocal] = useState([]);
+  const [localReady, setLocalReady] = useState(false);
+  const [indexFailed, setIndexFailed] = useState(false);
+  const [problems, setProblems] = useState([]);
+  const [wanted, setWanted] = useState([]);
+  // Admin: stored issues missing from the public index (drafts, scheduled), from the content API
+  const [unlisted, setUnlisted] = useState([]);
+  // Bumped by reload() (after a write through the content API) to fetch index.json again
+  const [reloads, setReloads] = useState(0);
+  // id -> summary hash already fetched for, so a stale copy (service worker) is not refetched in a loop
+  const attempted = useRef(new Map());
+  const migrated = useRef(false);
+  const latest = useRef({ summaries, bodies, local, unlisted });
+  latest.current = { summaries, bodies, local, unlisted };
+
   useEffect(() => {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch {}
-  }, [state]);
-  return [state, setState];
+    idbGetAll(STORES.local).then((stored) => {
+      const records = stored.map((r) => ({ id: r.id, issue: r.issue, base: r.base ?? null }));
+      setLocal((prev) => [...records.filter((r) => !prev.some((p) => p.id === r.id)), ...prev]);
+      setLocalReady(true);
+    });
+  }, []);
+  useEffect(() => {
+    if (!localReady) return;
+    idbReplaceAll(STORES.local, local).then((ok) => {
+      if (!ok || !migrated.current) return;
+      try {
+        localStorage.removeItem(STORAGE_KEY);
+      } catch {}
+    });
+  }, [local, localReady]);
+
+  // Index: summaries (lazy) / inline issues / file list (eager); every payload goes through validation
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      let idx;
+      try {
+        idx = await fetchJSON("/content/index.json");
+      } catch {
+        if (alive) setIndexFailed(true); // no index.json or parse failed
+        return;
+      }
+      let eager = [];
+      let ids = [];
+      if (Array.isArray(idx?.summaries)) {
+        const { summaries: list, errors } = readSummaries(idx);
+        if (!alive) return;
+        reportContentProblems([{ file: "index.json", errors, warnings: [] }], setProblems);
+        const hashes = new Map(list.map((s) => [s.id, s.hash]));
+        setSummaries(list);
+        setBodies((prev) => Object.fromEntries(Object.entries(prev).filter(([id, b]) => b.hash && hashes.get(id) === b.hash)));
+        pruneCachedBodies(hashes);
+        ids = list.map((s) => s.id);
+      } else {
+        let results = [];
+        if (Array.isArray(idx?.issues)) results = [{ file: "index.json", ...validatePayload(idx) }];
+        else if (Array.isArray(idx?.files)) results = await Promise.all(idx.files.map((name) => loadContentFile(name)));
+        if (!alive) return;
+        reportContentProblems(results, setProblems);
+        eager = results.flatMap((r) => r.validIssues);
+        ids = eager.map((i) => i.id);
+        setSummaries([]);
+        setBodies((prev) => ({ ...prev, ...Object.fromEntries(eager.map((i) => [i.id, { issue: i, hash: null }])) }));
+      }
+      attempted.current.clear();
+      setIndexFailed(false);
+      // Old localStorage blob: keep only what the index doesn't have (the rest were cached remote copies)
+      const legacy = readLegacyIssues();
+      if (legacy) {
+        const remoteIds = new Set(ids);
+        migrated.current = true;
+        const keep = legacy.filter((i) => i?.id && !remoteIds.has(i.id) && !latest.current.local.some((r) => r.id === i.id));
+        setLocal((prev) => [...prev, ...keep.map((issue) => ({ id: issue.id, issue, base: null }))]);
+      }
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [rev, reloads]);
+
+  useEffect(() => {
+    if (!admin) {
+      setUnlisted([]);
+      return;
+    }
+    let alive = true;
+    listIssues()
+      .then((list) => {
+        if (alive) setUnlisted(validatePayload({ issues: list }).validIssues);
+      })
+      .catch((e) => console.warn(`[content] /api/issues: ${e.message}`));
+    return () => {
+      alive = false;
+    };
+  }, [admin, rev, reloads]);
+
+  /** Load the bodies of `list` ([{ id, summary }]) in one batch; resolves with the new bodies map */
+  const fetchBodies = async (list) => {
+    const loaded = await Promise.all(list.map(({ id, summary }) => loadBody(id, summary)));
+    const found = [];
+    loaded.forEach(({ issue, hash, res }, i) => {
+      if (issue) found.push([issue.id, { issue, hash }]);
+      // Ad-hoc loads (no summary, e.g. an old permalink) fail quietly, as before
+      if (res && list[i].summary && (res.errors.length || res.warnings.length)) {
+        console.warn(`[content] ${res.file}\n${formatProblems([...res.errors, ...res.warnings])}`);
+        setProblems((prev) => [...prev.filter((p) => p.file !== res.file), res]);
+      }
+    });
+    const next = { ...latest.current.bodies, ...Object.fromEntries(found) };
+    if (found.length) setBodies((prev) => ({ ...prev, ...Object.fromEntries(found) }));
+    return next;
+  };
+
+  useEffect(() => {
+    const byId = new Map(summaries.map((s) => [s.id, s]));
+    const todo = [];
+    // Local copies of listed issues need the remote body to be compared with
+    const localListed = local.filter((r) => byId.has(r.id)).map((r) => r.id);
+    for (const id of new Set([...wanted, ...localListed])) {
+      const summary = byId.get(id);
+      const have = bodies[id];
+      if (have && (!summary || have.hash === summary.hash)) continue;
+      if (attempted.current.get(id) === (summary?.hash ?? "")) continue;
+      attempted.current.set(id, summary?.hash ?? "");
+      todo.push({ id, summary });
+    }
+    if (todo.length) fetchBodies(todo);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [wanted, summaries, bodies, local]);
+
+  const remote = useMemo(() => {
+    const listed = new Set(summaries.map((s) => s.id));
+    const extra = Object.values(bodies).filter((b) => !listed.has(b.issue.id)).map((b) => b.issue);
+    const known = new Set([...listed, ...extra.map((i) => i.id)]);
+    return summaries
+      .map((s) => bodies[s.id]?.issue || s)
+      .concat(extra, unlisted.filter((i) => !known.has(i.id)));
+  }, [summaries, bodies, unlisted]);
+  const overlay = useMemo(() => overlayLocal(remote, local), [remote, local]);
+  const issues = useMemo(
+    () => (overlay.issues.length || !indexFailed ? overlay.issues : bootstrapData.issues),
+    [overlay, indexFailed]
+  );
+
+  // A local copy the remote has caught up with (or moved past) is no longer needed
+  useEffect(() => {
+    if (overlay.superseded.length) setLocal((prev) => prev.filter((r) => !overlay.superseded.includes(r.id)));
+  }, [overlay]);
+
+  // Content hash per remote issue the reader sees as-is (local copies have none)
+  const hashes = useMemo(() => {
+    const shown = new Map(overlay.issues.map((i) => [i.id, i]));
+    return Object.fromEntries(summaries.filter((s) => shown.get(s.id) === (bodies[s.id]?.issue || s)).map((s) => [s.id, s.hash]));
+  }, [summaries, bodies, overlay]);
+
+  const hasRemote = useCallback((id) => remote.some((i) => i.id === id), [remote]);
+
+  /** Bodies for these ids (stubs / unknown ids); a no-op when the list hasn't changed */
+  const want = useCallback((ids) => {
+    setWanted((prev) => (prev.join("\n") === ids.join("\n") ? prev : ids));
+  }, []);
+
+  /** Every issue with its body, as the admin sees them (export); bodies that fail to load are left out */
+  const loadAll = async () => {
+    const { summaries: list, bodies: have, local: mine, unlisted: hidden } = latest.current;
+    const missing = list.filter((s) => have[s.id]?.hash !== s.hash).map((s) => ({ id: s.id, summary: s }));
+    const all = missing.length ? await fetchBodies(missing) : have;
+    const full = list.map((s) => all[s.id]?.issue).filter(Boolean);
+    const listed = new Set(full.map((i) => i.id));
+    return overlayLocal([...full, ...hidden.filter((i) => !listed.has(i.id))], mine).issues.filter((i) => !isStub(i));
+  };
+
+  const reload = useCallback(() => setReloads((n) => n + 1), []);
+
+  return { issues, hashes, problems, conflicts: overlay.conflicts, local, setLocal, hasRemote, want, loadAll, reload };
+}
+
+function readLegacyIssues() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    return Array.isArray(data?.issues) ? data.issues : null;
+  } catch {
+    return null;
+  }
+}
+
+/** One weekly body: IndexedDB when the cached hash matches the summary, else /content/<file> (then cached) */
+async function loadBody(id, summary) {
+  if (summary) {
+    const cached = await idbGet(STORES.bodies, id);
+    if (cached?.hash === summary.hash) return { issue: cached.issue, hash: cached.hash };
+  }
+  const res = await loadContentFile(summary?.file || `${id}.json`);
+  const issue = res.validIssues.find((i) => i.id === id);
+  if (!issue) return { res };
+  const hash = await contentHash(issue).catch(() => null); // no Web Crypto (plain http): shown, not cached
+  // A stale copy (hash != index) is shown but not cached; the service worker reports the fresh one
+  if (summary && hash === summary.hash) idbPut(STORES.bodies, { id, hash, file: summary.file, issue });
+  return { issue, hash, res };
+}
+
+/** Drop cached bodies the index no longer lists (or lists with another hash) */
+async function pruneCachedBodies(hashes) {
+  for (const record of await idbGetAll(STORES.bodies)) {
+    if (hashes.get(record.id) !== record.hash) idbDelete(STORES.bodies, record.id);
+  }
+}
+
+/** Revision counter bumped by service worker "content-updated" messages / controller changes */
+function useContentRevision() {
+  const [rev, setRev] = useState(0);
+  useEffect(() => {
+    const sw = navigator.serviceWorker;
+    if (!sw) return;
+    const onMessage = (e) => {
+      if (e.data?.type === "content-updated") setRev((n) => n + 1);
+    };
+    // First visit: content was fetched before the worker took over; fetch again to warm its cache
+    const onControllerChange = () => setRev((n) => n + 1);
+    sw.addEventListener("message", onMessage);
+    sw.addEventListener("controllerchange", onControllerChange);
+    return () => {
+      sw.removeEventListener("message", onMessage);
+      sw.removeEventListener("controllerchange", onControllerChange);
+    };
+  }, []);
+  return rev;
+}
+
+/** Issue ids whose weekly file sits in the service worker content cache */
+function useOfflineIssueIds(issues, rev) {
+  const [ids, setIds] = useState(() => new Set());
+  useEffect(() => {
+    if (typeof caches === "undefined") return;
+    let alive = true;
+    (async () => {
+      try {
+        const cache = await caches.open(OFFLINE_CACHES.content);
+        const paths = new Set((await cache.keys()).map((req) => new URL(req.url).pathname));
+        const next = new Set(issues.filter((i) => paths.has(`/content/${i.id}.json`)).map((i) => i.id));
+        if (alive) setIds(next);
+      } catch {}
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [issues, rev]);
+  return ids;
+}
+
+/**
+ * [index, complete]: the prebuilt /search-index.json when its per-issue hashes match the listed issues
+ * (or, for indexes without summaries, its signature matches); else an index of the loaded bodies,
+ * complete once no stubs are left
+ */
+function useSearchIndex(issues, hashes) {
+  const [prebuilt, setPrebuilt] = useState(null);
+  useEffect(() => {
+    fetchJSON("/search-index.json")
+      .then((idx) => idx?.version === INDEX_VERSION && setPrebuilt(idx))
+      .catch(() => {}); // dev server / not built yet -> build locally
+  }, []);
+  return useMemo(() => {
+    if (prebuilt?.hashes && sameHashes(prebuilt.hashes, issues, hashes)) return [prebuilt, true];
+    if (prebuilt && prebuilt.signature === contentSignature(issues)) return [prebuilt, true];
+    const loaded = issues.filter((i) => !isStub(i));
+    return [buildSearchIndex(loaded), loaded.length === issues.length];
+  }, [prebuilt, issues, hashes]);
+}
+
+function sameHashes(built, issues, hashes) {
+  return Object.keys(built).length === issues.length && issues.every((i) => hashes[i.id] && built[i.id] === hashes[i.id]);
 }
 
-function useHashRouter() {
-  const [route, setRoute] = useState(() => parseHash());
+function useHashRouter(ssrUrl) {
+  const [route, setRoute] = useState(() => (ssrUrl != null ? parseHashFromString(ssrUrl) : parseLocation()));
   useEffect(() => {
-    const onHash = () => setRoute(parseHash());
-    window.addEventListener("hashchange", onHash);
-    return () => window.removeEventListener("hashchange", onHash);
+    const onChange = () => setRoute(parseLocation());
+    onChange();
+    window.addEventListener("hashchange", onChange);
+    window.addEventListener("popstate", onChange);
+    return () => {
+      window.removeEventListener("hashchange", onChange);
+      window.removeEventListener("popstate", onChange);
+    };
   }, []);
+  // Keep the hash query (e.g. ?lang=) when navigating
   const go = (to) => {
-    window.location.hash = `#${to.replace(/^#/, "")}`;
+    const query = window.location.hash.split("?")[1];
+    const hash = `#${to.replace(/^#/, "")}${query ? `?${query}` : ""}`;
+    if (window.location.pathname !== "/") {
+      // On a prerendered /issue/<id>/ page: move back to the SPA root without a reload
+      history.pushState(null, "", `/${hash}`);
+      window.dispatchEvent(new HashChangeEvent("hashchange"));
+      return;
+    }
+    window.location.hash = hash;
   };
   return { route: route.name, params: route.params, go };
 }
-function parseHash() {
-  return parseHashFromString(window.location.hash);
-}
-function parseHashFromString(hashRaw) {
-  const hash = String(hashRaw || "").replace(/^#/, "");
-  const parts = hash.split("/").filter(Boolean);
-  if (parts[0] === "issue" && parts[1]) return { name: "issue", params: [parts[1]] };
-  return { name: "home", params: [] };
+/** True between beforeprint and afterprint (Ctrl+P or the print button); rendered synchronously so the print snapshot has it */
+function usePrintMode() {
+  const [printing, setPrinting] = useState(false);
+  useEffect(() => {
+    const on = () => flushSync(() => setPrinting(true));
+    const off = () => setPrinting(false);
+    window.addEventListener("beforeprint", on);
+    window.addEventListener("afterprint", off);
+    return () => {
+      window.removeEventListener("beforeprint", on);
+      window.removeEventListener("afterprint", off);
+    };
+  }, []);
+  return printing;
 }
 
-function downloadJSON(filenameBase, data) {
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = `${filenameBase}.json`;
-  a.click();
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
+/** Reader shortcuts (src/lib/shortcuts.js): one window listener for the whole app; onAction gets the matched action */
+function useShortcuts(onAction) {
+  const handler = useRef(onAction);
+  handler.current = onAction;
+  useEffect(() => {
+    const match = createMatcher();
+    const onKey = (e) => {
+      if (ignoreKeyEvent(e)) return;
+      const action = match(e.key);
+      if (!action) return;
+      e.preventDefault();
+      handler.current(action);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
 }
 
-function mergeIssues(localIssues = [], remoteIssues = []) {
-  const map = new Map();
-  for (const i of localIssues) if (i?.id) map.set(i.id, i);
-  for (const i of remoteIssues) if (i?.id) map.set(i.id, i); // remote overwrites local
-  return Array.from(map.values());
+/** Item the reader is at: the focused one while it is on screen, else the last one scrolled past a third of the viewport */
+function currentItemIndex(slugs, focusIndex) {
+  const sections = slugs.map((s) => document.getElementById(`item-${s}`));
+  const focused = sections[focusIndex];
+  if (focused) {
+    const r = focused.getBoundingClientRect();
+    if (r.bottom > 0 && r.top < window.innerHeight) return focusIndex;
+  }
+  let at = -1;
+  sections.forEach((el, i) => {
+    if (el && el.getBoundingClientRect().top <= window.innerHeight / 3) at = i;
+  });
+  return at;
 }
 
-// ---------- Tiny tests (opt-in via ?debug=1) ----------
-function TestPanel() {
-  const [open, setOpen] = useState(false);
-  const enabled = typeof window !== "undefined" && new URLSearchParams(window.location.search).get("debug") === "1";
-  if (!enabled) return null;
-
-  const results = [];
-  results.push(test("parseHashFromString home", () => deepEq(parseHashFromString(""), { name: "home", params: [] })));
-  results.push(
-    test("parseHashFromString issue", () =>
-      deepEq(parseHashFromString("#/issue/2025-08-18_2025-08-24"), { name: "issue", params: ["2025-08-18_2025-08-24"] })
-    )
-  );
-  results.push(test("fmtMonthDay basic", () => typeof fmtMonthDay("2025-08-18") === "string" && fmtMonthDay("2025-08-18").length > 0));
-  results.push(
-    test("mergeIssues remote wins", () => {
-      const local = [
-        { id: "A", start: "2025-01-01" },
-        { id: "B", start: "2025-01-02" },
-      ];
-      const remote = [
-        { id: "B", start: "2025-02-02", marker: "remote" },
-        { id: "C", start: "2025-01-03" },
-      ];
-      const merged = mergeIssues(local, remote);
-      const ids = merged.map((x) => x.id).sort().join(",");
-      const b = merged.find((x) => x.id === "B");
-      return ids === "A,B,C" && b.marker === "remote";
-    })
-  );
-
-  const okCount = results.filter((r) => r.ok).length;
-
-  return (
-    <div className="fixed bottom-4 right-4 z-50 w-72 rounded-2xl border border-[var(--ami-border)] bg-[var(--ami-surface)] p-3 shadow-lg">
-      <button onClick={() => setOpen((v) => !v)} className="mb-2 w-full rounded-lg bg-black px-3 py-1.5 text-sm text-white">
-        Tests ({okCount}/{results.length}) {open ? "▲" : "▼"}
-      </button>
-      {open && (
-        <ul className="space-y-1 text-xs">
-          {results.map((r, i) => (
-            <li key={i} className={r.ok ? "text-green-700" : "text-red-700"}>
-              {r.ok ? "✓" : "✗"} {r.name} {r.ok ? "" : `— ${r.msg}`}
-            </li>
-          ))}
-        </ul>
-      )}
-      <div className="mt-2 text-[10px] text-[var(--ami-subtle)]">
-        在网址后追加 <code>?debug=1</code> 可查看测试结果。
-      </div>
-    </div>
-  );
-}
-function test(name, fn) {
+/** Fetch + validate one /content file; never throws */
+async function loadContentFile(name) {
   try {
-    const r = fn();
-    return { name, ok: !!r, msg: r ? "" : "returned falsy" };
+    const payload = await fetchJSON(`/content/${name}`);
+    return { file: name, ...validatePayload(payload) };
   } catch (e) {
-    return { name, ok: false, msg: e?.message || String(e) };
+    return { file: name, ok: false, errors: [{ path: "$", message: e?.message || "加载失败" }], warnings: [], validIssues: [] };
+  }
+}
+
+/** Keep files with errors/warnings for the admin panel and log them */
+function reportContentProblems(results, setProblems) {
+  const problems = results.filter((r) => r.errors.length || r.warnings.length);
+  for (const p of problems) {
+    console.warn(`[content] ${p.file}\n${formatProblems([...p.errors, ...p.warnings])}`);
   }
+  setProblems(problems);
+}
+
+/** Shareable absolute URL for a hash route (keeps ?lang=, drops ?key= etc.) */
+function absoluteHashUrl(path) {
+  const query = window.location.hash.split("?")[1];
+  return `${window.location.origin}${window.location.pathname}#${path}${query ? `?${query}` : ""}`;
+}
+
+function downloadJSON(filenameBase, data) {
+  downloadFile(`${filenameBase}.json`, JSON.stringify(data, null, 2), "application/json");
 }
-function deepEq(a, b) {
-  return JSON.stringify(a) === JSON.stringify(b);
+
+function downloadFile(filename, body, type) {
+  const blob = new Blob([body], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
+
+// Named exports for the component tests (tests/components); the app only uses the default export
+export { ArchivePage, IssuePage, PrintIssue, Importer, EditorPage, ConflictsPage, CorrectionsPage, ThreadPage, TimelinePage };
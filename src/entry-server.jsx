@@ -0,0 +1,8 @@
+import React from 'react'
+import { renderToString } from 'react-dom/server'
+import App from './App.jsx'
+
+/** Build-time render for scripts/prerender.js: url is "/" or "/issue/<id>/", data is { summaries, issues } */
+export function render(url, data) {
+  return renderToString(<App ssr={{ url, ...data }} />)
+}
@@ -0,0 +1,61 @@
+/**
+ * Browser client of the content API (scripts/lib/content-api.js)
+ * - Cookie session: login() sets it (HttpOnly, so the page never sees the token), logout() ends it
+ * - getSession() -> { user, expiresAt } or null (not logged in, expired, or no API behind this site)
+ * - putIssue(issue, { base }): base = the revision the edit started from, sent as If-Match
+ * - Failures throw Error(message) with .status; a 409 also carries .reason ("stale" | "conflict") and .current
+ */
+const BASE = "/api";
+
+async function request(path, { method = "GET", body, headers = {}, fetchImpl = fetch } = {}) {
+  const res = await fetchImpl(`${BASE}${path}`, {
+    method,
+    credentials: "same-origin",
+    cache: "no-store",
+    headers: { ...(body !== undefined ? { "Content-Type": "application/json" } : {}), ...headers },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const data = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) {
+    const err = new Error(data?.error || `HTTP ${res.status}`);
+    err.status = res.status;
+    if (data?.reason) err.reason = data.reason;
+    if (data?.current) err.current = data.current;
+    throw err;
+  }
+  return data;
+}
+
+export async function getSession(opts) {
+  try {
+    return await request("/session", opts);
+  } catch {
+    return null;
+  }
+}
+
+export function login(user, password, opts) {
+  return request("/login", { ...opts, method: "POST", body: { user, password } });
+}
+
+export function logout(opts) {
+  return request("/logout", { ...opts, method: "POST" });
+}
+
+export async function listIssues(opts) {
+  return (await request("/issues", opts)).issues;
+}
+
+/** scripts/check-links.js report (admin only: it covers drafts) */
+export function getLinkReport(opts) {
+  return request("/link-report", opts);
+}
+
+export async function putIssue(issue, { base = null, ...opts } = {}) {
+  const headers = base != null ? { "If-Match": `"${base}"` } : {};
+  return (await request(`/issues/${encodeURIComponent(issue.id)}`, { ...opts, method: "PUT", headers, body: { issue } })).issue;
+}
+
+export function deleteIssue(id, opts) {
+  return request(`/issues/${encodeURIComponent(id)}`, { ...opts, method: "DELETE" });
+}
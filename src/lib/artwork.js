@@ -0,0 +1,124 @@
+/**
+ * Deterministic fallback artwork for items / issues without an image
+ * - Seeded from the issue id or "<issue>/<item slug>": the same item always gets the same picture,
+ *   on every render and visit, in prerendered HTML and offline (nothing is fetched)
+ * - Pure data: shapes on a 1200×675 canvas, colors are CSS variables from index.css;
+ *   <FallbackArt> in App.jsx draws them as inline SVG with the title / dates / market on top
+ */
+
+export const ART_WIDTH = 1200;
+export const ART_HEIGHT = 675;
+
+// Light → dark, all from the :root palette
+const FILLS = [
+  "var(--ami-bg-soft-2)",
+  "var(--ami-bg-soft-1)",
+  "var(--ami-border)",
+  "var(--ami-muted-4)",
+  "var(--ami-muted-3)",
+  "var(--ami-muted-1)",
+];
+const BACKGROUNDS = ["var(--ami-surface)", "var(--ami-bg)", "var(--ami-bg-soft-2)"];
+export const ART_MOTIFS = ["circles", "bars", "grid", "arcs"];
+
+/** FNV-1a, 32-bit */
+export function hashSeed(s) {
+  let h = 0x811c9dc5;
+  for (const ch of String(s ?? "")) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
+/** mulberry32: small seeded PRNG returning [0, 1) */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function circles(rand, pick) {
+  return Array.from({ length: 3 + Math.floor(rand() * 4) }, () => ({
+    type: "circle",
+    cx: Math.round(300 + rand() * 900),
+    cy: Math.round(rand() * ART_HEIGHT),
+    r: Math.round(80 + rand() * 260),
+    fill: pick(),
+    opacity: 0.5 + Math.round(rand() * 40) / 100,
+  }));
+}
+
+function bars(rand, pick) {
+  const n = 6 + Math.floor(rand() * 6);
+  const w = Math.round(720 / n);
+  const fill = pick();
+  return Array.from({ length: n }, (_, i) => {
+    const h = Math.round(120 + rand() * 420);
+    return { type: "rect", x: 440 + i * w, y: ART_HEIGHT - h, width: w - 12, height: h, rx: 6, fill, opacity: 0.45 + (i / n) * 0.5 };
+  });
+}
+
+function grid(rand, pick) {
+  const out = [];
+  const step = 60 + Math.floor(rand() * 3) * 20;
+  const fill = pick();
+  for (let x = 480; x < ART_WIDTH; x += step) {
+    for (let y = step / 2; y < ART_HEIGHT; y += step) {
+      const big = rand() < 0.12;
+      out.push(
+        big
+          ? { type: "rect", x: x - step / 2 + 6, y: y - step / 2 + 6, width: step - 12, height: step - 12, rx: 4, fill: pick(), opacity: 0.8 }
+          : { type: "circle", cx: x, cy: y, r: 5, fill, opacity: 0.9 }
+      );
+    }
+  }
+  return out;
+}
+
+function arcs(rand, pick) {
+  const cx = rand() < 0.5 ? ART_WIDTH : 760;
+  const cy = rand() < 0.5 ? 0 : ART_HEIGHT;
+  const stroke = pick();
+  return Array.from({ length: 5 + Math.floor(rand() * 4) }, (_, i) => {
+    const r = 90 + i * (50 + Math.round(rand() * 20));
+    return {
+      type: "circle",
+      cx,
+      cy,
+      r,
+      fill: "none",
+      stroke,
+      strokeWidth: 10 + Math.round(rand() * 18),
+      opacity: 0.35 + (i % 3) * 0.2,
+    };
+  });
+}
+
+const MOTIF_FNS = { circles, bars, grid, arcs };
+
+/**
+ * { width, height, background, motif, shapes: [{ type: "circle" | "rect", ...svg attrs }] }
+ * Shapes keep to the right of the canvas so the text overlay on the left stays readable.
+ */
+export function artworkSpec(seed) {
+  const rand = seededRandom(hashSeed(seed));
+  const motif = ART_MOTIFS[Math.floor(rand() * ART_MOTIFS.length)];
+  const light = FILLS.slice(0, 4);
+  const pick = () => {
+    const from = rand() < 0.75 ? light : FILLS;
+    return from[Math.floor(rand() * from.length)];
+  };
+  return {
+    width: ART_WIDTH,
+    height: ART_HEIGHT,
+    background: BACKGROUNDS[Math.floor(rand() * BACKGROUNDS.length)],
+    motif,
+    shapes: MOTIF_FNS[motif](rand, pick),
+  };
+}
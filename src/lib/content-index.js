@@ -0,0 +1,125 @@
+/**
+ * Content index summaries (public/content/index.json, written by scripts/build-content-index.js)
+ * - index.json: { version, files, summaries: [summary] }, newest first
+ * - summary: { id, start, end, status?, publishedAt?, revision?, updatedAt?, title, summaryCN?, summaryEN?, cover?, lead, itemCount, corrections?, threads?, facets, hash, file }
+ *   facets: { actor: { <name>: <item count> }, market: {...}, impact: {...} }
+ *   corrections: how many item corrections the issue carries (left out when none; #/corrections loads those bodies)
+ *   threads: { <thread key>: <item count> } (left out when none; #/thread/<key> loads those bodies)
+ *   enough to render an archive card and the facet sidebar without the weekly file
+ * - hash: sha256 of the validated issue (16 hex chars); the reader caches bodies in IndexedDB and
+ *   drops a cached body as soon as its hash no longer matches the index
+ * - An issue "stub" is a summary standing in for an issue whose body has not been loaded (no items array)
+ */
+import { buildFacets, facetKey, parseFacetValues, FACET_TYPES } from "./facets.js";
+import { localImage } from "./images.js";
+import { threadCounts } from "./threads.js";
+
+export const CONTENT_INDEX_VERSION = 2;
+export const ARCHIVE_PAGE_SIZE = 12;
+
+const HASH_RE = /^[0-9a-f]{16}$/;
+// Issue fields copied into the summary, in ISSUE_KEYS order (schema.js)
+const SUMMARY_KEYS = ["id", "start", "end", "status", "publishedAt", "revision", "updatedAt", "title", "summaryCN", "summaryEN", "cover"];
+
+/** sha256(JSON.stringify(issue)) -> first 16 hex chars; Web Crypto, so the same in Node and the browser */
+export async function contentHash(issue) {
+  const bytes = new TextEncoder().encode(JSON.stringify(issue));
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest("SHA-256", bytes));
+  return Array.from(digest.slice(0, 8), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function isStub(issue) {
+  return !!issue && !Array.isArray(issue.items);
+}
+
+export function itemCount(issue) {
+  return Array.isArray(issue?.items) ? issue.items.length : Number(issue?.itemCount) || 0;
+}
+
+/** First item's local image + market (card cover / fallback artwork); stubs carry it as `lead` */
+export function leadOf(issue) {
+  if (isStub(issue)) return issue.lead || {};
+  const first = issue?.items?.[0];
+  const image = localImage(first);
+  const market = first?.keyInfo?.market;
+  return { ...(image ? { image } : {}), ...(market ? { market } : {}) };
+}
+
+/** Facet counts of one issue: { actor: { name: count }, ... } (empty types left out) */
+function facetCounts(issue) {
+  const all = buildFacets([issue]);
+  return Object.fromEntries(
+    FACET_TYPES.filter((t) => all[t].length).map((t) => [t, Object.fromEntries(all[t].map((f) => [f.name, f.count]))])
+  );
+}
+
+/** Same shape as buildFacets([issue]) for a full issue or a stub */
+function issueFacets(issue) {
+  if (!isStub(issue)) return buildFacets([issue]);
+  return Object.fromEntries(
+    FACET_TYPES.map((t) => [t, Object.entries(issue.facets?.[t] || {}).map(([name, count]) => ({ name, count }))])
+  );
+}
+
+/** Number of item corrections, for a full issue or a stub */
+export function correctionCount(issue) {
+  if (isStub(issue)) return Number(issue?.corrections) || 0;
+  return issue.items.reduce((n, item) => n + (Array.isArray(item?.corrections) ? item.corrections.length : 0), 0);
+}
+
+export function issueSummary(issue, { file, hash }) {
+  const out = {};
+  for (const key of SUMMARY_KEYS) if (issue[key] != null && issue[key] !== "") out[key] = issue[key];
+  const corrections = correctionCount(issue);
+  const threads = threadCounts(issue);
+  return {
+    ...out,
+    lead: leadOf(issue),
+    itemCount: itemCount(issue),
+    ...(corrections ? { corrections } : {}),
+    ...(Object.keys(threads).length ? { threads } : {}),
+    facets: facetCounts(issue),
+    hash,
+    file,
+  };
+}
+
+/** { summaries, errors: [{ path, message }] }: entries missing id / dates / hash / file are dropped */
+export function readSummaries(idx) {
+  const errors = [];
+  const summaries = [];
+  const list = Array.isArray(idx?.summaries) ? idx.summaries : [];
+  list.forEach((s, i) => {
+    const path = `$.summaries[${i}]`;
+    if (!s || typeof s !== "object") return errors.push({ path, message: "应为对象" });
+    const missing = ["id", "start", "end", "file"].filter((k) => typeof s[k] !== "string" || !s[k]);
+    if (missing.length) return errors.push({ path, message: `缺少字段：${missing.join(", ")}` });
+    if (!HASH_RE.test(String(s.hash || ""))) return errors.push({ path: `${path}.hash`, message: "hash 应为 16 位十六进制" });
+    summaries.push(s);
+  });
+  return { summaries, errors };
+}
+
+/** Facets of a mixed list of full issues and stubs, same shape as buildFacets() */
+export function facetsOf(issues = []) {
+  const acc = Object.fromEntries(FACET_TYPES.map((t) => [t, new Map()]));
+  for (const issue of issues) {
+    const facets = issueFacets(issue);
+    for (const type of FACET_TYPES) {
+      for (const { name, count } of facets[type]) {
+        const key = facetKey(name);
+        const prev = acc[type].get(key);
+        acc[type].set(key, { name: prev?.name || name, count: (prev?.count || 0) + count });
+      }
+    }
+  }
+  return Object.fromEntries(
+    FACET_TYPES.map((type) => [type, [...acc[type].values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))])
+  );
+}
+
+/** Ids of the issues (full or stub) that mention the facet at least once */
+export function issuesWithFacet(issues = [], type, name) {
+  const key = facetKey(parseFacetValues(type, name)[0] || name);
+  return issues.filter((issue) => issueFacets(issue)[type].some((f) => facetKey(f.name) === key)).map((i) => i.id);
+}
@@ -0,0 +1,65 @@
+/**
+ * Corrections to published items
+ * - item.corrections: [{ at, noteCN, noteEN }] (at: ISO datetime with offset), oldest first; shown under the item
+ * - allCorrections(issues) -> every correction across issues, newest first (#/corrections)
+ * - correctIssue(before, after, { at, noteCN, noteEN }) -> after with one correction appended to each item
+ *   whose content changed (scripts/corrections.js); default notes name the changed fields
+ */
+import { diffIssues } from "./diff.js";
+import { itemSlugs } from "./slug.js";
+
+// Item fields a reader would call "the facts"; id / image / corrections edits are not corrections
+const CORRECTED_FIELDS = {
+  title: { cn: "标题", en: "title" },
+  factsCN: { cn: "事实", en: "facts" },
+  factsEN: { cn: "事实", en: "facts" },
+  keyInfo: { cn: "关键信息", en: "key info" },
+  links: { cn: "来源", en: "sources" },
+  whyCN: { cn: "重要性说明", en: "why it matters" },
+  whyEN: { cn: "重要性说明", en: "why it matters" },
+};
+
+export function correctionsOf(item) {
+  return Array.isArray(item?.corrections) ? item.corrections : [];
+}
+
+/** [{ issueId, itemIndex, slug, title, at, noteCN, noteEN }] newest first; stubs (no items yet) contribute nothing */
+export function allCorrections(issues = []) {
+  const out = [];
+  for (const issue of issues) {
+    const items = Array.isArray(issue?.items) ? issue.items : [];
+    const slugs = itemSlugs(items);
+    items.forEach((item, itemIndex) => {
+      for (const c of correctionsOf(item)) {
+        out.push({ issueId: issue.id, itemIndex, slug: slugs[itemIndex], title: item.title, ...c });
+      }
+    });
+  }
+  return out.sort((a, b) => Date.parse(b.at) - Date.parse(a.at) || a.issueId.localeCompare(b.issueId) || a.itemIndex - b.itemIndex);
+}
+
+/** Default notes for a set of changed fields: "更正：事实、来源。" / "Corrected: facts, sources." */
+export function correctionNotes(fields) {
+  const labels = (lang) => [...new Set(fields.filter((f) => CORRECTED_FIELDS[f]).map((f) => CORRECTED_FIELDS[f][lang]))];
+  return { noteCN: `更正：${labels("cn").join("、")}。`, noteEN: `Corrected: ${labels("en").join(", ")}.` };
+}
+
+/**
+ * -> { issue, corrected: [{ index, slug, fields }] }
+ * Only items present in both versions count (added / removed / moved-only items are not corrections);
+ * explicit noteCN / noteEN replace the generated notes for every corrected item.
+ */
+export function correctIssue(before, after, { at = new Date().toISOString(), noteCN = "", noteEN = "" } = {}) {
+  const corrected = [];
+  const items = [...(after.items || [])];
+  for (const x of diffIssues(before, after).items) {
+    if (x.status !== "changed") continue;
+    const fields = x.fields.map((f) => f.field).filter((f) => CORRECTED_FIELDS[f]);
+    if (!fields.length) continue;
+    const notes = correctionNotes(fields);
+    const entry = { at, noteCN: noteCN || notes.noteCN, noteEN: noteEN || notes.noteEN };
+    items[x.bIndex] = { ...x.b, corrections: [...correctionsOf(x.b), entry] };
+    corrected.push({ index: x.bIndex, slug: x.key, fields });
+  }
+  return { issue: corrected.length ? { ...after, items } : after, corrected };
+}
@@ -0,0 +1,109 @@
+/**
+ * Field- and item-level diff between two versions of an issue (admin conflict view)
+ * - Issue fields are compared one by one; items are matched by item.id, then slug, then position
+ * - Values compare structurally (object key order never counts); revision / updatedAt are version
+ *   metadata, not content, and are left out
+ * diffIssues(a, b) -> {
+ *   fields: [{ field, a, b }],
+ *   items:  [{ key, status, aIndex, bIndex, a, b, fields: [{ field, a, b }] }]
+ * }  status: "same" | "changed" | "moved" | "added" (only in b) | "removed" (only in a)
+ */
+import { itemSlugs } from "./slug.js";
+
+export const VERSION_KEYS = ["revision", "updatedAt"];
+const ISSUE_FIELDS = ["id", "start", "end", "status", "publishedAt", "title", "summaryCN", "summaryEN", "cover"];
+const ITEM_FIELDS = ["id", "title", "factsCN", "factsEN", "keyInfo", "links", "whyCN", "whyEN", "image", "corrections"];
+
+/** JSON with object keys sorted */
+export function canonicalJSON(value) {
+  const sort = (v) => {
+    if (Array.isArray(v)) return v.map(sort);
+    if (v && typeof v === "object") {
+      return Object.fromEntries(
+        Object.keys(v)
+          .sort()
+          .map((k) => [k, sort(v[k])])
+      );
+    }
+    return v;
+  };
+  return JSON.stringify(sort(value)) ?? "undefined";
+}
+
+export function sameValue(a, b) {
+  return canonicalJSON(a) === canonicalJSON(b);
+}
+
+/** Fields whose values differ: known ones first (schema order), then anything else either side has */
+function fieldDiff(a, b, known, skip = []) {
+  const extra = [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])].filter((k) => !known.includes(k));
+  return [...known, ...extra]
+    .filter((k) => !skip.includes(k) && !sameValue(a?.[k], b?.[k]))
+    .map((field) => ({ field, a: a?.[field], b: b?.[field] }));
+}
+
+/** For each item of `as`, the index of its counterpart in `bs` (-1: removed) */
+function matchItems(as, bs) {
+  const aSlugs = itemSlugs(as);
+  const bSlugs = itemSlugs(bs);
+  const match = new Array(as.length).fill(-1);
+  const taken = new Set();
+  const passes = [
+    (i, j) => !!as[i]?.id && as[i].id === bs[j]?.id,
+    (i, j) => aSlugs[i] === bSlugs[j],
+    // Same slot: usually the same story with an edited title
+    (i, j) => i === j,
+  ];
+  for (const same of passes) {
+    as.forEach((_, i) => {
+      if (match[i] >= 0) return;
+      const j = bs.findIndex((__, k) => !taken.has(k) && same(i, k));
+      if (j >= 0) {
+        match[i] = j;
+        taken.add(j);
+      }
+    });
+  }
+  return { match, aSlugs, bSlugs };
+}
+
+export function diffIssues(a, b) {
+  const as = Array.isArray(a?.items) ? a.items : [];
+  const bs = Array.isArray(b?.items) ? b.items : [];
+  const { match, aSlugs, bSlugs } = matchItems(as, bs);
+  const fromA = new Map(match.map((j, i) => [j, i]));
+
+  // b's order, with items only a has appended at the end
+  const items = bs.map((item, j) => {
+    if (!fromA.has(j)) return { key: bSlugs[j], status: "added", aIndex: -1, bIndex: j, a: null, b: item, fields: fieldDiff(null, item, ITEM_FIELDS) };
+    const i = fromA.get(j);
+    const fields = fieldDiff(as[i], item, ITEM_FIELDS);
+    const status = fields.length ? "changed" : i !== j ? "moved" : "same";
+    return { key: bSlugs[j], status, aIndex: i, bIndex: j, a: as[i], b: item, fields };
+  });
+  as.forEach((item, i) => {
+    if (match[i] < 0) items.push({ key: aSlugs[i], status: "removed", aIndex: i, bIndex: -1, a: item, b: null, fields: fieldDiff(item, null, ITEM_FIELDS) });
+  });
+
+  return { fields: fieldDiff(a, b, ISSUE_FIELDS, ["items", ...VERSION_KEYS]), items };
+}
+
+/** { fields, changed, moved, added, removed } counts for a one-line summary */
+export function diffCounts(diff) {
+  const count = (s) => diff.items.filter((x) => x.status === s).length;
+  return { fields: diff.fields.length, changed: count("changed"), moved: count("moved"), added: count("added"), removed: count("removed") };
+}
+
+/** Display lines for a field value: strings as-is, lists one per line, objects as "key: value" */
+export function valueLines(value) {
+  if (value == null) return [];
+  if (Array.isArray(value)) {
+    return value.flatMap((v) =>
+      v && typeof v === "object" && "url" in v ? [`- ${v.label ? `${v.label} ` : ""}<${v.url}>`] : valueLines(v).map((l) => `- ${l}`)
+    );
+  }
+  if (typeof value === "object") {
+    return Object.entries(value).map(([k, v]) => `${k}: ${typeof v === "object" && v !== null ? JSON.stringify(v) : v}`);
+  }
+  return String(value).split("\n");
+}
@@ -0,0 +1,139 @@
+/**
+ * Issue editor state (pure; the #/edit/<id> UI lives in App.jsx)
+ * - blank issue/item templates and immutable list helpers (move / insert / remove)
+ * - undo/redo history; rapid edits to the same field coalesce into one step
+ * - normalizeIssue(): drop empty optional fields before publishing
+ * Drafts are stored by the UI under DRAFTS_KEY, separate from published data.
+ */
+import { weekOf, weekTitle } from "./weeks.js";
+
+export const DRAFTS_KEY = "mw.drafts.v1";
+export const HISTORY_LIMIT = 100;
+const COALESCE_MS = 800;
+
+/** The Monday–Sunday week containing `today` (+08:00, src/lib/weeks.js); id follows the start_end rule */
+export function blankIssue(today = new Date()) {
+  const { id, start, end } = weekOf(today);
+  return {
+    id,
+    start,
+    end,
+    status: "draft",
+    title: weekTitle(start, end),
+    summaryCN: "",
+    summaryEN: "",
+    cover: { src: "/01.gif", type: "image" },
+    items: [],
+  };
+}
+
+export function blankItem() {
+  return {
+    title: "",
+    factsCN: [""],
+    factsEN: [""],
+    keyInfo: { timeSGT: "", actor: "", market: "", impact: "" },
+    links: [{ label: "", url: "" }],
+    whyCN: "",
+    whyEN: "",
+  };
+}
+
+// ---------- Immutable helpers ----------
+export function moveItem(list, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [x] = next.splice(from, 1);
+  next.splice(to, 0, x);
+  return next;
+}
+
+export function insertAt(list, idx, value) {
+  const next = [...list];
+  next.splice(idx, 0, value);
+  return next;
+}
+
+export function removeAt(list, idx) {
+  return list.filter((_, i) => i !== idx);
+}
+
+/** setIn(issue, ["items", 2, "keyInfo", "actor"], "OpenAI") */
+export function setIn(obj, path, value) {
+  if (!path.length) return value;
+  const [k, ...rest] = path;
+  const base = Array.isArray(obj) ? [...obj] : { ...(obj || {}) };
+  base[k] = setIn(base[k], rest, value);
+  return base;
+}
+
+// ---------- History ----------
+export function initHistory(present) {
+  return { past: [], present, future: [], lastKey: null, lastAt: 0 };
+}
+
+/**
+ * Record a new state. Same `key` within COALESCE_MS replaces the present
+ * (typing in one field is one undo step); key = null always pushes.
+ */
+export function pushHistory(h, next, { key = null, now = Date.now() } = {}) {
+  if (next === h.present) return h;
+  const coalesce = key != null && key === h.lastKey && now - h.lastAt < COALESCE_MS;
+  const past = coalesce ? h.past : [...h.past, h.present].slice(-HISTORY_LIMIT);
+  return { past, present: next, future: [], lastKey: key, lastAt: now };
+}
+
+export function undo(h) {
+  if (!h.past.length) return h;
+  return { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future], lastKey: null, lastAt: 0 };
+}
+
+export function redo(h) {
+  if (!h.future.length) return h;
+  return { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1), lastKey: null, lastAt: 0 };
+}
+
+// ---------- Publish ----------
+function trimOrDrop(obj, key) {
+  if (typeof obj[key] !== "string") return;
+  const v = obj[key].trim();
+  if (v) obj[key] = v;
+  else delete obj[key];
+}
+
+function normalizeImage(img) {
+  if (!img || typeof img !== "object") return undefined;
+  const out = { ...img };
+  for (const k of ["src", "alt", "href"]) trimOrDrop(out, k);
+  if (!out.src) return undefined;
+  return out;
+}
+
+/** Strip blank facts / links / keyInfo fields and empty optional strings */
+export function normalizeIssue(issue) {
+  const out = { ...issue };
+  for (const k of ["title", "summaryCN", "summaryEN", "publishedAt"]) trimOrDrop(out, k);
+  out.cover = normalizeImage(issue.cover);
+  if (!out.cover) delete out.cover;
+  out.items = (issue.items || []).map((it) => {
+    const item = { ...it };
+    for (const k of ["id", "title", "whyCN", "whyEN", "thread"]) trimOrDrop(item, k);
+    const related = (it.related || []).map((r) => r.trim()).filter(Boolean);
+    if (related.length) item.related = related;
+    else delete item.related;
+    item.factsCN = (it.factsCN || []).map((f) => f.trim()).filter(Boolean);
+    item.factsEN = (it.factsEN || []).map((f) => f.trim()).filter(Boolean);
+    const keyInfo = { ...(it.keyInfo || {}) };
+    for (const k of Object.keys(keyInfo)) trimOrDrop(keyInfo, k);
+    item.keyInfo = keyInfo;
+    item.links = (it.links || [])
+      .map((l) => ({ ...l, url: (l.url || "").trim(), label: (l.label || "").trim() }))
+      .filter((l) => l.url)
+      .map(({ label, ...l }) => (label ? { ...l, label } : l));
+    const image = normalizeImage(it.image);
+    if (image) item.image = image;
+    else delete item.image;
+    return item;
+  });
+  return out;
+}
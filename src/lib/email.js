@@ -0,0 +1,168 @@
+/**
+ * Newsletter export: one issue -> { subject, html, text }
+ * - HTML is table-based with inline styles only (no <style>, no external CSS, no JS)
+ *   so it survives Gmail / Outlook / Apple Mail
+ * - Numbered items, CN/EN facts, keyInfo row, source links, "Why it matters" box
+ * - text is the matching plain-text alternative (multipart/alternative)
+ * - lang follows the UI modes (cn / en / bi); admin button in App.jsx, CLI in scripts/export-email.js
+ */
+import { SITE_TITLE, issueUrl, itemUrl } from "./feeds.js";
+import { itemSlugs } from "./slug.js";
+import { escapeHtml } from "./format.js";
+import { t, pickTitle, pickPair, pickFacts } from "./i18n.js";
+
+const COLORS = {
+  bg: "#F8F8F7",
+  surface: "#FFFFFF",
+  text: "#1F1F1D",
+  muted: "#6B6B66",
+  border: "#E5E5E2",
+  box: "#F1F1EE",
+  accent: "#1F1F1D",
+};
+const FONT = "-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'PingFang SC','Microsoft YaHei',Helvetica,Arial,sans-serif";
+
+function num(idx) {
+  return String(idx + 1).padStart(2, "0");
+}
+
+/** [{ label, value }] of the item's keyInfo, the time marked SGT (also the print layout's, print.js) */
+export function keyInfoParts(item, lang) {
+  const k = item.keyInfo || {};
+  return [
+    k.timeSGT && { label: t(lang, "keyInfo.time"), value: `${String(k.timeSGT).replace(/\s*SGT$/i, "")} SGT` },
+    k.actor && { label: t(lang, "keyInfo.actor"), value: k.actor },
+    k.market && { label: t(lang, "keyInfo.market"), value: k.market },
+    k.impact && { label: t(lang, "keyInfo.impact"), value: k.impact },
+  ].filter(Boolean);
+}
+
+function validLinks(item) {
+  return (Array.isArray(item.links) ? item.links : []).filter((l) => l?.url);
+}
+
+export function emailSubject(issue, lang = "bi") {
+  return `${SITE_TITLE} · ${pickTitle(issue.title || `${issue.start} — ${issue.end}`, lang)}`;
+}
+
+// ---------- HTML ----------
+function renderItem(item, idx, { lang, url }) {
+  const facts = pickFacts(item.factsCN, item.factsEN, lang)
+    .map(
+      (f) =>
+        `<p style="margin:0 0 8px;font-size:15px;line-height:1.6;color:${f.lang === "en" && lang === "bi" ? COLORS.muted : COLORS.text};">${escapeHtml(f.text)}</p>`
+    )
+    .join("");
+
+  const info = keyInfoParts(item, lang);
+  const infoRow = info.length
+    ? `<p style="margin:8px 0 0;font-size:12px;line-height:1.6;color:${COLORS.muted};">${info
+        .map((p) => `<strong style="color:${COLORS.text};">${escapeHtml(p.label)}</strong>&nbsp;${escapeHtml(p.value)}`)
+        .join(" &nbsp;·&nbsp; ")}</p>`
+    : "";
+
+  const links = validLinks(item);
+  const linkRow = links.length
+    ? `<p style="margin:8px 0 0;font-size:13px;line-height:1.6;color:${COLORS.muted};">${escapeHtml(t(lang, "item.source"))}: ${links
+        .map((l) => `<a href="${escapeHtml(l.url)}" style="color:${COLORS.accent};text-decoration:underline;">${escapeHtml(l.label || l.url)}</a>`)
+        .join(" &nbsp;|&nbsp; ")}</p>`
+    : "";
+
+  const why = pickPair(item.whyCN, item.whyEN, lang);
+  const whyBox = why.length
+    ? `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-top:12px;">
+<tr><td style="background:${COLORS.box};border-left:3px solid ${COLORS.accent};padding:12px 14px;">
+<p style="margin:0 0 6px;font-size:12px;font-weight:bold;letter-spacing:0.5px;color:${COLORS.text};">${escapeHtml(t(lang, "item.why"))}</p>
+${why.map((w) => `<p style="margin:0 0 4px;font-size:14px;line-height:1.6;color:${w.lang === "en" && lang === "bi" ? COLORS.muted : COLORS.text};">${escapeHtml(w.text)}</p>`).join("\n")}
+</td></tr>
+</table>`
+    : "";
+
+  return `<tr><td style="padding:20px 24px;border-top:1px solid ${COLORS.border};">
+<p style="margin:0 0 8px;font-size:18px;line-height:1.4;font-weight:bold;color:${COLORS.text};"><span style="color:${COLORS.muted};">${num(idx)}</span>&nbsp; <a href="${escapeHtml(url)}" style="color:${COLORS.text};text-decoration:none;">${escapeHtml(pickTitle(item.title, lang))}</a></p>
+${facts}
+${infoRow}
+${linkRow}
+${whyBox}
+</td></tr>`;
+}
+
+export function renderEmailHtml(issue, { siteUrl, lang = "bi" } = {}) {
+  const items = issue.items || [];
+  const slugs = itemSlugs(items);
+  const webUrl = issueUrl(siteUrl, issue);
+  const title = pickTitle(issue.title || `${issue.start} — ${issue.end}`, lang);
+  const summary = pickPair(issue.summaryCN, issue.summaryEN, lang);
+  // Hidden preheader: the inbox preview line
+  const preheader = summary.map((s) => s.text).join(" / ") || items.map((it) => pickTitle(it.title, lang)).slice(0, 3).join(" · ");
+
+  return `<!doctype html>
+<html lang="${lang === "en" ? "en" : "zh-CN"}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(emailSubject(issue, lang))}</title>
+</head>
+<body style="margin:0;padding:0;background:${COLORS.bg};">
+<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;">${escapeHtml(preheader)}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background:${COLORS.bg};">
+<tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0" style="width:100%;max-width:600px;background:${COLORS.surface};border:1px solid ${COLORS.border};font-family:${FONT};">
+<tr><td style="padding:24px 24px 16px;">
+<p style="margin:0 0 4px;font-size:22px;font-style:italic;font-weight:bold;color:${COLORS.text};">${escapeHtml(SITE_TITLE)}</p>
+<p style="margin:0 0 12px;font-size:12px;color:${COLORS.muted};">${escapeHtml(issue.start)} — ${escapeHtml(issue.end)} · ${escapeHtml(t(lang, "archive.itemsCount", { n: items.length }))}</p>
+<p style="margin:0 0 8px;font-size:20px;line-height:1.4;font-weight:bold;color:${COLORS.text};">${escapeHtml(title)}</p>
+${summary.map((s) => `<p style="margin:0 0 6px;font-size:14px;line-height:1.6;color:${COLORS.muted};">${escapeHtml(s.text)}</p>`).join("\n")}
+</td></tr>
+${items.map((item, idx) => renderItem(item, idx, { lang, url: itemUrl(siteUrl, issue, slugs[idx]) })).join("\n")}
+<tr><td style="padding:16px 24px 24px;border-top:1px solid ${COLORS.border};font-size:12px;line-height:1.6;color:${COLORS.muted};">
+<a href="${escapeHtml(webUrl)}" style="color:${COLORS.accent};text-decoration:underline;">${escapeHtml(t(lang, "email.readOnline"))}</a><br />
+${escapeHtml(SITE_TITLE)} · ${escapeHtml(t(lang, "footer.tagline"))}
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+}
+
+// ---------- Plain text ----------
+export function renderEmailText(issue, { siteUrl, lang = "bi" } = {}) {
+  const items = issue.items || [];
+  const slugs = itemSlugs(items);
+  const out = [];
+  const title = pickTitle(issue.title || `${issue.start} — ${issue.end}`, lang);
+  out.push(`${SITE_TITLE} · ${title}`, `${issue.start} — ${issue.end}`, "");
+  const summary = pickPair(issue.summaryCN, issue.summaryEN, lang);
+  if (summary.length) out.push(...summary.map((s) => s.text), "");
+  out.push(`${t(lang, "email.readOnline")}: ${issueUrl(siteUrl, issue)}`);
+
+  items.forEach((item, idx) => {
+    out.push("", "-".repeat(40), "", `${num(idx)}  ${pickTitle(item.title, lang)}`, itemUrl(siteUrl, issue, slugs[idx]), "");
+    for (const f of pickFacts(item.factsCN, item.factsEN, lang)) out.push(`- ${f.text}`);
+    const info = keyInfoParts(item, lang);
+    if (info.length) out.push("", info.map((p) => `${p.label}: ${p.value}`).join(" | "));
+    const links = validLinks(item);
+    if (links.length) {
+      out.push("", `${t(lang, "item.source")}:`);
+      for (const l of links) out.push(`  ${l.label ? `${l.label} ` : ""}<${l.url}>`);
+    }
+    const why = pickPair(item.whyCN, item.whyEN, lang);
+    if (why.length) {
+      out.push("", `> ${t(lang, "item.why")}`);
+      for (const w of why) out.push(`> ${w.text}`);
+    }
+  });
+
+  out.push("", "-".repeat(40), "", `${SITE_TITLE} · ${t(lang, "footer.tagline")}`);
+  return `${out.join("\n")}\n`;
+}
+
+export function buildEmail(issue, opts = {}) {
+  return {
+    subject: emailSubject(issue, opts.lang),
+    html: renderEmailHtml(issue, opts),
+    text: renderEmailText(issue, opts),
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Facets from item.keyInfo (actor / market / impact)
+ * - actor: "OpenAI; Anthropic" / "OpenAI / Anthropic" -> two entities
+ * - market: "航天/卫星互联网" -> "航天" + "卫星互联网"
+ * - impact: one entity per ";"-separated phrase
+ * - FACET_ALIASES merges spellings ("Google DeepMind" -> "Google"); matching is case-insensitive
+ * - Routes: #/actor/<name>, #/market/<name>, #/impact/<name>
+ */
+import { itemSlugs } from "./slug.js";
+
+export const FACET_TYPES = ["actor", "market", "impact"];
+
+/** alias (any case) -> canonical display name */
+export const FACET_ALIASES = {
+  actor: {
+    "Google DeepMind": "Google",
+    DeepMind: "Google",
+    "Google AI": "Google",
+    EC: "European Commission",
+    "EU Commission": "European Commission",
+    "NASA/ESA/CSA": "NASA",
+    "Open AI": "OpenAI",
+  },
+  market: {
+    航天重型运载: "航天",
+    "AI研究": "AI 研究",
+  },
+  impact: {},
+};
+
+const SPLITTERS = {
+  actor: /\s*(?:[;；、,，]|\s\/\s)\s*/,
+  market: /\s*[;；、,，/／]\s*/,
+  impact: /\s*[;；]\s*/,
+};
+
+const aliasMaps = Object.fromEntries(
+  FACET_TYPES.map((type) => [
+    type,
+    new Map(Object.entries(FACET_ALIASES[type] || {}).map(([from, to]) => [facetKey(from), to])),
+  ])
+);
+
+export function facetKey(name) {
+  return String(name || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/** Raw keyInfo value -> [{ label, name }]: label as written, name canonical (deduped by name) */
+export function parseFacetParts(type, raw) {
+  if (!raw || typeof raw !== "string" || !SPLITTERS[type]) return [];
+  const out = [];
+  const seen = new Set();
+  for (const part of raw.split(SPLITTERS[type])) {
+    const label = part.trim().replace(/\s+/g, " ");
+    if (!label) continue;
+    const name = aliasMaps[type].get(facetKey(label)) || label;
+    const key = facetKey(name);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ label, name });
+  }
+  return out;
+}
+
+/** Raw keyInfo value -> canonical entity names */
+export function parseFacetValues(type, raw) {
+  return parseFacetParts(type, raw).map((p) => p.name);
+}
+
+export function itemFacets(item) {
+  const k = item?.keyInfo || {};
+  return Object.fromEntries(FACET_TYPES.map((type) => [type, parseFacetValues(type, k[type])]));
+}
+
+/** { actor: [{ name, count }], market: [...], impact: [...] } sorted by count desc, then name */
+export function buildFacets(issues = []) {
+  const acc = Object.fromEntries(FACET_TYPES.map((t) => [t, new Map()]));
+  for (const issue of issues) {
+    for (const item of issue.items || []) {
+      const f = itemFacets(item);
+      for (const type of FACET_TYPES) {
+        for (const name of f[type]) {
+          const key = facetKey(name);
+          const prev = acc[type].get(key);
+          acc[type].set(key, { name: prev?.name || name, count: (prev?.count || 0) + 1 });
+        }
+      }
+    }
+  }
+  return Object.fromEntries(
+    FACET_TYPES.map((type) => [
+      type,
+      [...acc[type].values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    ])
+  );
+}
+
+/** Event date for ordering: keyInfo.timeSGT, else the issue start */
+export function itemDate(item, issue) {
+  return String(item?.keyInfo?.timeSGT || issue.start || "");
+}
+
+/** Whether the item is tagged with the facet (any alias / case of the name) */
+export function itemHasFacet(item, type, name) {
+  const key = facetKey(aliasMaps[type]?.get(facetKey(name)) || name);
+  return parseFacetValues(type, item?.keyInfo?.[type]).some((n) => facetKey(n) === key);
+}
+
+/** Every item tagged with the facet, newest first: [{ issue, item, idx, slug, date }] */
+export function itemsForFacet(issues = [], type, name) {
+  const out = [];
+  for (const issue of issues) {
+    const items = issue.items || [];
+    const slugs = itemSlugs(items);
+    items.forEach((item, idx) => {
+      if (itemHasFacet(item, type, name)) {
+        out.push({ issue, item, idx, slug: slugs[idx], date: itemDate(item, issue) });
+      }
+    });
+  }
+  return out.sort((a, b) => b.date.localeCompare(a.date) || String(b.issue.start).localeCompare(String(a.issue.start)) || a.idx - b.idx);
+}
+
+export function facetHref(type, name) {
+  return `#/${type}/${encodeURIComponent(name)}`;
+}
@@ -0,0 +1,226 @@
+/**
+ * RSS 2.0 / Atom 1.0 / JSON Feed 1.1 builders
+ * - Pure string builders; scripts/build-feeds.js does the file IO
+ * - One entry per issue (items rendered as HTML), optional per-item feeds
+ * - Permalinks follow the SPA routes: <site>/#/issue/<id>[/item/<slug>]
+ */
+import { itemSlugs } from "./slug.js";
+import { escapeHtml } from "./format.js";
+
+export const SITE_TITLE = "Amicus";
+export const SITE_DESCRIPTION = "精选且可核验的科技/IT 周报 / Curated, verifiable tech/IT weekly";
+
+export function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function trimSlash(u) {
+  return String(u || "").replace(/\/+$/, "");
+}
+
+export function issueUrl(siteUrl, issue) {
+  return `${trimSlash(siteUrl)}/#/issue/${issue.id}`;
+}
+
+export function itemUrl(siteUrl, issue, slug) {
+  return `${issueUrl(siteUrl, issue)}/item/${encodeURIComponent(slug)}`;
+}
+
+/** publishedAt, else the Monday after the week ends (00:00 +08:00) */
+export function issueDate(issue) {
+  if (issue.publishedAt && !isNaN(Date.parse(issue.publishedAt))) return new Date(issue.publishedAt);
+  const d = new Date(`${issue.end}T00:00:00+08:00`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d;
+}
+
+/** Newest first, by publish date then start */
+export function sortIssuesForFeed(issues = []) {
+  return [...issues].sort((a, b) => issueDate(b) - issueDate(a) || String(b.start).localeCompare(String(a.start)));
+}
+
+// ---------- HTML bodies ----------
+export function renderItemHtml(item, idx) {
+  const out = [];
+  out.push(`<h2>${String(idx + 1).padStart(2, "0")} ${escapeHtml(item.title)}</h2>`);
+  const cn = Array.isArray(item.factsCN) ? item.factsCN : [];
+  const en = Array.isArray(item.factsEN) ? item.factsEN : [];
+  for (let i = 0; i < Math.max(cn.length, en.length); i++) {
+    if (cn[i]) out.push(`<p>${escapeHtml(cn[i])}</p>`);
+    if (en[i]) out.push(`<p><em>${escapeHtml(en[i])}</em></p>`);
+  }
+  const k = item.keyInfo || {};
+  const info = [
+    k.timeSGT && `时间 / Time: ${escapeHtml(k.timeSGT)} SGT`,
+    k.actor && `主体 / Actor: ${escapeHtml(k.actor)}`,
+    k.market && `地区/市场 / Market: ${escapeHtml(k.market)}`,
+    k.impact && `影响 / Impact: ${escapeHtml(k.impact)}`,
+  ].filter(Boolean);
+  if (info.length) out.push(`<p><small>${info.join(" · ")}</small></p>`);
+  if (item.whyCN || item.whyEN) {
+    out.push(
+      `<blockquote><p><strong>这为什么重要 / Why it matters</strong></p>` +
+        (item.whyCN ? `<p>${escapeHtml(item.whyCN)}</p>` : "") +
+        (item.whyEN ? `<p><em>${escapeHtml(item.whyEN)}</em></p>` : "") +
+        `</blockquote>`
+    );
+  }
+  const links = Array.isArray(item.links) ? item.links : [];
+  if (links.length) {
+    out.push(
+      `<ul>${links
+        .map((l) => `<li><a href="${escapeHtml(l.url)}">${escapeHtml(l.label || l.url)}</a></li>`)
+        .join("")}</ul>`
+    );
+  }
+  return out.join("\n");
+}
+
+export function renderIssueHtml(issue) {
+  const out = [];
+  if (issue.summaryCN) out.push(`<p>${escapeHtml(issue.summaryCN)}</p>`);
+  if (issue.summaryEN) out.push(`<p><em>${escapeHtml(issue.summaryEN)}</em></p>`);
+  (issue.items || []).forEach((item, idx) => out.push(renderItemHtml(item, idx)));
+  return out.join("\n");
+}
+
+function issueSummaryText(issue) {
+  return [issue.summaryCN, issue.summaryEN].filter(Boolean).join(" / ") || `${(issue.items || []).length} items`;
+}
+
+function itemSummaryText(item) {
+  return [item.factsCN?.[0], item.factsEN?.[0]].filter(Boolean).join(" / ");
+}
+
+// ---------- Entries (shared by all three formats) ----------
+export function issueEntries(issues, siteUrl) {
+  return sortIssuesForFeed(issues).map((issue) => {
+    const url = issueUrl(siteUrl, issue);
+    return {
+      id: url,
+      url,
+      title: issue.title || `${issue.start} — ${issue.end}`,
+      summary: issueSummaryText(issue),
+      html: renderIssueHtml(issue),
+      date: issueDate(issue),
+      image: absolutize(siteUrl, issue.cover?.src),
+    };
+  });
+}
+
+export function itemEntries(issues, siteUrl) {
+  const out = [];
+  for (const issue of sortIssuesForFeed(issues)) {
+    const slugs = itemSlugs(issue.items || []);
+    (issue.items || []).forEach((item, idx) => {
+      const url = itemUrl(siteUrl, issue, slugs[idx]);
+      out.push({
+        id: url,
+        url,
+        title: item.title,
+        summary: itemSummaryText(item),
+        html: renderItemHtml(item, idx),
+        date: issueDate(issue),
+        image: absolutize(siteUrl, item.image?.src),
+      });
+    });
+  }
+  return out;
+}
+
+function absolutize(siteUrl, src) {
+  if (!src) return "";
+  if (/^https?:\/\//i.test(src)) return src;
+  return `${trimSlash(siteUrl)}/${String(src).replace(/^\/+/, "")}`;
+}
+
+function latest(entries) {
+  return entries.reduce((max, e) => (e.date > max ? e.date : max), new Date(0));
+}
+
+// ---------- RSS 2.0 ----------
+export function buildRss(entries, { siteUrl, feedUrl, title = SITE_TITLE, description = SITE_DESCRIPTION }) {
+  const home = `${trimSlash(siteUrl)}/`;
+  const items = entries
+    .map(
+      (e) => `    <item>
+      <title>${escapeXml(e.title)}</title>
+      <link>${escapeXml(e.url)}</link>
+      <guid isPermaLink="${e.id === e.url}">${escapeXml(e.id)}</guid>
+      <pubDate>${e.date.toUTCString()}</pubDate>
+      <description>${escapeXml(e.html)}</description>
+    </item>`
+    )
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(home)}</link>
+    <description>${escapeXml(description)}</description>
+    <language>zh-cn</language>
+    <lastBuildDate>${latest(entries).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml" />
+${items}
+  </channel>
+</rss>
+`;
+}
+
+// ---------- Atom 1.0 ----------
+export function buildAtom(entries, { siteUrl, feedUrl, title = SITE_TITLE, description = SITE_DESCRIPTION }) {
+  const home = `${trimSlash(siteUrl)}/`;
+  const items = entries
+    .map(
+      (e) => `  <entry>
+    <title>${escapeXml(e.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(e.url)}" />
+    <id>${escapeXml(e.id)}</id>
+    <published>${e.date.toISOString()}</published>
+    <updated>${e.date.toISOString()}</updated>
+    <summary>${escapeXml(e.summary)}</summary>
+    <content type="html">${escapeXml(e.html)}</content>
+  </entry>`
+    )
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="zh-CN">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(home)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}" />
+  <id>${escapeXml(home)}</id>
+  <updated>${latest(entries).toISOString()}</updated>
+  <author><name>${escapeXml(SITE_TITLE)}</name></author>
+${items}
+</feed>
+`;
+}
+
+// ---------- JSON Feed 1.1 ----------
+export function buildJsonFeed(entries, { siteUrl, feedUrl, title = SITE_TITLE, description = SITE_DESCRIPTION }) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title,
+    home_page_url: `${trimSlash(siteUrl)}/`,
+    feed_url: feedUrl,
+    description,
+    language: "zh-CN",
+    authors: [{ name: SITE_TITLE }],
+    items: entries.map((e) => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      summary: e.summary,
+      content_html: e.html,
+      ...(e.image ? { image: e.image } : {}),
+      date_published: e.date.toISOString(),
+    })),
+  };
+  return JSON.stringify(feed, null, 2) + "\n";
+}
@@ -0,0 +1,51 @@
+/**
+ * Small display helpers shared by the reader UI
+ * - fmtMonthDay(): "Aug 18" (month + day only; the archive never shows times)
+ * - fmtSGT(): "2025-09-02 09:00 SGT" for correction times (fixed zone, so prerendered HTML hydrates as-is)
+ * - fmtLocal(): the same instant in the reader's zone, "28 Aug, 08:00 GMT+2" (differs per reader, so render it after mount)
+ * - domainFromUrl(): "reuters.com" for source chips (www. stripped, "" when unparsable)
+ * - escapeHtml(): text / attribute escaping for the HTML string builders (feeds, email, meta)
+ */
+
+export function fmtMonthDay(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return d.toLocaleDateString("en-SG", { month: "short", day: "2-digit" });
+}
+
+export function fmtSGT(iso) {
+  const t = Date.parse(iso ?? "");
+  if (isNaN(t)) return "";
+  const sgt = new Date(t + 8 * 3600 * 1000).toISOString();
+  return `${sgt.slice(0, 10)} ${sgt.slice(11, 16)} SGT`;
+}
+
+/** options.timeZone / locale default to the reader's */
+export function fmtLocal(ms, { locale, timeZone } = {}) {
+  if (!Number.isFinite(ms)) return "";
+  return new Date(ms).toLocaleString(locale, {
+    month: "short",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+    timeZoneName: "short",
+    ...(timeZone ? { timeZone } : {}),
+  });
+}
+
+export function domainFromUrl(u) {
+  try {
+    return new URL(u).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+export function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,334 @@
+/**
+ * Language modes + UI message catalog
+ * - "cn": Chinese only / "en": English only / "bi": interleaved bilingual
+ * - Preference persisted in localStorage (LANG_KEY) and mirrored in the hash (?lang=)
+ * - Each message has cn/en; "bi" uses an explicit `bi` string or falls back to cn
+ * - Placeholders: t("bi", "itemsCount", { n: 3 })
+ */
+
+export const LANGS = ["cn", "en", "bi"];
+export const DEFAULT_LANG = "bi";
+export const LANG_KEY = "mw.lang";
+
+export const MESSAGES = {
+  // Language switch
+  "lang.cn": { cn: "中", en: "中" },
+  "lang.en": { cn: "EN", en: "EN" },
+  "lang.bi": { cn: "双语", en: "Both", bi: "中/EN" },
+  "lang.switch": { cn: "切换语言", en: "Switch language", bi: "切换语言 / Language" },
+
+  // Header
+  "header.share": { cn: "分享", en: "Share" },
+  "header.shareText": { cn: "精选且可核验的科技/IT 周报", en: "Curated, verifiable tech/IT weekly" },
+  "header.copied": { cn: "链接已复制到剪贴板", en: "Link copied to clipboard" },
+  "header.import": { cn: "导入", en: "Import" },
+  "header.importTitle": { cn: "导入 JSON", en: "Import JSON" },
+  "header.export": { cn: "导出", en: "Export" },
+  "header.exportTitle": { cn: "导出 JSON", en: "Export JSON" },
+  "header.exportMd": { cn: "Markdown", en: "Markdown" },
+  "header.exportMdTitle": { cn: "导出 Markdown（当前周报或全部）", en: "Export Markdown (this issue or all)" },
+  "header.links": { cn: "链接检查", en: "Links" },
+  "header.linksTitle": { cn: "来源链接检查报告", en: "Source link report" },
+  "header.email": { cn: "邮件", en: "Email" },
+  "header.emailTitle": { cn: "导出本期为邮件 HTML", en: "Export this issue as email HTML" },
+  "header.logout": { cn: "退出登录", en: "Sign out" },
+  "header.logoutTitle": { cn: "已登录：{user}", en: "Signed in as {user}" },
+  "login.title": { cn: "管理员登录", en: "Admin sign-in", bi: "管理员登录 / Admin sign-in" },
+  "login.user": { cn: "用户名", en: "User" },
+  "login.password": { cn: "密码", en: "Password" },
+  "login.submit": { cn: "登录", en: "Sign in" },
+  "login.busy": { cn: "登录中…", en: "Signing in…" },
+  "login.signedIn": { cn: "已登录为 {user}，{time} 前有效。", en: "Signed in as {user}, valid until {time}." },
+  "api.failed": { cn: "提交到内容服务失败：{message}", en: "The content API refused the change: {message}" },
+  "api.stale": { cn: "服务器上已有相同或更新的版本：{id}", en: "The server already has this or a newer version: {id}" },
+  "api.expired": { cn: "登录已过期，请重新登录（草稿仍保留）。", en: "Your session has expired; sign in again (drafts are kept)." },
+
+  // Archive
+  "archive.title": { cn: "存档", en: "Archive", bi: "存档 / Archive" },
+  "archive.search": { cn: "搜索…（支持 actor:OpenAI）", en: "Search… (try actor:OpenAI)" },
+  "archive.empty": { cn: "没有匹配的周报。", en: "No matching issues." },
+  "archive.itemsCount": { cn: "{n} 条", en: "{n} items", bi: "{n} items" },
+  "archive.offline": { cn: "可离线阅读", en: "Available offline" },
+  "archive.more": { cn: "加载更多（还有 {n} 期）", en: "Load more ({n} left)" },
+  "archive.loading": { cn: "加载中…", en: "Loading…", bi: "加载中… / Loading…" },
+
+  // Search
+  "search.count": { cn: "{n} 条匹配", en: "{n} matching items", bi: "{n} 条匹配 / matches" },
+  "search.empty": { cn: "没有匹配的条目。", en: "No matching items." },
+
+  // Facets
+  "facet.browse": { cn: "分类浏览", en: "Browse", bi: "分类浏览 / Browse" },
+  "facet.more": { cn: "更多（{n}）", en: "More ({n})" },
+  "facet.less": { cn: "收起", en: "Less" },
+  "facet.empty": { cn: "没有相关条目。", en: "No items for this facet." },
+
+  // Print / PDF
+  "print.button": { cn: "打印 / PDF", en: "Print / PDF" },
+  "print.title": { cn: "打印本期或另存为 PDF", en: "Print this issue or save it as PDF" },
+  "print.contents": { cn: "目录", en: "Contents", bi: "目录 / Contents" },
+  "print.sources": { cn: "来源", en: "Sources", bi: "来源 / Sources" },
+  "print.publishedAt": { cn: "发布于 {time}", en: "Published {time}" },
+
+  // Timeline
+  "timeline.title": { cn: "时间线", en: "Timeline", bi: "时间线 / Timeline" },
+  "timeline.intro": {
+    cn: "所有条目按事件时间（新加坡时间 SGT）排列，最早的在前。",
+    en: "Every item by when it happened (Singapore time, SGT), oldest first.",
+  },
+  "timeline.zoom": { cn: "按", en: "By" },
+  "timeline.zoomIn": { cn: "放大", en: "Zoom in" },
+  "timeline.zoomOut": { cn: "缩小", en: "Zoom out" },
+  "timeline.day": { cn: "日", en: "Day" },
+  "timeline.week": { cn: "周", en: "Week" },
+  "timeline.month": { cn: "月", en: "Month" },
+  "timeline.all": { cn: "全部", en: "All" },
+  "timeline.gap.day": { cn: "{n} 天无条目", en: "{n} day(s) without items" },
+  "timeline.gap.week": { cn: "{n} 周无条目", en: "{n} week(s) without items" },
+  "timeline.gap.month": { cn: "{n} 个月无条目", en: "{n} month(s) without items" },
+  "timeline.allDay": { cn: "全天", en: "All day" },
+  "timeline.estimated": { cn: "无事件时间，按周报起始日", en: "No event time; placed at the issue's start" },
+  "timeline.empty": { cn: "没有符合条件的条目。", en: "No items match." },
+  "time.local": { cn: "你的时间 {time}", en: "your time {time}" },
+  "keyInfo.onTimeline": { cn: "在时间线上查看", en: "Show on the timeline" },
+
+  // Story threads
+  "thread.title": { cn: "脉络", en: "Story", bi: "脉络 / Story" },
+  "thread.intro": { cn: "同一事件在各期周报中的报道，按时间先后排列。", en: "Every item on this story across issues, oldest first." },
+  "thread.empty": { cn: "这条脉络还没有条目。", en: "No items on this story yet." },
+
+  // Issue
+  "issue.back": { cn: "返回", en: "Back" },
+  "issue.weekly": { cn: "周报", en: "Weekly", bi: "周报 / Weekly" },
+  "issue.empty": { cn: "暂无条目。使用「导入」添加本周内容。", en: "No items yet. Use Import to add this week's content." },
+
+  // Item
+  "item.why": { cn: "这为什么重要", en: "Why it matters", bi: "这为什么重要 / Why it matters" },
+  "item.source": { cn: "来源", en: "Source" },
+  "item.copyLink": { cn: "复制链接", en: "Copy link" },
+  "item.copied": { cn: "已复制", en: "Copied" },
+  "item.corrections": { cn: "更正", en: "Corrections", bi: "更正 / Corrections" },
+  "item.previously": { cn: "前情", en: "Previously", bi: "前情 / Previously" },
+  "item.suggested": { cn: "可能相关", en: "Possibly related" },
+  "item.fullStory": { cn: "完整脉络", en: "Full story" },
+  "keyInfo.time": { cn: "时间", en: "Time" },
+  "keyInfo.actor": { cn: "主体", en: "Actor" },
+  "keyInfo.market": { cn: "地区/市场", en: "Market" },
+  "keyInfo.impact": { cn: "影响", en: "Impact" },
+
+  // Importer (admin)
+  "importer.title": { cn: "导入周报数据（JSON / Markdown）", en: "Import issues (JSON / Markdown)" },
+  "importer.hint": {
+    cn: "粘贴符合数据结构的 JSON，或以 front matter（---）开头的 Markdown；相同 id 的周报会被替换。",
+    en: "Paste JSON matching the schema, or Markdown starting with front matter (---); issues with the same id are replaced.",
+  },
+  "importer.close": { cn: "关闭", en: "Close" },
+  "importer.cancel": { cn: "取消", en: "Cancel" },
+  "importer.submit": { cn: "导入", en: "Import" },
+
+  // Lifecycle (admin)
+  "status.draft": { cn: "草稿", en: "Draft" },
+  "status.scheduled": { cn: "定时", en: "Scheduled" },
+  "status.published": { cn: "已发布", en: "Published" },
+  "status.draftOption": { cn: "draft · 草稿（仅管理员可见）", en: "draft · admin only" },
+  "status.scheduledOption": { cn: "scheduled · 到 publishedAt 自动公开", en: "scheduled · public at publishedAt" },
+  "status.publishedOption": { cn: "published · 已发布", en: "published · public" },
+  "status.draftBanner": { cn: "草稿：仅管理员可见，不会出现在存档、订阅源和站点地图中。", en: "Draft: admin only; kept out of the archive, feeds and sitemap." },
+  "status.scheduledBanner": { cn: "定时发布：将于 {time} 公开。", en: "Scheduled: goes public at {time}." },
+
+  // Editor (admin)
+  "editor.edit": { cn: "编辑", en: "Edit" },
+  "editor.new": { cn: "新建", en: "New" },
+  "editor.editTitle": { cn: "编辑本期周报", en: "Edit this issue" },
+  "editor.newTitle": { cn: "新建周报", en: "New issue" },
+  "editor.heading": { cn: "编辑周报", en: "Edit issue", bi: "编辑周报 / Edit issue" },
+  "editor.notFound": { cn: "找不到这期周报。", en: "Issue not found." },
+  "editor.undo": { cn: "撤销", en: "Undo" },
+  "editor.redo": { cn: "重做", en: "Redo" },
+  "editor.saved": { cn: "草稿已保存 {time}", en: "Draft saved {time}" },
+  "editor.clean": { cn: "与已发布版本一致", en: "Matches published" },
+  "editor.discard": { cn: "放弃草稿", en: "Discard draft" },
+  "editor.discardConfirm": { cn: "放弃草稿并恢复已发布版本？", en: "Discard the draft and restore the published version?" },
+  "editor.publish": { cn: "发布", en: "Publish" },
+  "editor.publishing": { cn: "发布中…", en: "Publishing…" },
+  "editor.invalid": { cn: "校验未通过（{n} 处）", en: "{n} problems to fix" },
+  "editor.form": { cn: "表单", en: "Form" },
+  "editor.preview": { cn: "预览", en: "Preview" },
+  "editor.status": { cn: "状态", en: "Status" },
+  "editor.meta": { cn: "基本信息", en: "Issue", bi: "基本信息 / Issue" },
+  "editor.idFromDates": { cn: "按日期生成", en: "From dates" },
+  "editor.title": { cn: "标题（中文 / English）", en: "Title (中文 / English)" },
+  "editor.summaryCN": { cn: "摘要（中文）", en: "Summary (CN)" },
+  "editor.summaryEN": { cn: "摘要（英文）", en: "Summary (EN)" },
+  "editor.cover": { cn: "封面", en: "Cover" },
+  "editor.items": { cn: "条目（{n}）", en: "Items ({n})", bi: "条目 / Items（{n}）" },
+  "editor.addItem": { cn: "添加条目", en: "Add item" },
+  "editor.removeItem": { cn: "删除条目", en: "Remove item" },
+  "editor.removeConfirm": { cn: "删除这个条目？", en: "Remove this item?" },
+  "editor.untitled": { cn: "（未命名）", en: "(untitled)" },
+  "editor.itemId": { cn: "条目 id（可选，用于固定链接）", en: "Item id (optional, for permalinks)" },
+  "editor.moveUp": { cn: "上移", en: "Move up" },
+  "editor.moveDown": { cn: "下移", en: "Move down" },
+  "editor.drag": { cn: "拖动排序", en: "Drag to reorder" },
+  "editor.add": { cn: "添加", en: "Add" },
+  "editor.remove": { cn: "移除", en: "Remove" },
+  "editor.factsCN": { cn: "事实（中文）", en: "Facts (CN)" },
+  "editor.factsEN": { cn: "事实（英文）", en: "Facts (EN)" },
+  "editor.links": { cn: "来源链接", en: "Links" },
+  "editor.linkLabel": { cn: "名称", en: "Label" },
+  "editor.whyCN": { cn: "为什么重要（中文）", en: "Why it matters (CN)" },
+  "editor.whyEN": { cn: "为什么重要（英文）", en: "Why it matters (EN)" },
+  "editor.thread": { cn: "脉络 key（可选，如 starship-ift-10）", en: "Story key (optional, e.g. starship-ift-10)" },
+  "editor.related": { cn: "相关条目（<周报 id>/<条目 slug>）", en: "Related items (<issue id>/<item slug>)" },
+  "editor.image": { cn: "配图", en: "Image" },
+  "editor.imageSrc": { cn: "地址（/… 或 https://…）", en: "Source (/… or https://…)" },
+  "editor.imageAlt": { cn: "替代文本", en: "Alt text" },
+  "editor.imageNone": { cn: "无", en: "None" },
+
+  // Link report (admin)
+  "shortcuts.title": { cn: "键盘快捷键", en: "Keyboard shortcuts", bi: "键盘快捷键 / Keyboard shortcuts" },
+  "shortcuts.nextItem": { cn: "下一条", en: "Next item" },
+  "shortcuts.prevItem": { cn: "上一条", en: "Previous item" },
+  "shortcuts.nextIssue": { cn: "下一期（更早）", en: "Next issue (older)" },
+  "shortcuts.prevIssue": { cn: "上一期（更新）", en: "Previous issue (newer)" },
+  "shortcuts.search": { cn: "搜索存档", en: "Search the archive" },
+  "shortcuts.archive": { cn: "返回存档", en: "Back to the archive" },
+  "shortcuts.lang": { cn: "切换语言", en: "Switch language" },
+  "shortcuts.help": { cn: "显示 / 隐藏本帮助", en: "Show / hide this help" },
+
+  "corrections.title": { cn: "更正", en: "Corrections", bi: "更正 / Corrections" },
+  "corrections.intro": {
+    cn: "已发布条目在发布之后的修改都记录在这里，最新的在前。",
+    en: "Every change made to an item after it was published, newest first.",
+  },
+  "corrections.none": { cn: "还没有更正。", en: "No corrections yet." },
+
+  "conflicts.title": { cn: "版本冲突", en: "Version conflicts", bi: "版本冲突 / Version conflicts" },
+  "conflicts.notice": { cn: "{n} 期周报的本地版本与另一版本冲突", en: "{n} issue(s) have conflicting versions" },
+  "conflicts.review": { cn: "查看并选择", en: "Review" },
+  "conflicts.none": { cn: "没有冲突。", en: "No conflicts." },
+  "conflicts.local": { cn: "本地版本", en: "Local" },
+  "conflicts.remote": { cn: "远端版本", en: "Remote" },
+  "conflicts.import": { cn: "导入的版本", en: "Imported" },
+  "conflicts.keepLocal": { cn: "保留本地", en: "Keep local" },
+  "conflicts.keepRemote": { cn: "保留远端", en: "Keep remote" },
+  "conflicts.keepImport": { cn: "使用导入", en: "Use import" },
+  "conflicts.current": { cn: "服务器上的版本", en: "On the server" },
+  "conflicts.keepCurrent": { cn: "保留服务器版本", en: "Keep server copy" },
+  "conflicts.version": { cn: "第 {rev} 版 · {time}", en: "rev {rev} · {time}" },
+  "conflicts.unversioned": { cn: "无版本号", en: "no revision" },
+  "conflicts.counts": {
+    cn: "{fields} 个字段 · 修改 {changed} · 新增 {added} · 删除 {removed} · 移动 {moved}",
+    en: "{fields} field(s) · {changed} changed · {added} added · {removed} removed · {moved} moved",
+  },
+  "conflicts.issueFields": { cn: "周报字段", en: "Issue fields" },
+  "conflicts.status.changed": { cn: "修改", en: "changed" },
+  "conflicts.status.added": { cn: "新增", en: "added" },
+  "conflicts.status.removed": { cn: "删除", en: "removed" },
+  "conflicts.status.moved": { cn: "移动", en: "moved" },
+  "conflicts.skipped": { cn: "已跳过 {n} 期较旧或相同的导入：{ids}", en: "Skipped {n} older or identical imported issue(s): {ids}" },
+
+  "links.title": { cn: "来源链接检查", en: "Source link check", bi: "来源链接检查 / Source links" },
+  "links.missing": { cn: "还没有报告：运行 npm run check-links 生成 .data/link-report.json，由内容 API 提供。", en: "No report yet: run npm run check-links to write .data/link-report.json, served by the content API." },
+  "links.generated": { cn: "生成于 {time}", en: "Generated {time}" },
+  "links.offline": { cn: "离线模式（未请求网络）", en: "offline run (no requests made)" },
+  "links.clean": { cn: "没有问题链接。", en: "No problem links." },
+  "links.usedBy": { cn: "引用：", en: "Used by:" },
+  "links.tab.problems": { cn: "问题", en: "Problems" },
+  "links.tab.duplicates": { cn: "重复来源", en: "Duplicates" },
+  "links.tab.all": { cn: "全部", en: "All" },
+  "links.count.ok": { cn: "正常 {n}", en: "OK {n}" },
+  "links.count.redirect": { cn: "重定向 {n}", en: "Redirected {n}" },
+  "links.count.restricted": { cn: "受限 {n}", en: "Restricted {n}" },
+  "links.count.broken": { cn: "失效 {n}", en: "Broken {n}" },
+  "links.count.generic": { cn: "泛链接 {n}", en: "Generic {n}" },
+  "links.count.duplicates": { cn: "重复来源 {n}", en: "Duplicates {n}" },
+  "links.state.ok": { cn: "正常", en: "OK" },
+  "links.state.redirect": { cn: "重定向", en: "Redirect" },
+  "links.state.restricted": { cn: "受限", en: "Restricted" },
+  "links.state.broken": { cn: "失效", en: "Broken" },
+  "links.state.unchecked": { cn: "未检查", en: "Unchecked" },
+  "links.generic.homepage": { cn: "指向网站首页，不是具体文章", en: "Points at a homepage, not a specific article" },
+  "links.generic.index": { cn: "指向博客/新闻列表页，不是具体文章", en: "Points at a blog/news index, not a specific article" },
+  "links.generic.redirects-to-index": { cn: "重定向到首页或列表页（原文可能已下线）", en: "Redirects to a homepage or index (article may be gone)" },
+  "links.generic.invalid": { cn: "URL 无效", en: "Invalid URL" },
+
+  // Email export (admin)
+  "email.title": { cn: "导出邮件", en: "Email export", bi: "导出邮件 / Email export" },
+  "email.hint": { cn: "内联样式的表格版 HTML，附纯文本版本；可直接粘贴到邮件工具。", en: "Inline-styled, table-based HTML plus a plain-text alternative, ready for your mail tool." },
+  "email.copyHtml": { cn: "复制 HTML", en: "Copy HTML" },
+  "email.copyText": { cn: "复制纯文本", en: "Copy text" },
+  "email.download": { cn: "下载 .html / .txt", en: "Download .html / .txt" },
+  "email.copied": { cn: "已复制", en: "Copied" },
+  "email.readOnline": { cn: "在网页阅读", en: "Read on the web", bi: "在网页阅读 / Read on the web" },
+
+  // Footer
+  "footer.corrections": { cn: "更正", en: "Corrections", bi: "更正 / Corrections" },
+  "footer.timeline": { cn: "时间线", en: "Timeline", bi: "时间线 / Timeline" },
+  "footer.tagline": { cn: "一周热点，周一见", en: "The week in tech, every Monday" },
+};
+
+export function isLang(x) {
+  return LANGS.includes(x);
+}
+
+/** Look up a message for a mode; unknown keys return the key itself */
+export function t(lang, key, vars) {
+  const entry = MESSAGES[key];
+  if (!entry) return key;
+  const raw = (lang === "bi" ? entry.bi : entry[lang]) ?? entry.cn;
+  if (!vars) return raw;
+  return raw.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+/**
+ * Titles are authored as "中文标题 / English title".
+ * cn/en modes keep one side; bi (or an unsplittable title) keeps the whole string.
+ */
+export function pickTitle(title, lang) {
+  const s = String(title || "");
+  if (lang === "bi") return s;
+  const i = s.indexOf(" / ");
+  if (i < 0) return s;
+  return lang === "en" ? s.slice(i + 3).trim() : s.slice(0, i).trim();
+}
+
+/** Pick CN/EN text pair for a mode: returns [{ lang, text }] in display order */
+export function pickPair(cnText, enText, lang) {
+  const out = [];
+  if (lang !== "en" && cnText) out.push({ lang: "cn", text: cnText });
+  if (lang !== "cn" && enText) out.push({ lang: "en", text: enText });
+  // Only one side exists: show it rather than nothing
+  if (!out.length) {
+    if (cnText) out.push({ lang: "cn", text: cnText });
+    else if (enText) out.push({ lang: "en", text: enText });
+  }
+  return out;
+}
+
+/** Facts for a mode; bi interleaves CN[i] with its EN[i] counterpart */
+export function pickFacts(factsCN = [], factsEN = [], lang) {
+  const cn = Array.isArray(factsCN) ? factsCN : [];
+  const en = Array.isArray(factsEN) ? factsEN : [];
+  if (lang === "cn") return (cn.length ? cn : en).map((text) => ({ lang: cn.length ? "cn" : "en", text }));
+  if (lang === "en") return (en.length ? en : cn).map((text) => ({ lang: en.length ? "en" : "cn", text }));
+  const out = [];
+  for (let i = 0; i < Math.max(cn.length, en.length); i++) {
+    if (cn[i]) out.push({ lang: "cn", text: cn[i] });
+    if (en[i]) out.push({ lang: "en", text: en[i] });
+  }
+  return out;
+}
+
+/** Hash query helpers: "#/issue/x?lang=en" -> "en" */
+export function langFromHash(hashRaw) {
+  const q = String(hashRaw || "").split("?")[1] || "";
+  const v = new URLSearchParams(q).get("lang");
+  return isLang(v) ? v : "";
+}
+
+export function withLangInHash(hashRaw, lang) {
+  const [path, q = ""] = String(hashRaw || "").replace(/^#/, "").split("?");
+  const params = new URLSearchParams(q);
+  params.set("lang", lang);
+  return `#${path || "/"}?${params.toString()}`;
+}
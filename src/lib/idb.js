@@ -0,0 +1,81 @@
+/**
+ * Minimal IndexedDB wrapper for the reader's content cache ("mw-content")
+ * - bodies: { id, hash, file, issue } — weekly bodies fetched from /content, valid while hash matches index.json
+ * - local:  { id, issue } — issues the admin imported / published in this browser
+ * - Every helper resolves (undefined / [] / false) instead of throwing when IndexedDB is missing or blocked
+ *   (private mode, SSR, jsdom): the reader then just fetches again
+ */
+
+const DB_NAME = "mw-content";
+const DB_VERSION = 1;
+export const STORES = { bodies: "bodies", local: "local" };
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      try {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          for (const name of Object.values(STORES)) {
+            if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, { keyPath: "id" });
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+  return dbPromise;
+}
+
+/** Run fn(store) in one transaction; resolves with the last request's result, or `fallback` */
+async function withStore(name, mode, fn, fallback) {
+  const db = await openDb();
+  if (!db) return fallback;
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(name, mode);
+      const req = fn(tx.objectStore(name));
+      tx.oncomplete = () => resolve(req ? req.result : true);
+      tx.onerror = () => resolve(fallback);
+      tx.onabort = () => resolve(fallback);
+    } catch {
+      resolve(fallback);
+    }
+  });
+}
+
+export function idbGet(store, id) {
+  return withStore(store, "readonly", (s) => s.get(id), undefined);
+}
+
+export function idbGetAll(store) {
+  return withStore(store, "readonly", (s) => s.getAll(), []);
+}
+
+export function idbPut(store, record) {
+  return withStore(store, "readwrite", (s) => void s.put(record), false);
+}
+
+export function idbDelete(store, id) {
+  return withStore(store, "readwrite", (s) => void s.delete(id), false);
+}
+
+/** Replace the whole store with `records` */
+export function idbReplaceAll(store, records) {
+  return withStore(
+    store,
+    "readwrite",
+    (s) => {
+      s.clear();
+      for (const r of records) s.put(r);
+    },
+    false
+  );
+}
@@ -0,0 +1,99 @@
+/**
+ * Item images (shared by scripts/resolve-images.js and the reader UI)
+ * - Heuristics for picking an article's lead image: og:image / twitter:image / <img>, scored, logos dropped
+ * - Resolved images live under /images/<issue>/<item>.webp (+ <item>-<width>.webp variants), recorded in item.image:
+ *     { src, alt, href, width, height, srcset: [{ src, width }], lqip, origin }
+ * - The reader only renders local images (localImage); remote URLs are resolved at build time
+ */
+
+export const IMAGE_WIDTHS = [480, 960, 1600];
+export const LQIP_WIDTH = 16;
+
+// ---------- Candidate heuristics ----------
+export function toAbsoluteUrl(maybe, baseUrl) {
+  if (!maybe) return "";
+  if (/^https?:\/\//i.test(maybe)) return maybe;
+  if (maybe.startsWith("//")) return "https:" + maybe;
+  try {
+    return new URL(maybe, baseUrl).toString();
+  } catch {
+    return "";
+  }
+}
+
+export function isBadExt(u) {
+  return /\.svg(\?|$)/i.test(u) || /\.gif(\?|$)/i.test(u);
+}
+
+export function isLogoish(u) {
+  const s = (u || "").toLowerCase();
+  return /(logo|favicon|icon|sprite|wordmark|lockup|brandmark|badge|avatar|mark)/.test(s);
+}
+
+function goodExt(u) {
+  return /\.(jpe?g|png|webp|avif)(\?|$)/i.test(u);
+}
+
+export function scoreImage(u) {
+  const s = (u || "").toLowerCase();
+  let sc = 0;
+  if (/(hero|featured|feature|article|banner|news|press|upload|uploads|media|images|photo|screenshot|figure|cover)/.test(s)) sc += 10;
+  if (goodExt(s)) sc += 5;
+  if (/(1200|1600|2048|1080|w=12|w=16|w=20)/.test(s)) sc += 2;
+  if (isLogoish(s)) sc -= 20;
+  if (isBadExt(s)) sc -= 10;
+  return sc;
+}
+
+const META_RE =
+  /<meta[^>]+(?:property|name)=["'](?:og:image|og:image:secure_url|twitter:image(?::src)?)["'][^>]+content=["']([^"']+)["'][^>]*>/gi;
+const IMG_RE = /<img[^>]+src=["']([^"']+)["'][^>]*>/gi;
+
+function decodeEntities(s) {
+  return s.replace(/&amp;/g, "&").replace(/&#x2F;/gi, "/").replace(/&#47;/g, "/");
+}
+
+/** Usable image URLs from an article page, best first */
+export function imageCandidates(html, pageUrl) {
+  const set = new Set();
+  for (const re of [META_RE, IMG_RE]) {
+    for (const m of String(html || "").matchAll(re)) {
+      const abs = toAbsoluteUrl(decodeEntities(m[1]), pageUrl);
+      if (abs) set.add(abs);
+    }
+  }
+  return [...set]
+    .filter((u) => !isBadExt(u) && !isLogoish(u))
+    .sort((a, b) => scoreImage(b) - scoreImage(a))
+    .filter((u) => scoreImage(u) >= 1);
+}
+
+// ---------- Local assets ----------
+/** "/images/<issue>/<slug>.webp", or the "-<width>" variant */
+export function localImagePath(issueId, slug, width) {
+  return `/images/${issueId}/${slug}${width ? `-${width}` : ""}.webp`;
+}
+
+export function isLocalSrc(src) {
+  return typeof src === "string" && src.startsWith("/") && !src.startsWith("//");
+}
+
+/** item.image when it points at a local asset, else null (remote src = not resolved yet) */
+export function localImage(item) {
+  const img = item?.image;
+  return img && isLocalSrc(img.src) ? img : null;
+}
+
+/** "<src> 480w, <src> 960w" for <img srcset>; "" when there are no variants */
+export function srcSetAttr(image) {
+  return Array.isArray(image?.srcset) ? image.srcset.map((v) => `${v.src} ${v.width}w`).join(", ") : "";
+}
+
+/** Inverse of srcSetAttr (the Markdown dialect stores srcset in this form) */
+export function parseSrcSet(attr) {
+  return String(attr || "")
+    .split(",")
+    .map((part) => /^\s*(\S+)\s+(\d+)w\s*$/.exec(part))
+    .filter(Boolean)
+    .map((m) => ({ src: m[1], width: Number(m[2]) }));
+}
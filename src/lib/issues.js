@@ -0,0 +1,120 @@
+/**
+ * Issue collections + versions
+ * - mergeIssues(): combine two lists by id; the second list wins (an import over what was there, ...).
+ *   Issues without an id are dropped.
+ * - Versions: issue.revision (integer, +1 on every publish) and issue.updatedAt (ISO time).
+ *   pickVersion() decides between the admin's local copy and the remote one:
+ *     with `base` (the remote revision the local edit started from) each side that moved past base has
+ *     changed, and both changing is a conflict; without base the higher revision wins.
+ *     Equal revisions with different content fall back to the later updatedAt, else conflict.
+ *   Identical content (version metadata aside) is never a conflict.
+ * - Local records { id, issue, base } are what the admin published in this browser and the index may not
+ *   show yet; overlayLocal() lays them over the remote list, recordPublish() computes the next one
+ * - Conflict: { id, source: "remote" | "import", local, other }; "remote": local = the admin's version,
+ *   other = the server's; "import": local = what the server has, other = the imported copy.
+ *   conflictWinner() turns the admin's choice into the version to send to the content API
+ */
+import { isStub } from "./content-index.js";
+import { VERSION_KEYS, sameValue } from "./diff.js";
+
+export function mergeIssues(base = [], overrides = []) {
+  const map = new Map();
+  for (const i of base) if (i?.id) map.set(i.id, i);
+  for (const i of overrides) if (i?.id) map.set(i.id, i);
+  return Array.from(map.values());
+}
+
+export function revisionOf(issue) {
+  const n = Number(issue?.revision);
+  return Number.isInteger(n) && n > 0 ? n : 0;
+}
+
+/** Same content, ignoring revision / updatedAt and key order */
+export function sameContent(a, b) {
+  const strip = (issue) => Object.fromEntries(Object.entries(issue || {}).filter(([k]) => !VERSION_KEYS.includes(k)));
+  return sameValue(strip(a), strip(b));
+}
+
+/** "local" | "remote" | "conflict" */
+export function pickVersion(local, remote, base = null) {
+  if (!remote) return "local";
+  if (!local) return "remote";
+  const lr = revisionOf(local);
+  const rr = revisionOf(remote);
+  if (sameContent(local, remote)) return lr > rr ? "local" : "remote";
+  if (base != null) {
+    const localChanged = lr > base;
+    const remoteChanged = rr > base;
+    if (localChanged && remoteChanged) return "conflict";
+    if (localChanged !== remoteChanged) return localChanged ? "local" : "remote";
+  } else if (lr !== rr) {
+    return lr > rr ? "local" : "remote";
+  }
+  // Same revision, different content (e.g. a hand edit that skipped the bump)
+  const lt = Date.parse(local.updatedAt ?? "");
+  const rt = Date.parse(remote.updatedAt ?? "");
+  if (!isNaN(lt) && !isNaN(rt) && lt !== rt) return lt > rt ? "local" : "remote";
+  return "conflict";
+}
+
+/**
+ * Next version of `issue`: revision one past `after` (default: its own), updatedAt = now.
+ * The version keys sit right after publishedAt / status, like in the schema.
+ */
+export function bumpRevision(issue, { after = revisionOf(issue), now = new Date() } = {}) {
+  const out = {};
+  const version = { revision: after + 1, updatedAt: new Date(now).toISOString() };
+  for (const [k, v] of Object.entries(issue)) {
+    if (VERSION_KEYS.includes(k)) continue;
+    if (k === "title" && !("revision" in out)) Object.assign(out, version);
+    out[k] = v;
+  }
+  return "revision" in out ? out : { ...out, ...version };
+}
+
+/**
+ * Lay local records over the remote list.
+ * -> { issues, conflicts, superseded: [ids whose remote copy has caught up / moved past the local one] }
+ * A remote stub (body not loaded yet) can't be compared; the local copy shows meanwhile.
+ */
+export function overlayLocal(remote = [], records = []) {
+  const byId = new Map(remote.filter((i) => i?.id).map((i) => [i.id, i]));
+  const conflicts = [];
+  const superseded = [];
+  for (const rec of records) {
+    const theirs = byId.get(rec.id);
+    const verdict = !theirs || isStub(theirs) ? "local" : pickVersion(rec.issue, theirs, rec.base ?? null);
+    if (verdict === "remote") {
+      superseded.push(rec.id);
+      continue;
+    }
+    byId.set(rec.id, rec.issue);
+    if (verdict === "conflict") conflicts.push({ id: rec.id, source: "remote", local: rec.issue, other: theirs });
+  }
+  return { issues: [...byId.values()], conflicts, superseded };
+}
+
+/**
+ * Records after publishing `issue` from the editor. The draft still carries the revision it was started
+ * from, which becomes the base when it was a remote issue (a local record keeps its own base).
+ */
+export function recordPublish(records, issue, { prevId = null, hasRemote = false, now = new Date() } = {}) {
+  const existing = records.find((r) => r.id === issue.id);
+  const started = revisionOf(issue);
+  const base = existing ? existing.base ?? null : hasRemote ? started : null;
+  const next = bumpRevision(issue, { after: Math.max(started, revisionOf(existing?.issue)), now });
+  return [...records.filter((r) => r.id !== issue.id && r.id !== prevId), { id: next.id, issue: next, base }];
+}
+
+/**
+ * The version to send to the content API when the admin settles a conflict, or null when the server copy stays.
+ * The server's side is conflict.other for "remote" conflicts and conflict.local for "import" ones (what was there).
+ * -> { issue: the chosen side bumped past both revisions, base: the server revision it replaces }
+ */
+export function conflictWinner(conflict, keep, { now = new Date() } = {}) {
+  const server = conflict.source === "import" ? conflict.local : conflict.other;
+  const chosen = keep === "local" ? conflict.local : conflict.other;
+  if (chosen === server) return null;
+  const after = Math.max(revisionOf(conflict.local), revisionOf(conflict.other));
+  return { issue: bumpRevision(chosen, { after, now }), base: revisionOf(server) };
+}
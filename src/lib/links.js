@@ -0,0 +1,114 @@
+/**
+ * Source-quality rules for item.links (shared by scripts/check-links.js and the admin report view)
+ * - collectLinks(): every link with where it is used (issue / item / slug)
+ * - genericReason(): homepage / blog-index / tag pages instead of a specific article
+ * - findDuplicates(): the same source cited by more than one item
+ * - classifyStatus(): HTTP result -> ok / redirect / restricted / broken
+ */
+import { itemSlugs } from "./slug.js";
+import { safeDecode } from "./routing.js";
+
+export const REPORT_VERSION = 1;
+
+// Path segments that name a listing rather than an article: /blog, /en/news, /tag/ai
+const INDEX_SEGMENTS = new Set([
+  "blog",
+  "blogs",
+  "news",
+  "newsroom",
+  "press",
+  "press-releases",
+  "pressroom",
+  "media",
+  "research",
+  "updates",
+  "articles",
+  "stories",
+  "insights",
+  "latest",
+  "index",
+  "home",
+  "en",
+  "en-us",
+  "en-gb",
+  "zh",
+  "zh-cn",
+  "zh-hans",
+]);
+const TAXONOMY_SEGMENTS = new Set(["category", "categories", "tag", "tags", "topic", "topics", "section"]);
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref|ref_src)$/i;
+
+/** Comparable form: lower-case host without www., no hash / tracking params / trailing slash */
+export function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = "";
+    u.hostname = u.hostname.toLowerCase().replace(/^www\./, "");
+    for (const k of [...u.searchParams.keys()]) if (TRACKING_PARAMS.test(k)) u.searchParams.delete(k);
+    u.search = u.searchParams.toString() ? `?${u.searchParams.toString()}` : "";
+    return u.toString().replace(/\/+(\?|$)/, "$1");
+  } catch {
+    return String(url || "").trim();
+  }
+}
+
+/** null for a specific page, else "homepage" | "index" | "invalid" */
+export function genericReason(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return "invalid";
+  }
+  const segs = u.pathname
+    .split("/")
+    .filter(Boolean)
+    .map((s) => safeDecode(s).toLowerCase().replace(/\.(html?|php|aspx?)$/, ""));
+  if (!segs.length) return u.search ? null : "homepage";
+  if (segs.every((s) => INDEX_SEGMENTS.has(s))) return "index";
+  if (segs.length <= 3 && TAXONOMY_SEGMENTS.has(segs[segs.length - 2])) return "index";
+  return null;
+}
+
+/** [{ url, label, issueId, idx, slug, title }] for every link in every item */
+export function collectLinks(issues = []) {
+  const out = [];
+  for (const issue of issues) {
+    const items = issue.items || [];
+    const slugs = itemSlugs(items);
+    items.forEach((item, idx) => {
+      for (const l of Array.isArray(item.links) ? item.links : []) {
+        if (!l?.url) continue;
+        out.push({ url: l.url, label: l.label || "", issueId: issue.id, idx, slug: slugs[idx], title: item.title || "" });
+      }
+    });
+  }
+  return out;
+}
+
+/** Sources cited by more than one item: [{ url, refs }] (a link repeated inside one item is not a duplicate) */
+export function findDuplicates(links = []) {
+  const byUrl = new Map();
+  for (const l of links) {
+    const key = normalizeUrl(l.url);
+    if (!byUrl.has(key)) byUrl.set(key, []);
+    byUrl.get(key).push(l);
+  }
+  const out = [];
+  for (const [url, refs] of byUrl) {
+    const items = new Set(refs.map((r) => `${r.issueId}#${r.idx}`));
+    if (items.size > 1) out.push({ url, refs });
+  }
+  return out.sort((a, b) => b.refs.length - a.refs.length || a.url.localeCompare(b.url));
+}
+
+/**
+ * restricted = the server refused a bot (401/403/429/999), not proof the page is gone;
+ * broken = network error, 404/410, 5xx, redirect loop
+ */
+export function classifyStatus({ status, error, url, finalUrl }) {
+  if (error || !status) return "broken";
+  if ([401, 403, 429, 999].includes(status)) return "restricted";
+  if (status >= 400) return "broken";
+  return finalUrl && normalizeUrl(finalUrl) !== normalizeUrl(url) ? "redirect" : "ok";
+}
@@ -0,0 +1,313 @@
+/**
+ * Markdown dialect for weekly issues (round-trips with the JSON schema in schema.js)
+ *
+ *   ---
+ *   id: 2025-08-25_2025-08-31
+ *   start: 2025-08-25
+ *   end: 2025-08-31
+ *   publishedAt: 2025-09-01T10:00:00+08:00
+ *   revision: 3                 (+ updatedAt; see src/lib/issues.js)
+ *   cover: /02.gif              (cover.src; also cover.type / cover.alt / cover.href / …)
+ *   summaryCN: …
+ *   summaryEN: …
+ *   ---
+ *
+ *   # 2025-08-25 至 2025-08-31 周报 / Weekly
+ *
+ *   ## OpenAI 升级 Realtime API / OpenAI updates Realtime API {#openai-realtime}
+ *
+ *   ### CN
+ *   - 中文事实
+ *   ### EN
+ *   - English fact
+ *
+ *   ```keyinfo
+ *   timeSGT: 2025-08-28
+ *   actor: OpenAI
+ *   ```
+ *
+ *   ### Links
+ *   - [OpenAI（官方博客）](https://openai.com/blog)
+ *
+ *   ```why
+ *   cn: 为什么重要
+ *   en: Why it matters
+ *   ```
+ *
+ *   ```thread                   (item.thread / item.related; see src/lib/threads.js)
+ *   key: starship-ift-10
+ *   related: 2025-08-18_2025-08-24/spacex-starship, …
+ *   ```
+ *
+ *   ```correction               (one block per item.corrections entry, oldest first)
+ *   at: 2025-09-02T09:00:00+08:00
+ *   cn: 更正说明
+ *   en: Correction note
+ *   ```
+ *
+ * - One issue per front matter block; several issues may follow each other in one file
+ * - `---` only ever delimits front matter (no horizontal rules)
+ * - `{#slug}` after an item heading sets item.id; ```image (src/type/alt/href/…) sets item.image;
+ *   resolved images keep width/height/lqip/origin, and srcset in HTML form ("/a-480.webp 480w, /a.webp 960w")
+ * - Values that start with `"`, carry edge whitespace or span lines are written as JSON strings
+ * - Structural problems throw Error("第 N 行：…"); field checks are left to validatePayload
+ */
+import { srcSetAttr, parseSrcSet } from "./images.js";
+
+const FRONT_MATTER = "---";
+const FACT_HEADINGS = { cn: "factsCN", 中文: "factsCN", en: "factsEN", english: "factsEN" };
+const LINK_HEADINGS = ["links", "sources", "来源", "链接"];
+const BLOCKS = ["keyinfo", "why", "thread", "image", "correction"];
+const IMAGE_KEYS = ["src", "type", "alt", "href", "width", "height", "srcset", "lqip", "origin"];
+const IMAGE_NUMBER_KEYS = ["width", "height"];
+
+// ---------- Values ----------
+function encodeValue(v) {
+  const s = String(v ?? "");
+  return /\n/.test(s) || /^["\s]/.test(s) || /\s$/.test(s) ? JSON.stringify(s) : s;
+}
+
+function decodeValue(raw) {
+  const s = raw.trim();
+  if (s.startsWith('"')) {
+    try {
+      return JSON.parse(s);
+    } catch {}
+  }
+  return s;
+}
+
+/** "key: value" -> [key, value]; null when the line is not a pair */
+function parsePair(line) {
+  const m = /^([A-Za-z][\w.]*)\s*:\s?(.*)$/.exec(line);
+  return m ? [m[1], decodeValue(m[2])] : null;
+}
+
+function escapeLabel(s) {
+  return String(s).replace(/([\\\]])/g, "\\$1");
+}
+
+// ---------- Export ----------
+function encodeImageValue(img, k) {
+  return k === "srcset" && Array.isArray(img.srcset) ? srcSetAttr(img) : encodeValue(img[k]);
+}
+
+function decodeImage(img) {
+  const out = { ...img };
+  for (const k of IMAGE_NUMBER_KEYS) if (/^\d+$/.test(out[k] ?? "")) out[k] = Number(out[k]);
+  if (typeof out.srcset === "string") out.srcset = parseSrcSet(out.srcset);
+  return out;
+}
+
+function renderImageLines(img) {
+  return IMAGE_KEYS.filter((k) => img[k] != null).map((k) => `${k}: ${encodeImageValue(img, k)}`);
+}
+
+function renderItem(item) {
+  const out = [];
+  out.push(`## ${item.title ?? ""}${item.id ? ` {#${item.id}}` : ""}`, "");
+  for (const [heading, key] of [["CN", "factsCN"], ["EN", "factsEN"]]) {
+    if (!Array.isArray(item[key])) continue;
+    out.push(`### ${heading}`, ...item[key].map((f) => `- ${encodeValue(f)}`), "");
+  }
+  if (item.keyInfo && typeof item.keyInfo === "object") {
+    out.push("```keyinfo", ...Object.entries(item.keyInfo).map(([k, v]) => `${k}: ${encodeValue(v)}`), "```", "");
+  }
+  if (Array.isArray(item.links)) {
+    out.push("### Links");
+    for (const l of item.links) {
+      const url = /[\s()<>]/.test(l?.url || "") ? `<${l.url}>` : l?.url || "";
+      out.push(l?.label != null ? `- [${escapeLabel(l.label)}](${url})` : `- <${l?.url || ""}>`);
+    }
+    out.push("");
+  }
+  if (item.whyCN != null || item.whyEN != null) {
+    out.push("```why");
+    if (item.whyCN != null) out.push(`cn: ${encodeValue(item.whyCN)}`);
+    if (item.whyEN != null) out.push(`en: ${encodeValue(item.whyEN)}`);
+    out.push("```", "");
+  }
+  if (item.thread != null || Array.isArray(item.related)) {
+    out.push("```thread");
+    if (item.thread != null) out.push(`key: ${encodeValue(item.thread)}`);
+    if (Array.isArray(item.related)) out.push(`related: ${item.related.join(", ")}`);
+    out.push("```", "");
+  }
+  if (item.image && typeof item.image === "object") {
+    out.push("```image", ...renderImageLines(item.image), "```", "");
+  }
+  for (const c of Array.isArray(item.corrections) ? item.corrections : []) {
+    out.push("```correction");
+    if (c?.at != null) out.push(`at: ${encodeValue(c.at)}`);
+    if (c?.noteCN != null) out.push(`cn: ${encodeValue(c.noteCN)}`);
+    if (c?.noteEN != null) out.push(`en: ${encodeValue(c.noteEN)}`);
+    out.push("```", "");
+  }
+  return out;
+}
+
+export function issueToMarkdown(issue) {
+  const out = [FRONT_MATTER];
+  for (const [k, v] of Object.entries(issue)) {
+    if (k === "items" || k === "title") continue;
+    if (k === "cover" && v && typeof v === "object") {
+      if (v.src != null) out.push(`cover: ${encodeValue(v.src)}`);
+      for (const ck of IMAGE_KEYS.filter((x) => x !== "src" && v[x] != null)) out.push(`cover.${ck}: ${encodeImageValue(v, ck)}`);
+      continue;
+    }
+    out.push(`${k}: ${encodeValue(v)}`);
+  }
+  out.push(FRONT_MATTER, "");
+  if (issue.title != null) out.push(`# ${issue.title}`, "");
+  for (const item of issue.items || []) out.push(...renderItem(item));
+  return `${out.join("\n").trimEnd()}\n`;
+}
+
+/** { issues } (or a bare array) -> one Markdown document */
+export function payloadToMarkdown(payload) {
+  const issues = Array.isArray(payload) ? payload : payload?.issues || [];
+  return issues.map(issueToMarkdown).join("\n");
+}
+
+// ---------- Import ----------
+function fail(lineNo, message) {
+  throw new Error(`第 ${lineNo} 行：${message}`);
+}
+
+function parseLink(text, lineNo) {
+  const labeled = /^\[((?:\\.|[^\]\\])*)\]\((<[^>]*>|[^)\s]*)\)$/.exec(text);
+  if (labeled) {
+    return { url: labeled[2].replace(/^<|>$/g, ""), label: labeled[1].replace(/\\(.)/g, "$1") };
+  }
+  const bare = /^<?(\S+?)>?$/.exec(text);
+  if (bare) return { url: bare[1] };
+  return fail(lineNo, `无法解析链接：${text}`);
+}
+
+/** Markdown -> { issues }; throws on structural errors */
+export function markdownToPayload(md) {
+  const lines = String(md || "").replace(/\r\n?/g, "\n").split("\n");
+  const issues = [];
+  let issue = null;
+  let item = null;
+  let list = null; // "factsCN" | "factsEN" | "links"
+  let i = 0;
+
+  const needItem = (n, what) => item || fail(n, `${what}必须位于条目标题（## …）之后`);
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const n = i + 1;
+
+    if (line.trim() === FRONT_MATTER) {
+      const meta = {};
+      i++;
+      while (i < lines.length && lines[i].trim() !== FRONT_MATTER) {
+        if (lines[i].trim()) {
+          const pair = parsePair(lines[i]);
+          if (!pair) fail(i + 1, `无法解析 front matter：${lines[i]}`);
+          const [k, v] = pair;
+          if (k === "cover") meta.cover = { ...(meta.cover || {}), src: v };
+          else if (k.startsWith("cover.")) meta.cover = { ...(meta.cover || {}), [k.slice(6)]: v };
+          else meta[k] = k === "revision" && /^\d+$/.test(v) ? Number(v) : v;
+        }
+        i++;
+      }
+      if (i >= lines.length) fail(n, "front matter 未闭合（缺少 ---）");
+      if (meta.cover) meta.cover = decodeImage(meta.cover);
+      issue = { ...meta, items: [] };
+      issues.push(issue);
+      item = null;
+      list = null;
+      i++;
+      continue;
+    }
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+    if (!issue) fail(n, "文档必须以 front matter（---）开头");
+
+    const fence = /^```\s*([\w-]*)\s*$/.exec(line);
+    if (fence) {
+      const tag = fence[1].toLowerCase();
+      if (!BLOCKS.includes(tag)) fail(n, `未知代码块：${fence[1] || "（无标签）"}，应为 ${BLOCKS.join(" / ")}`);
+      needItem(n, `\`\`\`${tag} `);
+      const body = {};
+      i++;
+      while (i < lines.length && !/^```\s*$/.test(lines[i])) {
+        if (lines[i].trim()) {
+          const pair = parsePair(lines[i]);
+          if (!pair) fail(i + 1, `应为 "key: value"：${lines[i]}`);
+          body[pair[0]] = pair[1];
+        }
+        i++;
+      }
+      if (i >= lines.length) fail(n, `\`\`\`${tag} 未闭合`);
+      if (tag === "keyinfo") item.keyInfo = body;
+      else if (tag === "image") item.image = decodeImage(body);
+      else if (tag === "correction") {
+        for (const k of Object.keys(body)) if (!["at", "cn", "en"].includes(k.toLowerCase())) fail(n, `correction 块只接受 at / cn / en：${k}`);
+        const c = {};
+        for (const [k, v] of Object.entries(body)) c[{ at: "at", cn: "noteCN", en: "noteEN" }[k.toLowerCase()]] = v;
+        item.corrections = [...(item.corrections || []), c];
+      } else if (tag === "thread") {
+        for (const k of Object.keys(body)) if (!["key", "related"].includes(k.toLowerCase())) fail(n, `thread 块只接受 key / related：${k}`);
+        for (const [k, v] of Object.entries(body)) {
+          if (k.toLowerCase() === "key") item.thread = v;
+          else item.related = v.split(",").map((s) => s.trim()).filter(Boolean);
+        }
+      } else {
+        for (const k of Object.keys(body)) if (!["cn", "en"].includes(k.toLowerCase())) fail(n, `why 块只接受 cn / en：${k}`);
+        for (const [k, v] of Object.entries(body)) item[k.toLowerCase() === "cn" ? "whyCN" : "whyEN"] = v;
+      }
+      list = null;
+      i++;
+      continue;
+    }
+
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      const text = heading[2].trim();
+      if (level === 1) {
+        issue.title = text;
+        item = null;
+      } else if (level === 2) {
+        const m = /^(.*?)\s*\{#([^}\s]+)\}$/.exec(text);
+        item = m ? { id: m[2], title: m[1] } : { title: text };
+        issue.items.push(item);
+      } else {
+        needItem(n, "### 小节");
+        const key = text.toLowerCase();
+        if (FACT_HEADINGS[key]) list = FACT_HEADINGS[key];
+        else if (LINK_HEADINGS.includes(key)) list = "links";
+        else fail(n, `未知小节：${text}，应为 CN / EN / Links`);
+        item[list] = [];
+      }
+      i++;
+      continue;
+    }
+
+    const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+    if (bullet) {
+      if (!list) fail(n, "列表必须位于 ### CN / ### EN / ### Links 之下");
+      const text = bullet[1].trim();
+      item[list].push(list === "links" ? parseLink(text, n) : decodeValue(text));
+      i++;
+      continue;
+    }
+
+    fail(n, `无法识别的内容：${line.trim().slice(0, 40)}`);
+  }
+
+  if (!issues.length) fail(1, "没有找到周报（缺少 front matter）");
+  // "# title" may come after front matter: keep items last, like the JSON files
+  return { issues: issues.map(({ items, ...meta }) => ({ ...meta, items })) };
+}
+
+/** Importer sniffing: JSON starts with { or [ */
+export function looksLikeMarkdown(text) {
+  return !/^\s*[[{]/.test(String(text || ""));
+}
@@ -0,0 +1,103 @@
+/**
+ * Page metadata for prerendered HTML (scripts/prerender.js) and client document.title
+ * - <title>, description (summaryCN/summaryEN), canonical, Open Graph, Twitter card
+ * - JSON-LD NewsArticle for issue pages
+ */
+import { SITE_TITLE, SITE_DESCRIPTION, issueDate } from "./feeds.js";
+import { escapeHtml } from "./format.js";
+
+function trimSlash(u) {
+  return String(u || "").replace(/\/+$/, "");
+}
+
+export function issuePath(id) {
+  return `/issue/${id}/`;
+}
+
+export function issueTitle(issue) {
+  return issue?.title || `${issue?.start} — ${issue?.end}`;
+}
+
+/** Browser tab title for a route */
+export function pageTitle(issue) {
+  return issue ? `${issueTitle(issue)} · ${SITE_TITLE}` : SITE_TITLE;
+}
+
+export function issueDescription(issue) {
+  const summary = [issue?.summaryCN, issue?.summaryEN].filter(Boolean).join(" / ");
+  if (summary) return summary;
+  const firsts = (issue?.items || []).slice(0, 3).map((it) => it.title).filter(Boolean);
+  return firsts.length ? firsts.join("；") : SITE_DESCRIPTION;
+}
+
+function absolute(siteUrl, src) {
+  if (!src) return "";
+  if (/^https?:\/\//i.test(src)) return src;
+  return `${trimSlash(siteUrl)}/${String(src).replace(/^\/+/, "")}`;
+}
+
+/** Everything the <head> needs for one page; issue = null for the archive */
+export function pageMeta({ siteUrl, issue = null }) {
+  const site = trimSlash(siteUrl);
+  if (!issue) {
+    return {
+      title: SITE_TITLE,
+      description: SITE_DESCRIPTION,
+      url: `${site}/`,
+      image: "",
+      type: "website",
+      jsonLd: { "@context": "https://schema.org", "@type": "WebSite", name: SITE_TITLE, url: `${site}/`, description: SITE_DESCRIPTION },
+    };
+  }
+  const url = `${site}${issuePath(issue.id)}`;
+  const image = absolute(siteUrl, issue.cover?.src);
+  const published = issueDate(issue).toISOString();
+  return {
+    title: pageTitle(issue),
+    description: issueDescription(issue),
+    url,
+    image,
+    type: "article",
+    publishedTime: published,
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@type": "NewsArticle",
+      headline: issueTitle(issue),
+      description: issueDescription(issue),
+      url,
+      mainEntityOfPage: url,
+      datePublished: published,
+      dateModified: published,
+      inLanguage: "zh-CN",
+      ...(image ? { image: [image] } : {}),
+      author: { "@type": "Organization", name: SITE_TITLE },
+      publisher: { "@type": "Organization", name: SITE_TITLE, url: `${site}/` },
+    },
+  };
+}
+
+/** Serialize pageMeta() into <head> tags (title included) */
+export function renderHeadTags(meta) {
+  const tags = [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    `<meta name="description" content="${escapeHtml(meta.description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(meta.url)}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(SITE_TITLE)}" />`,
+    `<meta property="og:type" content="${meta.type}" />`,
+    `<meta property="og:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(meta.description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(meta.url)}" />`,
+    `<meta property="og:locale" content="zh_CN" />`,
+  ];
+  if (meta.image) tags.push(`<meta property="og:image" content="${escapeHtml(meta.image)}" />`);
+  if (meta.publishedTime) tags.push(`<meta property="article:published_time" content="${meta.publishedTime}" />`);
+  tags.push(
+    `<meta name="twitter:card" content="${meta.image ? "summary_large_image" : "summary"}" />`,
+    `<meta name="twitter:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(meta.description)}" />`
+  );
+  if (meta.image) tags.push(`<meta name="twitter:image" content="${escapeHtml(meta.image)}" />`);
+  // "<" escaped so the payload can never close the script tag
+  tags.push(`<script type="application/ld+json">${JSON.stringify(meta.jsonLd).replace(/</g, "\\u003c")}</script>`);
+  return tags.join("\n");
+}
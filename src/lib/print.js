@@ -0,0 +1,42 @@
+/**
+ * Print layout of one issue, shared by the print view (PrintIssue in App.jsx, window.print()) and the PDF
+ * export (scripts/export-pdf.js)
+ * - printModel(): cover page (title, dates, summary, issue.cover), table of contents, compact items
+ * - Source links become footnotes: numbered through the issue, listed under their item so a page break
+ *   never separates an item from its sources
+ * - Text follows the language modes (cn / en / bi), like the email export
+ */
+import { SITE_TITLE, issueUrl, itemUrl } from "./feeds.js";
+import { keyInfoParts } from "./email.js";
+import { domainFromUrl } from "./format.js";
+import { itemSlugs } from "./slug.js";
+import { pickTitle, pickPair, pickFacts } from "./i18n.js";
+
+/** -> { id, site, title, dates, publishedAt, summary, cover, url, items: [{ num, slug, title, keyInfo, facts, why, notes, url }] } */
+export function printModel(issue, { lang = "bi", siteUrl = "" } = {}) {
+  const items = Array.isArray(issue.items) ? issue.items : [];
+  const slugs = itemSlugs(items);
+  let note = 0;
+  return {
+    id: issue.id,
+    site: SITE_TITLE,
+    title: pickTitle(issue.title || `${issue.start} — ${issue.end}`, lang),
+    dates: `${issue.start} — ${issue.end}`,
+    publishedAt: issue.publishedAt || "",
+    summary: pickPair(issue.summaryCN, issue.summaryEN, lang),
+    cover: issue.cover?.src && issue.cover.type !== "video" ? { src: issue.cover.src, alt: issue.cover.alt || "" } : null,
+    url: siteUrl ? issueUrl(siteUrl, issue) : "",
+    items: items.map((item, idx) => ({
+      num: String(idx + 1).padStart(2, "0"),
+      slug: slugs[idx],
+      title: pickTitle(item.title, lang),
+      keyInfo: keyInfoParts(item, lang),
+      facts: pickFacts(item.factsCN, item.factsEN, lang),
+      why: pickPair(item.whyCN, item.whyEN, lang),
+      notes: (Array.isArray(item.links) ? item.links : [])
+        .filter((l) => l?.url)
+        .map((l) => ({ n: ++note, label: l.label || domainFromUrl(l.url) || l.url, url: l.url })),
+      url: siteUrl ? itemUrl(siteUrl, issue, slugs[idx]) : "",
+    })),
+  };
+}
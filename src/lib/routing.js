@@ -0,0 +1,47 @@
+/**
+ * Hash routes (pure; the hook that listens to hashchange / popstate lives in App.jsx)
+ *   #/                               -> home (archive)
+ *   #/issue/<id>[/item/<slug>]       -> issue (optionally focused on one item)
+ *   #/actor|market|impact/<name>     -> facet
+ *   #/timeline[/<YYYY-MM-DD>]        -> every item on a day / week / month axis (optionally scrolled to a day)
+ *   #/thread/<key>                   -> one story across issues, oldest first (item.thread)
+ *   #/corrections                    -> corrections to published items
+ *   #/login                          -> admin sign-in (content API session)
+ *   #/edit/<id|new>, #/links, #/conflicts -> admin pages
+ * - The query after "?" (e.g. ?lang=en) is ignored here
+ * - The same parser reads paths, so prerendered /issue/<id>/ pages open the same route
+ */
+import { FACET_TYPES } from "./facets.js";
+
+export function safeDecode(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+export function parseHashFromString(hashRaw) {
+  const hash = String(hashRaw || "").replace(/^#/, "").split("?")[0];
+  const parts = hash.split("/").filter(Boolean);
+  if (parts[0] === "issue" && parts[1]) {
+    if (parts[2] === "item" && parts[3]) return { name: "issue", params: [parts[1], parts[3]] };
+    return { name: "issue", params: [parts[1]] };
+  }
+  if (parts[0] === "timeline") return { name: "timeline", params: /^\d{4}-\d{2}-\d{2}$/.test(parts[1] || "") ? [parts[1]] : [] };
+  if (parts[0] === "thread" && parts[1]) return { name: "thread", params: [safeDecode(parts[1])] };
+  if (parts[0] === "corrections") return { name: "corrections", params: [] };
+  if (parts[0] === "login") return { name: "login", params: [] };
+  if (parts[0] === "links") return { name: "links", params: [] };
+  if (parts[0] === "conflicts") return { name: "conflicts", params: [] };
+  if (parts[0] === "edit" && parts[1]) return { name: "edit", params: [safeDecode(parts[1])] };
+  if (FACET_TYPES.includes(parts[0]) && parts[1]) return { name: "facet", params: [parts[0], safeDecode(parts[1])] };
+  return { name: "home", params: [] };
+}
+
+/** Hash route wins; an empty/root hash falls back to the path (/issue/<id>/ prerendered pages) */
+export function parseLocation(loc = window.location) {
+  const fromHash = parseHashFromString(loc.hash);
+  if (fromHash.name !== "home") return fromHash;
+  return parseHashFromString(loc.pathname);
+}
@@ -0,0 +1,345 @@
+/**
+ * Weekly issue schema + validator
+ * - Shared by the Importer, the /content loader and scripts/validate-content.js
+ * - Pure JS (no DOM / no deps) so it runs in the browser and in Node
+ * - Errors carry a JSON path, e.g. "$.issues[0].items[3].factsEN"
+ * - errors -> the issue is rejected; warnings -> shown but the issue is kept
+ */
+import { ITEM_ID_RE } from "./slug.js";
+import { ISSUE_STATUSES } from "./status.js";
+import { THREAD_RE, RELATED_RE } from "./threads.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const ISSUE_ID_RE = /^(\d{4}-\d{2}-\d{2})_(\d{4}-\d{2}-\d{2})$/;
+// keyInfo.timeSGT: "2025-08-28" | "2025-08-28 14:30" | "2025-08-28T14:30:00" (optional " SGT")
+const TIME_SGT_RE = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?(?:\s*SGT)?$/;
+const SGT_OFFSET_MS = 8 * 3600 * 1000;
+// publishedAt: full ISO datetime with explicit offset, e.g. "2025-09-01T10:00:00+08:00"
+const ISO_DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+const ISSUE_KEYS = ["id", "start", "end", "status", "publishedAt", "revision", "updatedAt", "title", "summaryCN", "summaryEN", "cover", "items"];
+const ITEM_KEYS = ["id", "title", "factsCN", "factsEN", "keyInfo", "links", "whyCN", "whyEN", "thread", "related", "image", "corrections"];
+const CORRECTION_KEYS = ["at", "noteCN", "noteEN"];
+const KEY_INFO_KEYS = ["timeSGT", "actor", "market", "impact"];
+
+/** Calendar-valid YYYY-MM-DD (rejects 2025-02-30) */
+export function isValidDate(s) {
+  if (typeof s !== "string" || !DATE_RE.test(s)) return false;
+  const [y, m, d] = s.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+/**
+ * keyInfo.timeSGT is always Singapore time (UTC+8, no DST), whether or not it says "SGT"
+ * -> { date, time: "HH:mm" | null, ms, precision: "day" | "minute" }, null when invalid;
+ *    a bare date is the whole day, ms at its 00:00 SGT
+ */
+export function parseTimeSGT(s) {
+  const m = typeof s === "string" ? s.trim().match(TIME_SGT_RE) : null;
+  if (!m || !isValidDate(m[1])) return null;
+  const [h, min, sec] = [m[2], m[3], m[4]].map((v) => Number(v || 0));
+  if (h > 23 || min > 59 || sec > 59) return null;
+  const [y, mo, d] = m[1].split("-").map(Number);
+  return {
+    date: m[1],
+    time: m[2] != null ? `${m[2]}:${m[3]}` : null,
+    ms: Date.UTC(y, mo - 1, d, h, min, sec) - SGT_OFFSET_MS,
+    precision: m[2] != null ? "minute" : "day",
+  };
+}
+
+export function isValidTimeSGT(s) {
+  return parseTimeSGT(s) != null;
+}
+
+function isHttpUrl(s) {
+  try {
+    const u = new URL(s);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function isPlainObject(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+/** Small collector so each check reads as one line */
+function createReport() {
+  const errors = [];
+  const warnings = [];
+  return {
+    errors,
+    warnings,
+    error: (path, message) => errors.push({ path, message }),
+    warn: (path, message) => warnings.push({ path, message }),
+  };
+}
+
+function checkString(r, obj, key, path, { required = false } = {}) {
+  const v = obj[key];
+  if (v == null) {
+    if (required) r.error(`${path}.${key}`, "缺少必填字段");
+    return;
+  }
+  if (typeof v !== "string") r.error(`${path}.${key}`, "应为字符串");
+  else if (required && !v.trim()) r.error(`${path}.${key}`, "不能为空");
+}
+
+function checkStringList(r, obj, key, path, { required = false } = {}) {
+  const v = obj[key];
+  if (v == null) {
+    if (required) r.error(`${path}.${key}`, "缺少必填字段");
+    return;
+  }
+  if (!Array.isArray(v)) {
+    r.error(`${path}.${key}`, "应为字符串数组");
+    return;
+  }
+  if (required && v.length === 0) r.error(`${path}.${key}`, "至少需要一条");
+  v.forEach((s, i) => {
+    if (typeof s !== "string") r.error(`${path}.${key}[${i}]`, "应为字符串");
+    else if (!s.trim()) r.error(`${path}.${key}[${i}]`, "不能为空");
+  });
+}
+
+function checkUnknownKeys(r, obj, known, path) {
+  for (const k of Object.keys(obj)) {
+    if (!known.includes(k)) r.warn(`${path}.${k}`, "未知字段（将被忽略）");
+  }
+}
+
+function checkImageLike(r, v, path, { requireSrc }) {
+  if (v == null) return;
+  if (!isPlainObject(v)) {
+    r.error(path, "应为对象");
+    return;
+  }
+  if (v.src == null) {
+    if (requireSrc) r.error(`${path}.src`, "缺少必填字段");
+  } else if (typeof v.src !== "string" || !v.src.trim()) {
+    r.error(`${path}.src`, "应为非空字符串");
+  } else if (!v.src.startsWith("/") && !isHttpUrl(v.src)) {
+    r.error(`${path}.src`, "应为站内绝对路径（/...）或 http(s) URL");
+  }
+  if (v.href != null && !isHttpUrl(v.href)) r.error(`${path}.href`, "应为 http(s) URL");
+  if (v.alt != null && typeof v.alt !== "string") r.error(`${path}.alt`, "应为字符串");
+  if (v.type != null && !["image", "video"].includes(v.type)) r.error(`${path}.type`, "应为 image 或 video");
+  // Written by scripts/resolve-images.js
+  for (const k of ["width", "height"]) {
+    if (v[k] != null && !(Number.isInteger(v[k]) && v[k] > 0)) r.error(`${path}.${k}`, "应为正整数");
+  }
+  if (v.lqip != null && !(typeof v.lqip === "string" && v.lqip.startsWith("data:image/"))) r.error(`${path}.lqip`, "应为 data:image/... URI");
+  if (v.origin != null && !isHttpUrl(v.origin)) r.error(`${path}.origin`, "应为 http(s) URL");
+  if (v.srcset != null) {
+    if (!Array.isArray(v.srcset)) r.error(`${path}.srcset`, "应为数组");
+    else
+      v.srcset.forEach((s, i) => {
+        if (!isPlainObject(s) || typeof s.src !== "string" || !s.src.startsWith("/") || !Number.isInteger(s.width)) {
+          r.error(`${path}.srcset[${i}]`, "应为 { src: \"/...\", width: 整数 }");
+        }
+      });
+  }
+}
+
+function validateKeyInfo(r, info, path) {
+  if (!isPlainObject(info)) {
+    r.error(path, "应为对象");
+    return;
+  }
+  for (const k of KEY_INFO_KEYS) checkString(r, info, k, path);
+  if (typeof info.timeSGT === "string" && !isValidTimeSGT(info.timeSGT)) {
+    r.error(`${path}.timeSGT`, `日期格式无效："${info.timeSGT}"（应为 YYYY-MM-DD 或 YYYY-MM-DD HH:mm）`);
+  }
+  checkUnknownKeys(r, info, KEY_INFO_KEYS, path);
+}
+
+function validateLinks(r, links, path) {
+  if (!Array.isArray(links)) {
+    r.error(path, "应为数组");
+    return;
+  }
+  links.forEach((l, i) => {
+    const p = `${path}[${i}]`;
+    if (!isPlainObject(l)) {
+      r.error(p, "应为 { url, label } 对象");
+      return;
+    }
+    if (l.url == null) r.error(`${p}.url`, "缺少必填字段");
+    else if (!isHttpUrl(l.url)) r.error(`${p}.url`, `无效链接："${l.url}"`);
+    checkString(r, l, "label", p);
+  });
+}
+
+// Threads (src/lib/threads.js): a story key and "<issue id>/<item slug>" references to other coverage
+function validateThread(r, item, path) {
+  if (item.thread != null && (typeof item.thread !== "string" || !THREAD_RE.test(item.thread))) {
+    r.error(`${path}.thread`, "应为小写字母/数字/连字符组成的 key，如 starship-ift-10");
+  }
+  if (item.related == null) return;
+  if (!Array.isArray(item.related)) {
+    r.error(`${path}.related`, "应为字符串数组");
+    return;
+  }
+  const seen = new Set();
+  item.related.forEach((ref, i) => {
+    if (typeof ref !== "string" || !RELATED_RE.test(ref)) r.error(`${path}.related[${i}]`, `应为 "<周报 id>/<条目 slug>"：${ref}`);
+    else if (seen.has(ref)) r.warn(`${path}.related[${i}]`, `重复引用：${ref}`);
+    seen.add(ref);
+  });
+}
+
+// Corrections (src/lib/corrections.js): when the item changed after publishing, and what changed
+function validateCorrections(r, list, path) {
+  if (!Array.isArray(list)) {
+    r.error(path, "应为数组");
+    return;
+  }
+  list.forEach((c, i) => {
+    const p = `${path}[${i}]`;
+    if (!isPlainObject(c)) {
+      r.error(p, "应为 { at, noteCN, noteEN } 对象");
+      return;
+    }
+    if (c.at == null) r.error(`${p}.at`, "缺少必填字段");
+    else if (typeof c.at !== "string" || !ISO_DATETIME_RE.test(c.at) || isNaN(Date.parse(c.at))) {
+      r.error(`${p}.at`, "应为带时区的 ISO 时间，如 2025-09-01T10:00:00+08:00");
+    }
+    checkString(r, c, "noteCN", p);
+    checkString(r, c, "noteEN", p);
+    if (!c.noteCN && !c.noteEN) r.error(p, "noteCN / noteEN 至少需要一个");
+    else if (!c.noteCN || !c.noteEN) r.warn(`${p}.${c.noteCN ? "noteEN" : "noteCN"}`, "更正说明缺少一种语言");
+    checkUnknownKeys(r, c, CORRECTION_KEYS, p);
+  });
+}
+
+function validateItem(r, item, path) {
+  if (!isPlainObject(item)) {
+    r.error(path, "应为对象");
+    return;
+  }
+  if (item.id != null && (typeof item.id !== "string" || !ITEM_ID_RE.test(item.id))) {
+    r.error(`${path}.id`, "应为小写字母/数字/连字符组成的 slug，且不能是纯数字");
+  }
+  checkString(r, item, "title", path, { required: true });
+  checkStringList(r, item, "factsCN", path, { required: true });
+  checkStringList(r, item, "factsEN", path, { required: true });
+  if (Array.isArray(item.factsCN) && Array.isArray(item.factsEN) && item.factsCN.length !== item.factsEN.length) {
+    r.warn(`${path}.factsEN`, `中英文条数不一致（CN ${item.factsCN.length} / EN ${item.factsEN.length}）`);
+  }
+  if (item.keyInfo != null) validateKeyInfo(r, item.keyInfo, `${path}.keyInfo`);
+  if (item.links != null) validateLinks(r, item.links, `${path}.links`);
+  checkString(r, item, "whyCN", path);
+  checkString(r, item, "whyEN", path);
+  if (item.whyCN && !item.whyEN) r.warn(`${path}.whyEN`, "有 whyCN 但缺少 whyEN");
+  if (item.whyEN && !item.whyCN) r.warn(`${path}.whyCN`, "有 whyEN 但缺少 whyCN");
+  validateThread(r, item, path);
+  checkImageLike(r, item.image, `${path}.image`, { requireSrc: false });
+  if (item.corrections != null) validateCorrections(r, item.corrections, `${path}.corrections`);
+  checkUnknownKeys(r, item, ITEM_KEYS, path);
+}
+
+function validateIssueInto(r, issue, path) {
+  if (!isPlainObject(issue)) {
+    r.error(path, "应为对象");
+    return;
+  }
+  checkString(r, issue, "id", path, { required: true });
+  checkString(r, issue, "start", path, { required: true });
+  checkString(r, issue, "end", path, { required: true });
+
+  const startOk = isValidDate(issue.start);
+  const endOk = isValidDate(issue.end);
+  if (typeof issue.start === "string" && !startOk) r.error(`${path}.start`, `日期无效："${issue.start}"（应为 YYYY-MM-DD）`);
+  if (typeof issue.end === "string" && !endOk) r.error(`${path}.end`, `日期无效："${issue.end}"（应为 YYYY-MM-DD）`);
+  if (startOk && endOk && issue.end < issue.start) r.error(`${path}.end`, "end 早于 start");
+
+  if (typeof issue.id === "string" && issue.id) {
+    if (!ISSUE_ID_RE.test(issue.id)) {
+      r.error(`${path}.id`, `id 格式无效："${issue.id}"（应为 YYYY-MM-DD_YYYY-MM-DD）`);
+    } else if (startOk && endOk && issue.id !== `${issue.start}_${issue.end}`) {
+      r.error(`${path}.id`, `id 与 start/end 不一致（应为 ${issue.start}_${issue.end}）`);
+    }
+  }
+
+  if (issue.publishedAt != null) {
+    if (typeof issue.publishedAt !== "string" || !ISO_DATETIME_RE.test(issue.publishedAt) || isNaN(Date.parse(issue.publishedAt))) {
+      r.error(`${path}.publishedAt`, "应为带时区的 ISO 时间，如 2025-09-01T10:00:00+08:00");
+    }
+  }
+
+  // Version (src/lib/issues.js): revision counts publishes, updatedAt is when the last one happened
+  if (issue.revision != null && (!Number.isInteger(issue.revision) || issue.revision < 1)) {
+    r.error(`${path}.revision`, "应为正整数");
+  }
+  if (issue.updatedAt != null) {
+    if (typeof issue.updatedAt !== "string" || !ISO_DATETIME_RE.test(issue.updatedAt) || isNaN(Date.parse(issue.updatedAt))) {
+      r.error(`${path}.updatedAt`, "应为带时区的 ISO 时间，如 2025-09-01T10:00:00+08:00");
+    }
+  }
+
+  if (issue.status != null && !ISSUE_STATUSES.includes(issue.status)) {
+    r.error(`${path}.status`, `应为 ${ISSUE_STATUSES.join(" / ")}`);
+  } else if (issue.status === "scheduled" && issue.publishedAt == null) {
+    r.error(`${path}.publishedAt`, "scheduled 状态需要 publishedAt（发布时间）");
+  }
+
+  checkString(r, issue, "title", path);
+  checkString(r, issue, "summaryCN", path);
+  checkString(r, issue, "summaryEN", path);
+  checkImageLike(r, issue.cover, `${path}.cover`, { requireSrc: true });
+
+  if (issue.items == null) r.error(`${path}.items`, "缺少必填字段");
+  else if (!Array.isArray(issue.items)) r.error(`${path}.items`, "应为数组");
+  else {
+    const ids = new Set();
+    issue.items.forEach((item, i) => {
+      validateItem(r, item, `${path}.items[${i}]`);
+      if (typeof item?.id === "string") {
+        if (ids.has(item.id)) r.error(`${path}.items[${i}].id`, `条目 id 重复：${item.id}`);
+        ids.add(item.id);
+      }
+    });
+  }
+
+  checkUnknownKeys(r, issue, ISSUE_KEYS, path);
+}
+
+/** Validate a single issue object. Returns { ok, errors, warnings } */
+export function validateIssue(issue, path = "$") {
+  const r = createReport();
+  validateIssueInto(r, issue, path);
+  return { ok: r.errors.length === 0, errors: r.errors, warnings: r.warnings };
+}
+
+/**
+ * Validate a weekly payload ({ issues: [...] }).
+ * Also returns the per-issue verdicts so callers can keep the valid ones.
+ */
+export function validatePayload(payload, path = "$") {
+  const r = createReport();
+  const validIssues = [];
+  if (!isPlainObject(payload)) {
+    r.error(path, "应为 { issues: [...] } 对象");
+  } else if (!Array.isArray(payload.issues)) {
+    r.error(`${path}.issues`, "缺少 issues 数组");
+  } else {
+    const seen = new Set();
+    payload.issues.forEach((issue, i) => {
+      const p = `${path}.issues[${i}]`;
+      const before = r.errors.length;
+      validateIssueInto(r, issue, p);
+      if (issue?.id && seen.has(issue.id)) r.error(`${p}.id`, `重复的 id：${issue.id}`);
+      if (issue?.id) seen.add(issue.id);
+      if (r.errors.length === before) validIssues.push(issue);
+    });
+  }
+  return { ok: r.errors.length === 0, errors: r.errors, warnings: r.warnings, validIssues };
+}
+
+/** One line per problem, e.g. "$.issues[0].items[2].factsEN: 缺少必填字段" */
+export function formatProblems(problems = []) {
+  return problems.map((p) => `${p.path}: ${p.message}`).join("\n");
+}
@@ -0,0 +1,263 @@
+/**
+ * Item-level full-text search
+ * - Inverted index over every item field (title, facts, why, keyInfo, link labels/domains)
+ * - Latin words + CJK bigrams (single CJK chars match any term containing them)
+ * - BM25-style ranking with per-field weights; all query terms must match (AND)
+ * - Field filters: actor:OpenAI market:航天 impact:... time:2025-08 source:reuters title:...
+ * - Index is plain JSON: built at build time (scripts/build-search-index.js) or in the browser
+ */
+import { itemSlugs } from "./slug.js";
+
+export const INDEX_VERSION = 1;
+
+// Order matters: postings store the field position
+export const FIELDS = ["title", "facts", "why", "actor", "market", "impact", "time", "links"];
+const FIELD_WEIGHTS = { title: 5, facts: 2, why: 1, actor: 3, market: 3, impact: 2, time: 1, links: 1 };
+
+const FILTER_ALIASES = {
+  actor: "actor",
+  主体: "actor",
+  market: "market",
+  市场: "market",
+  impact: "impact",
+  影响: "impact",
+  time: "time",
+  date: "time",
+  时间: "time",
+  source: "links",
+  link: "links",
+  domain: "links",
+  来源: "links",
+  title: "title",
+  标题: "title",
+};
+
+const TOKEN_RE = /[a-z0-9]+(?:['.][a-z0-9]+)*|[\u3400-\u9fff\uf900-\ufaff]+/g;
+const CJK_RE = /^[\u3400-\u9fff\uf900-\ufaff]/;
+
+/** "OpenAI 升级 Realtime" -> ["openai", "升级", "realtime"]; "航天发射" -> ["航天", "天发", "发射"] */
+export function tokenize(text) {
+  const out = [];
+  const s = String(text || "").toLowerCase();
+  for (const m of s.matchAll(TOKEN_RE)) {
+    const tok = m[0];
+    if (CJK_RE.test(tok)) {
+      if (tok.length === 1) out.push(tok);
+      for (let i = 0; i + 1 < tok.length; i++) out.push(tok.slice(i, i + 2));
+    } else {
+      out.push(tok.replace(/['.]/g, ""));
+    }
+  }
+  return out;
+}
+
+function hostOf(u) {
+  try {
+    return new URL(u).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+function itemFields(item) {
+  const k = item.keyInfo || {};
+  const links = Array.isArray(item.links) ? item.links : [];
+  return {
+    title: item.title || "",
+    facts: [...(item.factsCN || []), ...(item.factsEN || [])].join("\n"),
+    why: [item.whyCN, item.whyEN].filter(Boolean).join("\n"),
+    actor: k.actor || "",
+    market: k.market || "",
+    impact: k.impact || "",
+    time: k.timeSGT || "",
+    links: links.map((l) => [l.label, hostOf(l.url)].filter(Boolean).join(" ")).join("\n"),
+  };
+}
+
+/** Cheap fingerprint so a prebuilt index can be checked against loaded issues */
+export function contentSignature(issues = []) {
+  return [...issues]
+    .map((i) => `${i.id}:${(i.items || []).length}:${(i.items || []).map((it) => (it.title || "").length).join(".")}`)
+    .sort()
+    .join("|");
+}
+
+export function buildSearchIndex(issues = []) {
+  const docs = [];
+  // No prototype: terms like "constructor" are plain keys
+  const postings = Object.create(null);
+  for (const issue of issues) {
+    const items = issue.items || [];
+    const slugs = itemSlugs(items);
+    items.forEach((item, idx) => {
+      const docId = docs.length;
+      const fields = itemFields(item);
+      let len = 0;
+      FIELDS.forEach((f, fi) => {
+        const counts = new Map();
+        for (const tok of tokenize(fields[f])) counts.set(tok, (counts.get(tok) || 0) + 1);
+        for (const [tok, tf] of counts) {
+          (postings[tok] ||= []).push([docId, fi, tf]);
+          len += tf;
+        }
+      });
+      docs.push({ issueId: issue.id, start: issue.start, idx, slug: slugs[idx], len, fields });
+    });
+  }
+  const avgLen = docs.length ? docs.reduce((n, d) => n + d.len, 0) / docs.length : 0;
+  return { version: INDEX_VERSION, signature: contentSignature(issues), avgLen, docs, postings };
+}
+
+/** Split a raw query into free text + field filters; quotes allow spaces: market:"AI 研究" */
+export function parseQuery(raw) {
+  const filters = [];
+  const text = String(raw || "").replace(/(\S+?)[:：]("([^"]*)"|(\S+))/g, (m, key, _v, quoted, bare) => {
+    const field = FILTER_ALIASES[key.toLowerCase()];
+    if (!field) return m;
+    filters.push({ field, value: (quoted ?? bare).toLowerCase() });
+    return " ";
+  });
+  return { text: text.trim(), terms: tokenize(text), filters };
+}
+
+function matchesFilters(doc, filters) {
+  return filters.every((f) => doc.fields[f.field].toLowerCase().includes(f.value));
+}
+
+/** Postings of one term; own keys only, since a parsed search-index.json is an ordinary object */
+function postingsOf(index, term) {
+  return Object.hasOwn(index.postings, term) ? index.postings[term] : null;
+}
+
+/** Terms the index should look up for one query term (prefix / CJK char expansion) */
+function expandTerm(index, term, isLast) {
+  if (postingsOf(index, term) && !isLast) return [term];
+  const vocab = Object.keys(index.postings);
+  if (CJK_RE.test(term) && term.length === 1) return vocab.filter((v) => v.includes(term));
+  if (isLast && term.length >= 2 && !CJK_RE.test(term)) return vocab.filter((v) => v.startsWith(term));
+  return postingsOf(index, term) ? [term] : [];
+}
+
+/**
+ * Ranked item hits: [{ issueId, idx, slug, title, score, field, snippet }]
+ * snippet is [{ text, hit }] so callers can render highlights without innerHTML.
+ */
+export function searchIndex(index, raw, { limit = 50 } = {}) {
+  if (!index?.docs) return [];
+  const q = parseQuery(raw);
+  if (!q.terms.length && !q.filters.length) return [];
+
+  const N = index.docs.length;
+  const k1 = 1.2;
+  const b = 0.75;
+  const scores = new Map();
+  const bestField = new Map();
+
+  if (q.terms.length) {
+    const perTerm = q.terms.map((term, i) => expandTerm(index, term, i === q.terms.length - 1));
+    let candidates = null;
+    perTerm.forEach((variants) => {
+      const hitDocs = new Map();
+      for (const v of variants) {
+        const list = postingsOf(index, v) || [];
+        const df = new Set(list.map((p) => p[0])).size;
+        const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+        for (const [docId, fi, tf] of list) {
+          const doc = index.docs[docId];
+          const norm = tf * (k1 + 1) / (tf + k1 * (1 - b + b * (doc.len / (index.avgLen || 1))));
+          const s = idf * norm * FIELD_WEIGHTS[FIELDS[fi]];
+          hitDocs.set(docId, (hitDocs.get(docId) || 0) + s);
+          const prev = bestField.get(docId);
+          if (!prev || s > prev.s) bestField.set(docId, { s, field: FIELDS[fi] });
+        }
+      }
+      for (const [docId, s] of hitDocs) scores.set(docId, (scores.get(docId) || 0) + s);
+      const ids = new Set(hitDocs.keys());
+      candidates = candidates ? new Set([...candidates].filter((d) => ids.has(d))) : ids;
+    });
+    for (const docId of [...scores.keys()]) if (!candidates.has(docId)) scores.delete(docId);
+  } else {
+    index.docs.forEach((_, docId) => scores.set(docId, 0));
+  }
+
+  const hits = [];
+  for (const [docId, score] of scores) {
+    const doc = index.docs[docId];
+    if (!matchesFilters(doc, q.filters)) continue;
+    const field = q.terms.length ? bestField.get(docId)?.field || "facts" : q.filters[0].field;
+    const snippetField = field === "title" ? "facts" : field;
+    hits.push({
+      issueId: doc.issueId,
+      idx: doc.idx,
+      slug: doc.slug,
+      start: doc.start,
+      title: doc.fields.title,
+      titleSegments: highlight(doc.fields.title, q),
+      score,
+      field: snippetField,
+      snippet: makeSnippet(doc.fields[snippetField] || doc.fields.facts, q),
+    });
+  }
+  hits.sort((a, b2) => b2.score - a.score || String(b2.start).localeCompare(String(a.start)) || a.idx - b2.idx);
+  return hits.slice(0, limit);
+}
+
+// ---------- Highlighting ----------
+function needles(q) {
+  const set = new Set(q.terms);
+  for (const f of q.filters) if (f.value) set.add(f.value);
+  return [...set].filter(Boolean);
+}
+
+function hitRanges(text, q) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const n of needles(q)) {
+    let i = lower.indexOf(n);
+    while (i >= 0) {
+      ranges.push([i, i + n.length]);
+      i = lower.indexOf(n, i + 1);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+  return merged;
+}
+
+function segmentsFor(text, ranges, from = 0, to = text.length) {
+  const out = [];
+  let pos = from;
+  for (const [s, e] of ranges) {
+    if (e <= from || s >= to) continue;
+    const a = Math.max(s, from);
+    const z = Math.min(e, to);
+    if (a > pos) out.push({ text: text.slice(pos, a), hit: false });
+    out.push({ text: text.slice(a, z), hit: true });
+    pos = z;
+  }
+  if (pos < to) out.push({ text: text.slice(pos, to), hit: false });
+  return out;
+}
+
+export function highlight(text, q) {
+  const s = String(text || "");
+  return segmentsFor(s, hitRanges(s, q));
+}
+
+/** ~radius chars around the first hit, with ellipses */
+export function makeSnippet(text, q, radius = 60) {
+  const s = String(text || "").replace(/\s*\n\s*/g, " · ");
+  const ranges = hitRanges(s, q);
+  if (!ranges.length) return [{ text: s.length > radius * 2 ? `${s.slice(0, radius * 2)}…` : s, hit: false }];
+  const from = Math.max(0, ranges[0][0] - radius);
+  const to = Math.min(s.length, ranges[0][1] + radius);
+  const segs = segmentsFor(s, ranges, from, to);
+  if (from > 0) segs.unshift({ text: "…", hit: false });
+  if (to < s.length) segs.push({ text: "…", hit: false });
+  return segs;
+}
@@ -0,0 +1,73 @@
+/**
+ * Reader keyboard shortcuts (pure; the keydown listener is useShortcuts in App.jsx)
+ * - SHORTCUTS is the one registry: key sequence, action name, i18n label; the "?" overlay lists it
+ * - createMatcher(): feed it keys one at a time; returns the action once a whole sequence matched.
+ *   A started sequence ("g …") waits SEQUENCE_MS for its next key
+ * - ignoreKeyEvent(): typing in a field, Ctrl / Cmd / Alt chords and open modal dialogs
+ *   ([aria-modal="true"]; dialogs handle their own Escape) are never shortcuts
+ * - stepIndex() / adjacentId(): j/k and n/p targets, clamped at the ends
+ */
+export const SEQUENCE_MS = 1000;
+
+export const SHORTCUTS = [
+  { keys: ["j"], action: "nextItem", label: "shortcuts.nextItem" },
+  { keys: ["k"], action: "prevItem", label: "shortcuts.prevItem" },
+  { keys: ["n"], action: "nextIssue", label: "shortcuts.nextIssue" },
+  { keys: ["p"], action: "prevIssue", label: "shortcuts.prevIssue" },
+  { keys: ["/"], action: "search", label: "shortcuts.search" },
+  { keys: ["g", "a"], action: "archive", label: "shortcuts.archive" },
+  { keys: ["l"], action: "lang", label: "shortcuts.lang" },
+  { keys: ["?"], action: "help", label: "shortcuts.help" },
+];
+
+const startsWith = (keys, seq) => seq.every((k, i) => keys[i] === k);
+
+export function createMatcher(shortcuts = SHORTCUTS, { timeout = SEQUENCE_MS } = {}) {
+  let pending = [];
+  let last = 0;
+  const feed = (key, now = Date.now()) => {
+    if (pending.length && now - last > timeout) pending = [];
+    last = now;
+    const seq = [...pending, key];
+    const hit = shortcuts.find((s) => s.keys.length === seq.length && startsWith(s.keys, seq));
+    if (hit) {
+      pending = [];
+      return hit.action;
+    }
+    if (shortcuts.some((s) => s.keys.length > seq.length && startsWith(s.keys, seq))) {
+      pending = seq;
+      return null;
+    }
+    pending = [];
+    // A dead sequence ("g x"): the last key may still be a shortcut of its own
+    return seq.length > 1 ? feed(key, now) : null;
+  };
+  return feed;
+}
+
+export function isTypingTarget(el) {
+  if (!el || typeof el !== "object") return false;
+  const tag = String(el.tagName || "").toLowerCase();
+  return tag === "input" || tag === "textarea" || tag === "select" || !!el.isContentEditable;
+}
+
+export function ignoreKeyEvent(e) {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return true;
+  if (isTypingTarget(e.target)) return true;
+  const doc = e.target?.ownerDocument || (typeof document !== "undefined" ? document : null);
+  return !!doc?.querySelector?.('[aria-modal="true"]');
+}
+
+/** Next / previous index in a list of `length`; from nothing (-1) forward starts at 0 */
+export function stepIndex(current, delta, length) {
+  if (!length) return -1;
+  if (current < 0) return delta > 0 ? 0 : -1;
+  return Math.min(length - 1, Math.max(0, current + delta));
+}
+
+/** Id `delta` places away from `id` in `list` (null at the ends or when `id` is not listed) */
+export function adjacentId(list, id, delta) {
+  const i = list.findIndex((x) => x.id === id);
+  if (i < 0) return null;
+  return list[i + delta]?.id ?? null;
+}
@@ -0,0 +1,69 @@
+/**
+ * Stable per-item slugs for #/issue/<id>/item/<slug-or-index>
+ * - explicit item.id wins; otherwise derived from the English half of the title
+ * - CJK-only titles fall back to "item-<n>"
+ * - duplicates inside one issue get "-2", "-3", ...
+ */
+
+export const ITEM_ID_RE = /^(?!\d+$)[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export function slugify(s, max = 60) {
+  const out = String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  if (out.length <= max) return out;
+  const cut = out.slice(0, max);
+  return cut.includes("-") ? cut.slice(0, cut.lastIndexOf("-")) : cut;
+}
+
+/** Prefer the part after " / " (titles are "中文 / English") */
+function titleSource(title) {
+  const s = String(title || "");
+  const i = s.indexOf(" / ");
+  return i >= 0 ? s.slice(i + 3) : s;
+}
+
+function baseSlug(item, idx) {
+  if (item?.id) return String(item.id);
+  const s = slugify(titleSource(item?.title));
+  // purely numeric slugs would collide with index refs
+  return s && !/^\d+$/.test(s) ? s : `item-${idx + 1}`;
+}
+
+/** Slugs for every item of an issue, unique within the issue */
+export function itemSlugs(items = []) {
+  const seen = new Map();
+  return items.map((item, idx) => {
+    const base = baseSlug(item, idx);
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n === 1 ? base : `${base}-${n}`;
+  });
+}
+
+export function itemSlug(items, idx) {
+  return itemSlugs(items)[idx] || `item-${idx + 1}`;
+}
+
+function decodeRef(ref) {
+  try {
+    return decodeURIComponent(ref);
+  } catch {
+    return ref;
+  }
+}
+
+/** "3" -> index 2; "openai-updates-realtime-api" -> its index; unknown (or a malformed escape) -> -1 */
+export function findItemIndex(items = [], ref) {
+  if (ref == null || ref === "") return -1;
+  const r = decodeRef(String(ref));
+  if (/^\d+$/.test(r)) {
+    const i = Number(r) - 1;
+    return i >= 0 && i < items.length ? i : -1;
+  }
+  return itemSlugs(items).indexOf(r);
+}
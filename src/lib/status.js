@@ -0,0 +1,54 @@
+/**
+ * Issue lifecycle: draft -> scheduled -> published
+ * - status missing = "published" (content written before the field existed)
+ * - scheduled issues go public once publishedAt has passed (checked against `now`)
+ * - drafts and not-yet-due scheduled issues are admin-only in the app and never reach
+ *   feeds, sitemap, prerendered pages or the search index
+ */
+
+export const ISSUE_STATUSES = ["draft", "scheduled", "published"];
+export const DEFAULT_STATUS = "published";
+
+export function issueStatus(issue) {
+  return ISSUE_STATUSES.includes(issue?.status) ? issue.status : DEFAULT_STATUS;
+}
+
+function releaseTime(issue) {
+  const t = Date.parse(issue?.publishedAt || "");
+  return isNaN(t) ? null : t;
+}
+
+/** Status as readers see it right now: a due scheduled issue counts as published */
+export function effectiveStatus(issue, now = Date.now()) {
+  const status = issueStatus(issue);
+  if (status !== "scheduled") return status;
+  const at = releaseTime(issue);
+  return at != null && at <= +now ? "published" : "scheduled";
+}
+
+export function isPublic(issue, now = Date.now()) {
+  return effectiveStatus(issue, now) === "published";
+}
+
+export function publicIssues(issues = [], now = Date.now()) {
+  return issues.filter((i) => isPublic(i, now));
+}
+
+/** Ids public now but missing from a build that only shipped `builtIds` — due for a rebuild (weekly release) */
+export function unreleasedIds(issues = [], builtIds = [], now = Date.now()) {
+  const built = new Set(builtIds);
+  return publicIssues(issues, now)
+    .map((i) => i.id)
+    .filter((id) => !built.has(id));
+}
+
+/** Earliest future release among scheduled issues (ms), or null — for a reveal timer */
+export function nextRelease(issues = [], now = Date.now()) {
+  let next = null;
+  for (const issue of issues) {
+    if (issueStatus(issue) !== "scheduled") continue;
+    const at = releaseTime(issue);
+    if (at != null && at > +now && (next == null || at < next)) next = at;
+  }
+  return next;
+}
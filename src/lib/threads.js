@@ -0,0 +1,178 @@
+/**
+ * Story threads across issues
+ * - item.thread: one key for every item of a continuing story ("starship-ift-10"); #/thread/<key> lists
+ *   them oldest first (threadItems)
+ * - item.related: ["<issue id>/<item slug>", ...] explicit links to other coverage
+ * - previously(): earlier coverage of an item for its "前情 / Previously" box — related refs and the same
+ *   thread first, then suggestions (shared keyInfo.actor + title terms) to fill up to `limit`
+ * - Stubs (no items yet) contribute nothing; summaries carry threads: { <key>: <item count> } instead, so
+ *   the views know which bodies to load (issuesWithThread / contextIssueIds)
+ */
+import { itemSlugs, findItemIndex } from "./slug.js";
+import { facetKey, itemDate, parseFacetValues } from "./facets.js";
+import { tokenize } from "./search.js";
+
+export const THREAD_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+export const RELATED_RE = /^(\d{4}-\d{2}-\d{2}_\d{4}-\d{2}-\d{2})\/([a-z0-9]+(?:-[a-z0-9]+)*)$/;
+export const PREVIOUSLY_LIMIT = 3;
+// Suggestion score: 2 per shared actor + 1 per shared title term
+const SUGGEST_MIN_SCORE = 3;
+// Earlier issues sharing an actor whose bodies an issue page loads for suggestions
+const SUGGEST_ISSUES = 4;
+// Title terms too common in this archive to tie two stories together
+const STOP_TERMS = new Set(["the", "and", "for", "with", "from", "into", "its", "new", "ai", "发布", "推出", "宣布", "上线", "更新"]);
+
+const hasBody = (issue) => Array.isArray(issue?.items);
+
+/** "2025-08-18_2025-08-24/spacex-starship" -> { issueId, slug }, else null */
+export function parseRef(ref) {
+  const m = RELATED_RE.exec(String(ref ?? ""));
+  return m ? { issueId: m[1], slug: m[2] } : null;
+}
+
+export function threadHref(key) {
+  return `#/thread/${encodeURIComponent(key)}`;
+}
+
+function entries(issue) {
+  if (!hasBody(issue)) return [];
+  const slugs = itemSlugs(issue.items);
+  return issue.items.map((item, idx) => ({ issue, item, idx, slug: slugs[idx], date: itemDate(item, issue) }));
+}
+
+const entryKey = (e) => `${e.issue.id}/${e.slug}`;
+const newestFirst = (a, b) =>
+  b.date.localeCompare(a.date) || String(b.issue.start).localeCompare(String(a.issue.start)) || a.idx - b.idx;
+
+/**
+ * { <key>: <item count> } of a full issue (summaries); a stub answers from its summary
+ * No prototype, so a thread named "constructor" counts like any other
+ */
+export function threadCounts(issue) {
+  const out = Object.create(null);
+  if (!hasBody(issue)) return Object.assign(out, issue?.threads);
+  for (const item of issue.items) if (typeof item?.thread === "string" && item.thread) out[item.thread] = (out[item.thread] || 0) + 1;
+  return out;
+}
+
+/** Ids of the issues (full or stub) with at least one item in the thread */
+export function issuesWithThread(issues = [], key) {
+  return issues.filter((issue) => threadCounts(issue)[key] > 0).map((i) => i.id);
+}
+
+/** Every loaded item of the thread, oldest first: [{ issue, item, idx, slug, date }] */
+export function threadItems(issues = [], key) {
+  return issues
+    .flatMap(entries)
+    .filter((e) => e.item?.thread === key)
+    .sort((a, b) => -newestFirst(a, b));
+}
+
+function resolveRef(byId, ref) {
+  const r = parseRef(ref);
+  const issue = r && byId.get(r.issueId);
+  if (!hasBody(issue)) return null;
+  const idx = findItemIndex(issue.items, r.slug);
+  return idx < 0 ? null : entries(issue)[idx];
+}
+
+function actorKeys(item) {
+  return new Set(parseFacetValues("actor", item?.keyInfo?.actor).map(facetKey));
+}
+
+/** Title terms, minus the item's own actor names (those already score as actors) */
+function titleTerms(item) {
+  const names = new Set(tokenize(parseFacetValues("actor", item?.keyInfo?.actor).join(" ")));
+  return new Set(tokenize(item?.title).filter((t) => t.length > 1 && !STOP_TERMS.has(t) && !names.has(t) && !/^\d{1,2}$/.test(t)));
+}
+
+/** Items of other issues that look like the same story, best first: [{ ...entry, score }] */
+export function suggestRelated(issues = [], issue, idx, { limit = PREVIOUSLY_LIMIT } = {}) {
+  const item = issue?.items?.[idx];
+  if (!item) return [];
+  const actors = actorKeys(item);
+  const terms = titleTerms(item);
+  const out = [];
+  for (const other of issues) {
+    if (other.id === issue.id) continue;
+    for (const e of entries(other)) {
+      let score = 0;
+      for (const a of actorKeys(e.item)) if (actors.has(a)) score += 2;
+      for (const t of titleTerms(e.item)) if (terms.has(t)) score += 1;
+      if (score >= SUGGEST_MIN_SCORE) out.push({ ...e, score });
+    }
+  }
+  return out.sort((a, b) => b.score - a.score || newestFirst(a, b)).slice(0, limit);
+}
+
+/**
+ * Earlier coverage for issue.items[idx], newest first: [{ issue, item, idx, slug, date, reason }]
+ * reason: "related" | "thread" (declared, up to `limit`) | "suggested" (only to fill the rest)
+ * Only items of issues that started before this one count, and only loaded ones (see contextIssueIds)
+ */
+export function previously(issues = [], issue, idx, { limit = PREVIOUSLY_LIMIT } = {}) {
+  const item = issue?.items?.[idx];
+  if (!item) return [];
+  const byId = new Map(issues.map((i) => [i.id, i]));
+  const earlier = (e) => String(e.issue.start) < String(issue.start);
+  const seen = new Set();
+  const pick = (list, reason) => {
+    const out = [];
+    for (const e of list) {
+      if (!e || !earlier(e) || seen.has(entryKey(e))) continue;
+      seen.add(entryKey(e));
+      out.push({ ...e, reason });
+    }
+    return out;
+  };
+
+  const related = pick((Array.isArray(item.related) ? item.related : []).map((ref) => resolveRef(byId, ref)), "related");
+  const thread = item.thread ? pick(threadItems(issues, item.thread), "thread") : [];
+  const declared = [...related, ...thread].sort(newestFirst).slice(0, limit);
+  if (declared.length >= limit) return declared;
+  const before = issues.filter((i) => String(i.start) < String(issue.start));
+  const suggested = pick(suggestRelated(before, issue, idx, { limit: limit + seen.size }), "suggested");
+  return [...declared, ...suggested.slice(0, limit - declared.length)];
+}
+
+/**
+ * Issues an issue page needs loaded for its Previously boxes: related refs, earlier issues of its threads,
+ * and the latest few earlier issues sharing an actor (facet counts of stubs) for suggestions
+ */
+export function contextIssueIds(issues = [], issue) {
+  if (!hasBody(issue)) return [];
+  const ids = new Set();
+  const earlier = issues.filter((i) => i.id !== issue.id && String(i.start) < String(issue.start));
+  for (const item of issue.items) {
+    for (const ref of Array.isArray(item?.related) ? item.related : []) {
+      const r = parseRef(ref);
+      if (r && r.issueId !== issue.id) ids.add(r.issueId);
+    }
+    if (item?.thread) for (const id of issuesWithThread(earlier, item.thread)) ids.add(id);
+  }
+  const actors = new Set(issue.items.flatMap((item) => [...actorKeys(item)]));
+  const sharing = earlier
+    .filter((i) => {
+      const names = hasBody(i) ? i.items.flatMap((item) => [...actorKeys(item)]) : Object.keys(i.facets?.actor || {}).map(facetKey);
+      return names.some((n) => actors.has(n));
+    })
+    .sort((a, b) => String(b.start).localeCompare(String(a.start)))
+    .slice(0, SUGGEST_ISSUES);
+  for (const i of sharing) ids.add(i.id);
+  return [...ids];
+}
+
+/** Related refs that point nowhere (or at the item itself): [{ issueId, idx, ref }] — for `weekly lint` */
+export function unresolvedRefs(issues = []) {
+  const byId = new Map(issues.map((i) => [i.id, i]));
+  const out = [];
+  for (const issue of issues) {
+    for (const e of entries(issue)) {
+      for (const ref of Array.isArray(e.item.related) ? e.item.related : []) {
+        const target = resolveRef(byId, ref);
+        if (!target || entryKey(target) === entryKey(e)) out.push({ issueId: issue.id, idx: e.idx, ref });
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,73 @@
+/**
+ * Items on a time axis by keyInfo.timeSGT (#/timeline[/<YYYY-MM-DD>])
+ * - Times are read with parseTimeSGT() (schema.js): always SGT; a bare date is the whole day
+ * - timelineEntries(): every loaded item, oldest first, optionally filtered by market / actor facet; an item
+ *   without a usable timeSGT sits at its issue's start, marked estimated
+ * - groupTimeline(): day / week (Monday–Sunday, weeks.js) / month buckets, each with the number of empty
+ *   buckets skipped since the previous one so the axis can show the gap
+ */
+import { parseTimeSGT } from "./schema.js";
+import { itemHasFacet } from "./facets.js";
+import { itemSlugs } from "./slug.js";
+import { weekOf } from "./weeks.js";
+
+export const TIMELINE_ZOOMS = ["day", "week", "month"];
+export const TIMELINE_FILTERS = ["market", "actor"];
+const DAY_MS = 24 * 3600 * 1000;
+
+export function timelineHref(date = "") {
+  return date ? `#/timeline/${date}` : "#/timeline";
+}
+
+/** filters: { market?, actor? } facet names -> [{ issue, item, idx, slug, when, estimated }] */
+export function timelineEntries(issues = [], filters = {}) {
+  const out = [];
+  for (const issue of issues) {
+    if (!Array.isArray(issue?.items)) continue;
+    const slugs = itemSlugs(issue.items);
+    const fallback = parseTimeSGT(issue.start);
+    issue.items.forEach((item, idx) => {
+      if (TIMELINE_FILTERS.some((type) => filters[type] && !itemHasFacet(item, type, filters[type]))) return;
+      const when = parseTimeSGT(item?.keyInfo?.timeSGT);
+      if (!when && !fallback) return;
+      out.push({ issue, item, idx, slug: slugs[idx], when: when || fallback, estimated: !when });
+    });
+  }
+  return out.sort((a, b) => a.when.ms - b.when.ms || String(a.issue.start).localeCompare(String(b.issue.start)) || a.idx - b.idx);
+}
+
+/** "2025-08-28" -> { start, end } of its day / week / month */
+export function bucketOf(date, zoom = "day") {
+  if (zoom === "week") {
+    const { start, end } = weekOf(date);
+    return { start, end };
+  }
+  if (zoom === "month") {
+    const [y, m] = date.split("-").map(Number);
+    return { start: `${date.slice(0, 7)}-01`, end: new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10) };
+  }
+  return { start: date, end: date };
+}
+
+/** Buckets between two bucket starts, exclusive */
+function between(a, b, zoom) {
+  if (zoom === "month") {
+    const [ya, ma] = a.split("-").map(Number);
+    const [yb, mb] = b.split("-").map(Number);
+    return (yb - ya) * 12 + (mb - ma) - 1;
+  }
+  const days = Math.round((Date.parse(b) - Date.parse(a)) / DAY_MS);
+  return (zoom === "week" ? days / 7 : days) - 1;
+}
+
+/** entries, oldest first -> [{ start, end, gap, entries }] */
+export function groupTimeline(entries = [], zoom = "day") {
+  const out = [];
+  for (const e of entries) {
+    const { start, end } = bucketOf(e.when.date, zoom);
+    const last = out[out.length - 1];
+    if (last?.start === start) last.entries.push(e);
+    else out.push({ start, end, gap: last ? between(last.start, start, zoom) : 0, entries: [e] });
+  }
+  return out;
+}
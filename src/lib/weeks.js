@@ -0,0 +1,83 @@
+/**
+ * Weekly files: one Monday–Sunday issue per <start>_<end>.json (pure; scripts/weekly.js is the CLI)
+ * - weekOf() / nextWeek(): { id, start, end } of a week, days in +08:00 (the site's zone)
+ * - weekTitle(): "2025-09-01 至 2025-09-07 周报 / Weekly"
+ * - isoAt(): an ISO time written with the +08:00 offset, as publishedAt is
+ * - lintWeeks(): filename / id / date consistency and overlapping weeks across files
+ */
+import { isValidDate } from "./schema.js";
+
+export const TZ_OFFSET = "+08:00";
+const OFFSET_MS = 8 * 3600 * 1000;
+const DAY_MS = 24 * 3600 * 1000;
+export const WEEKLY_FILE_RE = /^(\d{4}-\d{2}-\d{2})_(\d{4}-\d{2}-\d{2})\.json$/;
+
+function day(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/** "YYYY-MM-DD" -> the Monday–Sunday week containing it; a Date / ms counts in +08:00 */
+export function weekOf(when = new Date()) {
+  const ms = typeof when === "string" ? Date.parse(`${when}T00:00:00Z`) : +new Date(when) + OFFSET_MS;
+  const d = new Date(ms);
+  const monday = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+  const start = day(monday);
+  const end = day(monday + 6 * DAY_MS);
+  return { id: `${start}_${end}`, start, end };
+}
+
+/** The week after the one containing `when` */
+export function nextWeek(when = new Date()) {
+  return weekOf(day(Date.parse(`${weekOf(when).end}T00:00:00Z`) + DAY_MS));
+}
+
+export function weekTitle(start, end) {
+  return `${start} 至 ${end} 周报 / Weekly`;
+}
+
+/** 2025-09-01T10:00:00+08:00 (seconds precision) */
+export function isoAt(when = new Date()) {
+  return `${new Date(+new Date(when) + OFFSET_MS).toISOString().slice(0, 19)}${TZ_OFFSET}`;
+}
+
+/**
+ * entries: [{ file, payload }] of the weekly files in one directory
+ * -> [{ file, path, message, warning? }] — every file named <id>.json holding that one issue, a real
+ *    Monday–Sunday week, and no two weeks sharing a day
+ */
+export function lintWeeks(entries = []) {
+  const problems = [];
+  const add = (file, path, message, warning = false) => problems.push({ file, path, message, ...(warning ? { warning } : {}) });
+  const weeks = [];
+
+  for (const { file, payload } of entries) {
+    const named = WEEKLY_FILE_RE.exec(file);
+    if (!named) add(file, "$", "文件名应为 YYYY-MM-DD_YYYY-MM-DD.json");
+    const issues = Array.isArray(payload?.issues) ? payload.issues : [];
+    if (issues.length !== 1) add(file, "$.issues", `每个周报文件应只有一期（现有 ${issues.length} 期）`);
+
+    issues.forEach((issue, i) => {
+      const p = `$.issues[${i}]`;
+      if (named && issue?.id !== `${named[1]}_${named[2]}`) add(file, `${p}.id`, `id 与文件名不一致（${issue?.id ?? "缺失"}）`);
+      if (!isValidDate(issue?.start) || !isValidDate(issue?.end)) return; // reported by the schema
+      if (issue.id !== `${issue.start}_${issue.end}`) add(file, `${p}.id`, `id 与 start/end 不一致（应为 ${issue.start}_${issue.end}）`);
+      const week = weekOf(issue.start);
+      if (issue.start !== week.start) add(file, `${p}.start`, `start 应为周一（${issue.start} 所在周从 ${week.start} 开始）`);
+      else if (issue.end !== week.end) add(file, `${p}.end`, `end 应为周日（${week.end}）`);
+      if (typeof issue.title === "string" && issue.title.trim() && !issue.title.includes(`${issue.start} 至 ${issue.end}`)) {
+        add(file, `${p}.title`, `标题与日期不符（应含 "${issue.start} 至 ${issue.end}"）`, true);
+      }
+      weeks.push({ file, path: p, id: issue.id, start: issue.start, end: issue.end });
+    });
+  }
+
+  weeks.sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+  for (let i = 1; i < weeks.length; i++) {
+    for (let j = i - 1; j >= 0; j--) {
+      if (weeks[j].end < weeks[i].start) continue;
+      const where = weeks[j].file === weeks[i].file ? weeks[j].id : `${weeks[j].file} ${weeks[j].id}`;
+      add(weeks[i].file, weeks[i].path, `${weeks[i].id} 与 ${where} 的日期重叠`);
+    }
+  }
+  return problems;
+}
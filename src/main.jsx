@@ -3,8 +3,22 @@ import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
+// Prerendered pages (scripts/prerender.js) embed their summaries / issue; hydrate instead of rendering from scratch
+const rootEl = document.getElementById('root')
+const ssrEl = document.getElementById('__MW_SSR__')
+const ssr = ssrEl ? JSON.parse(ssrEl.textContent) : null
+const app = (
   <React.StrictMode>
-    <App />
-  </React.StrictMode>,
+    <App ssr={ssr} />
+  </React.StrictMode>
 )
+
+if (ssr && rootEl.hasChildNodes()) ReactDOM.hydrateRoot(rootEl, app)
+else ReactDOM.createRoot(rootEl).render(app)
+
+// Offline support (public/sw.js); skipped in dev so Vite HMR is never served from cache
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {})
+  })
+}
@@ -0,0 +1,85 @@
+// @vitest-environment jsdom
+import React, { useMemo, useState } from "react";
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { ArchivePage } from "../../src/App.jsx";
+import { buildSearchIndex, searchIndex } from "../../src/lib/search.js";
+import { buildFacets } from "../../src/lib/facets.js";
+import { DEFAULT_LANG, t, pickTitle } from "../../src/lib/i18n.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const issues = loadFixtureIssues();
+const NOW = Date.parse("2026-01-01T00:00:00Z");
+
+/** Wires search state the way MondayWeekly does */
+function Archive({ initialQ = "", ...handlers }) {
+  const [q, setQ] = useState(initialQ);
+  const index = useMemo(() => buildSearchIndex(issues), []);
+  const hits = useMemo(() => (q.trim() ? searchIndex(index, q) : []), [index, q]);
+  const facets = useMemo(() => buildFacets(issues), []);
+  return (
+    <ArchivePage
+      issues={issues}
+      now={NOW}
+      offlineIds={new Set()}
+      hits={hits}
+      facets={facets}
+      q={q}
+      setQ={setQ}
+      openIssue={handlers.openIssue || vi.fn()}
+      openItem={handlers.openItem || vi.fn()}
+      openFacet={handlers.openFacet || vi.fn()}
+    />
+  );
+}
+
+function typeQuery(container, q) {
+  fireEvent.change(container.querySelector("input"), { target: { value: q } });
+}
+
+describe("ArchivePage", () => {
+  it("shows one card per issue, newest first", () => {
+    const { container } = render(<Archive />);
+    const titles = [...container.querySelectorAll("article h3")].map((h) => h.textContent);
+    expect(titles).toEqual(issues.map((i) => pickTitle(i.title, DEFAULT_LANG)));
+  });
+
+  it("opens an issue from its card", () => {
+    const openIssue = vi.fn();
+    const { container } = render(<Archive openIssue={openIssue} />);
+    fireEvent.click(container.querySelector("article"));
+    expect(openIssue).toHaveBeenCalledWith(issues[0].id);
+  });
+
+  it("filters to matching items while a query is typed", () => {
+    const openItem = vi.fn();
+    const { container } = render(<Archive openItem={openItem} />);
+    typeQuery(container, "actor:OpenAI");
+
+    expect(container.querySelectorAll("article")).toHaveLength(0);
+    const links = [...container.querySelectorAll('a[href^="#/issue/"]')];
+    expect(links.length).toBeGreaterThan(0);
+    for (const a of links) expect(a.textContent).toMatch(/OpenAI/i);
+
+    fireEvent.click(links[0]);
+    const [issueId, slug] = links[0].getAttribute("href").replace("#/issue/", "").split("/item/");
+    expect(openItem).toHaveBeenCalledWith(issueId, slug);
+  });
+
+  it("says so when nothing matches, and restores the cards when cleared", () => {
+    const { container } = render(<Archive />);
+    typeQuery(container, "zzzz-no-such-thing");
+    expect(screen.getByText(t(DEFAULT_LANG, "search.empty"))).toBeTruthy();
+    typeQuery(container, "");
+    expect(container.querySelectorAll("article")).toHaveLength(issues.length);
+  });
+
+  it("opens a facet from the sidebar", () => {
+    const openFacet = vi.fn();
+    const { container } = render(<Archive openFacet={openFacet} />);
+    const aside = within(container.querySelector("aside"));
+    const first = buildFacets(issues).actor[0];
+    fireEvent.click(aside.getAllByText(first.name)[0]);
+    expect(openFacet).toHaveBeenCalledWith("actor", first.name);
+  });
+});
@@ -0,0 +1,42 @@
+// @vitest-environment jsdom
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { ConflictsPage } from "../../src/App.jsx";
+import { DEFAULT_LANG, t } from "../../src/lib/i18n.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const [issue] = loadFixtureIssues();
+
+function clash(source) {
+  const local = { ...issue, revision: 3, updatedAt: "2025-09-01T08:00:00.000Z", summaryEN: "local summary" };
+  const [first, ...rest] = issue.items;
+  const other = { ...issue, revision: 3, updatedAt: "2025-09-01T09:00:00.000Z", items: [...rest, { ...first, whyEN: "other why" }] };
+  return { id: issue.id, source, local, other };
+}
+
+describe("ConflictsPage", () => {
+  it("shows both versions side by side and reports the choice", () => {
+    const onKeep = vi.fn();
+    const conflict = clash("remote");
+    const { container } = render(<ConflictsPage conflicts={[conflict]} onKeep={onKeep} onBack={() => {}} />);
+    expect(screen.getByText("summaryEN")).toBeTruthy();
+    expect(screen.getByText("local summary")).toBeTruthy();
+    expect(screen.getByText("other why")).toBeTruthy();
+    expect(screen.getAllByText(t(DEFAULT_LANG, "conflicts.status.changed"))).toHaveLength(1);
+    expect(container.textContent).toContain(t(DEFAULT_LANG, "conflicts.remote"));
+
+    fireEvent.click(screen.getByText(t(DEFAULT_LANG, "conflicts.keepRemote")));
+    expect(onKeep).toHaveBeenCalledWith(conflict, "other");
+    fireEvent.click(screen.getByText(t(DEFAULT_LANG, "conflicts.keepLocal")));
+    expect(onKeep).toHaveBeenLastCalledWith(conflict, "local");
+  });
+
+  it("labels imports and says when nothing is left", () => {
+    const { rerender } = render(<ConflictsPage conflicts={[clash("import")]} onKeep={() => {}} onBack={() => {}} />);
+    expect(screen.getByText(t(DEFAULT_LANG, "conflicts.keepImport"))).toBeTruthy();
+    expect(screen.getByText(t(DEFAULT_LANG, "conflicts.keepCurrent"))).toBeTruthy();
+    rerender(<ConflictsPage conflicts={[]} onKeep={() => {}} onBack={() => {}} />);
+    expect(screen.getByText(t(DEFAULT_LANG, "conflicts.none"))).toBeTruthy();
+  });
+});
@@ -0,0 +1,95 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen, fireEvent, waitFor, act } from "@testing-library/react";
+import MondayWeekly from "../../src/App.jsx";
+import { ARCHIVE_PAGE_SIZE } from "../../src/lib/content-index.js";
+import { DEFAULT_LANG, t, pickTitle } from "../../src/lib/i18n.js";
+import { readContentFile } from "../fixtures.js";
+
+const index = readContentFile("index.json");
+
+/** index.json with `n` summaries: the real ones plus copies under older ids (same hash / file) */
+function bigIndex(n) {
+  const [first] = index.summaries;
+  const extra = Array.from({ length: n - index.summaries.length }, (_, i) => {
+    const day = String(1 + i).padStart(2, "0");
+    return { ...first, id: `2024-01-${day}_2024-01-${day}`, start: `2024-01-${day}`, end: `2024-01-${day}`, title: `Old ${i}` };
+  });
+  return { ...index, summaries: [...index.summaries, ...extra] };
+}
+
+/** fetch stub serving /content/* from the given index + the real weekly files; records requested paths */
+function stubFetch(idx) {
+  const requested = [];
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url) => {
+      const p = String(url);
+      requested.push(p);
+      const body = p === "/content/index.json" ? idx : p.startsWith("/content/") ? readContentFile(p.slice("/content/".length)) : null;
+      return body ? new Response(JSON.stringify(body), { status: 200 }) : new Response("not found", { status: 404 });
+    })
+  );
+  return requested;
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  window.location.hash = "";
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("content loading", () => {
+  it("renders the archive from index summaries without fetching any weekly file", async () => {
+    const requested = stubFetch(index);
+    const { container } = render(<MondayWeekly />);
+    const first = pickTitle(index.summaries[0].title, DEFAULT_LANG);
+    await waitFor(() => expect(container.querySelectorAll("article h3")[0]?.textContent).toBe(first));
+    expect(container.querySelectorAll("article")).toHaveLength(index.summaries.length);
+    expect(screen.getByText(t(DEFAULT_LANG, "archive.itemsCount", { n: index.summaries[0].itemCount }))).toBeTruthy();
+    expect(requested.filter((p) => p.startsWith("/content/") && p !== "/content/index.json")).toEqual([]);
+  });
+
+  it("pages the archive", async () => {
+    const idx = bigIndex(ARCHIVE_PAGE_SIZE + 3);
+    stubFetch(idx);
+    const { container } = render(<MondayWeekly />);
+    await waitFor(() => expect(container.querySelectorAll("article")).toHaveLength(ARCHIVE_PAGE_SIZE));
+    fireEvent.click(screen.getByText(t(DEFAULT_LANG, "archive.more", { n: 3 })));
+    expect(container.querySelectorAll("article")).toHaveLength(ARCHIVE_PAGE_SIZE + 3);
+    expect(screen.queryByText(t(DEFAULT_LANG, "archive.more", { n: 3 }))).toBeNull();
+  });
+
+  it("fetches a body only when its issue is opened", async () => {
+    const requested = stubFetch(index);
+    const { container } = render(<MondayWeekly />);
+    await waitFor(() => expect(container.querySelectorAll("article")).toHaveLength(index.summaries.length));
+    const bodies = () => requested.filter((p) => p.startsWith("/content/") && p !== "/content/index.json");
+    expect(bodies()).toEqual([]);
+
+    const [summary, earlier] = index.summaries;
+    await act(async () => {
+      window.location.hash = `#/issue/${summary.id}`;
+      window.dispatchEvent(new HashChangeEvent("hashchange"));
+    });
+    await waitFor(() => expect(container.querySelectorAll("section[id^='item-']")).toHaveLength(summary.itemCount));
+    // Then the earlier issue its Previously boxes draw on (shared thread / actors)
+    await waitFor(() => expect(bodies()).toEqual([`/content/${summary.file}`, `/content/${earlier.file}`]));
+  });
+
+  it("moves the old localStorage archive out, keeping only issues the index doesn't have", async () => {
+    const mine = { id: "2024-12-30_2025-01-05", start: "2024-12-30", end: "2025-01-05", title: "Mine", items: [] };
+    const cached = { ...index.summaries[0], title: "stale cached copy", items: [] };
+    localStorage.setItem("monday.weekly.data.v1", JSON.stringify({ issues: [mine, cached] }));
+    stubFetch(index);
+    const { container } = render(<MondayWeekly />);
+    await waitFor(() => expect(container.querySelectorAll("article")).toHaveLength(index.summaries.length + 1));
+    const titles = [...container.querySelectorAll("article h3")].map((h) => h.textContent);
+    expect(titles).toContain("Mine");
+    expect(titles).not.toContain("stale cached copy");
+  });
+});
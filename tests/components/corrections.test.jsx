@@ -0,0 +1,38 @@
+// @vitest-environment jsdom
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { CorrectionsPage, IssuePage } from "../../src/App.jsx";
+import { DEFAULT_LANG, t } from "../../src/lib/i18n.js";
+import { itemSlugs } from "../../src/lib/slug.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const issues = loadFixtureIssues();
+const correction = { at: "2025-09-02T09:00:00+08:00", noteCN: "更正了发布日期。", noteEN: "Fixed the release date." };
+const corrected = {
+  ...issues[0],
+  items: issues[0].items.map((item, i) => (i === 2 ? { ...item, corrections: [correction] } : item)),
+};
+
+describe("corrections", () => {
+  it("are shown under the corrected item", () => {
+    const { container } = render(<IssuePage issue={corrected} onBack={vi.fn()} />);
+    const sections = container.querySelectorAll("section[id^='item-']");
+    expect(sections[2].textContent).toContain(correction.noteCN);
+    expect(sections[2].textContent).toContain(correction.noteEN);
+    expect(sections[2].textContent).toContain("2025-09-02 09:00 SGT");
+    expect(container.querySelectorAll("time[datetime]")).toHaveLength(1);
+  });
+
+  it("are listed across issues and link to the item", () => {
+    const openItem = vi.fn();
+    render(<CorrectionsPage issues={[corrected, ...issues.slice(1)]} onBack={vi.fn()} openItem={openItem} />);
+    fireEvent.click(screen.getByText(corrected.items[2].title));
+    expect(openItem).toHaveBeenCalledWith(corrected.id, itemSlugs(corrected.items)[2]);
+  });
+
+  it("page says when there are none", () => {
+    render(<CorrectionsPage issues={issues} onBack={vi.fn()} openItem={vi.fn()} />);
+    expect(screen.getByText(t(DEFAULT_LANG, "corrections.none"))).toBeTruthy();
+  });
+});
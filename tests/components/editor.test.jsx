@@ -0,0 +1,31 @@
+// @vitest-environment jsdom
+import React from "react";
+import { beforeEach, describe, expect, it } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { EditorPage } from "../../src/App.jsx";
+import { DEFAULT_LANG, t } from "../../src/lib/i18n.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const issues = loadFixtureIssues();
+const [issue] = issues;
+
+const undoButton = () => screen.getByTitle(t(DEFAULT_LANG, "editor.undo"));
+
+beforeEach(() => localStorage.clear());
+
+describe("EditorPage undo shortcut", () => {
+  it("leaves Ctrl/Cmd+Z in a field to the browser and undoes edits elsewhere", () => {
+    const { container } = render(<EditorPage draftKey={issue.id} published={issue} issues={issues} onPublish={() => {}} onExit={() => {}} />);
+    const field = container.querySelector("textarea, input[type=text], input:not([type])");
+    fireEvent.change(field, { target: { value: `${field.value} edited` } });
+    expect(undoButton().disabled).toBe(false);
+
+    // fireEvent returns false once a handler called preventDefault
+    expect(fireEvent.keyDown(field, { key: "z", ctrlKey: true })).toBe(true);
+    expect(fireEvent.keyDown(field, { key: "z", metaKey: true, shiftKey: true })).toBe(true);
+    expect(undoButton().disabled).toBe(false);
+
+    expect(fireEvent.keyDown(document.body, { key: "z", ctrlKey: true })).toBe(false);
+    expect(undoButton().disabled).toBe(true);
+  });
+});
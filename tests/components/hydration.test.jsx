@@ -0,0 +1,56 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act, waitFor } from "@testing-library/react";
+import { renderToString } from "react-dom/server";
+import { hydrateRoot } from "react-dom/client";
+import MondayWeekly from "../../src/App.jsx";
+import { LANG_KEY, t } from "../../src/lib/i18n.js";
+import { loadFixtureIssues, readContentFile } from "../fixtures.js";
+
+const index = readContentFile("index.json");
+const [issue] = loadFixtureIssues();
+
+let root;
+let container;
+
+beforeEach(() => {
+  localStorage.clear();
+  window.location.hash = "";
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url) => {
+      const p = String(url);
+      const body = p.startsWith("/content/") ? readContentFile(p.slice("/content/".length)) : null;
+      return body ? new Response(JSON.stringify(body), { status: 200 }) : new Response("not found", { status: 404 });
+    })
+  );
+});
+
+afterEach(() => {
+  act(() => root?.unmount());
+  container?.remove();
+  history.replaceState(null, "", "/");
+  vi.unstubAllGlobals();
+});
+
+describe("hydrating a prerendered page", () => {
+  it("matches the default-language markup, then switches to the stored language", async () => {
+    const ssr = { url: `/issue/${issue.id}/`, summaries: index.summaries.filter((s) => s.id === issue.id), issues: [issue] };
+    history.replaceState(null, "", ssr.url);
+    container = document.createElement("div");
+    container.innerHTML = renderToString(<MondayWeekly ssr={ssr} />);
+    document.body.appendChild(container);
+    // Prerendered at build time, without the reader's preference
+    localStorage.setItem(LANG_KEY, "en");
+
+    const onRecoverableError = vi.fn();
+    await act(async () => {
+      root = hydrateRoot(container, <MondayWeekly ssr={ssr} />, { onRecoverableError });
+    });
+
+    expect(onRecoverableError).not.toHaveBeenCalled();
+    await waitFor(() => expect(container.textContent).toContain(t("en", "issue.back")));
+    expect(localStorage.getItem(LANG_KEY)).toBe("en");
+  });
+});
@@ -0,0 +1,65 @@
+// @vitest-environment jsdom
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { Importer } from "../../src/App.jsx";
+import { DEFAULT_LANG, t } from "../../src/lib/i18n.js";
+import { payloadToMarkdown } from "../../src/lib/markdown.js";
+import { readContentFile, contentFiles } from "../fixtures.js";
+
+function setup() {
+  const close = vi.fn();
+  const onImport = vi.fn();
+  const { container } = render(<Importer close={close} onImport={onImport} />);
+  const submit = (text) => {
+    fireEvent.change(container.querySelector("textarea"), { target: { value: text } });
+    fireEvent.click(within(container).getByText(t(DEFAULT_LANG, "importer.submit")));
+  };
+  return { close, onImport, submit, container };
+}
+
+describe("Importer", () => {
+  it("reports JSON syntax errors and keeps the dialog open", () => {
+    const { close, onImport, submit, container } = setup();
+    submit('{ "issues": [ }');
+    expect(container.querySelector(".text-red-600")).not.toBeNull();
+    expect(onImport).not.toHaveBeenCalled();
+    expect(close).not.toHaveBeenCalled();
+  });
+
+  it("hints at bad backslash escapes", () => {
+    const { submit } = setup();
+    submit('{ "issues": [], "note": "C:\\data" }');
+    expect(screen.getByText(/反斜杠/)).toBeTruthy();
+  });
+
+  it("lists schema problems with their JSON paths", () => {
+    const { onImport, submit } = setup();
+    submit(JSON.stringify({ issues: [{ id: "2025-08-18_2025-08-24", start: "2025-08-18", end: "2025-02-30", items: [] }] }));
+    expect(screen.getByText(/校验未通过/).textContent).toMatch(/\$\.issues\[0\]\.end/);
+    expect(onImport).not.toHaveBeenCalled();
+  });
+
+  it("reports the line of a Markdown structure error", () => {
+    const { onImport, submit } = setup();
+    submit("---\nid: 2025-08-18_2025-08-24\nstart: 2025-08-18\nend: 2025-08-24\n---\n- orphan bullet\n");
+    expect(screen.getByText(/Markdown 解析失败：第 6 行/)).toBeTruthy();
+    expect(onImport).not.toHaveBeenCalled();
+  });
+
+  it("imports a real weekly file as JSON or Markdown and closes", () => {
+    const payload = readContentFile(contentFiles()[0]);
+    for (const text of [JSON.stringify(payload), payloadToMarkdown(payload)]) {
+      const { close, onImport, submit } = setup();
+      submit(text);
+      expect(onImport).toHaveBeenCalledWith(payload);
+      expect(close).toHaveBeenCalled();
+    }
+  });
+
+  it("closes on Escape", () => {
+    const { close } = setup();
+    fireEvent.keyDown(window, { key: "Escape" });
+    expect(close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,62 @@
+// @vitest-environment jsdom
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { render, fireEvent, screen } from "@testing-library/react";
+import { IssuePage } from "../../src/App.jsx";
+import { DEFAULT_LANG, t, pickTitle } from "../../src/lib/i18n.js";
+import { itemSlugs } from "../../src/lib/slug.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const issues = loadFixtureIssues();
+
+describe("IssuePage", () => {
+  for (const issue of issues) {
+    it(`renders every item of ${issue.id}`, () => {
+      const { container } = render(<IssuePage issue={issue} onBack={vi.fn()} />);
+      expect(container.querySelector("h1").textContent).toBe(pickTitle(issue.title, DEFAULT_LANG));
+
+      const sections = container.querySelectorAll("section[id^='item-']");
+      expect(sections).toHaveLength(issue.items.length);
+      const slugs = itemSlugs(issue.items);
+      sections.forEach((s, i) => {
+        expect(s.id).toBe(`item-${slugs[i]}`);
+        // facts in both languages (bi mode)
+        const text = s.textContent;
+        if (issue.items[i].factsCN?.[0]) expect(text).toContain(issue.items[i].factsCN[0]);
+        if (issue.items[i].factsEN?.[0]) expect(text).toContain(issue.items[i].factsEN[0]);
+      });
+    });
+  }
+
+  it("links sources and draws fallback art for items without a local image", () => {
+    const issue = issues[0];
+    const { container } = render(<IssuePage issue={issue} onBack={vi.fn()} />);
+    const first = container.querySelector("section[id^='item-']");
+    for (const l of issue.items[0].links) expect(first.querySelector(`a[href="${l.url}"]`)).not.toBeNull();
+    expect(first.querySelector("[role='img'] svg")).not.toBeNull();
+    expect(container.querySelector("img[src^='http']")).toBeNull();
+  });
+
+  it("highlights the focused item", () => {
+    const issue = issues[0];
+    const { container } = render(<IssuePage issue={issue} focusIndex={1} onBack={vi.fn()} />);
+    const focused = container.querySelectorAll(".ami-item-focus");
+    expect(focused).toHaveLength(1);
+    expect(focused[0].id).toBe(`item-${itemSlugs(issue.items)[1]}`);
+  });
+
+  it("shows the status banner only for non-public issues", () => {
+    const issue = { ...issues[0], status: "draft" };
+    const { container, rerender } = render(<IssuePage issue={issue} status="draft" onBack={vi.fn()} />);
+    expect(container.textContent).toContain(t(DEFAULT_LANG, "status.draftBanner"));
+    rerender(<IssuePage issue={issues[0]} onBack={vi.fn()} />);
+    expect(container.textContent).not.toContain(t(DEFAULT_LANG, "status.draftBanner"));
+  });
+
+  it("calls onBack", () => {
+    const onBack = vi.fn();
+    render(<IssuePage issue={issues[0]} onBack={onBack} />);
+    fireEvent.click(screen.getByText(t(DEFAULT_LANG, "issue.back")));
+    expect(onBack).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,33 @@
+// @vitest-environment jsdom
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { act, render, screen } from "@testing-library/react";
+import { IssuePage, PrintIssue } from "../../src/App.jsx";
+import { DEFAULT_LANG, t } from "../../src/lib/i18n.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const [, older] = loadFixtureIssues();
+
+describe("print layout", () => {
+  it("has a cover page, contents linking to the items, and sources as footnotes", () => {
+    const { container } = render(<PrintIssue issue={older} />);
+    expect(container.querySelector(`img[src='${older.cover.src}']`)).toBeTruthy();
+    const toc = [...container.querySelectorAll("nav a")].map((a) => a.getAttribute("href"));
+    const items = [...container.querySelectorAll("section[id^='print-']")];
+    expect(toc).toEqual(items.map((s) => `#${s.id}`));
+    expect(items.every((s) => s.className.includes("break-inside-avoid"))).toBe(true);
+    const first = older.items[0].links[0];
+    expect(items[0].textContent).toContain(`[1]`);
+    expect(items[0].textContent).toContain(first.url);
+  });
+
+  it("replaces the issue page while the browser prints", () => {
+    render(<IssuePage issue={older} onBack={vi.fn()} />);
+    expect(screen.getByText(t(DEFAULT_LANG, "print.button"))).toBeTruthy();
+    act(() => window.dispatchEvent(new Event("beforeprint")));
+    expect(screen.getByText(t(DEFAULT_LANG, "print.contents"))).toBeTruthy();
+    expect(screen.queryByText(t(DEFAULT_LANG, "print.button"))).toBeNull();
+    act(() => window.dispatchEvent(new Event("afterprint")));
+    expect(screen.queryByText(t(DEFAULT_LANG, "print.contents"))).toBeNull();
+  });
+});
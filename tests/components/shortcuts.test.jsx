@@ -0,0 +1,114 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen, fireEvent, waitFor, act } from "@testing-library/react";
+import MondayWeekly from "../../src/App.jsx";
+import { DEFAULT_LANG, LANGS, LANG_KEY, t } from "../../src/lib/i18n.js";
+import { itemSlugs } from "../../src/lib/slug.js";
+import { loadFixtureIssues, readContentFile } from "../fixtures.js";
+
+const index = readContentFile("index.json");
+const issues = loadFixtureIssues();
+
+function stubFetch() {
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url) => {
+      const p = String(url);
+      const body = p.startsWith("/content/") ? readContentFile(p.slice("/content/".length)) : null;
+      return body ? new Response(JSON.stringify(body), { status: 200 }) : new Response("not found", { status: 404 });
+    })
+  );
+}
+
+// The hash without the ?lang= the app keeps in it
+const path = () => window.location.hash.split("?")[0];
+const storedLang = () => localStorage.getItem(LANG_KEY);
+
+const press = (...keys) => {
+  for (const key of keys) fireEvent.keyDown(document.body, { key });
+};
+
+async function open(hash) {
+  await act(async () => {
+    window.location.hash = hash;
+    window.dispatchEvent(new HashChangeEvent("hashchange"));
+  });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  window.location.hash = "";
+  stubFetch();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("reader shortcuts", () => {
+  it("? opens the help overlay, Escape closes it", async () => {
+    const { container } = render(<MondayWeekly />);
+    await waitFor(() => expect(container.querySelectorAll("article")).toHaveLength(index.summaries.length));
+    press("?");
+    expect(screen.getByRole("dialog").textContent).toContain(t(DEFAULT_LANG, "shortcuts.nextItem"));
+    // shortcuts are off while a dialog is open
+    press("g", "a", "l");
+    expect(storedLang()).toBe(DEFAULT_LANG);
+    press("Escape");
+    expect(screen.queryByRole("dialog")).toBeNull();
+  });
+
+  it("/ focuses the archive search; keys typed there are left alone", async () => {
+    const { container } = render(<MondayWeekly />);
+    await waitFor(() => expect(container.querySelectorAll("article")).toHaveLength(index.summaries.length));
+    vi.spyOn(window, "requestAnimationFrame").mockImplementation((cb) => cb());
+    press("/");
+    const input = container.querySelector("input");
+    expect(document.activeElement).toBe(input);
+    fireEvent.keyDown(input, { key: "j" });
+    fireEvent.keyDown(input, { key: "l" });
+    expect(path()).toBe("#/");
+    expect(storedLang()).toBe(DEFAULT_LANG);
+  });
+
+  it("j / k move between items, n / p between issues, g a back to the archive", async () => {
+    const [issue, older] = issues;
+    const slugs = itemSlugs(issue.items);
+    const { container } = render(<MondayWeekly />);
+    await open(`#/issue/${issue.id}`);
+    await waitFor(() => expect(container.querySelectorAll("section[id^='item-']")).toHaveLength(issue.items.length));
+
+    // Nothing scrolled yet: every item sits below the fold
+    vi.spyOn(Element.prototype, "getBoundingClientRect").mockReturnValue({ top: 5000, bottom: 5400 });
+    press("j");
+    expect(path()).toBe(`#/issue/${issue.id}/item/${slugs[0]}`);
+    await open(window.location.hash);
+    press("k");
+    expect(path()).toBe(`#/issue/${issue.id}/item/${slugs[0]}`);
+
+    press("n");
+    expect(path()).toBe(`#/issue/${older.id}`);
+    await open(window.location.hash);
+    await waitFor(() => expect(container.querySelectorAll("section[id^='item-']")).toHaveLength(older.items.length));
+    press("p");
+    expect(path()).toBe(`#/issue/${issue.id}`);
+
+    press("g", "a");
+    expect(path()).toBe("#/");
+  });
+
+  it("l cycles the language", async () => {
+    render(<MondayWeekly />);
+    await waitFor(() => expect(storedLang()).toBe(DEFAULT_LANG));
+    const seen = [];
+    for (const _ of LANGS) {
+      press("l");
+      await waitFor(() => expect(storedLang()).not.toBe(seen.at(-1) ?? DEFAULT_LANG));
+      seen.push(storedLang());
+    }
+    expect(new Set(seen)).toEqual(new Set(LANGS));
+    expect(seen.at(-1)).toBe(DEFAULT_LANG);
+  });
+});
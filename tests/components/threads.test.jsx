@@ -0,0 +1,39 @@
+// @vitest-environment jsdom
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { IssuePage, ThreadPage } from "../../src/App.jsx";
+import { DEFAULT_LANG, t } from "../../src/lib/i18n.js";
+import { previously } from "../../src/lib/threads.js";
+import { loadThreadedIssues } from "../fixtures.js";
+
+const [issue, older] = loadThreadedIssues();
+const starship = issue.items.findIndex((item) => item.thread === "starship-ift-10");
+
+describe("story threads", () => {
+  it("show earlier coverage under the item with a link to the whole story", () => {
+    const earlier = issue.items.map((_, idx) => previously([issue, older], issue, idx));
+    const { container } = render(<IssuePage issue={issue} previously={earlier} onBack={vi.fn()} />);
+    const section = container.querySelectorAll("section[id^='item-']")[starship];
+    expect(section.textContent).toContain(t(DEFAULT_LANG, "item.previously"));
+    expect(section.querySelector(`a[href='#/issue/${older.id}/item/spacex-starship']`)).toBeTruthy();
+    expect(section.querySelector("a[href='#/thread/starship-ift-10']")).toBeTruthy();
+  });
+
+  it("lay out a thread as a timeline across issues", () => {
+    const openItem = vi.fn();
+    render(<ThreadPage threadKey="starship-ift-10" issues={[issue, older]} onBack={vi.fn()} openItem={openItem} />);
+    const links = screen.getAllByRole("link");
+    expect(links.map((a) => a.getAttribute("href"))).toEqual([
+      `#/issue/${older.id}/item/spacex-starship`,
+      `#/issue/${issue.id}/item/starship-ift-10-preps-advance`,
+    ]);
+    fireEvent.click(links[0]);
+    expect(openItem).toHaveBeenCalledWith(older.id, "spacex-starship");
+  });
+
+  it("say when a thread has no items", () => {
+    render(<ThreadPage threadKey="nothing-here" issues={[issue, older]} onBack={vi.fn()} openItem={vi.fn()} />);
+    expect(screen.getByText(t(DEFAULT_LANG, "thread.empty"))).toBeTruthy();
+  });
+});
@@ -0,0 +1,45 @@
+// @vitest-environment jsdom
+import React, { useState } from "react";
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import { IssuePage, TimelinePage } from "../../src/App.jsx";
+import { DEFAULT_LANG, t } from "../../src/lib/i18n.js";
+import { facetsOf } from "../../src/lib/content-index.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const issues = loadFixtureIssues();
+
+function Timeline({ openItem = vi.fn(), focusDate = "" }) {
+  const [view, setView] = useState({ zoom: "week", market: "", actor: "" });
+  return <TimelinePage issues={issues} facets={facetsOf(issues)} view={view} setView={setView} focusDate={focusDate} onBack={vi.fn()} openItem={openItem} />;
+}
+
+const headings = (container) => [...container.querySelectorAll("li[id^='timeline-']")].map((li) => li.id.slice("timeline-".length));
+
+describe("timeline", () => {
+  it("zooms between day, week and month buckets", () => {
+    const { container } = render(<Timeline />);
+    expect(headings(container)).toEqual(["2025-07-28", "2025-08-04", "2025-08-18", "2025-08-25"]);
+    expect(screen.getByText(t(DEFAULT_LANG, "timeline.gap.week", { n: 1 }))).toBeTruthy();
+    fireEvent.click(screen.getByRole("button", { name: t(DEFAULT_LANG, "timeline.zoomOut") }));
+    expect(headings(container)).toEqual(["2025-08-01"]);
+    fireEvent.click(screen.getByRole("button", { name: t(DEFAULT_LANG, "timeline.day") }));
+    expect(headings(container)).toHaveLength(16);
+  });
+
+  it("filters by market and jumps to an item", () => {
+    const openItem = vi.fn();
+    const { container } = render(<Timeline openItem={openItem} />);
+    fireEvent.change(screen.getByLabelText(t(DEFAULT_LANG, "keyInfo.market")), { target: { value: "航天" } });
+    const links = within(container.querySelector("ol")).getAllByRole("link");
+    expect(links).toHaveLength(4);
+    fireEvent.click(links[links.length - 1]);
+    expect(openItem).toHaveBeenCalledWith(issues[0].id, "starship-ift-10-preps-advance");
+  });
+
+  it("is linked from an item's time", () => {
+    const { container } = render(<IssuePage issue={issues[0]} onBack={vi.fn()} />);
+    const time = issues[0].items[0].keyInfo.timeSGT;
+    expect(container.querySelector(`a[href='#/timeline/${time}']`).textContent).toBe(time);
+  });
+});
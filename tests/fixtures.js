@@ -0,0 +1,47 @@
+/**
+ * The real weekly files under public/content, loaded the way the app does:
+ * index.json -> each listed file -> validatePayload (invalid issues dropped)
+ */
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { validatePayload } from "../src/lib/schema.js";
+import { itemSlugs } from "../src/lib/slug.js";
+
+const CONTENT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "public", "content");
+
+export function readContentFile(name) {
+  return JSON.parse(readFileSync(path.join(CONTENT_DIR, name), "utf8"));
+}
+
+export function contentFiles() {
+  return readContentFile("index.json").files;
+}
+
+/** All valid issues, newest first (like the archive) */
+export function loadFixtureIssues() {
+  const issues = contentFiles().flatMap((name) => validatePayload(readContentFile(name)).validIssues);
+  return issues.sort((a, b) => b.start.localeCompare(a.start));
+}
+
+// Story-thread fields the thread tests lay over the real issues: { <issue id>: { <item slug>: fields } }
+const THREAD_TAGS = {
+  "2025-08-18_2025-08-24": {
+    "openai-anthropic": { thread: "openai-anthropic-safety-evals" },
+    "spacex-starship": { thread: "starship-ift-10" },
+  },
+  "2025-08-25_2025-08-31": {
+    "openai-and-anthropic-form-joint-safety-evaluations": { thread: "openai-anthropic-safety-evals" },
+    "starship-ift-10-preps-advance": { thread: "starship-ift-10" },
+    "nvidia-unveils-spectrum-xgs-ethernet": { related: ["2025-08-18_2025-08-24/hot-chips-nvidia-spectrum-xgs"] },
+  },
+};
+
+/** loadFixtureIssues() with THREAD_TAGS applied (item.thread / item.related) */
+export function loadThreadedIssues() {
+  return loadFixtureIssues().map((issue) => {
+    const tags = THREAD_TAGS[issue.id] || {};
+    const slugs = itemSlugs(issue.items);
+    return { ...issue, items: issue.items.map((item, i) => ({ ...item, ...tags[slugs[i]] })) };
+  });
+}
@@ -0,0 +1,18 @@
+// Shared test setup: unmount React trees between tests; fill in the DOM APIs jsdom doesn't implement
+import { afterEach } from "vitest";
+
+if (typeof window !== "undefined") {
+  const { cleanup } = await import("@testing-library/react");
+  afterEach(cleanup);
+  // IssuePage scrolls the focused item into view
+  Element.prototype.scrollIntoView ??= function scrollIntoView() {};
+  // MondayWeekly keeps light mode by watching prefers-color-scheme
+  window.matchMedia ??= (query) => ({
+    matches: false,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {},
+    addListener() {},
+    removeListener() {},
+  });
+}
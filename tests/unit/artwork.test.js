@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { artworkSpec, hashSeed, ART_MOTIFS } from "../../src/lib/artwork.js";
+
+describe("artworkSpec", () => {
+  it("is deterministic per seed", () => {
+    const seed = "2025-08-25_2025-08-31/openai-realtime";
+    expect(artworkSpec(seed)).toEqual(artworkSpec(seed));
+    expect(artworkSpec(seed)).not.toEqual(artworkSpec("2025-08-25_2025-08-31/figma"));
+  });
+
+  it("only uses palette variables and known motifs", () => {
+    for (const seed of ["a", "b", "c", "d", "e", "f", "g", "h"]) {
+      const art = artworkSpec(seed);
+      expect(ART_MOTIFS).toContain(art.motif);
+      expect(art.background).toMatch(/^var\(--ami-/);
+      for (const s of art.shapes) expect(s.fill === "none" ? s.stroke : s.fill).toMatch(/^var\(--ami-/);
+    }
+  });
+});
+
+describe("hashSeed", () => {
+  it("is a stable unsigned 32-bit hash", () => {
+    expect(hashSeed("")).toBe(0x811c9dc5);
+    expect(hashSeed("航天")).toBe(hashSeed("航天"));
+    expect(hashSeed("a")).not.toBe(hashSeed("b"));
+  });
+});
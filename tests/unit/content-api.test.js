@@ -0,0 +1,148 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { cp, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createAuthStore } from "../../scripts/lib/auth-store.js";
+import { createContentStore } from "../../scripts/lib/content-store.js";
+import { createApiHandler, SESSION_COOKIE } from "../../scripts/lib/content-api.js";
+import { bumpRevision } from "../../src/lib/issues.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const CONTENT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "public", "content");
+const TTL = 60 * 60 * 1000;
+
+let dir, server, base, clock;
+
+async function call(method, route, { body, cookie, headers = {} } = {}) {
+  const res = await fetch(`${base}${route}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+      ...(cookie ? { Cookie: cookie } : {}),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, data: text ? JSON.parse(text) : null };
+}
+
+async function signIn() {
+  const res = await call("POST", "/api/login", { body: { user: "editor", password: "correct horse" } });
+  expect(res.status).toBe(200);
+  return res.headers.get("set-cookie").split(";")[0];
+}
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "mw-api-"));
+  await cp(CONTENT_DIR, path.join(dir, "content"), { recursive: true });
+  clock = Date.parse("2025-09-01T08:00:00Z");
+  const now = () => clock;
+  const auth = createAuthStore(path.join(dir, "data"), { ttlMs: TTL, now });
+  await auth.setPassword("editor", "correct horse");
+  const reportFile = path.join(dir, "data", "link-report.json");
+  const handle = createApiHandler({ store: createContentStore(path.join(dir, "content")), auth, ttlMs: TTL, reportFile, now });
+  server = createServer(handle);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("content API", () => {
+  it("logs in with an HttpOnly cookie and rejects bad passwords", async () => {
+    expect((await call("POST", "/api/login", { body: { user: "editor", password: "wrong" } })).status).toBe(401);
+    expect((await call("GET", "/api/session")).status).toBe(401);
+
+    const res = await call("POST", "/api/login", { body: { user: "editor", password: "correct horse" } });
+    expect(res.data).toEqual({ user: "editor", expiresAt: new Date(clock + TTL).toISOString() });
+    expect(res.headers.get("set-cookie")).toMatch(new RegExp(`^${SESSION_COOKIE}=.+; Path=/api; HttpOnly; SameSite=Strict; Max-Age=3600$`));
+    const cookie = res.headers.get("set-cookie").split(";")[0];
+    expect((await call("GET", "/api/session", { cookie })).data.user).toBe("editor");
+  });
+
+  it("serves the link report to signed-in admins only", async () => {
+    expect((await call("GET", "/api/link-report")).status).toBe(401);
+    const cookie = await signIn();
+    expect((await call("GET", "/api/link-report", { cookie })).status).toBe(404);
+    const report = { version: 1, links: [{ url: "https://example.com/a", refs: [{ issueId: "2025-09-08_2025-09-14" }] }] };
+    await writeFile(path.join(dir, "data", "link-report.json"), JSON.stringify(report));
+    expect(await call("GET", "/api/link-report", { cookie })).toMatchObject({ status: 200, data: report });
+  });
+
+  it("answers 401 for names that only exist on Object.prototype", async () => {
+    for (const user of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+      expect((await call("POST", "/api/login", { body: { user, password: "correct horse" } })).status).toBe(401);
+    }
+  });
+
+  it("ends sessions on logout and at expiry", async () => {
+    const cookie = await signIn();
+    expect((await call("POST", "/api/logout", { cookie })).status).toBe(204);
+    expect((await call("GET", "/api/session", { cookie })).status).toBe(401);
+
+    const again = await signIn();
+    clock += TTL;
+    expect((await call("GET", "/api/issues", { cookie: again })).status).toBe(401);
+  });
+
+  it("accepts a bearer token for scripts", async () => {
+    const res = await call("POST", "/api/login", { body: { user: "editor", password: "correct horse", bearer: true } });
+    const list = await call("GET", "/api/issues", { headers: { Authorization: `Bearer ${res.data.token}` } });
+    expect(list.data.issues.map((i) => i.id)).toEqual(loadFixtureIssues().map((i) => i.id));
+  });
+
+  it("saves an edit from the current revision and regenerates index.json", async () => {
+    const cookie = await signIn();
+    const [issue] = loadFixtureIssues();
+    const next = bumpRevision({ ...issue, summaryEN: "edited" }, { now: new Date(clock) });
+    const res = await call("PUT", `/api/issues/${issue.id}`, {
+      cookie,
+      body: { issue: next },
+      headers: { "If-Match": `"${issue.revision ?? 0}"` },
+    });
+    expect(res.status).toBe(200);
+    expect((await call("GET", `/api/issues/${issue.id}`, { cookie })).data.issue.summaryEN).toBe("edited");
+    const index = JSON.parse(await readFile(path.join(dir, "content", "index.json"), "utf8"));
+    expect(index.summaries.find((s) => s.id === issue.id).revision).toBe(next.revision);
+  });
+
+  it("answers 409 for stale writes and for edits that crossed another one", async () => {
+    const cookie = await signIn();
+    const [issue] = loadFixtureIssues();
+    const from = issue.revision ?? 0;
+    const put = (body, ifMatch) =>
+      call("PUT", `/api/issues/${issue.id}`, { cookie, body: { issue: body }, headers: ifMatch == null ? {} : { "If-Match": `"${ifMatch}"` } });
+
+    const stale = await put(issue);
+    expect(stale.status).toBe(409);
+    expect(stale.data.reason).toBe("stale");
+
+    expect((await put(bumpRevision({ ...issue, summaryEN: "first" }), from)).status).toBe(200);
+    const crossed = await put(bumpRevision({ ...issue, summaryEN: "second" }), from);
+    expect(crossed.status).toBe(409);
+    expect(crossed.data).toMatchObject({ reason: "conflict", current: { summaryEN: "first" } });
+  });
+
+  it("refuses invalid issues, mismatched ids and non-JSON bodies", async () => {
+    const cookie = await signIn();
+    const [issue] = loadFixtureIssues();
+    expect((await call("PUT", `/api/issues/${issue.id}`, { cookie, body: { issue: { ...issue, items: "nope" } } })).status).toBe(422);
+    expect((await call("PUT", "/api/issues/other", { cookie, body: { issue } })).status).toBe(400);
+    const malformed = await call("GET", "/api/issues/%E0", { cookie });
+    expect(malformed.status).toBe(400);
+    expect(malformed.data.error).toContain("%E0");
+    expect((await call("GET", "/api/session", { cookie: "mw_session=%E0" })).status).toBe(401);
+    const form = await fetch(`${base}/api/issues/${issue.id}`, {
+      method: "PUT",
+      headers: { Cookie: cookie, "Content-Type": "application/x-www-form-urlencoded" },
+      body: "issue=1",
+    });
+    expect(form.status).toBe(415);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import {
+  contentHash,
+  facetsOf,
+  isStub,
+  issueSummary,
+  issuesWithFacet,
+  itemCount,
+  leadOf,
+  readSummaries,
+} from "../../src/lib/content-index.js";
+import { buildFacets } from "../../src/lib/facets.js";
+import { loadFixtureIssues, readContentFile } from "../fixtures.js";
+
+const issues = loadFixtureIssues();
+const index = readContentFile("index.json");
+
+describe("contentHash", () => {
+  it("is 16 hex chars, stable, and changes with the content", async () => {
+    const h = await contentHash(issues[0]);
+    expect(h).toMatch(/^[0-9a-f]{16}$/);
+    expect(await contentHash(structuredClone(issues[0]))).toBe(h);
+    expect(await contentHash({ ...issues[0], title: "changed" })).not.toBe(h);
+  });
+});
+
+describe("issueSummary", () => {
+  it("keeps the card fields and drops the items", () => {
+    const issue = {
+      id: "2025-01-06_2025-01-12",
+      start: "2025-01-06",
+      end: "2025-01-12",
+      title: "T",
+      summaryEN: "",
+      items: [
+        { title: "a", keyInfo: { actor: "OpenAI; Anthropic", market: "AI" }, image: { src: "/images/x/a.webp", width: 960 } },
+        { title: "b", keyInfo: { actor: "OpenAI" } },
+      ],
+    };
+    const s = issueSummary(issue, { file: "2025-01-06_2025-01-12.json", hash: "0123456789abcdef" });
+    expect(s).toEqual({
+      id: issue.id,
+      start: issue.start,
+      end: issue.end,
+      title: "T",
+      lead: { image: { src: "/images/x/a.webp", width: 960 }, market: "AI" },
+      itemCount: 2,
+      facets: { actor: { OpenAI: 2, Anthropic: 1 }, market: { AI: 1 } },
+      hash: "0123456789abcdef",
+      file: "2025-01-06_2025-01-12.json",
+    });
+    expect(isStub(s)).toBe(true);
+    expect(itemCount(s)).toBe(2);
+    expect(leadOf(s)).toEqual(leadOf(issue));
+  });
+
+  it("matches the committed index.json (run npm run content-index after editing content)", async () => {
+    const { summaries } = readSummaries(index);
+    expect(summaries.map((s) => s.id)).toEqual(issues.map((i) => i.id));
+    for (const issue of issues) {
+      const s = summaries.find((x) => x.id === issue.id);
+      expect(s).toEqual(issueSummary(issue, { file: s.file, hash: await contentHash(issue) }));
+    }
+  });
+});
+
+describe("readSummaries", () => {
+  it("drops malformed entries and reports where", () => {
+    const good = { id: "a", start: "2025-01-01", end: "2025-01-07", file: "a.json", hash: "0123456789abcdef" };
+    const { summaries, errors } = readSummaries({
+      summaries: [good, null, { ...good, file: "" }, { ...good, hash: "xyz" }],
+    });
+    expect(summaries).toEqual([good]);
+    expect(errors.map((e) => e.path)).toEqual(["$.summaries[1]", "$.summaries[2]", "$.summaries[3].hash"]);
+  });
+
+  it("treats an index without summaries as empty", () => {
+    expect(readSummaries({ files: [] })).toEqual({ summaries: [], errors: [] });
+  });
+});
+
+describe("facets from summaries", () => {
+  const summaries = readSummaries(index).summaries;
+
+  it("add up to the same sidebar as the full issues, also when mixed", () => {
+    const full = buildFacets(issues);
+    expect(facetsOf(summaries)).toEqual(full);
+    expect(facetsOf([issues[0], ...summaries.slice(1)])).toEqual(full);
+  });
+
+  it("find the issues a facet needs loaded", () => {
+    const name = buildFacets(issues).actor[0].name;
+    const withIt = issues.filter((i) => buildFacets([i]).actor.some((f) => f.name === name)).map((i) => i.id);
+    expect(issuesWithFacet(summaries, "actor", name)).toEqual(withIt);
+    expect(issuesWithFacet(summaries, "actor", "no such actor")).toEqual([]);
+  });
+});
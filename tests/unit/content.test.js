@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest";
+import { validatePayload } from "../../src/lib/schema.js";
+import { payloadToMarkdown, markdownToPayload } from "../../src/lib/markdown.js";
+import { contentFiles, readContentFile } from "../fixtures.js";
+
+describe("public/content", () => {
+  for (const name of contentFiles()) {
+    it(`${name} passes the schema`, () => {
+      const res = validatePayload(readContentFile(name));
+      expect(res.errors).toEqual([]);
+      expect(res.validIssues.length).toBeGreaterThan(0);
+    });
+
+    it(`${name} round-trips through Markdown`, () => {
+      const payload = readContentFile(name);
+      expect(markdownToPayload(payloadToMarkdown(payload))).toEqual(payload);
+    });
+  }
+});
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { allCorrections, correctIssue, correctionNotes } from "../../src/lib/corrections.js";
+import { correctionCount, issueSummary } from "../../src/lib/content-index.js";
+import { markdownToPayload, payloadToMarkdown } from "../../src/lib/markdown.js";
+import { validatePayload } from "../../src/lib/schema.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const [issue, older] = loadFixtureIssues();
+const AT = "2025-09-02T09:00:00+08:00";
+
+/** issue with its second item's English facts and first item's image edited */
+function edited(base = issue) {
+  const items = base.items.map((item, i) =>
+    i === 1 ? { ...item, factsEN: [...item.factsEN.slice(0, -1), "Corrected fact."] } : i === 0 ? { ...item, image: { src: "/x.webp" } } : item
+  );
+  return { ...base, items };
+}
+
+describe("correctIssue", () => {
+  it("adds one correction to each item whose facts changed and leaves the rest alone", () => {
+    const { issue: out, corrected } = correctIssue(issue, edited(), { at: AT });
+    expect(corrected).toEqual([{ index: 1, slug: expect.any(String), fields: ["factsEN"] }]);
+    expect(out.items[1].corrections).toEqual([{ at: AT, noteCN: "更正：事实。", noteEN: "Corrected: facts." }]);
+    expect(out.items.filter((it) => it.corrections)).toHaveLength(1);
+    expect(validatePayload({ issues: [out] }).errors).toEqual([]);
+  });
+
+  it("appends to earlier corrections and takes explicit notes", () => {
+    const first = correctIssue(issue, edited(), { at: AT }).issue;
+    const again = { ...first, items: first.items.map((it, i) => (i === 1 ? { ...it, whyEN: "Reworded." } : it)) };
+    const { issue: out } = correctIssue(first, again, { at: "2025-09-03T09:00:00+08:00", noteCN: "改写说明", noteEN: "Reworded" });
+    expect(out.items[1].corrections.map((c) => c.noteEN)).toEqual(["Corrected: facts.", "Reworded"]);
+  });
+
+  it("returns the issue untouched when nothing a reader would call a fact changed", () => {
+    const moved = { ...issue, items: [...issue.items].reverse() };
+    expect(correctIssue(issue, moved, { at: AT })).toEqual({ issue: moved, corrected: [] });
+  });
+});
+
+describe("correctionNotes", () => {
+  it("names each changed field once, in both languages", () => {
+    expect(correctionNotes(["factsCN", "factsEN", "links"])).toEqual({ noteCN: "更正：事实、来源。", noteEN: "Corrected: facts, sources." });
+  });
+});
+
+describe("allCorrections", () => {
+  it("lists corrections across issues, newest first, and counts them for the index", () => {
+    const a = correctIssue(issue, edited(), { at: AT }).issue;
+    const b = correctIssue(older, edited(older), { at: "2025-09-05T09:00:00+08:00" }).issue;
+    const list = allCorrections([a, b, { id: "stub", start: "2025-01-01", end: "2025-01-07" }]);
+    expect(list.map((c) => [c.issueId, c.itemIndex, c.at])).toEqual([
+      [older.id, 1, "2025-09-05T09:00:00+08:00"],
+      [issue.id, 1, AT],
+    ]);
+    expect(list[1].title).toBe(issue.items[1].title);
+    expect(correctionCount(a)).toBe(1);
+    expect(issueSummary(a, { file: "a.json", hash: "0123456789abcdef" }).corrections).toBe(1);
+    expect(issueSummary(issue, { file: "a.json", hash: "0123456789abcdef" })).not.toHaveProperty("corrections");
+  });
+});
+
+describe("correction records", () => {
+  it("round-trip through Markdown", () => {
+    const payload = { issues: [correctIssue(issue, edited(), { at: AT }).issue] };
+    expect(markdownToPayload(payloadToMarkdown(payload))).toEqual(payload);
+  });
+
+  it("need a valid time and a note", () => {
+    const withCorrections = (corrections) => ({ issues: [{ ...issue, items: [{ ...issue.items[0], corrections }] }] });
+    const paths = (corrections) => validatePayload(withCorrections(corrections)).errors.map((e) => e.path);
+    expect(paths([{ at: "2025-09-02", noteCN: "x", noteEN: "x" }])).toEqual(["$.issues[0].items[0].corrections[0].at"]);
+    expect(paths([{ at: AT }])).toEqual(["$.issues[0].items[0].corrections[0]"]);
+    expect(paths({})).toEqual(["$.issues[0].items[0].corrections"]);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { canonicalJSON, diffCounts, diffIssues, valueLines } from "../../src/lib/diff.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const [issue] = loadFixtureIssues();
+
+describe("canonicalJSON", () => {
+  it("ignores object key order but not array order", () => {
+    expect(canonicalJSON({ b: 1, a: { d: 2, c: 3 } })).toBe(canonicalJSON({ a: { c: 3, d: 2 }, b: 1 }));
+    expect(canonicalJSON([1, 2])).not.toBe(canonicalJSON([2, 1]));
+  });
+});
+
+describe("diffIssues", () => {
+  it("finds nothing between an issue and a re-versioned copy of itself", () => {
+    const diff = diffIssues(issue, { ...structuredClone(issue), revision: 4, updatedAt: "2025-09-01T00:00:00.000Z" });
+    expect(diff.fields).toEqual([]);
+    expect(diff.items.every((x) => x.status === "same")).toBe(true);
+  });
+
+  it("reports issue fields and changed / moved / added / removed items", () => {
+    const [first, second, third, ...rest] = issue.items;
+    const edited = { ...first, whyEN: "edited" };
+    const added = { title: "Brand new story", factsCN: ["事实"] };
+    const other = { ...issue, title: "New title", items: [second, edited, ...rest, added] };
+    const diff = diffIssues(issue, other);
+
+    expect(diff.fields).toEqual([{ field: "title", a: issue.title, b: "New title" }]);
+    const byStatus = (s) => diff.items.filter((x) => x.status === s);
+    expect(byStatus("changed")).toHaveLength(1);
+    expect(byStatus("changed")[0]).toMatchObject({ aIndex: 0, bIndex: 1, fields: [{ field: "whyEN", a: first.whyEN, b: "edited" }] });
+    expect(byStatus("moved").map((x) => x.b)).toEqual([second, ...rest]);
+    expect(byStatus("added")[0]).toMatchObject({ aIndex: -1, b: added });
+    expect(byStatus("added")[0].fields.map((f) => f.field)).toEqual(["title", "factsCN"]);
+    expect(byStatus("removed")[0]).toMatchObject({ bIndex: -1, a: third });
+    expect(diffCounts(diff)).toEqual({ fields: 1, changed: 1, moved: rest.length + 1, added: 1, removed: 1 });
+  });
+
+  it("keeps an item in its slot when only its title changed", () => {
+    const items = issue.items.map((it, i) => (i === 0 ? { ...it, title: "Retitled" } : it));
+    const diff = diffIssues(issue, { ...issue, items });
+    expect(diff.items[0]).toMatchObject({ status: "changed", aIndex: 0, bIndex: 0 });
+    expect(diff.items[0].fields.map((f) => f.field)).toEqual(["title"]);
+  });
+});
+
+describe("valueLines", () => {
+  it("flattens lists, links and objects for display", () => {
+    expect(valueLines("a\nb")).toEqual(["a", "b"]);
+    expect(valueLines(["x", { label: "Source", url: "https://example.com" }])).toEqual(["- x", "- Source <https://example.com>"]);
+    expect(valueLines({ actor: "OpenAI", market: "AI" })).toEqual(["actor: OpenAI", "market: AI"]);
+    expect(valueLines(undefined)).toEqual([]);
+  });
+});
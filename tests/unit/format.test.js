@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { fmtMonthDay, fmtSGT, fmtLocal, domainFromUrl, escapeHtml } from "../../src/lib/format.js";
+
+describe("fmtMonthDay", () => {
+  it("shows month and day only", () => {
+    expect(fmtMonthDay("2025-08-18")).toMatch(/Aug/);
+    expect(fmtMonthDay("2025-08-18")).toMatch(/18/);
+    expect(fmtMonthDay("2025-08-18")).not.toMatch(/2025/);
+  });
+
+  it("returns an empty string for missing dates", () => {
+    expect(fmtMonthDay("")).toBe("");
+    expect(fmtMonthDay(undefined)).toBe("");
+  });
+});
+
+describe("fmtSGT", () => {
+  it("shows the time in Singapore whatever the input offset", () => {
+    expect(fmtSGT("2025-09-02T09:00:00+08:00")).toBe("2025-09-02 09:00 SGT");
+    expect(fmtSGT("2025-09-01T20:30:00Z")).toBe("2025-09-02 04:30 SGT");
+    expect(fmtSGT("not a date")).toBe("");
+  });
+});
+
+describe("fmtLocal", () => {
+  it("shows an instant in the given zone with its name", () => {
+    const ms = Date.parse("2025-08-28T14:00:00+08:00");
+    expect(fmtLocal(ms, { locale: "en-SG", timeZone: "Europe/Berlin" })).toBe("28 Aug, 08:00 GMT+2");
+    expect(fmtLocal(NaN)).toBe("");
+  });
+});
+
+describe("domainFromUrl", () => {
+  it("strips www. and keeps subdomains", () => {
+    expect(domainFromUrl("https://www.reuters.com/technology/x")).toBe("reuters.com");
+    expect(domainFromUrl("https://digital-strategy.ec.europa.eu/en/news")).toBe("digital-strategy.ec.europa.eu");
+  });
+
+  it("returns an empty string for invalid URLs", () => {
+    expect(domainFromUrl("not a url")).toBe("");
+    expect(domainFromUrl("")).toBe("");
+  });
+});
+
+describe("escapeHtml", () => {
+  it("escapes markup and attribute quotes", () => {
+    expect(escapeHtml(`<a href="x">AT&T</a>`)).toBe("&lt;a href=&quot;x&quot;&gt;AT&amp;T&lt;/a&gt;");
+  });
+
+  it("treats null and numbers as text", () => {
+    expect(escapeHtml(null)).toBe("");
+    expect(escapeHtml(10)).toBe("10");
+  });
+});
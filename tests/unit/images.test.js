@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import {
+  toAbsoluteUrl,
+  isLogoish,
+  isBadExt,
+  scoreImage,
+  imageCandidates,
+  localImage,
+  localImagePath,
+  srcSetAttr,
+  parseSrcSet,
+} from "../../src/lib/images.js";
+
+describe("toAbsoluteUrl", () => {
+  it("resolves relative, root-relative and protocol-relative URLs", () => {
+    const base = "https://example.com/news/post.html";
+    expect(toAbsoluteUrl("img/a.jpg", base)).toBe("https://example.com/news/img/a.jpg");
+    expect(toAbsoluteUrl("/img/a.jpg", base)).toBe("https://example.com/img/a.jpg");
+    expect(toAbsoluteUrl("//cdn.example.com/a.jpg", base)).toBe("https://cdn.example.com/a.jpg");
+    expect(toAbsoluteUrl("http://other.org/a.jpg", base)).toBe("http://other.org/a.jpg");
+  });
+
+  it("returns an empty string for empty or unresolvable input", () => {
+    expect(toAbsoluteUrl("", "https://example.com/")).toBe("");
+    expect(toAbsoluteUrl("a.jpg", "not a url")).toBe("");
+  });
+});
+
+describe("isLogoish / isBadExt", () => {
+  it("flags logos, icons and avatars", () => {
+    for (const u of ["/static/logo.png", "/favicon.ico", "/img/brand-wordmark.jpg", "/u/avatar_1.jpg"]) expect(isLogoish(u)).toBe(true);
+    expect(isLogoish("/uploads/2025/08/hero.jpg")).toBe(false);
+  });
+
+  it("rejects svg and gif", () => {
+    expect(isBadExt("/a.svg")).toBe(true);
+    expect(isBadExt("/a.gif?x=1")).toBe(true);
+    expect(isBadExt("/a.jpg")).toBe(false);
+  });
+});
+
+describe("scoreImage", () => {
+  it("ranks article photos above plain and logo images", () => {
+    const hero = scoreImage("https://example.com/uploads/hero-1600.jpg");
+    const plain = scoreImage("https://example.com/a.jpg");
+    const logo = scoreImage("https://example.com/logo.png");
+    expect(hero).toBeGreaterThan(plain);
+    expect(plain).toBeGreaterThan(logo);
+    expect(logo).toBeLessThan(0);
+  });
+});
+
+describe("imageCandidates", () => {
+  it("collects og/twitter/img sources, drops logos and gifs, best first", () => {
+    const html = `
+      <meta name="twitter:image" content="https://cdn.example.com/a.png">
+      <img src="/logo.png"><meta property="og:image" content="/uploads/hero.jpg"><img src="/anim.gif">`;
+    expect(imageCandidates(html, "https://example.com/post")).toEqual([
+      "https://example.com/uploads/hero.jpg",
+      "https://cdn.example.com/a.png",
+    ]);
+  });
+
+  it("decodes &amp; in attribute values", () => {
+    const html = `<meta property="og:image" content="https://example.com/media/x.jpg?w=1200&amp;h=630">`;
+    expect(imageCandidates(html, "https://example.com/")).toEqual(["https://example.com/media/x.jpg?w=1200&h=630"]);
+  });
+});
+
+describe("local images", () => {
+  it("only accepts site-relative sources", () => {
+    expect(localImage({ image: { src: "/images/x/a.webp" } })).toEqual({ src: "/images/x/a.webp" });
+    expect(localImage({ image: { src: "https://e.com/a.jpg" } })).toBeNull();
+    expect(localImage({ image: { src: "//e.com/a.jpg" } })).toBeNull();
+    expect(localImage({})).toBeNull();
+  });
+
+  it("builds paths and srcset strings that round-trip", () => {
+    expect(localImagePath("2025-08-18_2025-08-24", "nist-rmf")).toBe("/images/2025-08-18_2025-08-24/nist-rmf.webp");
+    expect(localImagePath("2025-08-18_2025-08-24", "nist-rmf", 480)).toBe("/images/2025-08-18_2025-08-24/nist-rmf-480.webp");
+    const srcset = [
+      { src: "/images/i/a-480.webp", width: 480 },
+      { src: "/images/i/a.webp", width: 960 },
+    ];
+    expect(srcSetAttr({ srcset })).toBe("/images/i/a-480.webp 480w, /images/i/a.webp 960w");
+    expect(parseSrcSet(srcSetAttr({ srcset }))).toEqual(srcset);
+    expect(srcSetAttr({})).toBe("");
+  });
+});
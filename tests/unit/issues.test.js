@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import {
+  bumpRevision,
+  conflictWinner,
+  mergeIssues,
+  overlayLocal,
+  pickVersion,
+  recordPublish,
+} from "../../src/lib/issues.js";
+
+const NOW = new Date("2025-09-01T08:00:00.000Z");
+const v = (revision, title, updatedAt) => ({ id: "A", start: "2025-01-01", end: "2025-01-07", revision, updatedAt, title, items: [] });
+
+describe("mergeIssues", () => {
+  it("keeps every id and lets the second list win", () => {
+    const local = [
+      { id: "A", start: "2025-01-01" },
+      { id: "B", start: "2025-01-02" },
+    ];
+    const remote = [
+      { id: "B", start: "2025-02-02", marker: "remote" },
+      { id: "C", start: "2025-01-03" },
+    ];
+    const merged = mergeIssues(local, remote);
+    expect(merged.map((x) => x.id).sort()).toEqual(["A", "B", "C"]);
+    expect(merged.find((x) => x.id === "B").marker).toBe("remote");
+  });
+
+  it("drops entries without an id and tolerates missing lists", () => {
+    expect(mergeIssues([{ start: "2025-01-01" }, null], undefined)).toEqual([]);
+    expect(mergeIssues()).toEqual([]);
+  });
+});
+
+describe("pickVersion", () => {
+  it("takes the higher revision without a base", () => {
+    expect(pickVersion(v(3, "mine"), v(2, "theirs"))).toBe("local");
+    expect(pickVersion(v(1, "mine"), v(2, "theirs"))).toBe("remote");
+    expect(pickVersion(v(1, "mine"), null)).toBe("local");
+  });
+
+  it("is a conflict when both sides moved past the base", () => {
+    expect(pickVersion(v(3, "mine"), v(3, "theirs"), 2)).toBe("conflict");
+    expect(pickVersion(v(3, "mine"), v(4, "theirs"), 2)).toBe("conflict");
+    expect(pickVersion(v(3, "mine"), v(2, "theirs"), 2)).toBe("local");
+    expect(pickVersion(v(3, "mine"), v(5, "mine"), 2)).toBe("remote");
+  });
+
+  it("falls back to updatedAt on equal revisions, else conflict", () => {
+    expect(pickVersion(v(2, "mine", "2025-09-02T00:00:00Z"), v(2, "theirs", "2025-09-01T00:00:00Z"))).toBe("local");
+    expect(pickVersion(v(2, "mine"), v(2, "theirs"))).toBe("conflict");
+    expect(pickVersion(v(2, "same"), v(2, "same", "2025-09-01T00:00:00Z"))).toBe("remote");
+  });
+});
+
+describe("bumpRevision", () => {
+  it("sets the next revision and updatedAt before the title", () => {
+    const next = bumpRevision(v(2, "t", "2025-01-01T00:00:00Z"), { now: NOW });
+    expect(next).toMatchObject({ revision: 3, updatedAt: NOW.toISOString(), title: "t" });
+    expect(Object.keys(next).slice(0, 6)).toEqual(["id", "start", "end", "revision", "updatedAt", "title"]);
+    expect(bumpRevision({ id: "A", title: "t" }, { after: 5, now: NOW }).revision).toBe(6);
+  });
+});
+
+describe("local records", () => {
+  it("publish bumps the revision and remembers the remote base", () => {
+    const [rec] = recordPublish([], v(2, "edited"), { hasRemote: true, now: NOW });
+    expect(rec).toMatchObject({ id: "A", base: 2, issue: { revision: 3, title: "edited" } });
+    const [again] = recordPublish([rec], rec.issue, { hasRemote: true, now: NOW });
+    expect(again).toMatchObject({ base: 2, issue: { revision: 4 } });
+    expect(recordPublish([rec], { ...rec.issue, id: "B" }, { prevId: "A", now: NOW }).map((r) => r.id)).toEqual(["B"]);
+  });
+
+  it("overlay shows the newer copy, drops superseded records and reports conflicts", () => {
+    const records = [
+      { id: "A", issue: v(3, "mine"), base: 2 },
+      { id: "B", issue: { ...v(1, "old"), id: "B" }, base: null },
+      { id: "C", issue: { ...v(4, "mine"), id: "C" }, base: 2 },
+    ];
+    const remote = [v(2, "theirs"), { ...v(2, "newer"), id: "B" }, { ...v(3, "theirs"), id: "C" }, { ...v(1, "only"), id: "D" }];
+    const { issues, conflicts, superseded } = overlayLocal(remote, records);
+    expect(issues.map((i) => [i.id, i.title])).toEqual([
+      ["A", "mine"],
+      ["B", "newer"],
+      ["C", "mine"],
+      ["D", "only"],
+    ]);
+    expect(superseded).toEqual(["B"]);
+    expect(conflicts).toEqual([{ id: "C", source: "remote", local: records[2].issue, other: remote[2] }]);
+  });
+
+  it("a remote stub never supersedes the local copy", () => {
+    const stub = { id: "A", start: "2025-01-01", end: "2025-01-07", file: "a.json", hash: "0123456789abcdef" };
+    expect(overlayLocal([stub], [{ id: "A", issue: v(1, "mine"), base: null }]).issues[0].title).toBe("mine");
+  });
+
+  it("settling sends the chosen side past both revisions, or nothing when the server copy stays", () => {
+    const remoteClash = { id: "A", source: "remote", local: v(3, "mine"), other: v(4, "theirs") };
+    const win = conflictWinner(remoteClash, "local", { now: NOW });
+    expect(win).toMatchObject({ base: 4, issue: { revision: 5, title: "mine", updatedAt: NOW.toISOString() } });
+    expect(pickVersion(win.issue, remoteClash.other, win.base)).toBe("local");
+    expect(conflictWinner(remoteClash, "other")).toBeNull();
+
+    const importClash = { id: "A", source: "import", local: v(3, "server"), other: v(3, "imported") };
+    expect(conflictWinner(importClash, "local")).toBeNull();
+    expect(conflictWinner(importClash, "other", { now: NOW })).toMatchObject({ base: 3, issue: { revision: 4, title: "imported" } });
+  });
+});
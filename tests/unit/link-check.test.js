@@ -0,0 +1,80 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { createServer } from "node:http";
+import { checkLinks, checkUrl } from "../../scripts/lib/link-check.js";
+import { genericReason } from "../../src/lib/links.js";
+
+// Stub site: a redirect chain, a server that rejects HEAD, a 404 and a page that never answers
+const ROUTES = {
+  "/old": (req, res) => res.writeHead(301, { Location: "/moved" }).end(),
+  "/moved": (req, res) => res.writeHead(302, { Location: "/news/2025/final-article" }).end(),
+  "/news/2025/final-article": (req, res) => res.writeHead(200).end("ok"),
+  "/moved-home": (req, res) => res.writeHead(301, { Location: "/" }).end(),
+  "/": (req, res) => res.writeHead(200).end("home"),
+  "/no-head": (req, res) => res.writeHead(req.method === "HEAD" ? 405 : 200).end(),
+  "/gone": (req, res) => res.writeHead(404).end(),
+  "/slow": () => {},
+};
+
+let server;
+let base;
+const methods = [];
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    methods.push(`${req.method} ${req.url}`);
+    (ROUTES[req.url] || ((_, r) => r.writeHead(404).end()))(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe("checkUrl", () => {
+  it("records every hop of a redirect chain", async () => {
+    const res = await checkUrl(`${base}/old`, { timeout: 2000 });
+    expect(res).toMatchObject({ status: 200, finalUrl: `${base}/news/2025/final-article`, error: null });
+    expect(res.redirects).toEqual([
+      { url: `${base}/old`, status: 301 },
+      { url: `${base}/moved`, status: 302 },
+    ]);
+  });
+
+  it("falls back to GET when HEAD is rejected", async () => {
+    const res = await checkUrl(`${base}/no-head`, { timeout: 2000 });
+    expect(res.status).toBe(200);
+    expect(methods.filter((m) => m.endsWith(" /no-head"))).toEqual(["HEAD /no-head", "GET /no-head"]);
+  });
+
+  it("reports a 404 and a timeout", async () => {
+    expect(await checkUrl(`${base}/gone`, { timeout: 2000 })).toMatchObject({ status: 404, error: null });
+    expect(await checkUrl(`${base}/slow`, { timeout: 200 })).toMatchObject({ status: 0, error: "超时（200ms）" });
+  });
+});
+
+describe("checkLinks", () => {
+  it("classifies every link and survives malformed escapes", async () => {
+    const broken = `${base}/news/%E0%A4%A`;
+    expect(genericReason(broken)).toBeNull();
+    const issues = [
+      {
+        id: "2025-08-25_2025-08-31",
+        items: [
+          { title: "A", links: [{ url: `${base}/old` }, { url: `${base}/gone` }] },
+          { title: "B", links: [{ url: `${base}/moved-home` }, { url: broken }, { url: `${base}/slow` }] },
+        ],
+      },
+    ];
+    const report = await checkLinks(issues, { timeout: 200 });
+    const byUrl = Object.fromEntries(report.links.map((l) => [l.url, l]));
+    expect(byUrl[`${base}/old`].state).toBe("redirect");
+    expect(byUrl[`${base}/gone`].state).toBe("broken");
+    expect(byUrl[`${base}/slow`].state).toBe("broken");
+    expect(byUrl[`${base}/moved-home`].generic).toBe("redirects-to-index");
+    expect(byUrl[broken].state).toBe("broken");
+    expect(report.summary).toMatchObject({ links: 5, unique: 5, redirect: 2, broken: 3 });
+  });
+});
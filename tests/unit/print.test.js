@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { inflateSync } from "node:zlib";
+import sharp from "sharp";
+import { printModel } from "../../src/lib/print.js";
+import { jpegInfo, measure, wrap } from "../../scripts/lib/pdf.js";
+import { renderIssuePdf } from "../../scripts/lib/issue-pdf.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const [issue, older] = loadFixtureIssues();
+const SITE = "https://amicus.example";
+
+/** Checks the xref table points at every object; -> the file as latin1 text */
+function readPdf(buf) {
+  const text = buf.toString("latin1");
+  const xref = Number(/startxref\s+(\d+)/.exec(text)[1]);
+  const [, count] = /^xref\n0 (\d+)\n/.exec(text.slice(xref));
+  const offsets = text.slice(xref).split("\n").slice(3, 2 + Number(count));
+  offsets.forEach((line, i) => expect(text.slice(Number(line.slice(0, 10)))).toMatch(new RegExp(`^${i + 1} 0 obj`)));
+  return text;
+}
+
+const streams = (buf) =>
+  [...buf.toString("latin1").matchAll(/\/FlateDecode[^>]*>>\nstream\n/g)].map((m) => {
+    const start = m.index + m[0].length;
+    return inflateSync(buf.subarray(start, buf.indexOf("\nendstream", start))).toString("latin1");
+  });
+
+describe("print layout", () => {
+  it("numbers source footnotes through the issue", () => {
+    const model = printModel(older, { siteUrl: SITE });
+    expect(model.cover).toEqual({ src: older.cover.src, alt: "" });
+    expect(model.items.map((i) => i.num).slice(0, 2)).toEqual(["01", "02"]);
+    const notes = model.items.flatMap((i) => i.notes.map((n) => n.n));
+    expect(notes).toEqual(notes.map((_, i) => i + 1));
+    expect(model.items[0].url).toBe(`${SITE}/#/issue/${older.id}/item/${model.items[0].slug}`);
+    expect(printModel(older, { lang: "en" }).items[0].facts.every((f) => f.lang === "en")).toBe(true);
+  });
+
+  it("wraps English by words and CJK by characters within the width", () => {
+    const lines = wrap("The quick brown fox jumps over the lazy dog again and again", 10, 120);
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.every((l) => measure(l, 10) <= 120)).toBe(true);
+    expect(wrap("这是一段很长的中文句子，用来检查按字符换行。", 10, 60).every((l) => measure(l, 10) <= 60)).toBe(true);
+    expect(wrap(`https://example.com/${"a".repeat(200)}`, 8, 100).length).toBeGreaterThan(1);
+  });
+
+  it("reads JPEG dimensions", async () => {
+    const jpeg = await sharp({ create: { width: 40, height: 24, channels: 3, background: "#fff" } }).jpeg().toBuffer();
+    expect(jpegInfo(jpeg)).toMatchObject({ width: 40, height: 24 });
+    expect(() => jpegInfo(Buffer.from("GIF89a"))).toThrow();
+  });
+
+  it("renders an issue PDF with cover, contents, items and clickable sources", async () => {
+    const cover = await sharp({ create: { width: 320, height: 180, channels: 3, background: "#336699" } }).jpeg().toBuffer();
+    const model = printModel(older, { siteUrl: SITE });
+    const buf = renderIssuePdf(model, { cover, createdAt: new Date("2025-09-01T00:00:00Z") });
+    const text = readPdf(buf);
+    expect(text.startsWith("%PDF-")).toBe(true);
+
+    const pages = text.match(/\/Type \/Page\b/g).length;
+    expect(text).toContain(`/Count ${pages}`);
+    expect(pages).toBeGreaterThan(3);
+    expect(text).toContain("/DCTDecode");
+    for (const note of model.items.flatMap((i) => i.notes)) expect(text).toContain(`/URI (${note.url})`);
+    expect(text).toContain(`/URI (${model.url})`);
+    // Contents entries jump to their items
+    expect(text.match(/\/Dest \[/g).length).toBeGreaterThanOrEqual(model.items.length);
+    // Page footer on every page but the cover
+    expect(streams(buf).filter((s) => s.includes(`/ ${pages})`)).length).toBe(pages - 1);
+  });
+});
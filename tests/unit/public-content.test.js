@@ -0,0 +1,71 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { cp, mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { buildContentIndex, writePublicContent } from "../../scripts/lib/content.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const CONTENT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "public", "content");
+const NOW = Date.parse("2025-09-05T00:00:00+08:00");
+const [issue] = loadFixtureIssues();
+
+const week = (start, end, fields) => ({ ...issue, id: `${start}_${end}`, start, end, title: `${start} 至 ${end} 周报 / Weekly`, ...fields });
+const DRAFT = week("2025-09-08", "2025-09-14", { status: "draft" });
+const SCHEDULED = week("2025-09-01", "2025-09-07", { status: "scheduled", publishedAt: "2025-09-08T10:00:00+08:00" });
+
+describe("writePublicContent", () => {
+  let src;
+  let out;
+
+  beforeEach(async () => {
+    src = await mkdtemp(path.join(tmpdir(), "mw-src-"));
+    await cp(CONTENT_DIR, src, { recursive: true });
+    const files = (await readdir(src)).filter((f) => f !== "index.json");
+    for (const i of [DRAFT, SCHEDULED]) {
+      files.push(`${i.id}.json`);
+      await writeFile(path.join(src, `${i.id}.json`), JSON.stringify({ issues: [i] }));
+    }
+    const { index } = await buildContentIndex(files, src);
+    await writeFile(path.join(src, "index.json"), JSON.stringify(index));
+    // What vite leaves in dist/content: a verbatim copy
+    out = await mkdtemp(path.join(tmpdir(), "mw-dist-"));
+    await cp(src, out, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await rm(src, { recursive: true, force: true });
+    await rm(out, { recursive: true, force: true });
+  });
+
+  it("leaves drafts and not-yet-due issues out of the built index and files", async () => {
+    const { dropped } = await writePublicContent(out, { contentDir: src, now: NOW });
+    expect(dropped.sort()).toEqual([SCHEDULED.id, DRAFT.id].sort());
+
+    const index = JSON.parse(await readFile(path.join(out, "index.json"), "utf8"));
+    const ids = index.summaries.map((s) => s.id);
+    expect(ids).toContain(issue.id);
+    expect(ids).not.toContain(DRAFT.id);
+    expect(ids).not.toContain(SCHEDULED.id);
+    expect(index.files).not.toContain(`${DRAFT.id}.json`);
+    expect(JSON.stringify(index)).not.toContain("2025-09-08");
+    const left = await readdir(out);
+    expect(left).not.toContain(`${DRAFT.id}.json`);
+    expect(left).toContain(`${issue.id}.json`);
+  });
+
+  it("releases a scheduled issue once it is due", async () => {
+    await writePublicContent(out, { contentDir: src, now: Date.parse("2025-09-08T10:00:00+08:00") });
+    const index = JSON.parse(await readFile(path.join(out, "index.json"), "utf8"));
+    expect(index.summaries.map((s) => s.id)).toContain(SCHEDULED.id);
+    expect(index.summaries.map((s) => s.id)).not.toContain(DRAFT.id);
+  });
+
+  it("keeps only the public issues of a mixed file", async () => {
+    const name = `${issue.id}.json`;
+    await writeFile(path.join(src, name), JSON.stringify({ issues: [issue, DRAFT] }));
+    await writePublicContent(out, { contentDir: src, now: NOW });
+    const payload = JSON.parse(await readFile(path.join(out, name), "utf8"));
+    expect(payload.issues.map((i) => i.id)).toEqual([issue.id]);
+  });
+});
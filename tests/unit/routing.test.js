@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { parseHashFromString, parseLocation, safeDecode } from "../../src/lib/routing.js";
+import { findItemIndex } from "../../src/lib/slug.js";
+
+describe("parseHashFromString", () => {
+  it("treats empty and root hashes as home", () => {
+    expect(parseHashFromString("")).toEqual({ name: "home", params: [] });
+    expect(parseHashFromString("#/")).toEqual({ name: "home", params: [] });
+    expect(parseHashFromString(undefined)).toEqual({ name: "home", params: [] });
+  });
+
+  it("parses issue and item routes", () => {
+    expect(parseHashFromString("#/issue/2025-08-18_2025-08-24")).toEqual({ name: "issue", params: ["2025-08-18_2025-08-24"] });
+    expect(parseHashFromString("#/issue/2025-08-18_2025-08-24/item/3")).toEqual({
+      name: "issue",
+      params: ["2025-08-18_2025-08-24", "3"],
+    });
+  });
+
+  it("ignores the hash query", () => {
+    expect(parseHashFromString("#/issue/2025-08-18_2025-08-24?lang=en")).toEqual({ name: "issue", params: ["2025-08-18_2025-08-24"] });
+  });
+
+  it("decodes facet names", () => {
+    expect(parseHashFromString("#/market/%E8%88%AA%E5%A4%A9")).toEqual({ name: "facet", params: ["market", "航天"] });
+    expect(parseHashFromString("#/colour/red")).toEqual({ name: "home", params: [] });
+  });
+
+  it("parses the timeline with an optional day", () => {
+    expect(parseHashFromString("#/timeline")).toEqual({ name: "timeline", params: [] });
+    expect(parseHashFromString("#/timeline/2025-08-28?lang=en")).toEqual({ name: "timeline", params: ["2025-08-28"] });
+    expect(parseHashFromString("#/timeline/soon")).toEqual({ name: "timeline", params: [] });
+  });
+
+  it("parses story threads", () => {
+    expect(parseHashFromString("#/thread/starship-ift-10")).toEqual({ name: "thread", params: ["starship-ift-10"] });
+    expect(parseHashFromString("#/thread")).toEqual({ name: "home", params: [] });
+  });
+
+  it("parses admin routes", () => {
+    expect(parseHashFromString("#/edit/new")).toEqual({ name: "edit", params: ["new"] });
+    expect(parseHashFromString("#/links")).toEqual({ name: "links", params: [] });
+    expect(parseHashFromString("#/corrections")).toEqual({ name: "corrections", params: [] });
+    expect(parseHashFromString("#/conflicts")).toEqual({ name: "conflicts", params: [] });
+    expect(parseHashFromString("#/login?lang=en")).toEqual({ name: "login", params: [] });
+  });
+
+  it("reads prerendered paths like hashes", () => {
+    expect(parseHashFromString("/issue/2025-08-18_2025-08-24/")).toEqual({ name: "issue", params: ["2025-08-18_2025-08-24"] });
+  });
+});
+
+describe("parseLocation", () => {
+  it("prefers a non-home hash over the path", () => {
+    expect(parseLocation({ hash: "#/links", pathname: "/issue/a_b/" })).toEqual({ name: "links", params: [] });
+  });
+
+  it("falls back to the path when the hash is empty", () => {
+    expect(parseLocation({ hash: "", pathname: "/issue/a_b/" })).toEqual({ name: "issue", params: ["a_b"] });
+    expect(parseLocation({ hash: "#/", pathname: "/" })).toEqual({ name: "home", params: [] });
+  });
+});
+
+describe("safeDecode", () => {
+  it("returns malformed input unchanged", () => {
+    expect(safeDecode("%E8%88%AA")).toBe("航");
+    expect(safeDecode("%E8%88")).toBe("%E8%88");
+  });
+});
+
+describe("findItemIndex", () => {
+  const items = [{ title: "OpenAI updates Realtime API" }, { title: "航天" }];
+
+  it("finds items by number or slug, decoding the ref", () => {
+    expect(findItemIndex(items, "2")).toBe(1);
+    expect(findItemIndex(items, "openai-updates-realtime-api")).toBe(0);
+  });
+
+  it("treats a malformed escape as an unknown item instead of throwing", () => {
+    expect(() => findItemIndex(items, "%E0")).not.toThrow();
+    expect(findItemIndex(items, "%E0")).toBe(-1);
+  });
+});
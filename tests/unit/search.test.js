@@ -0,0 +1,20 @@
+import { describe, expect, it } from "vitest";
+import { buildSearchIndex, searchIndex } from "../../src/lib/search.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const [issue] = loadFixtureIssues();
+
+describe("search index", () => {
+  it("treats prototype-named words as ordinary terms", () => {
+    const item = { ...issue.items[0], title: "OpenAI constructor toString valueOf hasOwnProperty" };
+    const idx = buildSearchIndex([{ ...issue, items: [item, ...issue.items.slice(1)] }]);
+    const parsed = JSON.parse(JSON.stringify(idx)); // as loaded from search-index.json
+
+    for (const index of [idx, parsed]) {
+      expect(searchIndex(index, "constructor openai").map((h) => h.idx)).toEqual([0]);
+      expect(searchIndex(index, "tostring").map((h) => h.idx)).toEqual([0]);
+    }
+    expect(searchIndex(buildSearchIndex([issue]), "constructor openai")).toEqual([]);
+    expect(searchIndex(buildSearchIndex([issue]), "hasOwnProperty x")).toEqual([]);
+  });
+});
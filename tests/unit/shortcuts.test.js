@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { SHORTCUTS, adjacentId, createMatcher, ignoreKeyEvent, stepIndex } from "../../src/lib/shortcuts.js";
+
+describe("createMatcher", () => {
+  it("matches single keys and sequences", () => {
+    const feed = createMatcher();
+    expect(feed("j", 0)).toBe("nextItem");
+    expect(feed("g", 10)).toBeNull();
+    expect(feed("a", 20)).toBe("archive");
+    expect(feed("?", 30)).toBe("help");
+  });
+
+  it("drops a sequence that waited too long or went nowhere", () => {
+    const feed = createMatcher();
+    expect(feed("g", 0)).toBeNull();
+    expect(feed("a", 5000)).toBeNull();
+    expect(feed("g", 6000)).toBeNull();
+    // "g j": not a sequence, but j on its own still counts
+    expect(feed("j", 6100)).toBe("nextItem");
+    expect(feed("x", 6200)).toBeNull();
+  });
+
+  it("has one action per registry entry", () => {
+    expect(new Set(SHORTCUTS.map((s) => s.action)).size).toBe(SHORTCUTS.length);
+  });
+});
+
+describe("ignoreKeyEvent", () => {
+  const doc = (modal) => ({ querySelector: () => (modal ? {} : null) });
+  const ev = (props = {}, target = { tagName: "BODY", ownerDocument: doc(false) }) => ({ key: "j", target, ...props });
+
+  it("lets plain keys through", () => {
+    expect(ignoreKeyEvent(ev())).toBe(false);
+  });
+
+  it("skips fields, chords and open dialogs", () => {
+    expect(ignoreKeyEvent(ev({}, { tagName: "INPUT", ownerDocument: doc(false) }))).toBe(true);
+    expect(ignoreKeyEvent(ev({}, { tagName: "DIV", isContentEditable: true, ownerDocument: doc(false) }))).toBe(true);
+    expect(ignoreKeyEvent(ev({ metaKey: true }))).toBe(true);
+    expect(ignoreKeyEvent(ev({}, { tagName: "BODY", ownerDocument: doc(true) }))).toBe(true);
+  });
+});
+
+describe("stepIndex / adjacentId", () => {
+  it("clamp at the ends", () => {
+    expect(stepIndex(-1, 1, 5)).toBe(0);
+    expect(stepIndex(-1, -1, 5)).toBe(-1);
+    expect(stepIndex(4, 1, 5)).toBe(4);
+    expect(stepIndex(0, -1, 5)).toBe(0);
+    expect(stepIndex(0, 1, 0)).toBe(-1);
+  });
+
+  it("walk a list by id", () => {
+    const list = [{ id: "c" }, { id: "b" }, { id: "a" }];
+    expect(adjacentId(list, "c", 1)).toBe("b");
+    expect(adjacentId(list, "a", 1)).toBeNull();
+    expect(adjacentId(list, "x", 1)).toBeNull();
+  });
+});
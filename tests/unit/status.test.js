@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { effectiveStatus, publicIssues, unreleasedIds } from "../../src/lib/status.js";
+
+describe("scheduled issues", () => {
+  const issue = { id: "a", status: "scheduled", publishedAt: "2025-09-01T10:00:00+08:00" };
+
+  it("become public once publishedAt has passed", () => {
+    expect(effectiveStatus(issue, Date.parse("2025-09-01T01:59:00Z"))).toBe("scheduled");
+    expect(effectiveStatus(issue, Date.parse("2025-09-01T02:00:00Z"))).toBe("published");
+  });
+
+  it("are held back from readers until then", () => {
+    const all = [issue, { id: "b" }, { id: "c", status: "draft" }];
+    expect(publicIssues(all, Date.parse("2025-08-31T00:00:00Z")).map((i) => i.id)).toEqual(["b"]);
+    expect(publicIssues(all, Date.parse("2025-09-02T00:00:00Z")).map((i) => i.id)).toEqual(["a", "b"]);
+  });
+
+  it("call for a rebuild once due if the last build left them out", () => {
+    const all = [issue, { id: "b" }, { id: "c", status: "draft" }];
+    expect(unreleasedIds(all, ["b"], Date.parse("2025-08-31T00:00:00Z"))).toEqual([]);
+    expect(unreleasedIds(all, ["b"], Date.parse("2025-09-02T00:00:00Z"))).toEqual(["a"]);
+    expect(unreleasedIds(all, ["a", "b"], Date.parse("2025-09-02T00:00:00Z"))).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { contextIssueIds, issuesWithThread, parseRef, previously, threadCounts, threadItems, unresolvedRefs } from "../../src/lib/threads.js";
+import { issueSummary } from "../../src/lib/content-index.js";
+import { markdownToPayload, payloadToMarkdown } from "../../src/lib/markdown.js";
+import { validatePayload } from "../../src/lib/schema.js";
+import { loadThreadedIssues } from "../fixtures.js";
+
+const [issue, older] = loadThreadedIssues();
+const stub = (i) => issueSummary(i, { file: `${i.id}.json`, hash: "0123456789abcdef" });
+const at = (i, title) => i.items.findIndex((item) => item.title.startsWith(title));
+
+describe("threads", () => {
+  it("parses related refs", () => {
+    expect(parseRef("2025-08-18_2025-08-24/spacex-starship")).toEqual({ issueId: "2025-08-18_2025-08-24", slug: "spacex-starship" });
+    expect(parseRef("spacex-starship")).toBeNull();
+  });
+
+  it("lists a thread oldest first and counts it in summaries", () => {
+    const story = threadItems([issue, older], "starship-ift-10");
+    expect(story.map((e) => [e.issue.id, e.slug])).toEqual([
+      [older.id, "spacex-starship"],
+      [issue.id, "starship-ift-10-preps-advance"],
+    ]);
+    expect(stub(issue).threads).toEqual({ "openai-anthropic-safety-evals": 1, "starship-ift-10": 1 });
+    expect(threadCounts(stub(older))).toEqual(threadCounts(older));
+  });
+
+  it("counts prototype-named thread keys like any other", () => {
+    const odd = { ...issue, items: issue.items.map((item, i) => ({ ...item, thread: i < 2 ? "constructor" : undefined })) };
+    expect(threadCounts(odd)).toEqual({ constructor: 2 });
+    expect(threadCounts(older).constructor).toBeUndefined();
+    expect(threadCounts(stub(older)).toString).toBeUndefined();
+    expect(threadItems([odd, older], "constructor")).toHaveLength(2);
+    expect(issuesWithThread([stub(odd), stub(older)], "constructor")).toEqual([issue.id]);
+  });
+
+  it("puts declared links first and fills up with suggestions", () => {
+    const nvidia = previously([issue, older], issue, at(issue, "NVIDIA"));
+    expect(nvidia.map((e) => [e.reason, e.slug])).toEqual([["related", "hot-chips-nvidia-spectrum-xgs"]]);
+    expect(previously([issue, older], issue, at(issue, "Starship"))[0]).toMatchObject({ reason: "thread", slug: "spacex-starship" });
+
+    const gemini = previously([issue, older], issue, at(issue, "Google 推出 Gemini"));
+    expect(gemini.map((e) => [e.reason, e.item.keyInfo.actor])).toEqual([["suggested", "Google"]]);
+    // Only earlier issues count
+    expect(previously([issue, older], older, at(older, "SpaceX：Starship"))).toEqual([]);
+  });
+
+  it("asks for the earlier bodies an issue page needs", () => {
+    expect(contextIssueIds([issue, stub(older)], issue)).toEqual([older.id]);
+    expect(contextIssueIds([issue, stub(older)], stub(older))).toEqual([]);
+  });
+
+  it("reports refs that point nowhere", () => {
+    const broken = {
+      ...issue,
+      items: issue.items.map((item, i) => (i === 0 ? { ...item, related: [`${older.id}/nope`, `${older.id}/openai-anthropic`] } : item)),
+    };
+    expect(unresolvedRefs([broken, older])).toEqual([{ issueId: issue.id, idx: 0, ref: `${older.id}/nope` }]);
+  });
+
+  it("validates thread keys and refs, and round-trips them through Markdown", () => {
+    const bad = { ...issue, items: [{ ...issue.items[0], thread: "Starship IFT", related: ["x", `${older.id}/a`, `${older.id}/a`] }] };
+    const res = validatePayload({ issues: [bad] });
+    expect(res.errors.map((e) => e.path)).toEqual(["$.issues[0].items[0].thread", "$.issues[0].items[0].related[0]"]);
+    expect(res.warnings.map((w) => w.path)).toContain("$.issues[0].items[0].related[2]");
+    expect(markdownToPayload(payloadToMarkdown({ issues: [issue] }))).toEqual({ issues: [issue] });
+  });
+});
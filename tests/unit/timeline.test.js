@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { parseTimeSGT } from "../../src/lib/schema.js";
+import { bucketOf, groupTimeline, timelineEntries } from "../../src/lib/timeline.js";
+import { loadFixtureIssues } from "../fixtures.js";
+
+const issues = loadFixtureIssues();
+const issue = (start, items) => ({ id: `${start}_x`, start, end: start, title: "t", items });
+const at = (timeSGT, title = timeSGT) => ({ title, keyInfo: timeSGT ? { timeSGT } : {} });
+
+describe("parseTimeSGT", () => {
+  it("reads dates and times as Singapore time", () => {
+    expect(parseTimeSGT("2025-08-28 14:00")).toEqual({
+      date: "2025-08-28",
+      time: "14:00",
+      ms: Date.parse("2025-08-28T06:00:00Z"),
+      precision: "minute",
+    });
+    expect(parseTimeSGT("2025-08-28T14:00:30 SGT").ms).toBe(Date.parse("2025-08-28T14:00:30+08:00"));
+    expect(parseTimeSGT("2025-08-28")).toMatchObject({ time: null, ms: Date.parse("2025-08-28T00:00:00+08:00"), precision: "day" });
+  });
+
+  it("rejects what isn't a real SGT time", () => {
+    for (const s of ["2025-02-30", "2025-08-28 24:00", "Aug 28", "2025-08-28T14:00Z", "", null]) expect(parseTimeSGT(s)).toBeNull();
+  });
+});
+
+describe("timeline", () => {
+  it("orders items by event time across issues, oldest first", () => {
+    const list = timelineEntries([
+      issue("2025-09-01", [at("2025-09-02 09:00", "b"), at("2025-09-02", "a"), at("", "undated")]),
+      issue("2025-08-25", [at("2025-09-02 08:00", "late news")]),
+    ]);
+    expect(list.map((e) => e.item.title)).toEqual(["undated", "a", "late news", "b"]);
+    expect(list[0]).toMatchObject({ estimated: true, when: { date: "2025-09-01" } });
+  });
+
+  it("filters by market and actor, aliases included", () => {
+    const spaceflight = timelineEntries(issues, { market: "航天重型运载" });
+    expect(spaceflight.map((e) => e.item.keyInfo.actor)).toEqual(["SpaceX", "SpaceX", "SpaceX", "SpaceX"]);
+    expect(timelineEntries(issues, { actor: "open ai" }).every((e) => /OpenAI/.test(e.item.keyInfo.actor))).toBe(true);
+    expect(timelineEntries(issues, { market: "航天", actor: "NVIDIA" })).toEqual([]);
+  });
+
+  it("buckets by day, week and month and counts the empty stretches", () => {
+    expect(bucketOf("2025-08-28", "week")).toEqual({ start: "2025-08-25", end: "2025-08-31" });
+    expect(bucketOf("2024-02-10", "month")).toEqual({ start: "2024-02-01", end: "2024-02-29" });
+    const list = timelineEntries([issue("2025-01-01", [at("2025-01-03"), at("2025-01-03 10:00"), at("2025-01-20"), at("2025-04-01")])]);
+    const shape = (zoom) => groupTimeline(list, zoom).map((b) => [b.start, b.gap, b.entries.length]);
+    expect(shape("day")).toEqual([["2025-01-03", 0, 2], ["2025-01-20", 16, 1], ["2025-04-01", 70, 1]]);
+    expect(shape("week")).toEqual([["2024-12-30", 0, 2], ["2025-01-20", 2, 1], ["2025-03-31", 9, 1]]);
+    expect(shape("month")).toEqual([["2025-01-01", 0, 3], ["2025-04-01", 2, 1]]);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { isoAt, lintWeeks, nextWeek, weekOf, weekTitle } from "../../src/lib/weeks.js";
+import { blankIssue } from "../../src/lib/editor.js";
+import { contentFiles, readContentFile } from "../fixtures.js";
+
+const week = (start, end, extra = {}) => ({
+  file: `${start}_${end}.json`,
+  payload: { issues: [{ id: `${start}_${end}`, start, end, title: weekTitle(start, end), items: [], ...extra }] },
+});
+const messages = (problems) => problems.map((p) => `${p.file} ${p.path}: ${p.message}`);
+
+describe("weeks", () => {
+  it("finds the Monday–Sunday week of a day, in +08:00", () => {
+    expect(weekOf("2025-09-03")).toEqual({ id: "2025-09-01_2025-09-07", start: "2025-09-01", end: "2025-09-07" });
+    expect(weekOf("2025-09-07").start).toBe("2025-09-01");
+    // Sunday 20:00 UTC is already Monday in +08:00
+    expect(weekOf(new Date("2025-08-31T20:00:00Z")).start).toBe("2025-09-01");
+    expect(nextWeek(new Date("2025-12-29T12:00:00Z"))).toEqual({ id: "2026-01-05_2026-01-11", start: "2026-01-05", end: "2026-01-11" });
+  });
+
+  it("writes times with the +08:00 offset", () => {
+    expect(isoAt("2025-09-01T02:00:00Z")).toBe("2025-09-01T10:00:00+08:00");
+    expect(isoAt(new Date("2025-08-31T23:30:15.500Z"))).toBe("2025-09-01T07:30:15+08:00");
+  });
+
+  it("scaffolds the editor's blank issue from the same week", () => {
+    const issue = blankIssue(new Date("2025-09-03T04:00:00Z"));
+    expect(issue).toMatchObject({ id: "2025-09-01_2025-09-07", status: "draft", title: "2025-09-01 至 2025-09-07 周报 / Weekly" });
+  });
+
+  it("accepts the real content", () => {
+    expect(lintWeeks(contentFiles().map((file) => ({ file, payload: readContentFile(file) })))).toEqual([]);
+  });
+
+  it("reports names, ids and dates that disagree", () => {
+    const renamed = { ...week("2025-09-01", "2025-09-07"), file: "2025-09-08_2025-09-14.json" };
+    const tuesday = week("2025-09-16", "2025-09-21", { id: "2025-09-16_2025-09-22" });
+    tuesday.file = "2025-09-16_2025-09-22.json";
+    expect(messages(lintWeeks([renamed, tuesday, { file: "notes.json", payload: { issues: [] } }]))).toEqual([
+      "2025-09-08_2025-09-14.json $.issues[0].id: id 与文件名不一致（2025-09-01_2025-09-07）",
+      "2025-09-16_2025-09-22.json $.issues[0].id: id 与 start/end 不一致（应为 2025-09-16_2025-09-21）",
+      "2025-09-16_2025-09-22.json $.issues[0].start: start 应为周一（2025-09-16 所在周从 2025-09-15 开始）",
+      "notes.json $: 文件名应为 YYYY-MM-DD_YYYY-MM-DD.json",
+      "notes.json $.issues: 每个周报文件应只有一期（现有 0 期）",
+    ]);
+  });
+
+  it("flags overlapping weeks and stale titles", () => {
+    const a = week("2025-09-01", "2025-09-07");
+    const b = week("2025-09-01", "2025-09-07");
+    b.file = "copy.json";
+    const c = week("2025-09-08", "2025-09-14", { title: "2025-09-01 至 2025-09-07 周报 / Weekly" });
+    const problems = lintWeeks([a, b, c]);
+    expect(messages(problems.filter((p) => p.message.includes("重叠")))).toEqual([
+      "copy.json $.issues[0]: 2025-09-01_2025-09-07 与 2025-09-01_2025-09-07.json 2025-09-01_2025-09-07 的日期重叠",
+    ]);
+    expect(problems.find((p) => p.file === c.file)).toMatchObject({ path: "$.issues[0].title", warning: true });
+  });
+});
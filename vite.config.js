@@ -2,8 +2,19 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Content API (scripts/content-api.js, `npm run api`); the dev and preview servers forward /api to it
+const apiProxy = { '/api': process.env.API_URL || 'http://127.0.0.1:8787' }
+
 export default defineConfig({
   plugins: [react()],
+  server: { proxy: apiProxy },
+  preview: { proxy: apiProxy },
   base: '/',
   publicDir: 'public', // 确保整个 public 被复制进 dist
+  // npm test：纯函数测试跑在 node，组件测试文件头部用 @vitest-environment jsdom
+  test: {
+    include: ['tests/**/*.test.{js,jsx}'],
+    environment: 'node',
+    setupFiles: ['tests/setup.js'],
+  },
 })